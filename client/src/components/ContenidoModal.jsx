@@ -7,6 +7,10 @@ import { useState, useEffect } from 'react';
 import PostTab from './contenido/PostTab';
 import VideoTab from './contenido/VideoTab';
 import StoryTab from './contenido/StoryTab';
+import ValidacionPanel from './contenido/ValidacionPanel';
+import CuentasDestino from './contenido/CuentasDestino';
+import VariantesPanel from './contenido/VariantesPanel';
+import { aDatetimeLocal } from '../utils/zonaHoraria';
 
 const TIPOS = [
     { value: 'post', label: 'Post', icon: '📝' },
@@ -28,7 +32,22 @@ const ESTADOS = [
     { value: 'rechazado', label: 'Rechazado', color: 'red' }
 ];
 
-export default function ContenidoModal({ isOpen, onClose, onSave, contenido, campanas = [], loading }) {
+/**
+ * Reconstruye el medio de una Story guardada (imagen o video)
+ */
+const storyGuardada = (contenido) => {
+    const video = contenido.videos?.[0];
+    if (video) {
+        return { media_tipo: 'video', url: video.url_video, ancho: video.ancho, alto: video.alto, duracion_segundos: video.duracion_segundos };
+    }
+    const imagen = contenido.imagenes?.[0];
+    if (imagen) {
+        return { media_tipo: 'imagen', url: imagen.url_imagen, ancho: imagen.ancho, alto: imagen.alto };
+    }
+    return null;
+};
+
+export default function ContenidoModal({ isOpen, onClose, onSave, contenido, zona, campanas = [], loading }) {
     const isEditing = !!contenido;
 
     // Estados del formulario principal
@@ -49,6 +68,8 @@ export default function ContenidoModal({ isOpen, onClose, onSave, contenido, cam
 
     // Estados de IA compartidos/confirmados
     const [confirmedImages, setConfirmedImages] = useState([]); // Array de { url, prompt }
+    const [confirmedVideo, setConfirmedVideo] = useState(null); // { url, thumb_offset_ms, duracion_segundos }
+    const [confirmedStory, setConfirmedStory] = useState(null); // { media_tipo, url, ancho, alto }
     const [aiError, setAiError] = useState(null);
     const [aiSuccess, setAiSuccess] = useState(null);
 
@@ -62,7 +83,8 @@ export default function ContenidoModal({ isOpen, onClose, onSave, contenido, cam
                 plataforma: contenido.plataforma || 'instagram',
                 estado: contenido.estado || 'pendiente',
                 campana_id: contenido.campana_id || '',
-                fecha_publicacion: contenido.fecha_publicacion ? contenido.fecha_publicacion.split('T')[0] : '',
+                // En UTC desde la API: el input muestra la hora de la marca, que es como la interpreta el servidor
+                fecha_publicacion: contenido.fecha_publicacion ? aDatetimeLocal(contenido.fecha_publicacion, zona) : '',
                 prompt_usado: contenido.prompt_usado || '',
                 modelo_ia: contenido.modelo_ia || ''
             });
@@ -84,9 +106,17 @@ export default function ContenidoModal({ isOpen, onClose, onSave, contenido, cam
         }
         setErrors({});
         setConfirmedImages([]);
+        const videoGuardado = contenido?.videos?.[0];
+        setConfirmedVideo(videoGuardado ? {
+            url: videoGuardado.url_video,
+            cover_url: videoGuardado.cover_url,
+            thumb_offset_ms: videoGuardado.thumb_offset_ms || 0,
+            duracion_segundos: videoGuardado.duracion_segundos
+        } : null);
+        setConfirmedStory(contenido?.tipo === 'story' ? storyGuardada(contenido) : null);
         setAiError(null);
         setAiSuccess(null);
-    }, [contenido, isOpen]);
+    }, [contenido, zona, isOpen]);
 
     const handleChange = (e) => {
         const { name, value } = e.target;
@@ -123,10 +153,28 @@ export default function ContenidoModal({ isOpen, onClose, onSave, contenido, cam
             dataToSave.imagen_prompt = confirmedImages[0].prompt;
         }
 
-        // Limpiar campos vacíos (excepto campana_id e imagen_url)
+        // Video confirmado (solo aplica a contenidos tipo video); null quita el que ya tenía
+        if (formData.tipo === 'video' && (confirmedVideo || contenido?.videos?.length > 0)) {
+            dataToSave.video = confirmedVideo;
+        }
+
+        // Medio de la Story (imagen o video 9:16)
+        if (formData.tipo === 'story' && confirmedStory) {
+            dataToSave.story = confirmedStory;
+        }
+
+        // Cuentas destino: el copy vacío usa el copy general
+        if (formData.cuentas) {
+            dataToSave.cuentas = formData.cuentas.map(c => ({
+                cuenta_social_id: c.cuenta_social_id,
+                copy_texto: c.copy_texto?.trim() || null
+            }));
+        }
+
+        // Limpiar campos vacíos (excepto campana_id, imagen_url y video)
         Object.keys(dataToSave).forEach(key => {
             if (dataToSave[key] === '' || dataToSave[key] === null) {
-                if (key !== 'campana_id' && key !== 'imagen_url') delete dataToSave[key];
+                if (!['campana_id', 'imagen_url', 'video'].includes(key)) delete dataToSave[key];
             }
         });
 
@@ -200,8 +248,24 @@ export default function ContenidoModal({ isOpen, onClose, onSave, contenido, cam
                             />
                         )}
 
-                        {activeTab === 'video' && <VideoTab />}
-                        {activeTab === 'story' && <StoryTab />}
+                        {activeTab === 'video' && (
+                            <VideoTab
+                                formData={formData}
+                                handleChange={handleChange}
+                                setAiError={setAiError}
+                                setAiSuccess={setAiSuccess}
+                                confirmedVideo={confirmedVideo}
+                                setConfirmedVideo={setConfirmedVideo}
+                            />
+                        )}
+                        {activeTab === 'story' && (
+                            <StoryTab
+                                setAiError={setAiError}
+                                setAiSuccess={setAiSuccess}
+                                confirmedStory={confirmedStory}
+                                setConfirmedStory={setConfirmedStory}
+                            />
+                        )}
 
                         {/* Campos comunes a todos los tipos */}
                         <div style={{ marginTop: '2rem', paddingTop: '2rem', borderTop: '1px solid var(--border-color)' }}>
@@ -225,6 +289,13 @@ export default function ContenidoModal({ isOpen, onClose, onSave, contenido, cam
                                 </div>
                             </div>
 
+                            {/* Cuentas destino (varias redes a la vez) */}
+                            <CuentasDestino
+                                contenidoId={contenido?.id}
+                                formData={formData}
+                                setFormData={setFormData}
+                            />
+
                             {/* Campaña y Estado */}
                             <div className="form-row">
                                 <div className="form-group">
@@ -280,6 +351,17 @@ export default function ContenidoModal({ isOpen, onClose, onSave, contenido, cam
                                     onChange={handleChange}
                                 />
                             </div>
+
+                            {/* Copy e imágenes por plataforma */}
+                            {isEditing && <VariantesPanel contenidoId={contenido.id} />}
+
+                            {/* Validación contra los límites de la plataforma */}
+                            {isEditing && (
+                                <ValidacionPanel
+                                    contenidoId={contenido.id}
+                                    plataforma={formData.cuentas?.length ? undefined : formData.plataforma}
+                                />
+                            )}
                         </div>
                     </div>
 
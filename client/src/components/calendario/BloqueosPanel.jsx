@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import { PauseCircle, PlayCircle, Ban, Trash2 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import * as publicacionesApi from '../../services/publicacionesApi';
+import { formatearEnZona } from '../../utils/zonaHoraria';
+
+const FORM_INICIAL = { motivo: '', inicio: '', fin: '' };
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+/**
+ * Pausa global y ventanas de bloqueo de la publicación automática.
+ * Lo que vence durante un bloqueo queda retenido; solo los admin pueden gestionarlo
+ */
+export default function BloqueosPanel({ onChange }) {
+    const { user } = useAuth();
+    const isAdmin = user?.rol === 'admin';
+
+    const [estado, setEstado] = useState(null);
+    const [version, setVersion] = useState(0);
+    const [motivoPausa, setMotivoPausa] = useState('');
+    const [form, setForm] = useState(FORM_INICIAL);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    useEffect(() => {
+        publicacionesApi.getBloqueos()
+            .then(res => setEstado(res.data))
+            .catch(err => console.error('Error cargando bloqueos:', err));
+    }, [version]);
+
+    const notificar = (mensaje) => {
+        setSuccess(mensaje);
+        setError(null);
+        setTimeout(() => setSuccess(null), 4000);
+        setVersion(v => v + 1);
+        onChange?.();
+    };
+
+    const handlePausar = async (e) => {
+        e.preventDefault();
+        try {
+            await publicacionesApi.pausarPublicacion(motivoPausa);
+            setMotivoPausa('');
+            notificar('Publicación automática pausada');
+        } catch (err) {
+            setError(errorDe(err, 'Error al pausar la publicación'));
+        }
+    };
+
+    const handleReanudar = async () => {
+        try {
+            const response = await publicacionesApi.reanudarPublicacion();
+            notificar(response.message);
+        } catch (err) {
+            setError(errorDe(err, 'Error al reanudar la publicación'));
+        }
+    };
+
+    const handleCrearVentana = async (e) => {
+        e.preventDefault();
+        try {
+            await publicacionesApi.createBloqueo(form);
+            setForm(FORM_INICIAL);
+            notificar('Ventana de bloqueo creada');
+        } catch (err) {
+            setError(errorDe(err, 'Error al crear la ventana'));
+        }
+    };
+
+    const handleEliminarVentana = async (ventana) => {
+        if (!window.confirm(`¿Eliminar la ventana "${ventana.motivo}"?`)) return;
+        try {
+            await publicacionesApi.removeBloqueo(ventana.id);
+            notificar('Ventana eliminada');
+        } catch (err) {
+            setError(errorDe(err, 'Error al eliminar la ventana'));
+        }
+    };
+
+    if (!estado) return null;
+
+    const ventanas = estado.bloqueos.filter(b => b.tipo === 'ventana');
+
+    return (
+        <div className="calendario-sidebar series-panel">
+            <h3><Ban size={20} /> Bloqueos de publicación</h3>
+
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+            {success && <div className="alert alert-success">✓ {success}</div>}
+
+            {estado.pausa ? (
+                <div className="bloqueo-estado pausado">
+                    <PauseCircle size={18} />
+                    <span>Publicación pausada: {estado.pausa.motivo}</span>
+                </div>
+            ) : estado.ventana ? (
+                <div className="bloqueo-estado pausado">
+                    <Ban size={18} />
+                    <span>Ventana activa: {estado.ventana.motivo}</span>
+                </div>
+            ) : (
+                <div className="bloqueo-estado">
+                    <PlayCircle size={18} />
+                    <span>Publicación automática activa</span>
+                </div>
+            )}
+
+            {estado.retenidas.length > 0 && (
+                <span className="series-vacio">
+                    {estado.retenidas.length} publicación(es) retenida(s) hasta que termine el bloqueo
+                </span>
+            )}
+
+            {isAdmin && (estado.pausa ? (
+                <button type="button" className="btn-primary series-btn-nueva" onClick={handleReanudar}>
+                    <PlayCircle size={16} /> Reanudar y reprogramar
+                </button>
+            ) : (
+                <form className="series-inline series-evergreen-form" onSubmit={handlePausar}>
+                    <input
+                        type="text"
+                        className="form-input"
+                        placeholder="Motivo de la pausa"
+                        value={motivoPausa}
+                        onChange={(e) => setMotivoPausa(e.target.value)}
+                        required
+                    />
+                    <button type="submit" className="btn-secondary">
+                        <PauseCircle size={16} /> Pausar
+                    </button>
+                </form>
+            ))}
+
+            <div className="scheduled-posts-list">
+                {ventanas.length === 0 && <span className="series-vacio">Sin ventanas programadas</span>}
+                {ventanas.map(ventana => (
+                    <div key={ventana.id} className="scheduled-post-card">
+                        <div className="post-info">
+                            <span className="post-title">{ventana.motivo}</span>
+                            <span className="post-datetime">
+                                {formatearEnZona(ventana.inicio, estado.zona_horaria)} → {formatearEnZona(ventana.fin, estado.zona_horaria)}
+                            </span>
+                        </div>
+                        {isAdmin && (
+                            <button type="button" className="series-btn-icon" title="Eliminar ventana" onClick={() => handleEliminarVentana(ventana)}>
+                                <Trash2 size={16} />
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {isAdmin && (
+                <form className="bloqueo-form" onSubmit={handleCrearVentana}>
+                    <input
+                        type="text"
+                        className="form-input"
+                        placeholder="Motivo (festivo, luto...)"
+                        value={form.motivo}
+                        onChange={(e) => setForm(prev => ({ ...prev, motivo: e.target.value }))}
+                        required
+                    />
+                    <div className="series-inline">
+                        <input
+                            type="datetime-local"
+                            className="form-input"
+                            value={form.inicio}
+                            onChange={(e) => setForm(prev => ({ ...prev, inicio: e.target.value }))}
+                            required
+                        />
+                        <input
+                            type="datetime-local"
+                            className="form-input"
+                            value={form.fin}
+                            onChange={(e) => setForm(prev => ({ ...prev, fin: e.target.value }))}
+                            required
+                        />
+                    </div>
+                    {estado.zona_horaria && <span className="series-vacio">Hora de {estado.zona_horaria}</span>}
+                    <button type="submit" className="btn-secondary">+ Ventana de bloqueo</button>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,236 @@
+import { useState, useEffect } from 'react';
+import { ListOrdered, ArrowUp, ArrowDown, Trash2 } from 'lucide-react';
+import * as publicacionesApi from '../../services/publicacionesApi';
+import * as contenidoApi from '../../services/contenidoApi';
+import * as socialApi from '../../services/socialApi';
+import { formatearEnZona } from '../../utils/zonaHoraria';
+
+const DIAS_SEMANA = [
+    { value: 1, label: 'Lu' },
+    { value: 2, label: 'Ma' },
+    { value: 3, label: 'Mi' },
+    { value: 4, label: 'Ju' },
+    { value: 5, label: 'Vi' },
+    { value: 6, label: 'Sa' },
+    { value: 0, label: 'Do' }
+];
+
+const nombreDia = (dia) => DIAS_SEMANA.find(d => d.value === Number(dia))?.label || dia;
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+/**
+ * Cola de publicación por cuenta: franjas semanales y contenido en espera
+ * onChange se llama cuando cambia algo que afecta al calendario
+ */
+export default function ColaPanel({ zona, onChange }) {
+    const [cuentas, setCuentas] = useState([]);
+    const [cuentaId, setCuentaId] = useState('');
+    const [horarios, setHorarios] = useState([]);
+    const [items, setItems] = useState([]);
+    const [contenidos, setContenidos] = useState([]);
+    const [nuevaFranja, setNuevaFranja] = useState({ dia_semana: 1, hora: '09:00' });
+    const [contenidoId, setContenidoId] = useState('');
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    useEffect(() => {
+        Promise.all([
+            socialApi.getCuentas(),
+            contenidoApi.getContenidos({ estado: 'aprobado', limit: 100 })
+        ]).then(([resCuentas, resContenido]) => {
+            const conectadas = (resCuentas.data?.cuentas || []).filter(c => c.estado === 'conectada');
+            setCuentas(conectadas);
+            setContenidos(resContenido.data?.data || []);
+            if (conectadas.length > 0) setCuentaId(String(conectadas[0].id));
+        }).catch(err => console.error('Error cargando cuentas de la cola:', err));
+    }, []);
+
+    useEffect(() => {
+        if (!cuentaId) return;
+        publicacionesApi.getCola(cuentaId)
+            .then(response => {
+                setHorarios(response.data?.horarios || []);
+                setItems(response.data?.items || []);
+            })
+            .catch(err => setError(errorDe(err, 'Error al cargar la cola')));
+    }, [cuentaId]);
+
+    const cargarCola = async () => {
+        try {
+            const response = await publicacionesApi.getCola(cuentaId);
+            setHorarios(response.data?.horarios || []);
+            setItems(response.data?.items || []);
+        } catch (err) {
+            setError(errorDe(err, 'Error al cargar la cola'));
+        }
+    };
+
+    const notificar = (mensaje) => {
+        setSuccess(mensaje);
+        setError(null);
+        setTimeout(() => setSuccess(null), 3000);
+        cargarCola();
+        onChange?.();
+    };
+
+    const guardarHorarios = async (nuevos) => {
+        try {
+            await publicacionesApi.updateHorariosCola(cuentaId, nuevos.map(h => ({
+                dia_semana: Number(h.dia_semana),
+                hora: String(h.hora).substring(0, 5)
+            })));
+            notificar('Franjas actualizadas');
+        } catch (err) {
+            setError(errorDe(err, 'Error al guardar las franjas'));
+        }
+    };
+
+    const handleAddFranja = (e) => {
+        e.preventDefault();
+        guardarHorarios([...horarios, nuevaFranja]);
+    };
+
+    const handleRemoveFranja = (franja) => {
+        guardarHorarios(horarios.filter(h => h.id !== franja.id));
+    };
+
+    const handleMover = async (index, direccion) => {
+        const ids = items.map(item => item.id);
+        const destino = index + direccion;
+        if (destino < 0 || destino >= ids.length) return;
+        [ids[index], ids[destino]] = [ids[destino], ids[index]];
+        try {
+            await publicacionesApi.reordenarCola(cuentaId, ids);
+            notificar('Cola reordenada');
+        } catch (err) {
+            setError(errorDe(err, 'Error al reordenar la cola'));
+        }
+    };
+
+    const handleQuitar = async (item) => {
+        if (!window.confirm(`¿Quitar "${item.contenido_titulo}" de la cola?`)) return;
+        try {
+            await publicacionesApi.cancelPublicacion(item.id);
+            notificar('Quitado de la cola');
+        } catch (err) {
+            setError(errorDe(err, 'Error al quitar de la cola'));
+        }
+    };
+
+    const handleEncolar = async (e) => {
+        e.preventDefault();
+        if (!contenidoId) return;
+        try {
+            const response = await publicacionesApi.addCola(cuentaId, contenidoId);
+            setContenidoId('');
+            setContenidos(prev => prev.filter(c => String(c.id) !== String(contenidoId)));
+            const advertencias = response.data?.advertencias || [];
+            notificar(advertencias.length > 0
+                ? `Añadido a la cola. Advertencias: ${advertencias.join('. ')}`
+                : 'Añadido a la cola');
+        } catch (err) {
+            setError(errorDe(err, 'Error al añadir a la cola'));
+        }
+    };
+
+    const cuenta = cuentas.find(c => String(c.id) === String(cuentaId));
+    const contenidosCuenta = contenidos.filter(c => !cuenta || c.plataforma === cuenta.plataforma);
+
+    return (
+        <div className="calendario-sidebar series-panel">
+            <h3><ListOrdered size={20} /> Cola de publicación</h3>
+
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+            {success && <div className="alert alert-success">✓ {success}</div>}
+
+            {cuentas.length === 0 ? (
+                <span className="series-vacio">No hay cuentas conectadas</span>
+            ) : (
+                <select className="form-select" value={cuentaId} onChange={(e) => setCuentaId(e.target.value)}>
+                    {cuentas.map(c => (
+                        <option key={c.id} value={c.id}>{c.nombre_cuenta} ({c.plataforma})</option>
+                    ))}
+                </select>
+            )}
+
+            {cuentaId && (
+                <>
+                    <div className="chips-row cola-franjas">
+                        {horarios.length === 0 && <span className="series-vacio">Sin franjas: añade al menos una</span>}
+                        {horarios.map(franja => (
+                            <span key={franja.id} className="chip-btn active">
+                                {nombreDia(franja.dia_semana)} {String(franja.hora).substring(0, 5)}
+                                <button
+                                    type="button"
+                                    className="cola-franja-quitar"
+                                    title="Quitar franja"
+                                    onClick={() => handleRemoveFranja(franja)}
+                                >
+                                    ×
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+
+                    <form className="series-inline" onSubmit={handleAddFranja}>
+                        <select
+                            className="form-select"
+                            value={nuevaFranja.dia_semana}
+                            onChange={(e) => setNuevaFranja(prev => ({ ...prev, dia_semana: Number(e.target.value) }))}
+                        >
+                            {DIAS_SEMANA.map(dia => (
+                                <option key={dia.value} value={dia.value}>{dia.label}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="time"
+                            className="form-input"
+                            value={nuevaFranja.hora}
+                            onChange={(e) => setNuevaFranja(prev => ({ ...prev, hora: e.target.value }))}
+                            required
+                        />
+                        <button type="submit" className="btn-secondary">+ Franja</button>
+                    </form>
+
+                    <div className="scheduled-posts-list">
+                        {items.length === 0 && <span className="series-vacio">La cola está vacía</span>}
+                        {items.map((item, index) => (
+                            <div key={item.id} className="scheduled-post-card">
+                                <div className="post-info">
+                                    <span className="post-title">{index + 1}. {item.contenido_titulo}</span>
+                                    <span className="post-datetime">
+                                        {item.fecha_programada
+                                            ? formatearEnZona(item.fecha_programada, zona)
+                                            : 'Sin franja libre'}
+                                    </span>
+                                </div>
+                                <button type="button" className="series-btn-icon" title="Subir" onClick={() => handleMover(index, -1)} disabled={index === 0}>
+                                    <ArrowUp size={16} />
+                                </button>
+                                <button type="button" className="series-btn-icon" title="Bajar" onClick={() => handleMover(index, 1)} disabled={index === items.length - 1}>
+                                    <ArrowDown size={16} />
+                                </button>
+                                <button type="button" className="series-btn-icon" title="Quitar de la cola" onClick={() => handleQuitar(item)}>
+                                    <Trash2 size={16} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+
+                    <form className="series-inline series-evergreen-form" onSubmit={handleEncolar}>
+                        <select className="form-select" value={contenidoId} onChange={(e) => setContenidoId(e.target.value)}>
+                            <option value="">Contenido aprobado...</option>
+                            {contenidosCuenta.map(c => (
+                                <option key={c.id} value={c.id}>{c.titulo}</option>
+                            ))}
+                        </select>
+                        <button type="submit" className="btn-primary" disabled={!contenidoId || horarios.length === 0}>
+                            A la cola
+                        </button>
+                    </form>
+                </>
+            )}
+        </div>
+    );
+}
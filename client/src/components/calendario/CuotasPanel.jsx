@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { Gauge, Pencil, Check, X } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import * as socialApi from '../../services/socialApi';
+import { formatearEnZona } from '../../utils/zonaHoraria';
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+/**
+ * Uso de la cuota de publicación de cada cuenta.
+ * Lo que excede el límite o la separación mínima se aplaza al siguiente hueco;
+ * solo los admin pueden cambiar los límites de una cuenta
+ */
+export default function CuotasPanel({ zona }) {
+    const { user } = useAuth();
+    const isAdmin = user?.rol === 'admin';
+
+    const [cuentas, setCuentas] = useState([]);
+    const [version, setVersion] = useState(0);
+    const [editando, setEditando] = useState(null);
+    const [form, setForm] = useState({});
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        socialApi.getCuotas()
+            .then(res => setCuentas(res.data.cuentas))
+            .catch(err => console.error('Error cargando cuotas:', err));
+    }, [version]);
+
+    const handleEditar = (cuenta) => {
+        setEditando(cuenta.id);
+        setError(null);
+        setForm({
+            limite_publicaciones: cuenta.limite_publicaciones ?? '',
+            ventana_limite_horas: cuenta.ventana_limite_horas ?? '',
+            separacion_minima_min: cuenta.separacion_minima_min ?? ''
+        });
+    };
+
+    const handleGuardar = async (e) => {
+        e.preventDefault();
+        try {
+            await socialApi.updateCuota(editando, form);
+            setEditando(null);
+            setVersion(v => v + 1);
+        } catch (err) {
+            setError(errorDe(err, 'Error al guardar la cuota'));
+        }
+    };
+
+    const campo = (nombre, placeholder) => (
+        <input
+            type="number"
+            min="0"
+            className="form-input"
+            placeholder={placeholder}
+            value={form[nombre]}
+            onChange={(e) => setForm(prev => ({ ...prev, [nombre]: e.target.value }))}
+        />
+    );
+
+    if (cuentas.length === 0) return null;
+
+    return (
+        <div className="calendario-sidebar series-panel">
+            <h3><Gauge size={20} /> Cuota por cuenta</h3>
+
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+
+            <div className="scheduled-posts-list">
+                {cuentas.map(cuenta => (
+                    <div key={cuenta.id} className="scheduled-post-card">
+                        {editando === cuenta.id ? (
+                            <form className="bloqueo-form" onSubmit={handleGuardar}>
+                                <span className="post-title">{cuenta.nombre_cuenta}</span>
+                                <div className="series-inline">
+                                    {campo('limite_publicaciones', `Máx. (${cuenta.cuota.max ?? '∞'})`)}
+                                    {campo('ventana_limite_horas', 'Horas (24)')}
+                                    {campo('separacion_minima_min', 'Min. entre posts')}
+                                </div>
+                                <span className="series-vacio">Vacío = valor por defecto de la plataforma</span>
+                                <div className="series-inline">
+                                    <button type="submit" className="btn-secondary"><Check size={16} /> Guardar</button>
+                                    <button type="button" className="series-btn-icon" title="Cancelar" onClick={() => setEditando(null)}>
+                                        <X size={16} />
+                                    </button>
+                                </div>
+                            </form>
+                        ) : (
+                            <>
+                                <div className="post-info">
+                                    <span className="post-title">{cuenta.nombre_cuenta}</span>
+                                    <span className="post-datetime">
+                                        {cuenta.usados}/{cuenta.cuota.max ?? '∞'} en {cuenta.cuota.ventana_horas} h
+                                        {cuenta.cuota.separacion_minutos > 0 && ` · cada ${cuenta.cuota.separacion_minutos} min`}
+                                        {cuenta.cuota.personalizada && ' · personalizada'}
+                                    </span>
+                                    {cuenta.cuota_usada !== null && (
+                                        <span className="post-datetime">Según la red: {cuenta.cuota_usada} usadas</span>
+                                    )}
+                                    {cuenta.siguiente && (
+                                        <span className="post-retry">
+                                            Aplazando hasta {formatearEnZona(cuenta.siguiente, zona)}
+                                        </span>
+                                    )}
+                                </div>
+                                {isAdmin && (
+                                    <button type="button" className="series-btn-icon" title="Configurar cuota" onClick={() => handleEditar(cuenta)}>
+                                        <Pencil size={16} />
+                                    </button>
+                                )}
+                            </>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import { AlertTriangle, RotateCcw, CalendarClock, ArrowRightLeft, XCircle } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import * as publicacionesApi from '../../services/publicacionesApi';
+import * as socialApi from '../../services/socialApi';
+import { formatearEnZona } from '../../utils/zonaHoraria';
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+/**
+ * Publicaciones fallidas agrupadas por causa, con acciones masivas:
+ * reencolar ya, reprogramar a una fecha, pasar a otra cuenta o cancelar
+ */
+export default function FallidasPanel({ zona, onChange }) {
+    const { user } = useAuth();
+    const isEditor = user?.rol === 'admin' || user?.rol === 'editor';
+
+    const [grupos, setGrupos] = useState([]);
+    const [cuentas, setCuentas] = useState([]);
+    const [version, setVersion] = useState(0);
+    const [seleccion, setSeleccion] = useState([]);
+    const [fecha, setFecha] = useState('');
+    const [cuentaDestino, setCuentaDestino] = useState('');
+    const [trabajando, setTrabajando] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    useEffect(() => {
+        publicacionesApi.getFallidas()
+            .then(res => {
+                setGrupos(res.data.grupos);
+                setSeleccion([]);
+            })
+            .catch(err => console.error('Error cargando publicaciones fallidas:', err));
+    }, [version]);
+
+    useEffect(() => {
+        if (!isEditor) return;
+        socialApi.getCuentas()
+            .then(res => setCuentas((res.data?.cuentas || []).filter(c => c.estado === 'conectada')))
+            .catch(err => console.error('Error cargando cuentas:', err));
+    }, [isEditor]);
+
+    const alternar = (ids, marcar) => {
+        setSeleccion(prev => (marcar
+            ? [...new Set([...prev, ...ids])]
+            : prev.filter(id => !ids.includes(id))));
+    };
+
+    const ejecutar = async (accion, extra = {}) => {
+        if (accion === 'cancelar' && !window.confirm(`¿Cancelar ${seleccion.length} publicación(es) fallida(s)?`)) return;
+        try {
+            setTrabajando(true);
+            setError(null);
+            const response = await publicacionesApi.accionFallidas({ accion, ids: seleccion, ...extra });
+            const { errores } = response.data;
+            if (errores.length > 0) {
+                setError(errores.map(e => `#${e.id}: ${e.error}`).join(' · '));
+            }
+            setSuccess(response.message);
+            setTimeout(() => setSuccess(null), 4000);
+            setVersion(v => v + 1);
+            onChange?.();
+        } catch (err) {
+            setError(errorDe(err, 'Error al procesar las publicaciones'));
+        } finally {
+            setTrabajando(false);
+        }
+    };
+
+    if (grupos.length === 0) return null;
+
+    const total = grupos.reduce((suma, grupo) => suma + grupo.total, 0);
+    const haySeleccion = seleccion.length > 0 && !trabajando;
+
+    return (
+        <div className="calendario-sidebar series-panel">
+            <h3><AlertTriangle size={20} /> Publicaciones fallidas ({total})</h3>
+
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+            {success && <div className="alert alert-success">✓ {success}</div>}
+
+            {grupos.map(grupo => {
+                const ids = grupo.publicaciones.map(p => p.id);
+                const todas = ids.every(id => seleccion.includes(id));
+                return (
+                    <div key={grupo.causa} className="fallidas-grupo">
+                        <label className="fallidas-grupo-titulo">
+                            {isEditor && (
+                                <input type="checkbox" checked={todas} onChange={(e) => alternar(ids, e.target.checked)} />
+                            )}
+                            <span className="post-title">{grupo.etiqueta} ({grupo.total})</span>
+                        </label>
+                        <div className="scheduled-posts-list">
+                            {grupo.publicaciones.map(pub => (
+                                <label key={pub.id} className="scheduled-post-card">
+                                    {isEditor && (
+                                        <input
+                                            type="checkbox"
+                                            checked={seleccion.includes(pub.id)}
+                                            onChange={(e) => alternar([pub.id], e.target.checked)}
+                                        />
+                                    )}
+                                    <div className="post-info">
+                                        <span className="post-title">{pub.contenido_titulo || `Publicación #${pub.id}`}</span>
+                                        <span className="post-datetime">
+                                            → {pub.nombre_cuenta || 'Cuenta eliminada'} · {formatearEnZona(pub.fallo_at || pub.fecha_programada, zona)}
+                                        </span>
+                                        <span className="post-retry fallido" title={pub.ultimo_error || ''}>
+                                            {pub.ultimo_error}
+                                        </span>
+                                    </div>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                );
+            })}
+
+            {isEditor && (
+                <div className="bloqueo-form">
+                    <span className="series-vacio">{seleccion.length} seleccionada(s)</span>
+                    <div className="series-inline">
+                        <button type="button" className="btn-secondary" disabled={!haySeleccion} onClick={() => ejecutar('reencolar')}>
+                            <RotateCcw size={16} /> Reencolar ya
+                        </button>
+                        <button type="button" className="series-btn-icon" title="Cancelar seleccionadas" disabled={!haySeleccion} onClick={() => ejecutar('cancelar')}>
+                            <XCircle size={16} />
+                        </button>
+                    </div>
+                    <div className="series-inline">
+                        <input
+                            type="datetime-local"
+                            className="form-input"
+                            value={fecha}
+                            onChange={(e) => setFecha(e.target.value)}
+                        />
+                        <button
+                            type="button"
+                            className="series-btn-icon"
+                            title="Reprogramar a esta fecha"
+                            disabled={!haySeleccion || !fecha}
+                            onClick={() => ejecutar('reprogramar', { fecha_programada: fecha })}
+                        >
+                            <CalendarClock size={16} />
+                        </button>
+                    </div>
+                    <div className="series-inline">
+                        <select className="form-input" value={cuentaDestino} onChange={(e) => setCuentaDestino(e.target.value)}>
+                            <option value="">Otra cuenta...</option>
+                            {cuentas.map(cuenta => (
+                                <option key={cuenta.id} value={cuenta.id}>{cuenta.nombre_cuenta} ({cuenta.plataforma})</option>
+                            ))}
+                        </select>
+                        <button
+                            type="button"
+                            className="series-btn-icon"
+                            title="Pasar a esta cuenta y reencolar"
+                            disabled={!haySeleccion || !cuentaDestino}
+                            onClick={() => ejecutar('reasignar', { cuenta_social_id: Number(cuentaDestino) })}
+                        >
+                            <ArrowRightLeft size={16} />
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
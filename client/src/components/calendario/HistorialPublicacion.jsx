@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { History } from 'lucide-react';
+import * as publicacionesApi from '../../services/publicacionesApi';
+import { formatearEnZona } from '../../utils/zonaHoraria';
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+const RESULTADOS = {
+    exito: 'Enviada',
+    error_temporal: 'Error temporal',
+    error_permanente: 'Error permanente',
+    aplazado: 'Aplazada por límite de la red'
+};
+
+const CATEGORIAS = {
+    limite: 'límite de la red',
+    autenticacion: 'credenciales',
+    permisos: 'permisos',
+    medios: 'imágenes o videos',
+    contenido: 'contenido bloqueado',
+    validacion: 'contenido no válido',
+    plataforma: 'error de la plataforma',
+    red: 'conexión',
+    desconocido: 'sin clasificar'
+};
+
+const describirEnvio = (resumen) => [
+    resumen.tipo,
+    `${resumen.caracteres} caracteres`,
+    resumen.imagenes > 0 && `${resumen.imagenes} imagen(es)`,
+    resumen.videos > 0 && `${resumen.videos} video(s)`
+].filter(Boolean).join(' · ');
+
+/**
+ * Historial de intentos de una publicación: cuándo, qué instancia, qué se envió,
+ * qué respondió la red y cuánto tardó. Se carga al abrirlo
+ */
+export default function HistorialPublicacion({ post, zona }) {
+    const [historial, setHistorial] = useState(null);
+    const [abierto, setAbierto] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleAbrir = async () => {
+        if (abierto) {
+            setAbierto(false);
+            return;
+        }
+        setAbierto(true);
+        try {
+            setError(null);
+            const response = await publicacionesApi.getHistorial(post.id);
+            setHistorial(response.data.historial);
+        } catch (err) {
+            setError(errorDe(err, 'Error al cargar el historial'));
+        }
+    };
+
+    return (
+        <div className="publicado-acciones">
+            <div className="publicado-acciones-botones">
+                <button type="button" className="series-btn-icon" title="Historial de intentos" onClick={handleAbrir}>
+                    <History size={14} />
+                </button>
+            </div>
+
+            {abierto && historial && (
+                <div className="historial-intentos">
+                    {historial.length === 0 && <span className="series-vacio">Aún no hay intentos</span>}
+                    {historial.map(intento => (
+                        <div key={intento.id} className={`historial-intento ${intento.resultado}`}>
+                            <span className="post-title">
+                                #{intento.numero_intento} · {RESULTADOS[intento.resultado]}
+                                {intento.categoria_error && ` (${CATEGORIAS[intento.categoria_error] || intento.categoria_error})`}
+                            </span>
+                            <span className="post-datetime">
+                                {formatearEnZona(intento.created_at, zona)}
+                                {intento.duracion_ms !== null && ` · ${(intento.duracion_ms / 1000).toFixed(1)} s`}
+                                {intento.instancia && ` · ${intento.instancia}`}
+                            </span>
+                            {intento.resumen_envio && (
+                                <span className="post-datetime">Envío: {describirEnvio(intento.resumen_envio)}</span>
+                            )}
+                            {intento.error && <span className="post-retry fallido">{intento.error}</span>}
+                            {intento.proximo_intento && (
+                                <span className="post-retry">Siguiente intento: {formatearEnZona(intento.proximo_intento, zona)}</span>
+                            )}
+                            {intento.response_api && (
+                                <details>
+                                    <summary className="post-datetime">Respuesta de la red</summary>
+                                    <pre>{JSON.stringify(intento.response_api, null, 2)}</pre>
+                                </details>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {error && <span className="post-retry fallido">{error}</span>}
+        </div>
+    );
+}
@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+import { TrendingUp } from 'lucide-react';
+import * as publicacionesApi from '../../services/publicacionesApi';
+
+const PLATAFORMAS = [
+    { value: 'instagram', label: '📸 Instagram' },
+    { value: 'facebook', label: '📘 Facebook' },
+    { value: 'linkedin', label: '💼 LinkedIn' }
+];
+
+const DIAS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+/**
+ * Mejores franjas de publicación por plataforma según el historial propio
+ */
+export default function MejoresHorariosCard() {
+    const [recomendaciones, setRecomendaciones] = useState({});
+
+    useEffect(() => {
+        Promise.all(PLATAFORMAS.map(async ({ value }) => {
+            try {
+                const response = await publicacionesApi.getMejoresHorarios({ plataforma: value, top: 3 });
+                return [value, response.data];
+            } catch (err) {
+                console.error(`Error obteniendo mejores horarios de ${value}:`, err);
+                return [value, null];
+            }
+        })).then(resultados => setRecomendaciones(Object.fromEntries(resultados)));
+    }, []);
+
+    return (
+        <div className="calendario-sidebar">
+            <h3><TrendingUp size={20} /> Mejores horarios</h3>
+            <div className="scheduled-posts-list">
+                {PLATAFORMAS.map(({ value, label }) => {
+                    const recomendacion = recomendaciones[value];
+                    if (!recomendacion) return null;
+                    return (
+                        <div key={value} className="post-info">
+                            <span className="post-title">{label}</span>
+                            <span className="post-datetime">
+                                {recomendacion.horarios
+                                    .map(h => `${DIAS[h.dia_semana]} ${String(h.hora).padStart(2, '0')}:00`)
+                                    .join(' · ')}
+                            </span>
+                            <span className="post-datetime">
+                                {recomendacion.ambito === 'por_defecto'
+                                    ? 'Horarios de referencia (pocos datos propios)'
+                                    : `Basado en ${recomendacion.muestras_totales} envíos`}
+                                {recomendacion.zona_horaria && ` · hora de ${recomendacion.zona_horaria}`}
+                            </span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
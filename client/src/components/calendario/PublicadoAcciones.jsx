@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Pencil, Trash2 } from 'lucide-react';
+import * as publicacionesApi from '../../services/publicacionesApi';
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+/**
+ * Edición del texto y borrado de una publicación ya enviada, en la propia red.
+ * Solo se muestran las acciones que la plataforma permite (post.remoto)
+ */
+export default function PublicadoAcciones({ post, onChange }) {
+    const [editando, setEditando] = useState(false);
+    const [texto, setTexto] = useState('');
+    const [trabajando, setTrabajando] = useState(false);
+    const [error, setError] = useState(null);
+
+    if (!post.remoto?.editar && !post.remoto?.eliminar) return null;
+
+    const abrirEdicion = () => {
+        setTexto(post.texto || '');
+        setError(null);
+        setEditando(true);
+    };
+
+    const handleGuardar = async () => {
+        try {
+            setTrabajando(true);
+            setError(null);
+            await publicacionesApi.editarRemoto(post.id, texto);
+            setEditando(false);
+            onChange?.();
+        } catch (err) {
+            setError(errorDe(err, 'Error al editar la publicación'));
+        } finally {
+            setTrabajando(false);
+        }
+    };
+
+    const handleEliminar = async () => {
+        if (!window.confirm(`¿Eliminar "${post.title}" de ${post.cuenta || post.platform}? No se puede deshacer.`)) return;
+        try {
+            setTrabajando(true);
+            setError(null);
+            await publicacionesApi.eliminarRemoto(post.id);
+            onChange?.();
+        } catch (err) {
+            setError(errorDe(err, 'Error al eliminar la publicación'));
+        } finally {
+            setTrabajando(false);
+        }
+    };
+
+    return (
+        <div className="publicado-acciones">
+            {!editando && (
+                <div className="publicado-acciones-botones">
+                    {post.remoto.editar && (
+                        <button type="button" className="series-btn-icon" title="Editar en la red" onClick={abrirEdicion} disabled={trabajando}>
+                            <Pencil size={14} />
+                        </button>
+                    )}
+                    {post.remoto.eliminar && (
+                        <button type="button" className="series-btn-icon" title="Eliminar de la red" onClick={handleEliminar} disabled={trabajando}>
+                            <Trash2 size={14} />
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {editando && (
+                <>
+                    <textarea
+                        className="form-input form-textarea"
+                        rows={4}
+                        value={texto}
+                        onChange={(e) => setTexto(e.target.value)}
+                    />
+                    <div className="series-inline">
+                        <button type="button" className="btn-secondary" onClick={() => setEditando(false)} disabled={trabajando}>
+                            Cancelar
+                        </button>
+                        <button type="button" className="btn-primary" onClick={handleGuardar} disabled={trabajando || !texto.trim()}>
+                            {trabajando ? 'Guardando...' : 'Guardar en la red'}
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {error && <span className="post-retry fallido">{error}</span>}
+        </div>
+    );
+}
@@ -0,0 +1,341 @@
+import { useState, useEffect } from 'react';
+import { Repeat, Recycle, Trash2 } from 'lucide-react';
+import * as publicacionesApi from '../../services/publicacionesApi';
+import * as contenidoApi from '../../services/contenidoApi';
+import * as socialApi from '../../services/socialApi';
+import { formatearEnZona } from '../../utils/zonaHoraria';
+
+const ESTADOS_PUBLICABLES = ['aprobado', 'programado', 'publicado'];
+
+const DIAS_SEMANA = [
+    { value: 1, label: 'Lu' },
+    { value: 2, label: 'Ma' },
+    { value: 3, label: 'Mi' },
+    { value: 4, label: 'Ju' },
+    { value: 5, label: 'Vi' },
+    { value: 6, label: 'Sa' },
+    { value: 0, label: 'Do' }
+];
+
+const FORM_INICIAL = {
+    tipo: 'recurrente',
+    contenido_id: '',
+    cuenta_social_id: '',
+    frecuencia: 'mensual',
+    modo_mensual: 'dia_mes',
+    dia_mes: 15,
+    semana_mes: 1,
+    dia_semana: 1,
+    dias_semana: [1],
+    cada_dias: 1,
+    hora: '09:00',
+    fecha_inicio: new Date().toISOString().split('T')[0],
+    fecha_fin: ''
+};
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+/**
+ * Gestión de series recurrentes y de la cola evergreen
+ * onChange se llama cuando cambia algo que afecta al calendario
+ */
+export default function SeriesPanel({ zona, onChange }) {
+    const [series, setSeries] = useState([]);
+    const [cola, setCola] = useState([]);
+    const [contenidos, setContenidos] = useState([]);
+    const [cuentas, setCuentas] = useState([]);
+    const [form, setForm] = useState(FORM_INICIAL);
+    const [evergreen, setEvergreen] = useState({ contenido_id: '', intervalo_min_dias: 30 });
+    const [mostrarForm, setMostrarForm] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const cargar = () => Promise.all([
+        publicacionesApi.getSeries(true),
+        publicacionesApi.getColaEvergreen(),
+        contenidoApi.getContenidos({ limit: 100 }),
+        socialApi.getCuentas()
+    ])
+        .then(([resSeries, resCola, resContenido, resCuentas]) => {
+            setSeries(resSeries.data?.series || []);
+            setCola(resCola.data?.cola || []);
+            setContenidos((resContenido.data?.data || []).filter(c => ESTADOS_PUBLICABLES.includes(c.estado)));
+            setCuentas((resCuentas.data?.cuentas || []).filter(c => c.estado === 'conectada'));
+        })
+        .catch(err => console.error('Error cargando series:', err));
+
+    useEffect(() => {
+        cargar();
+    }, []);
+
+    const notificar = (mensaje) => {
+        setSuccess(mensaje);
+        setError(null);
+        setTimeout(() => setSuccess(null), 3000);
+        cargar();
+        onChange?.();
+    };
+
+    const handleFormChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const toggleDiaSemana = (dia) => {
+        setForm(prev => ({
+            ...prev,
+            dias_semana: prev.dias_semana.includes(dia)
+                ? prev.dias_semana.filter(d => d !== dia)
+                : [...prev.dias_semana, dia]
+        }));
+    };
+
+    const handleCrearSerie = async (e) => {
+        e.preventDefault();
+
+        const payload = {
+            tipo: form.tipo,
+            cuenta_social_id: form.cuenta_social_id,
+            frecuencia: form.frecuencia,
+            hora: form.hora,
+            fecha_inicio: form.fecha_inicio,
+            fecha_fin: form.fecha_fin || null
+        };
+        if (form.tipo === 'recurrente') payload.contenido_id = form.contenido_id;
+        if (form.frecuencia === 'diaria') payload.cada_dias = form.cada_dias;
+        if (form.frecuencia === 'semanal') payload.dias_semana = form.dias_semana;
+        if (form.frecuencia === 'mensual' && form.modo_mensual === 'dia_mes') payload.dia_mes = form.dia_mes;
+        if (form.frecuencia === 'mensual' && form.modo_mensual === 'semana_mes') {
+            payload.semana_mes = form.semana_mes;
+            payload.dia_semana = form.dia_semana;
+        }
+
+        try {
+            const response = await publicacionesApi.createSerie(payload);
+            setForm(FORM_INICIAL);
+            setMostrarForm(false);
+            const advertencias = response.data?.advertencias || [];
+            notificar(advertencias.length > 0
+                ? `Serie programada. Advertencias: ${advertencias.join('. ')}`
+                : 'Serie programada');
+        } catch (err) {
+            setError(errorDe(err, 'Error al crear la serie'));
+        }
+    };
+
+    const handleDetenerSerie = async (serie) => {
+        if (!window.confirm(`¿Detener la serie "${serie.descripcion}"? Se cancelarán sus ocurrencias pendientes.`)) return;
+        try {
+            await publicacionesApi.cancelSerie(serie.id);
+            notificar('Serie detenida');
+        } catch (err) {
+            setError(errorDe(err, 'Error al detener la serie'));
+        }
+    };
+
+    const handleAddEvergreen = async (e) => {
+        e.preventDefault();
+        if (!evergreen.contenido_id) return;
+        try {
+            await publicacionesApi.addEvergreen(evergreen.contenido_id, evergreen.intervalo_min_dias);
+            setEvergreen({ contenido_id: '', intervalo_min_dias: 30 });
+            notificar('Contenido añadido a la cola evergreen');
+        } catch (err) {
+            setError(errorDe(err, 'Error al añadir a la cola evergreen'));
+        }
+    };
+
+    const handleRemoveEvergreen = async (contenidoId) => {
+        try {
+            await publicacionesApi.removeEvergreen(contenidoId);
+            notificar('Contenido quitado de la cola evergreen');
+        } catch (err) {
+            setError(errorDe(err, 'Error al quitar de la cola evergreen'));
+        }
+    };
+
+    return (
+        <div className="calendario-sidebar series-panel">
+            <h3><Repeat size={20} /> Series recurrentes</h3>
+
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+            {success && <div className="alert alert-success">✓ {success}</div>}
+
+            <div className="scheduled-posts-list">
+                {series.length === 0 && <span className="series-vacio">No hay series activas</span>}
+                {series.map(serie => (
+                    <div key={serie.id} className="scheduled-post-card">
+                        <div className="post-info">
+                            <span className="post-title">
+                                {serie.tipo === 'evergreen' ? '♻️ Evergreen' : serie.contenido_titulo}
+                            </span>
+                            <span className="post-datetime">{serie.descripcion} · {serie.nombre_cuenta}</span>
+                            {serie.proxima_ocurrencia && (
+                                <span className="post-datetime">
+                                    Próxima: {formatearEnZona(serie.proxima_ocurrencia, zona)}
+                                </span>
+                            )}
+                        </div>
+                        <button
+                            type="button"
+                            className="series-btn-icon"
+                            title="Detener serie"
+                            onClick={() => handleDetenerSerie(serie)}
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {!mostrarForm ? (
+                <button type="button" className="btn-secondary series-btn-nueva" onClick={() => setMostrarForm(true)}>
+                    + Nueva serie
+                </button>
+            ) : (
+                <form className="series-form" onSubmit={handleCrearSerie}>
+                    <select name="tipo" className="form-select" value={form.tipo} onChange={handleFormChange}>
+                        <option value="recurrente">Recurrente (mismo contenido)</option>
+                        <option value="evergreen">Evergreen (recicla la cola)</option>
+                    </select>
+
+                    {form.tipo === 'recurrente' && (
+                        <select name="contenido_id" className="form-select" value={form.contenido_id} onChange={handleFormChange} required>
+                            <option value="">Contenido...</option>
+                            {contenidos.map(c => (
+                                <option key={c.id} value={c.id}>{c.titulo} ({c.plataforma})</option>
+                            ))}
+                        </select>
+                    )}
+
+                    <select name="cuenta_social_id" className="form-select" value={form.cuenta_social_id} onChange={handleFormChange} required>
+                        <option value="">Cuenta...</option>
+                        {cuentas.map(c => (
+                            <option key={c.id} value={c.id}>{c.nombre_cuenta} ({c.plataforma})</option>
+                        ))}
+                    </select>
+
+                    <select name="frecuencia" className="form-select" value={form.frecuencia} onChange={handleFormChange}>
+                        <option value="diaria">Diaria</option>
+                        <option value="semanal">Semanal</option>
+                        <option value="mensual">Mensual</option>
+                    </select>
+
+                    {form.frecuencia === 'diaria' && (
+                        <label className="series-inline">
+                            Cada
+                            <input type="number" name="cada_dias" min={1} className="form-input" value={form.cada_dias} onChange={handleFormChange} />
+                            día(s)
+                        </label>
+                    )}
+
+                    {form.frecuencia === 'semanal' && (
+                        <div className="chips-row">
+                            {DIAS_SEMANA.map(dia => (
+                                <button
+                                    key={dia.value}
+                                    type="button"
+                                    className={`chip-btn ${form.dias_semana.includes(dia.value) ? 'active' : ''}`}
+                                    onClick={() => toggleDiaSemana(dia.value)}
+                                >
+                                    {dia.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {form.frecuencia === 'mensual' && (
+                        <>
+                            <select name="modo_mensual" className="form-select" value={form.modo_mensual} onChange={handleFormChange}>
+                                <option value="dia_mes">Día fijo del mes</option>
+                                <option value="semana_mes">Día de la semana (p. ej. primer lunes)</option>
+                            </select>
+                            {form.modo_mensual === 'dia_mes' ? (
+                                <label className="series-inline">
+                                    Día
+                                    <input type="number" name="dia_mes" min={1} max={31} className="form-input" value={form.dia_mes} onChange={handleFormChange} />
+                                </label>
+                            ) : (
+                                <div className="series-inline">
+                                    <select name="semana_mes" className="form-select" value={form.semana_mes} onChange={handleFormChange}>
+                                        <option value={1}>Primer</option>
+                                        <option value={2}>Segundo</option>
+                                        <option value={3}>Tercer</option>
+                                        <option value={4}>Cuarto</option>
+                                        <option value={-1}>Último</option>
+                                    </select>
+                                    <select name="dia_semana" className="form-select" value={form.dia_semana} onChange={handleFormChange}>
+                                        {DIAS_SEMANA.map(dia => (
+                                            <option key={dia.value} value={dia.value}>{dia.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    <div className="series-inline">
+                        <input type="time" name="hora" className="form-input" value={form.hora} onChange={handleFormChange} required />
+                        <input type="date" name="fecha_inicio" className="form-input" value={form.fecha_inicio} onChange={handleFormChange} required />
+                        <input type="date" name="fecha_fin" className="form-input" value={form.fecha_fin} onChange={handleFormChange} title="Fin (opcional)" />
+                    </div>
+
+                    <div className="series-inline">
+                        <button type="button" className="btn-secondary" onClick={() => setMostrarForm(false)}>Cancelar</button>
+                        <button type="submit" className="btn-primary">Programar serie</button>
+                    </div>
+                </form>
+            )}
+
+            <h3 className="series-subtitulo"><Recycle size={20} /> Cola evergreen</h3>
+            <div className="scheduled-posts-list">
+                {cola.length === 0 && <span className="series-vacio">La cola está vacía</span>}
+                {cola.map(item => (
+                    <div key={item.id} className="scheduled-post-card">
+                        <div className="post-info">
+                            <span className="post-title">{item.titulo}</span>
+                            <span className="post-datetime">
+                                Engagement {Number(item.rendimiento).toFixed(2)}% · cada ≥ {item.intervalo_min_dias} días
+                            </span>
+                            <span className="post-datetime">
+                                {item.ultima_publicacion
+                                    ? `Última: ${formatearEnZona(item.ultima_publicacion, zona, { dateStyle: 'short' })} · ${item.veces_publicado} vez/veces`
+                                    : 'Aún no reciclado'}
+                            </span>
+                        </div>
+                        <button
+                            type="button"
+                            className="series-btn-icon"
+                            title="Quitar de la cola"
+                            onClick={() => handleRemoveEvergreen(item.contenido_id)}
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <form className="series-inline series-evergreen-form" onSubmit={handleAddEvergreen}>
+                <select
+                    className="form-select"
+                    value={evergreen.contenido_id}
+                    onChange={(e) => setEvergreen(prev => ({ ...prev, contenido_id: e.target.value }))}
+                >
+                    <option value="">Añadir contenido...</option>
+                    {contenidos.map(c => (
+                        <option key={c.id} value={c.id}>{c.titulo}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min={1}
+                    className="form-input"
+                    title="Días mínimos entre publicaciones"
+                    value={evergreen.intervalo_min_dias}
+                    onChange={(e) => setEvergreen(prev => ({ ...prev, intervalo_min_dias: e.target.value }))}
+                />
+                <button type="submit" className="btn-primary" disabled={!evergreen.contenido_id}>Añadir</button>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import * as contenidoApi from '../../services/contenidoApi';
+import * as socialApi from '../../services/socialApi';
+
+const PLAT_ICONS = { instagram: '📸', facebook: '📘', linkedin: '💼' };
+
+/**
+ * Selección de las cuentas a las que se publica el contenido,
+ * con un copy específico opcional por cuenta.
+ * formData.cuentas: [{ cuenta_social_id, copy_texto }] o undefined mientras carga
+ */
+export default function CuentasDestino({ contenidoId, formData, setFormData }) {
+    const [cuentas, setCuentas] = useState([]);
+    const [copyAbierto, setCopyAbierto] = useState(null);
+
+    useEffect(() => {
+        Promise.all([
+            socialApi.getCuentas(),
+            contenidoId ? contenidoApi.getContenidoById(contenidoId) : Promise.resolve(null)
+        ]).then(([resCuentas, resContenido]) => {
+            setCuentas((resCuentas.data?.cuentas || []).filter(c => c.estado === 'conectada'));
+            const guardadas = resContenido?.data?.contenido?.cuentas || [];
+            setFormData(prev => ({
+                ...prev,
+                cuentas: guardadas.map(c => ({ cuenta_social_id: c.cuenta_social_id, copy_texto: c.copy_texto || '' }))
+            }));
+        }).catch(err => console.error('Error cargando cuentas destino:', err));
+    }, [contenidoId, setFormData]);
+
+    const seleccionadas = formData.cuentas || [];
+    const setSeleccionadas = (cuentasDestino) => setFormData(prev => ({ ...prev, cuentas: cuentasDestino }));
+    const destinoDe = (cuentaId) => seleccionadas.find(d => d.cuenta_social_id === cuentaId);
+
+    const toggleCuenta = (cuentaId) => {
+        setSeleccionadas(destinoDe(cuentaId)
+            ? seleccionadas.filter(d => d.cuenta_social_id !== cuentaId)
+            : [...seleccionadas, { cuenta_social_id: cuentaId, copy_texto: '' }]);
+    };
+
+    const cambiarCopy = (cuentaId, copy) => {
+        setSeleccionadas(seleccionadas.map(d => d.cuenta_social_id === cuentaId ? { ...d, copy_texto: copy } : d));
+    };
+
+    if (cuentas.length === 0) {
+        return (
+            <div className="form-group">
+                <label className="form-label">Cuentas destino</label>
+                <span className="cuenta-destino-hint">No hay cuentas conectadas</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="form-group">
+            <label className="form-label">Cuentas destino</label>
+            <div className="chips-row">
+                {cuentas.map(cuenta => (
+                    <button
+                        key={cuenta.id}
+                        type="button"
+                        className={`chip-btn ${destinoDe(cuenta.id) ? 'active' : ''}`}
+                        onClick={() => toggleCuenta(cuenta.id)}
+                    >
+                        <span>{PLAT_ICONS[cuenta.plataforma]}</span>
+                        <span>{cuenta.nombre_cuenta}</span>
+                    </button>
+                ))}
+            </div>
+
+            {seleccionadas.length === 0 && (
+                <span className="cuenta-destino-hint">
+                    Sin cuentas seleccionadas se publicará en la primera cuenta conectada de {formData.plataforma}
+                </span>
+            )}
+
+            {seleccionadas.map(destino => {
+                const cuenta = cuentas.find(c => c.id === destino.cuenta_social_id);
+                if (!cuenta) return null;
+                const abierto = copyAbierto === cuenta.id || !!destino.copy_texto;
+                return (
+                    <div key={cuenta.id} className="cuenta-destino">
+                        <div className="cuenta-destino-header">
+                            <span>{PLAT_ICONS[cuenta.plataforma]} {cuenta.nombre_cuenta}</span>
+                            {!abierto && (
+                                <button type="button" className="cuenta-destino-link" onClick={() => setCopyAbierto(cuenta.id)}>
+                                    Personalizar copy
+                                </button>
+                            )}
+                        </div>
+                        {abierto && (
+                            <textarea
+                                className="form-input form-textarea"
+                                rows={3}
+                                value={destino.copy_texto}
+                                onChange={(e) => cambiarCopy(cuenta.id, e.target.value)}
+                                placeholder="Copy específico para esta cuenta (vacío = copy general)"
+                            />
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
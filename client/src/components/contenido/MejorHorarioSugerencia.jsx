@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import * as publicacionesApi from '../../services/publicacionesApi';
+import { aDatetimeLocal, formatearEnZona } from '../../utils/zonaHoraria';
+
+const DIAS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+const FUENTES = {
+    cuenta: 'según el historial de la cuenta',
+    plataforma: 'según el historial de la plataforma',
+    por_defecto: 'horario de referencia (aún hay pocos datos)'
+};
+
+/**
+ * Sugiere la siguiente franja con mejor engagement para la plataforma
+ * onUsar recibe la fecha en formato datetime-local
+ */
+export default function MejorHorarioSugerencia({ plataforma, onUsar }) {
+    const [recomendacion, setRecomendacion] = useState(null);
+
+    useEffect(() => {
+        if (!plataforma) return;
+        let cancelado = false;
+
+        publicacionesApi.getMejoresHorarios({ plataforma, top: 3 })
+            .then(response => {
+                if (!cancelado) setRecomendacion(response.data);
+            })
+            .catch(err => {
+                console.error('Error obteniendo mejores horarios:', err);
+                if (!cancelado) setRecomendacion(null);
+            });
+
+        // Evita pisar la sugerencia si cambia la plataforma antes de responder
+        return () => {
+            cancelado = true;
+        };
+    }, [plataforma]);
+
+    if (!recomendacion?.siguiente) return null;
+
+    const { siguiente, horarios, ambito, zona_horaria } = recomendacion;
+
+    return (
+        <div className="mejor-horario">
+            <div>
+                <strong>🕐 Mejor horario:</strong>{' '}
+                {formatearEnZona(siguiente.fecha, zona_horaria, { weekday: 'long', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                <div className="mejor-horario-detalle">
+                    {FUENTES[ambito]} · Top: {horarios.map(h => `${DIAS[h.dia_semana]} ${String(h.hora).padStart(2, '0')}:00`).join(', ')}
+                </div>
+            </div>
+            <button type="button" className="btn-secondary" onClick={() => onUsar(aDatetimeLocal(siguiente.fecha, zona_horaria))}>
+                Usar
+            </button>
+        </div>
+    );
+}
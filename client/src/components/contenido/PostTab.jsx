@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import * as iaApi from '../../services/iaApi';
 import ImageTemplateEditor from './ImageTemplateEditor';
+import MejorHorarioSugerencia from './MejorHorarioSugerencia';
 
 export default function PostTab({ 
     formData, 
@@ -712,6 +713,12 @@ export default function PostTab({
                     </div>
                 </div>
             )}
+
+            {/* Sugerencia de horario según el historial de engagement */}
+            <MejorHorarioSugerencia
+                plataforma={formData.plataforma}
+                onUsar={(fecha) => setFormData(prev => ({ ...prev, fecha_publicacion: fecha }))}
+            />
         </>
     );
 }
@@ -1,9 +1,140 @@
-export default function StoryTab() {
+import { useState } from 'react';
+import * as iaApi from '../../services/iaApi';
+import * as contenidoApi from '../../services/contenidoApi';
+
+// Formato vertical de Stories (ancho / alto) y margen aceptado
+const STORY_ASPECT_RATIO = 9 / 16;
+const TOLERANCIA_ASPECTO = 0.01;
+const STORY_VIDEO_MAX_SEGUNDOS = 60;
+
+/**
+ * Lee ancho, alto y duración de un archivo local antes de subirlo
+ */
+const leerDimensiones = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+
+    if (file.type.startsWith('video/')) {
+        const video = document.createElement('video');
+        video.preload = 'metadata';
+        video.onloadedmetadata = () => {
+            resolve({ ancho: video.videoWidth, alto: video.videoHeight, duracion_segundos: video.duration });
+            URL.revokeObjectURL(url);
+        };
+        video.onerror = () => reject(new Error('No se pudo leer el video'));
+        video.src = url;
+    } else {
+        const img = new Image();
+        img.onload = () => {
+            resolve({ ancho: img.naturalWidth, alto: img.naturalHeight, duracion_segundos: null });
+            URL.revokeObjectURL(url);
+        };
+        img.onerror = () => reject(new Error('No se pudo leer la imagen'));
+        img.src = url;
+    }
+});
+
+export default function StoryTab({
+    setAiError,
+    setAiSuccess,
+    confirmedStory,
+    setConfirmedStory
+}) {
+    const [uploading, setUploading] = useState(false);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        try {
+            setUploading(true);
+            setAiError(null);
+
+            const dimensiones = await leerDimensiones(file);
+
+            // Rechazar formatos no verticales antes de subir nada
+            if (Math.abs(dimensiones.ancho / dimensiones.alto - STORY_ASPECT_RATIO) > TOLERANCIA_ASPECTO) {
+                throw new Error(`La Story debe ser vertical 9:16 (el archivo es ${dimensiones.ancho}x${dimensiones.alto})`);
+            }
+            if (dimensiones.duracion_segundos > STORY_VIDEO_MAX_SEGUNDOS) {
+                throw new Error(`El video de la Story no puede superar ${STORY_VIDEO_MAX_SEGUNDOS} segundos`);
+            }
+
+            const esVideo = file.type.startsWith('video/');
+            let url;
+            if (esVideo) {
+                const response = await contenidoApi.uploadVideo(file);
+                url = response.data.url_video;
+            } else {
+                const formData = new FormData();
+                formData.append('image', file);
+                const response = await iaApi.uploadProcessedImage(formData);
+                url = response.data.url_imagen;
+            }
+
+            setConfirmedStory({
+                media_tipo: esVideo ? 'video' : 'imagen',
+                url,
+                ancho: dimensiones.ancho,
+                alto: dimensiones.alto,
+                duracion_segundos: dimensiones.duracion_segundos
+            });
+            setAiSuccess('Medio de la Story subido correctamente');
+        } catch (err) {
+            setAiError(err.message || 'Error subiendo el medio de la Story');
+        } finally {
+            setUploading(false);
+            e.target.value = '';
+        }
+    };
+
     return (
-        <div className="placeholder-content">
-            <div className="placeholder-icon">📱</div>
-            <h3>Contenido Story</h3>
-            <p>Esta funcionalidad estará disponible próximamente</p>
-        </div>
+        <>
+            <div className="form-group">
+                <label className="form-label" htmlFor="story_file">
+                    Imagen o video vertical (9:16, p. ej. 1080x1920)
+                </label>
+                <input
+                    type="file"
+                    id="story_file"
+                    accept="image/png,image/jpeg,video/mp4,video/quicktime"
+                    className="form-input"
+                    onChange={handleFileChange}
+                    disabled={uploading}
+                />
+                {uploading && (
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                        Subiendo medio...
+                    </div>
+                )}
+            </div>
+
+            {confirmedStory?.url && (
+                <div className="form-group">
+                    <label className="form-label">Vista previa</label>
+                    <div className="story-preview">
+                        <div className="story-frame">
+                            {confirmedStory.media_tipo === 'video' ? (
+                                <video src={confirmedStory.url} muted playsInline controls />
+                            ) : (
+                                <img src={confirmedStory.url} alt="Story" />
+                            )}
+                        </div>
+                        <div className="story-preview-info">
+                            <span>{confirmedStory.media_tipo === 'video' ? '🎬 Video' : '🖼️ Imagen'}</span>
+                            {confirmedStory.ancho && (
+                                <span>{confirmedStory.ancho}x{confirmedStory.alto}</span>
+                            )}
+                            <button
+                                type="button"
+                                className="btn-danger"
+                                onClick={() => setConfirmedStory(null)}
+                            >
+                                × Quitar
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
     );
 }
@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import * as contenidoApi from '../../services/contenidoApi';
+
+/**
+ * Comprueba la versión guardada del contenido contra los límites
+ * de la plataforma seleccionada y lista errores y advertencias
+ */
+export default function ValidacionPanel({ contenidoId, plataforma }) {
+    const [resultado, setResultado] = useState(null);
+    const [comprobando, setComprobando] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleComprobar = async () => {
+        try {
+            setComprobando(true);
+            setError(null);
+            const response = await contenidoApi.validarContenido(contenidoId, plataforma);
+            setResultado(response.data);
+        } catch (err) {
+            setResultado(null);
+            setError(err.message || 'Error al validar el contenido');
+        } finally {
+            setComprobando(false);
+        }
+    };
+
+    return (
+        <div className="form-group">
+            <div className="validacion-header">
+                <label className="form-label">Requisitos de la plataforma</label>
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={handleComprobar}
+                    disabled={comprobando}
+                >
+                    {comprobando ? 'Comprobando...' : 'Comprobar publicación'}
+                </button>
+            </div>
+
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+
+            {resultado && (
+                <div className="validacion-resultado">
+                    {resultado.valido && resultado.advertencias.length === 0 && (
+                        <div className="validacion-ok">✓ Cumple los requisitos de {resultado.plataforma}</div>
+                    )}
+                    {resultado.errores.map((msg, i) => (
+                        <div key={`e-${i}`} className="validacion-error">✕ {msg}</div>
+                    ))}
+                    {resultado.advertencias.map((msg, i) => (
+                        <div key={`a-${i}`} className="validacion-advertencia">⚠️ {msg}</div>
+                    ))}
+                    <div className="validacion-nota">
+                        Se valida la versión guardada; guarda los cambios antes de volver a comprobar.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
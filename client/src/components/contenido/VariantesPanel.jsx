@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import * as contenidoApi from '../../services/contenidoApi';
+import * as iaApi from '../../services/iaApi';
+
+const PLATAFORMAS = [
+    { value: 'instagram', label: 'Instagram', icon: '📸' },
+    { value: 'facebook', label: 'Facebook', icon: '📘' },
+    { value: 'linkedin', label: 'LinkedIn', icon: '💼' },
+];
+
+const idsDe = (variante) => variante?.imagenes_ids
+    ? String(variante.imagenes_ids).split(',').map(Number)
+    : [];
+
+/**
+ * Variantes del contenido guardado por plataforma: copy propio y
+ * selección de imágenes. Sin variante se publica el copy maestro.
+ */
+export default function VariantesPanel({ contenidoId }) {
+    const [plataforma, setPlataforma] = useState('instagram');
+    const [variantes, setVariantes] = useState([]);
+    const [imagenes, setImagenes] = useState([]);
+    const [copy, setCopy] = useState('');
+    const [seleccion, setSeleccion] = useState([]);
+    const [trabajando, setTrabajando] = useState(false);
+    const [mensaje, setMensaje] = useState(null);
+
+    useEffect(() => {
+        contenidoApi.getContenidoById(contenidoId)
+            .then(res => {
+                setVariantes(res.data?.contenido?.variantes || []);
+                setImagenes(res.data?.contenido?.imagenes || []);
+            })
+            .catch(err => console.error('Error cargando variantes:', err));
+    }, [contenidoId]);
+
+    const varianteActual = variantes.find(v => v.plataforma === plataforma);
+
+    useEffect(() => {
+        setCopy(varianteActual?.copy_texto || '');
+        setSeleccion(idsDe(varianteActual));
+        setMensaje(null);
+    }, [varianteActual]);
+
+    const reemplazarVariante = (variante) => {
+        setVariantes(prev => [...prev.filter(v => v.plataforma !== variante.plataforma), variante]);
+    };
+
+    const toggleImagen = (id) => {
+        setSeleccion(prev => prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]);
+    };
+
+    const ejecutar = async (accion) => {
+        try {
+            setTrabajando(true);
+            setMensaje(null);
+            await accion();
+        } catch (err) {
+            setMensaje({ tipo: 'error', texto: err.message || 'Error guardando la variante' });
+        } finally {
+            setTrabajando(false);
+        }
+    };
+
+    const handleGuardar = () => ejecutar(async () => {
+        const res = await contenidoApi.guardarVariante(contenidoId, plataforma, {
+            copy_texto: copy,
+            imagenes_ids: seleccion,
+        });
+        reemplazarVariante(res.data.variante);
+        setMensaje({ tipo: 'ok', texto: res.message });
+    });
+
+    const handleEliminar = () => ejecutar(async () => {
+        await contenidoApi.eliminarVariante(contenidoId, plataforma);
+        setVariantes(prev => prev.filter(v => v.plataforma !== plataforma));
+    });
+
+    const handleGenerar = () => ejecutar(async () => {
+        const res = await iaApi.generarVariantes({ contenido_id: contenidoId, plataformas: [plataforma] });
+        res.data.variantes.forEach(reemplazarVariante);
+    });
+
+    return (
+        <div className="form-group">
+            <label className="form-label">Variantes por plataforma</label>
+            <div className="chips-row">
+                {PLATAFORMAS.map(plat => (
+                    <button
+                        key={plat.value}
+                        type="button"
+                        className={`chip-btn ${plataforma === plat.value ? 'active' : ''}`}
+                        onClick={() => setPlataforma(plat.value)}
+                    >
+                        <span>{plat.icon}</span>
+                        <span>{plat.label}</span>
+                        {variantes.some(v => v.plataforma === plat.value) && <span>•</span>}
+                    </button>
+                ))}
+            </div>
+
+            <div className="variante">
+                <textarea
+                    className="form-input form-textarea"
+                    rows={5}
+                    value={copy}
+                    onChange={(e) => setCopy(e.target.value)}
+                    placeholder="Copy para esta plataforma (vacío = copy general)"
+                />
+
+                {imagenes.length > 0 && (
+                    <div className="variante-imagenes">
+                        {imagenes.map(img => (
+                            <label key={img.id} className={`variante-imagen ${seleccion.includes(img.id) ? 'active' : ''}`}>
+                                <input
+                                    type="checkbox"
+                                    checked={seleccion.includes(img.id)}
+                                    onChange={() => toggleImagen(img.id)}
+                                />
+                                <img src={img.url_imagen} alt="" />
+                                {seleccion.includes(img.id) && (
+                                    <span className="variante-imagen-orden">{seleccion.indexOf(img.id) + 1}</span>
+                                )}
+                            </label>
+                        ))}
+                    </div>
+                )}
+
+                {varianteActual?.generado_ia ? (
+                    <span className="cuenta-destino-hint">Generada con {varianteActual.modelo_ia}</span>
+                ) : null}
+
+                <div className="variante-acciones">
+                    <button type="button" className="btn-secondary" onClick={handleGenerar} disabled={trabajando}>
+                        {trabajando ? 'Procesando...' : '✨ Generar con IA'}
+                    </button>
+                    {varianteActual && (
+                        <button type="button" className="btn-secondary" onClick={handleEliminar} disabled={trabajando}>
+                            Quitar variante
+                        </button>
+                    )}
+                    <button type="button" className="btn-primary" onClick={handleGuardar} disabled={trabajando}>
+                        Guardar variante
+                    </button>
+                </div>
+
+                {mensaje && (
+                    <div className={mensaje.tipo === 'ok' ? 'validacion-ok' : 'validacion-error'}>{mensaje.texto}</div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,9 +1,143 @@
-export default function VideoTab() {
+import { useRef, useState } from 'react';
+import * as contenidoApi from '../../services/contenidoApi';
+
+const MAX_VIDEO_MB = 100;
+
+export default function VideoTab({
+    formData,
+    handleChange,
+    setAiError,
+    setAiSuccess,
+    confirmedVideo,
+    setConfirmedVideo
+}) {
+    const videoRef = useRef(null);
+    const [uploading, setUploading] = useState(false);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        if (file.size > MAX_VIDEO_MB * 1024 * 1024) {
+            setAiError(`El video supera el máximo de ${MAX_VIDEO_MB}MB`);
+            return;
+        }
+
+        try {
+            setUploading(true);
+            setAiError(null);
+            const response = await contenidoApi.uploadVideo(file);
+            setConfirmedVideo({
+                url: response.data.url_video,
+                thumb_offset_ms: 0,
+                duracion_segundos: null
+            });
+            setAiSuccess('Video subido correctamente');
+        } catch (err) {
+            setAiError(err.message || 'Error subiendo video');
+        } finally {
+            setUploading(false);
+            e.target.value = '';
+        }
+    };
+
+    // Duración real del video para limitar el selector de portada
+    const handleLoadedMetadata = () => {
+        const duracion = videoRef.current?.duration;
+        if (duracion && confirmedVideo && !confirmedVideo.duracion_segundos) {
+            setConfirmedVideo(prev => ({ ...prev, duracion_segundos: Math.round(duracion * 100) / 100 }));
+        }
+        if (videoRef.current && confirmedVideo?.thumb_offset_ms) {
+            videoRef.current.currentTime = confirmedVideo.thumb_offset_ms / 1000;
+        }
+    };
+
+    // Mover el video al frame elegido como portada (thumb_offset para Reels)
+    const handleCoverFrameChange = (e) => {
+        const ms = parseInt(e.target.value);
+        setConfirmedVideo(prev => ({ ...prev, thumb_offset_ms: ms }));
+        if (videoRef.current) {
+            videoRef.current.currentTime = ms / 1000;
+        }
+    };
+
     return (
-        <div className="placeholder-content">
-            <div className="placeholder-icon">🎬</div>
-            <h3>Contenido Video</h3>
-            <p>Esta funcionalidad estará disponible próximamente</p>
-        </div>
+        <>
+            {/* Caption del video */}
+            <div className="form-group">
+                <label className="form-label" htmlFor="copy_texto">
+                    Texto del Video
+                </label>
+                <textarea
+                    id="copy_texto"
+                    name="copy_texto"
+                    className="form-input form-textarea"
+                    value={formData.copy_texto}
+                    onChange={handleChange}
+                    placeholder="Escribe el caption que acompañará al video..."
+                    rows={4}
+                />
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                    {formData.copy_texto.length} caracteres
+                </div>
+            </div>
+
+            {/* Subida de video */}
+            <div className="form-group">
+                <label className="form-label" htmlFor="video_file">
+                    Video (MP4 o MOV, máx. {MAX_VIDEO_MB}MB)
+                </label>
+                <input
+                    type="file"
+                    id="video_file"
+                    accept="video/mp4,video/quicktime"
+                    className="form-input"
+                    onChange={handleFileChange}
+                    disabled={uploading}
+                />
+                {uploading && (
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                        Subiendo video...
+                    </div>
+                )}
+            </div>
+
+            {confirmedVideo?.url && (
+                <div className="form-group">
+                    <label className="form-label">Portada del Reel</label>
+                    <div className="video-preview">
+                        <video
+                            ref={videoRef}
+                            src={confirmedVideo.url}
+                            muted
+                            playsInline
+                            preload="metadata"
+                            onLoadedMetadata={handleLoadedMetadata}
+                        />
+                        <div className="video-preview-controls">
+                            <input
+                                type="range"
+                                min={0}
+                                max={Math.floor((confirmedVideo.duracion_segundos || 0) * 1000)}
+                                step={100}
+                                value={confirmedVideo.thumb_offset_ms || 0}
+                                onChange={handleCoverFrameChange}
+                                disabled={!confirmedVideo.duracion_segundos}
+                            />
+                            <span>
+                                Frame en {((confirmedVideo.thumb_offset_ms || 0) / 1000).toFixed(1)}s
+                            </span>
+                            <button
+                                type="button"
+                                className="btn-danger"
+                                onClick={() => setConfirmedVideo(null)}
+                            >
+                                × Quitar video
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
     );
 }
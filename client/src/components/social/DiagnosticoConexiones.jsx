@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { Stethoscope, RefreshCw, CheckCircle, AlertTriangle, XCircle } from 'lucide-react';
+import * as socialApi from '../../services/socialApi';
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+const ICONO_NIVEL = {
+    ok: <CheckCircle size={14} />,
+    advertencia: <AlertTriangle size={14} />,
+    error: <XCircle size={14} />
+};
+
+const ETIQUETA_ESTADO = { ok: 'Sin problemas', advertencia: 'Revisar', error: 'Requiere acción' };
+
+/**
+ * Revisa la salud de cada cuenta conectada (token, permisos, enlace con la
+ * página y caducidad) y muestra cómo corregir lo que falle
+ */
+export default function DiagnosticoConexiones({ onReconectar }) {
+    const [cuentas, setCuentas] = useState(null);
+    const [revisando, setRevisando] = useState(null);
+    const [error, setError] = useState(null);
+
+    const revisarTodas = async () => {
+        try {
+            setRevisando('todas');
+            setError(null);
+            const res = await socialApi.getDiagnostico();
+            setCuentas(res.data?.cuentas || []);
+        } catch (err) {
+            setError(errorDe(err, 'Error al revisar las conexiones'));
+        } finally {
+            setRevisando(null);
+        }
+    };
+
+    const revisarCuenta = async (id) => {
+        try {
+            setRevisando(id);
+            setError(null);
+            const res = await socialApi.getDiagnosticoCuenta(id);
+            setCuentas(prev => prev.map(c => (c.id === id ? res.data.cuenta : c)));
+        } catch (err) {
+            setError(errorDe(err, 'Error al revisar la cuenta'));
+        } finally {
+            setRevisando(null);
+        }
+    };
+
+    return (
+        <div className="diagnostico-conexiones">
+            <div className="series-inline">
+                <button
+                    type="button"
+                    className="btn-secondary btn-small"
+                    disabled={revisando !== null}
+                    onClick={revisarTodas}
+                >
+                    <Stethoscope size={14} /> {revisando === 'todas' ? 'Revisando...' : 'Revisar conexiones'}
+                </button>
+            </div>
+
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+
+            {cuentas?.length === 0 && (
+                <span className="series-vacio">No hay cuentas conectadas que revisar.</span>
+            )}
+
+            {cuentas?.map(cuenta => (
+                <div key={cuenta.id} className={`diagnostico-cuenta ${cuenta.estado}`}>
+                    <div className="diagnostico-cabecera">
+                        <span className="account-name">
+                            {cuenta.nombre}
+                            <span className="account-badge">{cuenta.plataforma}</span>
+                            <span className={`account-badge diagnostico-estado ${cuenta.estado}`}>
+                                {ETIQUETA_ESTADO[cuenta.estado]}
+                            </span>
+                        </span>
+                        <button
+                            type="button"
+                            className="btn-disconnect"
+                            disabled={revisando !== null}
+                            onClick={() => revisarCuenta(cuenta.id)}
+                            title="Volver a revisar"
+                        >
+                            <RefreshCw size={14} />
+                        </button>
+                    </div>
+
+                    <ul className="diagnostico-comprobaciones">
+                        {cuenta.comprobaciones.map(c => (
+                            <li key={c.clave} className={`diagnostico-comprobacion ${c.nivel}`}>
+                                {ICONO_NIVEL[c.nivel]}
+                                <span>
+                                    {c.detalle}
+                                    {c.solucion && <span className="diagnostico-solucion">{c.solucion}</span>}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {cuenta.proveedor && cuenta.comprobaciones.some(c => c.accion === 'reconectar') && (
+                        <button
+                            type="button"
+                            className="btn-primary btn-small"
+                            onClick={() => onReconectar?.(cuenta.proveedor)}
+                        >
+                            <RefreshCw size={14} /> Reconectar
+                        </button>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
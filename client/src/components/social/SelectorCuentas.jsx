@@ -0,0 +1,103 @@
+import { useState, useEffect } from 'react';
+import { Facebook, Instagram, RefreshCw } from 'lucide-react';
+import * as socialApi from '../../services/socialApi';
+
+const errorDe = (err, mensaje) => err.response?.data?.message || mensaje;
+
+/**
+ * Páginas de Facebook y cuentas de Instagram del último login de Meta:
+ * el usuario marca cuáles conectar. Sirve también para añadir otra página
+ * más tarde sin repetir el OAuth, mientras el token del login siga vigente.
+ */
+export default function SelectorCuentas({ onConectadas, onReconectar, onCerrar }) {
+    const [cuentas, setCuentas] = useState(null);
+    const [seleccion, setSeleccion] = useState([]);
+    const [trabajando, setTrabajando] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        socialApi.getDescubiertas()
+            .then(res => {
+                const descubiertas = res.data?.cuentas || [];
+                setCuentas(descubiertas);
+                setSeleccion(descubiertas.filter(c => !c.conectada).map(c => c.id));
+            })
+            .catch(err => {
+                console.error('Error cargando cuentas descubiertas:', err);
+                setCuentas([]);
+            });
+    }, []);
+
+    const alternar = (id, marcar) => {
+        setSeleccion(prev => (marcar ? [...prev, id] : prev.filter(s => s !== id)));
+    };
+
+    const conectar = async () => {
+        try {
+            setTrabajando(true);
+            setError(null);
+            const res = await socialApi.conectarDescubiertas(seleccion);
+            onConectadas?.(res.message);
+        } catch (err) {
+            setError(errorDe(err, 'Error al conectar las cuentas'));
+        } finally {
+            setTrabajando(false);
+        }
+    };
+
+    if (cuentas === null) return null;
+
+    if (cuentas.length === 0) {
+        return (
+            <div className="selector-cuentas">
+                <span className="series-vacio">No hay cuentas pendientes de un inicio de sesión reciente.</span>
+                <button type="button" onClick={onReconectar} className="btn-secondary btn-small">
+                    <RefreshCw size={14} /> Iniciar sesión con Meta
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="selector-cuentas">
+            <span className="account-name">Elige qué cuentas conectar</span>
+            {error && <div className="alert alert-error">⚠️ {error}</div>}
+
+            {cuentas.map(cuenta => (
+                <label
+                    key={cuenta.id}
+                    className={`connected-account selector-cuenta ${cuenta.vinculada_a ? 'vinculada' : ''}`}
+                >
+                    <span className="account-name">
+                        <input
+                            type="checkbox"
+                            checked={cuenta.conectada || seleccion.includes(cuenta.id)}
+                            disabled={cuenta.conectada}
+                            onChange={(e) => alternar(cuenta.id, e.target.checked)}
+                        />
+                        {cuenta.plataforma === 'facebook' ? <Facebook size={14} /> : <Instagram size={14} />}
+                        {cuenta.nombre_cuenta}
+                    </span>
+                    {cuenta.conectada && <span className="account-badge">Conectada</span>}
+                </label>
+            ))}
+
+            <div className="series-inline">
+                <button
+                    type="button"
+                    className="btn-primary btn-small"
+                    disabled={trabajando || seleccion.length === 0}
+                    onClick={conectar}
+                >
+                    Conectar {seleccion.length > 0 ? `(${seleccion.length})` : ''}
+                </button>
+                <button type="button" className="btn-secondary btn-small" onClick={onCerrar}>
+                    Cancelar
+                </button>
+            </div>
+            <button type="button" className="selector-cuentas-enlace" onClick={onReconectar}>
+                ¿Falta alguna página? Vuelve a iniciar sesión con Meta
+            </button>
+        </div>
+    );
+}
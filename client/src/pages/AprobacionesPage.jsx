@@ -5,7 +5,7 @@
 
 import { useState, useEffect } from 'react';
 import Layout from '../components/Layout';
-import { CheckCircle, XCircle, Clock, Eye, Pencil, Instagram, Facebook, Linkedin, Twitter, Filter } from 'lucide-react';
+import { CheckCircle, XCircle, Clock, Eye, Pencil, CalendarClock, ListOrdered, Instagram, Facebook, Linkedin, Twitter, Filter } from 'lucide-react';
 import * as contenidoApi from '../services/contenidoApi';
 import '../styles/Hub.css';
 
@@ -38,15 +38,30 @@ export default function AprobacionesPage() {
         }
     };
 
-    const handleApprove = async (id) => {
+    // opciones.auto_programar: programa el contenido en la siguiente franja recomendada
+    // opciones.en_cola: lo añade a la cola de la cuenta (siguiente franja libre)
+    const handleApprove = async (id, opciones = {}) => {
         try {
-            await contenidoApi.updateEstadoContenido(id, 'aprobado');
-            setSuccess('Contenido aprobado exitosamente');
+            const res = await contenidoApi.updateEstadoContenido(id, 'aprobado', opciones);
+            const advertencias = res.data?.advertencias || [];
+            let base = 'Contenido aprobado exitosamente';
+            if (res.data?.cuenta) {
+                base = res.data.fecha_publicacion
+                    ? `Contenido añadido a la cola de ${res.data.cuenta} para ${new Date(res.data.fecha_publicacion).toLocaleString()}`
+                    : `Contenido añadido a la cola de ${res.data.cuenta}`;
+            } else if (res.data?.fecha_publicacion) {
+                const cuentas = (res.data.publicaciones || []).map(p => p.nombre_cuenta).join(', ');
+                base = `Contenido aprobado y programado para ${new Date(res.data.fecha_publicacion).toLocaleString()}${cuentas ? ` en ${cuentas}` : ''}`;
+            }
+            setSuccess(advertencias.length > 0
+                ? `${base}. Advertencias: ${advertencias.join('. ')}`
+                : base);
             setPendingContent(prev => prev.filter(item => item.id !== id));
-            setTimeout(() => setSuccess(null), 3000);
+            setTimeout(() => setSuccess(null), advertencias.length > 0 ? 6000 : 3000);
         } catch (err) {
-            setError('Error al aprobar contenido');
-            setTimeout(() => setError(null), 3000);
+            // La validación previa devuelve los motivos por los que no se puede aprobar
+            setError(err.message || 'Error al aprobar contenido');
+            setTimeout(() => setError(null), 6000);
         }
     };
 
@@ -160,6 +175,20 @@ export default function AprobacionesPage() {
                                     >
                                         <CheckCircle size={18} /> Aprobar
                                     </button>
+                                    <button 
+                                        className="action-btn approve"
+                                        title="Aprobar y programar en el siguiente mejor horario"
+                                        onClick={() => handleApprove(item.id, { auto_programar: true })}
+                                    >
+                                        <CalendarClock size={18} /> Aprobar y programar
+                                    </button>
+                                    <button 
+                                        className="action-btn approve"
+                                        title="Aprobar y añadir a la cola de la cuenta"
+                                        onClick={() => handleApprove(item.id, { en_cola: true })}
+                                    >
+                                        <ListOrdered size={18} /> A la cola
+                                    </button>
                                     <button 
                                         className="action-btn reject"
                                         onClick={() => handleReject(item.id)}
@@ -5,14 +5,26 @@
 
 import { useState, useEffect } from 'react';
 import Layout from '../components/Layout';
-import { Calendar, ChevronLeft, ChevronRight, Clock, Instagram, Facebook, Linkedin, Twitter, RefreshCw } from 'lucide-react';
+import SeriesPanel from '../components/calendario/SeriesPanel';
+import MejoresHorariosCard from '../components/calendario/MejoresHorariosCard';
+import ColaPanel from '../components/calendario/ColaPanel';
+import PublicadoAcciones from '../components/calendario/PublicadoAcciones';
+import HistorialPublicacion from '../components/calendario/HistorialPublicacion';
+import BloqueosPanel from '../components/calendario/BloqueosPanel';
+import CuotasPanel from '../components/calendario/CuotasPanel';
+import FallidasPanel from '../components/calendario/FallidasPanel';
+import { Calendar, ChevronLeft, ChevronRight, Clock, Instagram, Facebook, Linkedin, Twitter, RefreshCw, Repeat } from 'lucide-react';
 import * as publicacionesApi from '../services/publicacionesApi';
+import { fechaEnZona, formatearEnZona } from '../utils/zonaHoraria';
 import '../styles/Hub.css';
+import '../styles/Contenido.css';
 
 export default function CalendarioPage() {
     const [currentDate, setCurrentDate] = useState(new Date());
     const [selectedDate, setSelectedDate] = useState(null);
     const [scheduledPosts, setScheduledPosts] = useState([]);
+    const [emptySlots, setEmptySlots] = useState([]);
+    const [zona, setZona] = useState(null);
     const [loading, setLoading] = useState(true);
 
     // Fetch scheduled posts from API
@@ -26,19 +38,41 @@ export default function CalendarioPage() {
             const mes = currentDate.getMonth() + 1;
             const anio = currentDate.getFullYear();
             const response = await publicacionesApi.getCalendario(mes, anio);
+            // Las fechas llegan en UTC: se muestran en la zona de la marca
+            const zonaMarca = response?.data?.zona_horaria;
+            setZona(zonaMarca || null);
             
             if (response?.data?.publicaciones) {
                 // Transform API data to match expected format
+                // Las ocurrencias futuras de series llegan sin id (virtual)
                 const posts = response.data.publicaciones.map(pub => ({
-                    id: pub.id,
-                    date: pub.fecha_programada?.split('T')[0] || pub.fecha_programada,
+                    id: pub.id ?? `serie-${pub.serie_id}-${pub.fecha_programada}`,
+                    ...fechaEnZona(pub.fecha_programada, zonaMarca),
                     title: pub.contenido_titulo || pub.titulo || 'Publicación programada',
-                    platform: pub.plataforma?.toLowerCase() || 'instagram',
-                    time: pub.fecha_programada?.split('T')[1]?.substring(0, 5) || '12:00',
-                    estado: pub.estado
+                    // Un contenido puede ir a varias redes: el icono es el de la cuenta destino
+                    platform: (pub.cuenta_plataforma || pub.contenido_plataforma || pub.plataforma)?.toLowerCase() || 'instagram',
+                    cuenta: pub.nombre_cuenta,
+                    estado: pub.estado,
+                    intentos: pub.intentos || 0,
+                    ultimoError: pub.ultimo_error,
+                    // Pendiente sin intentos pero con espera: la aplazó la cuota de su cuenta
+                    aplazadaHasta: pub.estado === 'pendiente' && !pub.intentos ? pub.proximo_intento : null,
+                    virtual: !!pub.virtual,
+                    texto: pub.texto_publicado,
+                    editado: !!pub.editado_at,
+                    remoto: pub.remoto,
+                    recurrencia: pub.recurrencia || (pub.serie_id ? 'Serie recurrente' : null)
                 }));
                 setScheduledPosts(posts);
             }
+
+            // Franjas de cola sin contenido asignado
+            setEmptySlots((response?.data?.slots_vacios || []).map(slot => ({
+                id: `hueco-${slot.cuenta_social_id}-${slot.fecha}`,
+                ...fechaEnZona(slot.fecha, zonaMarca),
+                platform: slot.plataforma,
+                cuenta: slot.nombre_cuenta
+            })));
         } catch (err) {
             console.error('Error loading scheduled posts:', err);
             // Fallback to demo data if API fails
@@ -77,6 +111,12 @@ export default function CalendarioPage() {
         return scheduledPosts.filter(post => post.date === dateStr);
     };
 
+    const getEmptySlotsForDay = (day) => {
+        if (!day) return [];
+        const dateStr = `${currentDate.getFullYear()}-${String(currentDate.getMonth() + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        return emptySlots.filter(slot => slot.date === dateStr);
+    };
+
     const navigateMonth = (direction) => {
         setCurrentDate(prev => {
             const newDate = new Date(prev);
@@ -113,7 +153,9 @@ export default function CalendarioPage() {
                     <h1 className="page-title">
                         <Calendar size={28} /> Calendario de Publicaciones
                     </h1>
-                    <p className="page-subtitle">Programa y visualiza tu contenido por fecha</p>
+                    <p className="page-subtitle">
+                        Programa y visualiza tu contenido por fecha{zona && ` · horario de ${zona}`}
+                    </p>
                 </div>
 
                 <div className="calendario-container">
@@ -138,6 +180,7 @@ export default function CalendarioPage() {
                         <div className="calendario-days-grid">
                             {getDaysInMonth(currentDate).map((day, index) => {
                                 const posts = getPostsForDay(day);
+                                const huecos = getEmptySlotsForDay(day);
                                 return (
                                     <div 
                                         key={index} 
@@ -147,13 +190,26 @@ export default function CalendarioPage() {
                                         {day && (
                                             <>
                                                 <span className="day-number">{day}</span>
-                                                {posts.length > 0 && (
+                                                {(posts.length > 0 || huecos.length > 0) && (
                                                     <div className="day-posts">
                                                         {posts.map(post => (
-                                                            <div key={post.id} className={`post-indicator ${post.platform}`}>
+                                                            <div
+                                                                key={post.id}
+                                                                className={`post-indicator ${post.platform} ${post.virtual ? 'virtual' : ''}`}
+                                                                title={post.cuenta ? `${post.title} → ${post.cuenta}` : post.title}
+                                                            >
                                                                 {getPlatformIcon(post.platform)}
                                                             </div>
                                                         ))}
+                                                        {huecos.map(hueco => (
+                                                            <div
+                                                                key={hueco.id}
+                                                                className="post-indicator hueco"
+                                                                title={`Franja libre · ${hueco.cuenta} · ${hueco.time}`}
+                                                            >
+                                                                {getPlatformIcon(hueco.platform)}
+                                                            </div>
+                                                        ))}
                                                     </div>
                                                 )}
                                             </>
@@ -164,22 +220,67 @@ export default function CalendarioPage() {
                         </div>
                     </div>
 
-                    {/* Sidebar with scheduled posts */}
-                    <div className="calendario-sidebar">
-                        <h3><Clock size={20} /> Próximas Publicaciones</h3>
-                        <div className="scheduled-posts-list">
-                            {scheduledPosts.map(post => (
-                                <div key={post.id} className="scheduled-post-card">
-                                    <div className={`post-platform-icon ${post.platform}`}>
-                                        {getPlatformIcon(post.platform)}
-                                    </div>
-                                    <div className="post-info">
-                                        <span className="post-title">{post.title}</span>
-                                        <span className="post-datetime">{post.date} - {post.time}</span>
+                    <div className="calendario-columna">
+                        {/* Sidebar with scheduled posts */}
+                        <div className="calendario-sidebar">
+                            <h3><Clock size={20} /> Próximas Publicaciones</h3>
+                            <div className="scheduled-posts-list">
+                                {scheduledPosts.map(post => (
+                                    <div key={post.id} className="scheduled-post-card">
+                                        <div className={`post-platform-icon ${post.platform}`}>
+                                            {getPlatformIcon(post.platform)}
+                                        </div>
+                                        <div className="post-info">
+                                            <span className="post-title">{post.title}</span>
+                                            <span className="post-datetime">{post.date} - {post.time}</span>
+                                            {post.cuenta && <span className="post-datetime">→ {post.cuenta}</span>}
+                                            {post.recurrencia && (
+                                                <span className="post-recurrencia">
+                                                    <Repeat size={12} /> {post.recurrencia}{post.virtual ? ' · prevista' : ''}
+                                                </span>
+                                            )}
+                                            {post.estado === 'enviado' && post.editado && (
+                                                <span className="post-datetime">Editada en la red</span>
+                                            )}
+                                            {post.estado === 'retenido' && (
+                                                <span className="post-retry">Retenida por un bloqueo</span>
+                                            )}
+                                            {post.aplazadaHasta && (
+                                                <span className="post-retry" title={post.ultimoError || ''}>
+                                                    Aplazada por cuota hasta {formatearEnZona(post.aplazadaHasta, zona, { hour: '2-digit', minute: '2-digit' })}
+                                                </span>
+                                            )}
+                                            {post.estado === 'eliminado' && (
+                                                <span className="post-retry fallido">Eliminada de la red</span>
+                                            )}
+                                            {post.estado === 'enviado' && (
+                                                <PublicadoAcciones post={post} onChange={fetchScheduledPosts} />
+                                            )}
+                                            {post.intentos > 0 && (post.estado === 'pendiente' || post.estado === 'fallido') && (
+                                                <span className={`post-retry ${post.estado}`} title={post.ultimoError || ''}>
+                                                    {post.estado === 'fallido' ? 'Falló' : 'Reintentando'} · intento {post.intentos}
+                                                </span>
+                                            )}
+                                            {!post.virtual && (post.intentos > 0 || post.estado === 'enviado' || post.aplazadaHasta) && (
+                                                <HistorialPublicacion post={post} zona={zona} />
+                                            )}
+                                        </div>
                                     </div>
-                                </div>
-                            ))}
+                                ))}
+                            </div>
                         </div>
+
+                        <FallidasPanel zona={zona} onChange={fetchScheduledPosts} />
+
+                        <BloqueosPanel onChange={fetchScheduledPosts} />
+
+                        <CuotasPanel zona={zona} />
+
+                        <MejoresHorariosCard />
+
+                        <ColaPanel zona={zona} onChange={fetchScheduledPosts} />
+
+                        <SeriesPanel zona={zona} onChange={fetchScheduledPosts} />
                     </div>
                 </div>
             </div>
@@ -28,6 +28,14 @@ const PLAT_ICONS = {
     twitter: '🐦'
 };
 
+// Añade al mensaje de éxito las advertencias de la validación por plataforma
+const conAdvertencias = (mensaje, respuesta) => {
+    const advertencias = respuesta?.data?.advertencias || [];
+    return advertencias.length > 0
+        ? `${mensaje}. Advertencias: ${advertencias.join('. ')}`
+        : mensaje;
+};
+
 export default function ContenidoPage() {
     const { user: currentUser, logout } = useAuth();
 
@@ -50,6 +58,7 @@ export default function ContenidoPage() {
     // Modal
     const [modalOpen, setModalOpen] = useState(false);
     const [editingContenido, setEditingContenido] = useState(null);
+    const [zona, setZona] = useState(null);
 
     // Filtros
     const [filters, setFilters] = useState({
@@ -112,8 +121,16 @@ export default function ContenidoPage() {
         setModalOpen(true);
     };
 
-    const handleEdit = (contenido) => {
-        setEditingContenido(contenido);
+    const handleEdit = async (contenido) => {
+        // La lista no trae imágenes ni videos: el modal necesita el contenido completo
+        try {
+            const response = await contenidoApi.getContenidoById(contenido.id);
+            setEditingContenido(response.data?.contenido || contenido);
+            setZona(response.data?.zona_horaria || null);
+        } catch (err) {
+            console.error('Error cargando contenido:', err);
+            setEditingContenido(contenido);
+        }
         setModalOpen(true);
     };
 
@@ -123,11 +140,11 @@ export default function ContenidoPage() {
             setError(null);
 
             if (editingContenido) {
-                await contenidoApi.updateContenido(editingContenido.id, contenidoData);
-                setSuccess('Contenido actualizado exitosamente');
+                const res = await contenidoApi.updateContenido(editingContenido.id, contenidoData);
+                setSuccess(conAdvertencias('Contenido actualizado exitosamente', res));
             } else {
-                await contenidoApi.createContenido(contenidoData);
-                setSuccess('Contenido creado exitosamente');
+                const res = await contenidoApi.createContenido(contenidoData);
+                setSuccess(conAdvertencias('Contenido creado exitosamente', res));
             }
 
             setModalOpen(false);
@@ -163,10 +180,10 @@ export default function ContenidoPage() {
 
     const handleEstadoChange = async (contenido, nuevoEstado) => {
         try {
-            await contenidoApi.updateEstadoContenido(contenido.id, nuevoEstado);
-            setSuccess('Estado actualizado');
+            const res = await contenidoApi.updateEstadoContenido(contenido.id, nuevoEstado);
+            setSuccess(conAdvertencias('Estado actualizado', res));
             fetchContenidos(pagination.page);
-            setTimeout(() => setSuccess(null), 2000);
+            setTimeout(() => setSuccess(null), res.data?.advertencias?.length ? 6000 : 2000);
         } catch (err) {
             setError(err.message);
         }
@@ -444,6 +461,7 @@ export default function ContenidoPage() {
                 }}
                 onSave={handleSave}
                 contenido={editingContenido}
+                zona={zona}
                 campanas={campanas}
                 loading={saving}
             />
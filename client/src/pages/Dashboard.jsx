@@ -7,6 +7,8 @@ import { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Layout from '../components/Layout';
+import SelectorCuentas from '../components/social/SelectorCuentas';
+import DiagnosticoConexiones from '../components/social/DiagnosticoConexiones';
 import * as api from '../services/api';
 import * as socialApi from '../services/socialApi';
 import * as iaApi from '../services/iaApi';
@@ -63,6 +65,7 @@ export default function Dashboard() {
     
     // Social Connections
     const [socialStatus, setSocialStatus] = useState(null);
+    const [selectorMeta, setSelectorMeta] = useState(false);
     
     // UI State
     const [loading, setLoading] = useState(true);
@@ -78,7 +81,10 @@ export default function Dashboard() {
 
     const handleSocialCallback = () => {
         const params = new URLSearchParams(location.search);
-        if (params.get('social_success')) {
+        if (params.get('social_seleccion')) {
+            setSelectorMeta(true);
+            navigate('/', { replace: true });
+        } else if (params.get('social_success')) {
             setSuccess('¡Cuenta conectada exitosamente!');
             navigate('/', { replace: true });
             setTimeout(() => setSuccess(null), 3000);
@@ -164,6 +170,13 @@ export default function Dashboard() {
         }
     };
 
+    const handleCuentasElegidas = (mensaje) => {
+        setSelectorMeta(false);
+        setSuccess(mensaje || 'Cuentas conectadas');
+        fetchSocialStatus();
+        setTimeout(() => setSuccess(null), 3000);
+    };
+
     const handleDisconnect = async (id) => {
         if (!window.confirm('¿Estás seguro de desconectar esta cuenta?')) return;
         
@@ -385,8 +398,18 @@ export default function Dashboard() {
                         <div className="section-header">
                             <Link2 size={20} />
                             <h2>Conexiones de Redes Sociales</h2>
+                            {socialStatus?.sandbox && (
+                                <span className="account-badge sandbox">Sandbox</span>
+                            )}
                         </div>
                         <p className="section-description">Conecta tus cuentas para publicar contenido directamente</p>
+
+                        {socialStatus?.cuentas_expiradas?.map(cuenta => (
+                            <div key={cuenta.id} className="alert alert-error">
+                                ⚠️ El token de {cuenta.nombre} ({cuenta.plataforma}) expiró
+                                {cuenta.publicaciones_retenidas > 0 && `: ${cuenta.publicaciones_retenidas} publicación(es) retenida(s) hasta reconectarla`}
+                            </div>
+                        ))}
                         
                         <div className="social-grid">
                             {/* Meta (Facebook/Instagram) */}
@@ -399,7 +422,13 @@ export default function Dashboard() {
                                     <span className="social-name">Meta (FB/IG)</span>
                                 </div>
                                 <div className="social-card-body">
-                                    {socialStatus?.cuentas?.filter(c => c.plataforma === 'facebook' || c.plataforma === 'instagram').length > 0 ? (
+                                    {selectorMeta ? (
+                                        <SelectorCuentas
+                                            onConectadas={handleCuentasElegidas}
+                                            onReconectar={() => handleConnect('meta')}
+                                            onCerrar={() => setSelectorMeta(false)}
+                                        />
+                                    ) : socialStatus?.cuentas?.filter(c => c.plataforma === 'facebook' || c.plataforma === 'instagram').length > 0 ? (
                                         <>
                                             {socialStatus.cuentas
                                                 .filter(c => c.plataforma === 'facebook' || c.plataforma === 'instagram')
@@ -408,6 +437,9 @@ export default function Dashboard() {
                                                         <span className="account-name">
                                                             {cuenta.plataforma === 'facebook' ? <Facebook size={14} /> : <Instagram size={14} />}
                                                             {cuenta.nombre}
+                                                            {cuenta.por_caducar && (
+                                                                <span className="account-badge por-caducar">Caduca en {cuenta.dias_para_caducar} d</span>
+                                                            )}
                                                         </span>
                                                         <button 
                                                             className="btn-disconnect"
@@ -420,7 +452,7 @@ export default function Dashboard() {
                                                 ))
                                             }
                                             <button 
-                                                onClick={() => handleConnect('meta')}
+                                                onClick={() => setSelectorMeta(true)}
                                                 className="btn-secondary btn-small"
                                             >
                                                 <RefreshCw size={14} /> Agregar otra cuenta
@@ -455,6 +487,12 @@ export default function Dashboard() {
                                                         <span className="account-name">
                                                             <Linkedin size={14} />
                                                             {cuenta.nombre}
+                                                            {cuenta.es_organizacion && (
+                                                                <span className="account-badge">Página</span>
+                                                            )}
+                                                            {cuenta.por_caducar && (
+                                                                <span className="account-badge por-caducar">Caduca en {cuenta.dias_para_caducar} d</span>
+                                                            )}
                                                         </span>
                                                         <button 
                                                             className="btn-disconnect"
@@ -484,6 +522,8 @@ export default function Dashboard() {
                                 </div>
                             </div>
                         </div>
+
+                        <DiagnosticoConexiones onReconectar={handleConnect} />
                     </div>
                 )}
 
@@ -83,11 +83,54 @@ export async function updateContenido(id, contenidoData) {
  * Cambia el estado del contenido
  * @param {number} id - ID del contenido
  * @param {string} estado - Nuevo estado
+ * @param {Object} opciones - Opciones extra (auto_programar)
  */
-export async function updateEstadoContenido(id, estado) {
+export async function updateEstadoContenido(id, estado, opciones = {}) {
     return apiRequest(`/contenido/${id}/estado`, {
         method: 'PATCH',
-        body: JSON.stringify({ estado }),
+        body: JSON.stringify({ estado, ...opciones }),
+    });
+}
+
+/**
+ * Valida el contenido contra los límites de una plataforma
+ * @param {number} id - ID del contenido
+ * @param {string} plataforma - Plataforma destino (opcional, por defecto la del contenido)
+ */
+export async function validarContenido(id, plataforma) {
+    const query = plataforma ? `?plataforma=${encodeURIComponent(plataforma)}` : '';
+    return apiRequest(`/contenido/${id}/validacion${query}`);
+}
+
+/**
+ * Obtiene las variantes por plataforma del contenido
+ * @param {number} id - ID del contenido
+ */
+export async function getVariantes(id) {
+    return apiRequest(`/contenido/${id}/variantes`);
+}
+
+/**
+ * Crea o actualiza la variante de una plataforma
+ * @param {number} id - ID del contenido
+ * @param {string} plataforma - instagram|facebook|linkedin
+ * @param {Object} variante - { copy_texto, imagenes_ids }
+ */
+export async function guardarVariante(id, plataforma, variante) {
+    return apiRequest(`/contenido/${id}/variantes/${plataforma}`, {
+        method: 'PUT',
+        body: JSON.stringify(variante),
+    });
+}
+
+/**
+ * Elimina la variante de una plataforma
+ * @param {number} id - ID del contenido
+ * @param {string} plataforma - instagram|facebook|linkedin
+ */
+export async function eliminarVariante(id, plataforma) {
+    return apiRequest(`/contenido/${id}/variantes/${plataforma}`, {
+        method: 'DELETE',
     });
 }
 
@@ -116,6 +159,32 @@ export async function getContenidoStats() {
     return apiRequest('/contenido/stats');
 }
 
+/**
+ * Sube un video (MP4/MOV) a R2
+ * @param {File} file - Archivo de video
+ */
+export async function uploadVideo(file) {
+    const token = localStorage.getItem('token');
+    const formData = new FormData();
+    formData.append('video', file);
+
+    const response = await fetch(`${API_BASE}/contenido/upload-video`, {
+        method: 'POST',
+        headers: {
+            ...(token && { 'Authorization': `Bearer ${token}` }),
+        },
+        body: formData
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Error subiendo video');
+    }
+
+    return data;
+}
+
 export default {
     getContenidos,
     getContenidoById,
@@ -125,4 +194,9 @@ export default {
     deleteContenido,
     getContenidosPendientes,
     getContenidoStats,
+    uploadVideo,
+    validarContenido,
+    getVariantes,
+    guardarVariante,
+    eliminarVariante,
 };
@@ -90,6 +90,20 @@ export async function mejorarTexto(params) {
     });
 }
 
+/**
+ * Adapta el copy maestro de un contenido a cada plataforma y guarda las variantes
+ * @param {Object} params - Parámetros
+ * @param {number} params.contenido_id - ID del contenido (requerido)
+ * @param {Array<string>} params.plataformas - Plataformas a generar (por defecto todas)
+ * @param {string} params.modelo - gemini|openai|gpt-4
+ */
+export async function generarVariantes(params) {
+    return apiRequest('/ia/generar-variantes', {
+        method: 'POST',
+        body: JSON.stringify(params),
+    });
+}
+
 // ==================== GENERACIÓN DE IMÁGENES ====================
 
 /**
@@ -198,6 +212,7 @@ export default {
     generarCopy,
     generarIdeas,
     mejorarTexto,
+    generarVariantes,
     generarPromptImagen,
     generarImagen,
     confirmarYSubirImagen,
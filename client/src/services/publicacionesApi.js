@@ -40,6 +40,14 @@ export const getPublicacionById = async (id) => {
     return response.data;
 };
 
+/**
+ * Get the attempt history of a publication (newest first)
+ */
+export const getHistorial = async (id) => {
+    const response = await axios.get(`${API_URL}/publicaciones/${id}/historial`, getConfig());
+    return response.data;
+};
+
 /**
  * Create a new scheduled publication
  */
@@ -104,14 +112,206 @@ export const reprogramarPublicacion = async (id, nuevaFecha) => {
     return response.data;
 };
 
+/**
+ * Edit the caption of an already published post on its network
+ */
+export const editarRemoto = async (id, texto) => {
+    const response = await axios.patch(`${API_URL}/publicaciones/${id}/remoto`, { texto }, getConfig());
+    return response.data;
+};
+
+/**
+ * Delete an already published post from its network
+ */
+export const eliminarRemoto = async (id) => {
+    const response = await axios.delete(`${API_URL}/publicaciones/${id}/remoto`, getConfig());
+    return response.data;
+};
+
+/**
+ * Get recommended posting slots from historical engagement
+ */
+export const getMejoresHorarios = async ({ plataforma, cuenta_social_id, top } = {}) => {
+    const params = new URLSearchParams();
+    if (plataforma) params.append('plataforma', plataforma);
+    if (cuenta_social_id) params.append('cuenta_social_id', cuenta_social_id);
+    if (top) params.append('top', top);
+
+    const response = await axios.get(`${API_URL}/publicaciones/mejores-horarios?${params.toString()}`, getConfig());
+    return response.data;
+};
+
+/**
+ * Get recurring and evergreen series
+ */
+export const getSeries = async (activa) => {
+    const query = activa === undefined ? '' : `?activa=${activa}`;
+    const response = await axios.get(`${API_URL}/publicaciones/series${query}`, getConfig());
+    return response.data;
+};
+
+/**
+ * Create a recurring or evergreen series
+ */
+export const createSerie = async (data) => {
+    const response = await axios.post(`${API_URL}/publicaciones/series`, data, getConfig());
+    return response.data;
+};
+
+/**
+ * Stop a series and cancel its pending occurrences
+ */
+export const cancelSerie = async (id) => {
+    const response = await axios.delete(`${API_URL}/publicaciones/series/${id}`, getConfig());
+    return response.data;
+};
+
+/**
+ * Get the evergreen queue ordered by performance
+ */
+export const getColaEvergreen = async () => {
+    const response = await axios.get(`${API_URL}/publicaciones/evergreen`, getConfig());
+    return response.data;
+};
+
+/**
+ * Add content to the evergreen queue
+ */
+export const addEvergreen = async (contenidoId, intervaloMinDias) => {
+    const response = await axios.post(`${API_URL}/publicaciones/evergreen`, {
+        contenido_id: contenidoId,
+        intervalo_min_dias: intervaloMinDias
+    }, getConfig());
+    return response.data;
+};
+
+/**
+ * Remove content from the evergreen queue
+ */
+export const removeEvergreen = async (contenidoId) => {
+    const response = await axios.delete(`${API_URL}/publicaciones/evergreen/${contenidoId}`, getConfig());
+    return response.data;
+};
+
+/**
+ * Get the weekly slots and pending queue of an account
+ */
+export const getCola = async (cuentaId) => {
+    const response = await axios.get(`${API_URL}/publicaciones/cola/${cuentaId}`, getConfig());
+    return response.data;
+};
+
+/**
+ * Replace the weekly queue slots of an account
+ */
+export const updateHorariosCola = async (cuentaId, horarios) => {
+    const response = await axios.put(`${API_URL}/publicaciones/cola/${cuentaId}/horarios`, { horarios }, getConfig());
+    return response.data;
+};
+
+/**
+ * Add approved content to the end of an account queue
+ */
+export const addCola = async (cuentaId, contenidoId) => {
+    const response = await axios.post(`${API_URL}/publicaciones/cola/${cuentaId}`, {
+        contenido_id: contenidoId
+    }, getConfig());
+    return response.data;
+};
+
+/**
+ * Reorder an account queue
+ */
+export const reordenarCola = async (cuentaId, ids) => {
+    const response = await axios.patch(`${API_URL}/publicaciones/cola/${cuentaId}/orden`, { ids }, getConfig());
+    return response.data;
+};
+
+/**
+ * Get the publishing pause, blackout windows and held publications
+ */
+export const getBloqueos = async () => {
+    const response = await axios.get(`${API_URL}/publicaciones/bloqueos`, getConfig());
+    return response.data;
+};
+
+/**
+ * Create a blackout window
+ */
+export const createBloqueo = async (data) => {
+    const response = await axios.post(`${API_URL}/publicaciones/bloqueos`, data, getConfig());
+    return response.data;
+};
+
+/**
+ * Delete a blackout window
+ */
+export const removeBloqueo = async (id) => {
+    const response = await axios.delete(`${API_URL}/publicaciones/bloqueos/${id}`, getConfig());
+    return response.data;
+};
+
+/**
+ * Pause all automatic publishing
+ */
+export const pausarPublicacion = async (motivo) => {
+    const response = await axios.post(`${API_URL}/publicaciones/pausa`, { motivo }, getConfig());
+    return response.data;
+};
+
+/**
+ * Resume automatic publishing and reschedule held publications
+ */
+export const reanudarPublicacion = async () => {
+    const response = await axios.post(`${API_URL}/publicaciones/reanudar`, {}, getConfig());
+    return response.data;
+};
+
+/**
+ * Get failed publications grouped by cause
+ */
+export const getFallidas = async () => {
+    const response = await axios.get(`${API_URL}/publicaciones/fallidas`, getConfig());
+    return response.data;
+};
+
+/**
+ * Apply a bulk action to failed publications (reencolar, reprogramar, reasignar, cancelar)
+ */
+export const accionFallidas = async (data) => {
+    const response = await axios.post(`${API_URL}/publicaciones/fallidas/acciones`, data, getConfig());
+    return response.data;
+};
+
 export default {
     getPublicaciones,
     getPublicacionById,
+    getHistorial,
     createPublicacion,
     createMultiplePublicaciones,
     cancelPublicacion,
     getPublicacionesByContenido,
     getCalendario,
     getStats,
-    reprogramarPublicacion
+    reprogramarPublicacion,
+    editarRemoto,
+    eliminarRemoto,
+    getMejoresHorarios,
+    getSeries,
+    createSerie,
+    cancelSerie,
+    getColaEvergreen,
+    addEvergreen,
+    removeEvergreen,
+    getCola,
+    updateHorariosCola,
+    addCola,
+    reordenarCola,
+    getBloqueos,
+    createBloqueo,
+    removeBloqueo,
+    pausarPublicacion,
+    reanudarPublicacion,
+    getFallidas,
+    accionFallidas
 };
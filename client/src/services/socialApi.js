@@ -31,6 +31,36 @@ export const getCuentas = async () => {
     return response.data;
 };
 
+export const getDescubiertas = async () => {
+    const response = await axios.get(`${API_URL}/social/descubiertas`);
+    return response.data;
+};
+
+export const conectarDescubiertas = async (ids) => {
+    const response = await axios.post(`${API_URL}/social/descubiertas/conectar`, { ids });
+    return response.data;
+};
+
+export const getDiagnostico = async () => {
+    const response = await axios.get(`${API_URL}/social/diagnostico`);
+    return response.data;
+};
+
+export const getDiagnosticoCuenta = async (id) => {
+    const response = await axios.get(`${API_URL}/social/cuentas/${id}/diagnostico`);
+    return response.data;
+};
+
+export const getCuotas = async () => {
+    const response = await axios.get(`${API_URL}/social/cuotas`);
+    return response.data;
+};
+
+export const updateCuota = async (id, cuota) => {
+    const response = await axios.put(`${API_URL}/social/cuentas/${id}/cuota`, cuota);
+    return response.data;
+};
+
 export const publicarContenido = async (contenidoId, cuentaId, plataforma) => {
     const response = await axios.post(`${API_URL}/social/publicar/${contenidoId}`, {
         cuenta_id: cuentaId,
@@ -44,5 +74,11 @@ export default {
     getAuthUrl,
     disconnectAccount,
     getCuentas,
+    getDescubiertas,
+    conectarDescubiertas,
+    getDiagnostico,
+    getDiagnosticoCuenta,
+    getCuotas,
+    updateCuota,
     publicarContenido
 };
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Zonas horarias en la app
+ * @description El servidor guarda las fechas en UTC y las interpreta en la zona de la
+ * marca; aquí se muestran en esa misma zona, sea cual sea la del navegador.
+ */
+
+/**
+ * Día y hora de pared de un instante en una zona
+ * @param {Date|string} fecha - Instante
+ * @param {string} [zona] - Zona IANA (la del navegador si no se indica)
+ * @returns {{ date: string, time: string }} { 'YYYY-MM-DD', 'HH:mm' }
+ */
+export const fechaEnZona = (fecha, zona) => {
+    const partes = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: zona || undefined,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(new Date(fecha)).forEach(({ type, value }) => {
+        partes[type] = value;
+    });
+
+    return {
+        date: `${partes.year}-${partes.month}-${partes.day}`,
+        time: `${partes.hour}:${partes.minute}`
+    };
+};
+
+/**
+ * Valor de un input datetime-local con la hora de pared de un instante en una zona
+ * @param {Date|string} fecha - Instante
+ * @param {string} [zona] - Zona IANA
+ * @returns {string} 'YYYY-MM-DDTHH:mm'
+ */
+export const aDatetimeLocal = (fecha, zona) => {
+    const { date, time } = fechaEnZona(fecha, zona);
+    return `${date}T${time}`;
+};
+
+/**
+ * Fecha y hora legibles en una zona
+ * @param {Date|string} fecha - Instante
+ * @param {string} [zona] - Zona IANA
+ * @param {Object} [opciones] - Opciones de toLocaleString
+ * @returns {string}
+ */
+export const formatearEnZona = (fecha, zona, opciones = {}) =>
+    new Date(fecha).toLocaleString([], { ...opciones, timeZone: zona || undefined });
@@ -74,6 +74,8 @@ CREATE TABLE IF NOT EXISTS config_marca (
   pilares_comunicacion TEXT,
   frecuencia_semanal INT DEFAULT 3,
   segmento_principal VARCHAR(100),
+  -- Zona en la que el equipo programa y ve las fechas (se guardan en UTC)
+  zona_horaria VARCHAR(64) NOT NULL DEFAULT 'America/Guayaquil',
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -89,10 +91,57 @@ CREATE TABLE IF NOT EXISTS cuentas_sociales (
   access_token TEXT,
   refresh_token TEXT,
   token_expires_at DATETIME,
+  -- Cuándo se avisó de que el token está por caducar
+  aviso_caducidad_at DATETIME NULL,
   estado ENUM('conectada', 'expirada', 'desconectada') DEFAULT 'desconectada',
+  -- Zona de la audiencia de la cuenta (NULL = la de la marca)
+  zona_horaria VARCHAR(64) NULL,
+  -- Cuota de publicación propia (NULL = la de la plataforma)
+  limite_publicaciones INT NULL,
+  ventana_limite_horas INT NULL,
+  separacion_minima_min INT NULL,
+  -- Último uso de la cuota informado por la red
+  cuota_usada INT NULL,
+  cuota_actualizada_at DATETIME NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLA: oauth_estados
+-- Estado de cada flujo OAuth iniciado (un solo uso, con caducidad)
+-- ============================================
+CREATE TABLE IF NOT EXISTS oauth_estados (
+  state VARCHAR(64) PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  proveedor VARCHAR(30) NOT NULL,
+  code_verifier VARCHAR(128) NULL,
+  expira_at DATETIME NOT NULL,
+  consumido_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE,
+  INDEX idx_expira (expira_at)
+);
+
+-- ============================================
+-- TABLA: cuentas_descubiertas
+-- Cuentas que devolvió el OAuth, pendientes de elegir cuáles conectar
+-- ============================================
+CREATE TABLE IF NOT EXISTS cuentas_descubiertas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  proveedor VARCHAR(30) NOT NULL,
+  plataforma ENUM('facebook', 'instagram', 'linkedin') NOT NULL,
+  nombre_cuenta VARCHAR(150),
+  page_id VARCHAR(150) NOT NULL,
+  -- Página de Facebook a la que está vinculada una cuenta de Instagram
+  vinculada_a VARCHAR(150) NULL,
+  access_token TEXT,
+  token_expires_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_usuario_cuenta (usuario_id, plataforma, page_id)
+);
+
 -- ============================================
 -- TABLA: imagenes
 -- Imágenes generadas con IA (DALL-E)
@@ -103,10 +152,135 @@ CREATE TABLE IF NOT EXISTS imagenes (
   url_imagen TEXT,
   prompt_imagen TEXT,
   modelo_ia VARCHAR(50),
+  ancho INT NULL,
+  alto INT NULL,
+  tamano_bytes INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- TABLA: videos
+-- Videos subidos a R2 para Reels / publicaciones de video
+-- ============================================
+CREATE TABLE IF NOT EXISTS videos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT,
+  url_video TEXT,
+  cover_url TEXT,
+  thumb_offset_ms INT DEFAULT 0,
+  duracion_segundos DECIMAL(8, 2),
+  ancho INT NULL,
+  alto INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- TABLA: contenido_variantes
+-- Copy y selección de imágenes del contenido para cada plataforma
+-- ============================================
+CREATE TABLE IF NOT EXISTS contenido_variantes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT NOT NULL,
+  plataforma ENUM('instagram', 'facebook', 'linkedin') NOT NULL,
+  copy_texto TEXT NULL,
+  imagenes_ids VARCHAR(255) NULL,
+  generado_ia BOOLEAN DEFAULT FALSE,
+  modelo_ia VARCHAR(50) NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_contenido_plataforma (contenido_id, plataforma)
+);
+
+-- ============================================
+-- TABLA: contenido_cuentas
+-- Cuentas destino de cada contenido, con copy específico opcional
+-- ============================================
+CREATE TABLE IF NOT EXISTS contenido_cuentas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT NOT NULL,
+  cuenta_social_id INT NOT NULL,
+  copy_texto TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE,
+  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_contenido_cuenta (contenido_id, cuenta_social_id)
+);
+
+-- ============================================
+-- TABLA: horarios_cola
+-- Franjas semanales de la cola de publicación de cada cuenta
+-- ============================================
+CREATE TABLE IF NOT EXISTS horarios_cola (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cuenta_social_id INT NOT NULL,
+  dia_semana TINYINT NOT NULL,
+  hora TIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_cuenta_franja (cuenta_social_id, dia_semana, hora)
+);
+
+-- ============================================
+-- TABLA: series_publicacion
+-- Reglas de recurrencia (contenido fijo) y turnos evergreen por cuenta
+-- ============================================
+CREATE TABLE IF NOT EXISTS series_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tipo ENUM('recurrente', 'evergreen') NOT NULL DEFAULT 'recurrente',
+  contenido_id INT NULL,
+  cuenta_social_id INT NOT NULL,
+  frecuencia ENUM('diaria', 'semanal', 'mensual') NOT NULL,
+  cada_dias INT DEFAULT 1,
+  dias_semana VARCHAR(20) NULL,
+  dia_mes TINYINT NULL,
+  semana_mes TINYINT NULL,
+  dia_semana TINYINT NULL,
+  hora TIME NOT NULL,
+  fecha_inicio DATE NOT NULL,
+  fecha_fin DATE NULL,
+  activa BOOLEAN DEFAULT TRUE,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE,
+  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES usuarios(id) ON DELETE SET NULL,
+  INDEX idx_activa (activa)
+);
+
+-- ============================================
+-- TABLA: cola_evergreen
+-- Contenido reciclable por las series evergreen
+-- ============================================
+CREATE TABLE IF NOT EXISTS cola_evergreen (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT NOT NULL UNIQUE,
+  intervalo_min_dias INT DEFAULT 30,
+  ultima_publicacion DATETIME NULL,
+  veces_publicado INT DEFAULT 0,
+  activo BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE
 );
 
+-- ============================================
+-- TABLA: bloqueos_publicacion
+-- Ventanas sin publicación automática (festivos, crisis) y pausas globales
+-- Una pausa no tiene fin hasta que se reanuda
+-- ============================================
+CREATE TABLE IF NOT EXISTS bloqueos_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tipo ENUM('ventana', 'pausa') NOT NULL DEFAULT 'ventana',
+  motivo VARCHAR(255) NOT NULL,
+  inicio DATETIME NOT NULL,
+  fin DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES usuarios(id) ON DELETE SET NULL,
+  INDEX idx_vigencia (inicio, fin)
+);
+
 -- ============================================
 -- TABLA: publicaciones_programadas
 -- Programación de publicaciones automáticas
@@ -116,12 +290,70 @@ CREATE TABLE IF NOT EXISTS publicaciones_programadas (
   contenido_id INT,
   cuenta_social_id INT,
   fecha_programada DATETIME,
-  estado ENUM('pendiente', 'enviado', 'fallido', 'cancelado') DEFAULT 'pendiente',
+  estado ENUM('pendiente', 'enviado', 'fallido', 'cancelado', 'eliminado', 'retenido') DEFAULT 'pendiente',
+  -- Por qué está retenida: un bloqueo de publicación o su cuenta expirada
+  motivo_retencion ENUM('bloqueo', 'cuenta') NULL,
   response_api TEXT,
   external_post_id VARCHAR(150),
+  texto_publicado TEXT NULL,
+  editado_at DATETIME NULL,
+  intentos INT DEFAULT 0,
+  proximo_intento DATETIME NULL,
+  ultimo_error TEXT,
+  lease_owner VARCHAR(150) NULL,
+  lease_expira DATETIME NULL,
+  serie_id INT NULL,
+  en_cola BOOLEAN DEFAULT FALSE,
+  posicion_cola INT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE,
-  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE SET NULL
+  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE SET NULL,
+  FOREIGN KEY (serie_id) REFERENCES series_publicacion(id) ON DELETE SET NULL,
+  INDEX idx_pendientes (estado, fecha_programada),
+  INDEX idx_lease_owner (lease_owner),
+  INDEX idx_cola (cuenta_social_id, en_cola, estado),
+  UNIQUE KEY uniq_serie_fecha (serie_id, fecha_programada)
+);
+
+-- ============================================
+-- TABLA: intentos_publicacion
+-- Registro de cada intento de envío de una publicación programada
+-- ============================================
+CREATE TABLE IF NOT EXISTS intentos_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  publicacion_id INT NOT NULL,
+  numero_intento INT NOT NULL,
+  resultado ENUM('exito', 'error_temporal', 'error_permanente', 'aplazado') NOT NULL,
+  instancia VARCHAR(100) NULL,
+  error TEXT,
+  categoria_error VARCHAR(30) NULL,
+  resumen_envio TEXT NULL,
+  response_api TEXT,
+  duracion_ms INT NULL,
+  proximo_intento DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (publicacion_id) REFERENCES publicaciones_programadas(id) ON DELETE CASCADE,
+  INDEX idx_publicacion (publicacion_id)
+);
+
+-- ============================================
+-- TABLA: acciones_publicacion
+-- Ediciones y borrados hechos desde la app sobre posts ya publicados
+-- ============================================
+CREATE TABLE IF NOT EXISTS acciones_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  publicacion_id INT NOT NULL,
+  usuario_id INT NULL,
+  accion ENUM('editar', 'eliminar') NOT NULL,
+  resultado ENUM('exito', 'error') NOT NULL,
+  texto_anterior TEXT NULL,
+  texto_nuevo TEXT NULL,
+  error TEXT NULL,
+  response_api TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (publicacion_id) REFERENCES publicaciones_programadas(id) ON DELETE CASCADE,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE SET NULL,
+  INDEX idx_publicacion (publicacion_id)
 );
 
 -- ============================================
@@ -227,7 +459,7 @@ CREATE TABLE IF NOT EXISTS metricas_resumen_diario (
 CREATE TABLE IF NOT EXISTS logs_workers (
   id INT AUTO_INCREMENT PRIMARY KEY,
   worker_name VARCHAR(50) NOT NULL,
-  tipo ENUM('scheduler', 'metrics', 'limpieza') NOT NULL,
+  tipo ENUM('scheduler', 'metrics', 'limpieza', 'tokens') NOT NULL,
   estado ENUM('iniciado', 'completado', 'error') NOT NULL,
   mensaje TEXT,
   items_procesados INT DEFAULT 0,
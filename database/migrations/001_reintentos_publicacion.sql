@@ -0,0 +1,23 @@
+-- =============================================
+-- Migración 001: Reintentos con backoff en publicaciones programadas
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+ALTER TABLE publicaciones_programadas
+  ADD COLUMN intentos INT DEFAULT 0 AFTER external_post_id,
+  ADD COLUMN proximo_intento DATETIME NULL AFTER intentos,
+  ADD COLUMN ultimo_error TEXT AFTER proximo_intento;
+
+CREATE TABLE IF NOT EXISTS intentos_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  publicacion_id INT NOT NULL,
+  numero_intento INT NOT NULL,
+  resultado ENUM('exito', 'error_temporal', 'error_permanente') NOT NULL,
+  error TEXT,
+  response_api TEXT,
+  proximo_intento DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (publicacion_id) REFERENCES publicaciones_programadas(id) ON DELETE CASCADE,
+  INDEX idx_publicacion (publicacion_id)
+);
@@ -0,0 +1,11 @@
+-- =============================================
+-- Migración 002: Lease de publicaciones para varias instancias del scheduler
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+ALTER TABLE publicaciones_programadas
+  ADD COLUMN lease_owner VARCHAR(150) NULL AFTER ultimo_error,
+  ADD COLUMN lease_expira DATETIME NULL AFTER lease_owner,
+  ADD INDEX idx_pendientes (estado, fecha_programada),
+  ADD INDEX idx_lease_owner (lease_owner);
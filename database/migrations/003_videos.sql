@@ -0,0 +1,16 @@
+-- =============================================
+-- Migración 003: Videos para Reels y publicaciones de video
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS videos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT,
+  url_video TEXT,
+  cover_url TEXT,
+  thumb_offset_ms INT DEFAULT 0,
+  duracion_segundos DECIMAL(8, 2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE
+);
@@ -0,0 +1,14 @@
+-- =============================================
+-- Migración 004: Dimensiones de imágenes y videos
+-- =============================================
+-- Necesarias para validar la relación de aspecto 9:16 de las Stories
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+ALTER TABLE imagenes
+  ADD COLUMN ancho INT NULL AFTER modelo_ia,
+  ADD COLUMN alto INT NULL AFTER ancho;
+
+ALTER TABLE videos
+  ADD COLUMN ancho INT NULL AFTER duracion_segundos,
+  ADD COLUMN alto INT NULL AFTER ancho;
@@ -0,0 +1,9 @@
+-- =============================================
+-- Migración 005: Peso de las imágenes
+-- =============================================
+-- Necesario para validar el tamaño máximo de archivo por red social
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+ALTER TABLE imagenes
+  ADD COLUMN tamano_bytes INT NULL AFTER alto;
@@ -0,0 +1,52 @@
+-- =============================================
+-- Migración 006: Publicaciones recurrentes y cola evergreen
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- ============================================
+-- TABLA: series_publicacion
+-- Reglas de recurrencia (contenido fijo) y turnos evergreen por cuenta
+-- ============================================
+CREATE TABLE IF NOT EXISTS series_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tipo ENUM('recurrente', 'evergreen') NOT NULL DEFAULT 'recurrente',
+  contenido_id INT NULL,
+  cuenta_social_id INT NOT NULL,
+  frecuencia ENUM('diaria', 'semanal', 'mensual') NOT NULL,
+  cada_dias INT DEFAULT 1,
+  dias_semana VARCHAR(20) NULL,
+  dia_mes TINYINT NULL,
+  semana_mes TINYINT NULL,
+  dia_semana TINYINT NULL,
+  hora TIME NOT NULL,
+  fecha_inicio DATE NOT NULL,
+  fecha_fin DATE NULL,
+  activa BOOLEAN DEFAULT TRUE,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE,
+  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES usuarios(id) ON DELETE SET NULL,
+  INDEX idx_activa (activa)
+);
+
+-- ============================================
+-- TABLA: cola_evergreen
+-- Contenido reciclable por las series evergreen
+-- ============================================
+CREATE TABLE IF NOT EXISTS cola_evergreen (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT NOT NULL UNIQUE,
+  intervalo_min_dias INT DEFAULT 30,
+  ultima_publicacion DATETIME NULL,
+  veces_publicado INT DEFAULT 0,
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE
+);
+
+ALTER TABLE publicaciones_programadas
+  ADD COLUMN serie_id INT NULL AFTER lease_expira,
+  ADD CONSTRAINT fk_publicaciones_serie FOREIGN KEY (serie_id) REFERENCES series_publicacion(id) ON DELETE SET NULL,
+  ADD UNIQUE KEY uniq_serie_fecha (serie_id, fecha_programada);
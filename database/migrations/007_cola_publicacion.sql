@@ -0,0 +1,24 @@
+-- =============================================
+-- Migración 007: Cola de publicación por franjas semanales
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- ============================================
+-- TABLA: horarios_cola
+-- Franjas semanales de la cola de publicación de cada cuenta
+-- ============================================
+CREATE TABLE IF NOT EXISTS horarios_cola (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cuenta_social_id INT NOT NULL,
+  dia_semana TINYINT NOT NULL,
+  hora TIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_cuenta_franja (cuenta_social_id, dia_semana, hora)
+);
+
+ALTER TABLE publicaciones_programadas
+  ADD COLUMN en_cola BOOLEAN DEFAULT FALSE AFTER serie_id,
+  ADD COLUMN posicion_cola INT NULL AFTER en_cola,
+  ADD INDEX idx_cola (cuenta_social_id, en_cola, estado);
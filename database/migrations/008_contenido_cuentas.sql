@@ -0,0 +1,27 @@
+-- =============================================
+-- Migración 008: Cuentas destino por contenido
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- ============================================
+-- TABLA: contenido_cuentas
+-- Cuentas destino de cada contenido, con copy específico opcional
+-- ============================================
+CREATE TABLE IF NOT EXISTS contenido_cuentas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT NOT NULL,
+  cuenta_social_id INT NOT NULL,
+  copy_texto TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE,
+  FOREIGN KEY (cuenta_social_id) REFERENCES cuentas_sociales(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_contenido_cuenta (contenido_id, cuenta_social_id)
+);
+
+-- El contenido ya programado conserva su cuenta como destino explícito
+INSERT IGNORE INTO contenido_cuentas (contenido_id, cuenta_social_id)
+SELECT DISTINCT contenido_id, cuenta_social_id
+FROM publicaciones_programadas
+WHERE estado = 'pendiente' AND serie_id IS NULL
+  AND contenido_id IS NOT NULL AND cuenta_social_id IS NOT NULL;
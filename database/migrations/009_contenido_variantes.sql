@@ -0,0 +1,22 @@
+-- =============================================
+-- Migración 009: Variantes del contenido por plataforma
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- ============================================
+-- TABLA: contenido_variantes
+-- Copy y selección de imágenes del contenido para cada plataforma
+-- ============================================
+CREATE TABLE IF NOT EXISTS contenido_variantes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  contenido_id INT NOT NULL,
+  plataforma ENUM('instagram', 'facebook', 'linkedin') NOT NULL,
+  copy_texto TEXT NULL,
+  imagenes_ids VARCHAR(255) NULL,
+  generado_ia BOOLEAN DEFAULT FALSE,
+  modelo_ia VARCHAR(50) NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (contenido_id) REFERENCES contenido(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_contenido_plataforma (contenido_id, plataforma)
+);
@@ -0,0 +1,30 @@
+-- =============================================
+-- Migración 010: Edición y borrado remoto de publicaciones enviadas
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+ALTER TABLE publicaciones_programadas
+  MODIFY COLUMN estado ENUM('pendiente', 'enviado', 'fallido', 'cancelado', 'eliminado') DEFAULT 'pendiente',
+  ADD COLUMN texto_publicado TEXT NULL AFTER external_post_id,
+  ADD COLUMN editado_at DATETIME NULL AFTER texto_publicado;
+
+-- ============================================
+-- TABLA: acciones_publicacion
+-- Ediciones y borrados hechos desde la app sobre posts ya publicados
+-- ============================================
+CREATE TABLE IF NOT EXISTS acciones_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  publicacion_id INT NOT NULL,
+  usuario_id INT NULL,
+  accion ENUM('editar', 'eliminar') NOT NULL,
+  resultado ENUM('exito', 'error') NOT NULL,
+  texto_anterior TEXT NULL,
+  texto_nuevo TEXT NULL,
+  error TEXT NULL,
+  response_api TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (publicacion_id) REFERENCES publicaciones_programadas(id) ON DELETE CASCADE,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE SET NULL,
+  INDEX idx_publicacion (publicacion_id)
+);
@@ -0,0 +1,26 @@
+-- =============================================
+-- Migración 011: Ventanas de bloqueo y pausa global de publicación
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- ============================================
+-- TABLA: bloqueos_publicacion
+-- Ventanas sin publicación automática (festivos, crisis) y pausas globales
+-- Una pausa no tiene fin hasta que se reanuda
+-- ============================================
+CREATE TABLE IF NOT EXISTS bloqueos_publicacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tipo ENUM('ventana', 'pausa') NOT NULL DEFAULT 'ventana',
+  motivo VARCHAR(255) NOT NULL,
+  inicio DATETIME NOT NULL,
+  fin DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES usuarios(id) ON DELETE SET NULL,
+  INDEX idx_vigencia (inicio, fin)
+);
+
+-- Publicaciones que vencen durante un bloqueo quedan retenidas hasta que termina
+ALTER TABLE publicaciones_programadas
+  MODIFY COLUMN estado ENUM('pendiente', 'enviado', 'fallido', 'cancelado', 'eliminado', 'retenido') DEFAULT 'pendiente';
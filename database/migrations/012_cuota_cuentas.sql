@@ -0,0 +1,14 @@
+-- =============================================
+-- Migración 012: Cuota de publicación por cuenta
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- Límites propios de la cuenta (NULL = los de su plataforma)
+-- y último uso de la cuota informado por la red
+ALTER TABLE cuentas_sociales
+  ADD COLUMN limite_publicaciones INT NULL AFTER estado,
+  ADD COLUMN ventana_limite_horas INT NULL AFTER limite_publicaciones,
+  ADD COLUMN separacion_minima_min INT NULL AFTER ventana_limite_horas,
+  ADD COLUMN cuota_usada INT NULL AFTER separacion_minima_min,
+  ADD COLUMN cuota_actualizada_at DATETIME NULL AFTER cuota_usada;
@@ -0,0 +1,32 @@
+-- =============================================
+-- Migración 013: Zona horaria de la marca y de las cuentas
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+-- Desde este cambio las fechas se guardan en UTC (la conexión fija time_zone = '+00:00')
+-- y la app las muestra e interpreta en la zona de la marca.
+-- Lo generado por el servidor (series, colas, reintentos) ya estaba en UTC porque Railway
+-- trabaja en UTC. Lo escrito a mano desde la app se guardaba como hora de Ecuador sin zona
+-- (UTC-5, sin horario de verano): el último paso lo convierte a UTC.
+-- Ejecutar una sola vez: si se repite, el primer ALTER falla antes de volver a convertir.
+
+ALTER TABLE config_marca
+  ADD COLUMN zona_horaria VARCHAR(64) NOT NULL DEFAULT 'America/Guayaquil' AFTER segmento_principal;
+
+-- Zona de la audiencia de la cuenta (NULL = la de la marca)
+ALTER TABLE cuentas_sociales
+  ADD COLUMN zona_horaria VARCHAR(64) NULL AFTER estado;
+
+-- Fechas escritas a mano: publicaciones fuera de series y colas...
+UPDATE publicaciones_programadas
+  SET fecha_programada = CONVERT_TZ(fecha_programada, '-05:00', '+00:00')
+  WHERE fecha_programada IS NOT NULL AND serie_id IS NULL AND en_cola = FALSE;
+
+-- ...y la fecha de publicación de los contenidos que no programó una serie o la cola
+UPDATE contenido c
+  SET c.fecha_publicacion = CONVERT_TZ(c.fecha_publicacion, '-05:00', '+00:00')
+  WHERE c.fecha_publicacion IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM publicaciones_programadas pp
+      WHERE pp.contenido_id = c.id AND (pp.serie_id IS NOT NULL OR pp.en_cola = TRUE)
+    );
@@ -0,0 +1,14 @@
+-- =============================================
+-- Migración 014: Historial de intentos de publicación
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- Cada intento guarda qué instancia lo hizo, qué se envió, cuánto tardó
+-- y la categoría del error; 'aplazado' es un rechazo por límite de la red
+ALTER TABLE intentos_publicacion
+  MODIFY COLUMN resultado ENUM('exito', 'error_temporal', 'error_permanente', 'aplazado') NOT NULL,
+  ADD COLUMN instancia VARCHAR(100) NULL AFTER resultado,
+  ADD COLUMN categoria_error VARCHAR(30) NULL AFTER error,
+  ADD COLUMN resumen_envio TEXT NULL AFTER categoria_error,
+  ADD COLUMN duracion_ms INT NULL AFTER response_api;
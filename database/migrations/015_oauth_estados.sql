@@ -0,0 +1,19 @@
+-- =============================================
+-- Migración 015: Estados OAuth persistentes
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- Estado de cada flujo OAuth iniciado: sobrevive a reinicios y sirve a
+-- cualquier réplica. Se consume una sola vez y caduca a los pocos minutos
+CREATE TABLE IF NOT EXISTS oauth_estados (
+  state VARCHAR(64) PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  proveedor VARCHAR(30) NOT NULL,
+  code_verifier VARCHAR(128) NULL,
+  expira_at DATETIME NOT NULL,
+  consumido_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE,
+  INDEX idx_expira (expira_at)
+);
@@ -0,0 +1,24 @@
+-- =============================================
+-- Migración 016: Cuentas descubiertas en el OAuth
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- Páginas de Facebook y cuentas de Instagram que devolvió el último login de
+-- Meta de cada usuario. Solo las que elige pasan a cuentas_sociales; el resto
+-- queda disponible para conectarlas más tarde sin repetir el OAuth
+CREATE TABLE IF NOT EXISTS cuentas_descubiertas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  proveedor VARCHAR(30) NOT NULL,
+  plataforma ENUM('facebook', 'instagram', 'linkedin') NOT NULL,
+  nombre_cuenta VARCHAR(150),
+  page_id VARCHAR(150) NOT NULL,
+  -- Página de Facebook a la que está vinculada una cuenta de Instagram
+  vinculada_a VARCHAR(150) NULL,
+  access_token TEXT,
+  token_expires_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_usuario_cuenta (usuario_id, plataforma, page_id)
+);
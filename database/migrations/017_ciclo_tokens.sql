@@ -0,0 +1,20 @@
+-- =============================================
+-- Migración 017: Ciclo de vida de los tokens
+-- =============================================
+-- Ejecutar sobre bases de datos creadas antes de este cambio
+-- =============================================
+
+-- Registro del worker de renovación de tokens
+ALTER TABLE logs_workers
+  MODIFY COLUMN tipo ENUM('scheduler', 'metrics', 'limpieza', 'tokens') NOT NULL;
+
+-- Cuándo se avisó de que el token de la cuenta está por caducar (se reinicia al renovarlo)
+ALTER TABLE cuentas_sociales
+  ADD COLUMN aviso_caducidad_at DATETIME NULL AFTER token_expires_at;
+
+-- Por qué está retenida una publicación: un bloqueo de publicación o su cuenta
+-- expirada. Las de cuenta vuelven al scheduler cuando la cuenta se reconecta
+ALTER TABLE publicaciones_programadas
+  ADD COLUMN motivo_retencion ENUM('bloqueo', 'cuenta') NULL AFTER estado;
+
+UPDATE publicaciones_programadas SET motivo_retencion = 'bloqueo' WHERE estado = 'retenido';
@@ -12,11 +12,20 @@ const dbConfig = {
     database: process.env.MYSQL_DATABASE || process.env.DB_NAME || 'railway',
     waitForConnections: true,
     connectionLimit: 10,
-    queueLimit: 0
+    queueLimit: 0,
+    // Las fechas se guardan y se leen en UTC; la app las muestra en la zona de la marca
+    timezone: 'Z',
+    // Las columnas DATE son días naturales, sin hora ni zona: se leen como 'YYYY-MM-DD'
+    dateStrings: ['DATE']
 };
 
 export const pool = mysql.createPool(dbConfig);
 
+// NOW() y las comparaciones del scheduler también en UTC, sea cual sea la zona del servidor MySQL
+pool.on('connection', (connection) => {
+    connection.query("SET time_zone = '+00:00'");
+});
+
 // Función para probar la conexión
 export const testConnection = async () => {
     try {
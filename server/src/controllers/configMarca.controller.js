@@ -5,7 +5,9 @@
  */
 
 import * as ConfigMarcaModel from '../models/configMarca.model.js';
+import * as ZonaHorariaService from '../services/zonaHoraria.service.js';
 import { sendSuccess, sendError } from '../utils/helpers.js';
+import { esZonaValida } from '../utils/zonaHoraria.js';
 
 /**
  * Obtiene la configuración de marca actual
@@ -24,7 +26,8 @@ export const get = async (req, res) => {
                     tono_voz: 'Profesional, cercano, experto en contabilidad y tecnología',
                     pilares_comunicacion: 'Educación tributaria, Consejos para PyMEs, Novedades del SRI, Tecnología para negocios',
                     frecuencia_semanal: 4,
-                    segmento_principal: 'PyMEs ecuatorianas'
+                    segmento_principal: 'PyMEs ecuatorianas',
+                    zona_horaria: ZonaHorariaService.ZONA_POR_DEFECTO
                 },
                 is_default: true
             }, 'Configuración por defecto');
@@ -49,7 +52,8 @@ export const update = async (req, res) => {
             tono_voz,
             pilares_comunicacion,
             frecuencia_semanal,
-            segmento_principal
+            segmento_principal,
+            zona_horaria
         } = req.body;
 
         // Validar frecuencia si se proporciona
@@ -60,6 +64,11 @@ export const update = async (req, res) => {
             }
         }
 
+        // Las fechas de la app se interpretan en esta zona; si no llega se conserva la actual
+        if (zona_horaria !== undefined && !esZonaValida(zona_horaria)) {
+            return sendError(res, 'Zona horaria inválida (usa un identificador IANA como America/Guayaquil)', 400);
+        }
+
         // Crear o actualizar la configuración
         const config = await ConfigMarcaModel.upsert({
             nombre_marca,
@@ -67,7 +76,8 @@ export const update = async (req, res) => {
             tono_voz,
             pilares_comunicacion,
             frecuencia_semanal: frecuencia_semanal ? parseInt(frecuencia_semanal) : undefined,
-            segmento_principal
+            segmento_principal,
+            zona_horaria: zona_horaria || await ZonaHorariaService.zonaMarca()
         });
 
         return sendSuccess(res, { config }, 'Configuración actualizada');
@@ -156,7 +166,8 @@ export const reset = async (req, res) => {
             tono_voz: 'Profesional, cercano, experto en contabilidad y tecnología',
             pilares_comunicacion: 'Educación tributaria, Consejos para PyMEs, Novedades del SRI, Tecnología para negocios',
             frecuencia_semanal: 4,
-            segmento_principal: 'PyMEs ecuatorianas'
+            segmento_principal: 'PyMEs ecuatorianas',
+            zona_horaria: ZonaHorariaService.ZONA_POR_DEFECTO
         };
 
         const config = await ConfigMarcaModel.upsert(defaultConfig);
@@ -7,63 +7,238 @@
 import * as ContenidoModel from '../models/contenido.model.js';
 import * as CampanasModel from '../models/campanas.model.js';
 import * as PublicacionesModel from '../models/publicaciones.model.js';
-import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
 import * as ImagenesModel from '../models/imagenes.model.js';
+import * as VideosModel from '../models/videos.model.js';
+import * as StorageService from '../services/storage.service.js';
+import * as ValidacionService from '../services/validacion.service.js';
+import * as MejoresHorariosService from '../services/mejoresHorarios.service.js';
+import * as ColaPublicacionService from '../services/colaPublicacion.service.js';
+import * as ProgramacionService from '../services/programacion.service.js';
+import * as ZonaHorariaService from '../services/zonaHoraria.service.js';
+import * as ContenidoCuentasModel from '../models/contenidoCuentas.model.js';
+import * as ContenidoVariantesModel from '../models/contenidoVariantes.model.js';
 import { sendSuccess, sendError, paginate, paginatedResponse, validateRequired } from '../utils/helpers.js';
+import { validarStory, mediaDesdePayload } from '../utils/storyRules.js';
+import { PLATAFORMAS_VARIANTE, parsearIdsImagenes } from '../utils/variantes.js';
+
+// Estados a partir de los cuales el contenido puede acabar en el scheduler
+const ESTADOS_HACIA_SCHEDULER = ['aprobado', 'programado'];
+
+/**
+ * Elimina las publicaciones pendientes (no recurrentes) indicadas
+ * Las que estaban en la cola de una cuenta adelantan a los elementos siguientes
+ * @param {Array<Object>} existentes - Publicaciones del contenido
+ * @returns {Promise<number>} Publicaciones eliminadas
+ */
+const quitarPendientes = async (existentes) => {
+    const pendientes = existentes.filter(p => p.estado === 'pendiente' && !p.serie_id);
+
+    for (const pendiente of pendientes) {
+        if (pendiente.en_cola) {
+            await ColaPublicacionService.quitar(pendiente);
+        } else {
+            await PublicacionesModel.remove(pendiente.id);
+        }
+    }
+    return pendientes.length;
+};
+
+/**
+ * Filtra las cuentas que tienen franjas de cola configuradas
+ * @param {Array<Object>} cuentas - Cuentas conectadas
+ * @returns {Promise<Array<Object>>}
+ */
+const cuentasConCola = async (cuentas) => {
+    const conCola = [];
+    for (const cuenta of cuentas) {
+        if (await ColaPublicacionService.tieneCola(cuenta.id)) conCola.push(cuenta);
+    }
+    return conCola;
+};
+
+/**
+ * Cuentas de la cola a las que va un contenido: todas sus cuentas destino
+ * con franjas o, sin destinos explícitos, la primera de su plataforma
+ * @param {Object} contenido - Contenido
+ * @returns {Promise<Array<Object>>}
+ */
+const cuentasColaDestino = async (contenido) => {
+    const { explicitos, cuentas } = await ProgramacionService.resolverDestinos(contenido);
+    const conCola = await cuentasConCola(cuentas);
+    return explicitos ? conCola : conCola.slice(0, 1);
+};
 
 /**
  * Maneja la programación automática de publicaciones
- * Crea o actualiza la entrada en publicaciones_programadas si el estado es 'programado'
+ * Crea o actualiza una entrada en publicaciones_programadas por cuenta destino
+ * si el estado es 'programado'. El contenido programado sin fecha se añade a
+ * la cola de cada cuenta.
  */
 const handleScheduling = async (contenido) => {
     try {
+        // Las ocurrencias de series recurrentes se gestionan aparte
+        const existentes = await PublicacionesModel.getByContenido(contenido.id);
+
         // 1. Si NO es programado, verificar si había algo pendiente y borrarlo
         if (contenido.estado !== 'programado') {
-            const existentes = await PublicacionesModel.getByContenido(contenido.id);
-            const pendiente = existentes.find(p => p.estado === 'pendiente');
-            if (pendiente) {
-                await PublicacionesModel.remove(pendiente.id);
-                console.log(`[AutoSchedule] Eliminada publicación pendiente para contenido ${contenido.id} (estado cambió a ${contenido.estado})`);
+            if (await quitarPendientes(existentes) > 0) {
+                console.log(`[AutoSchedule] Eliminadas publicaciones pendientes para contenido ${contenido.id} (estado cambió a ${contenido.estado})`);
             }
             return;
         }
 
-        // 2. Si ES programado, validar fecha
-        if (!contenido.fecha_publicacion) {
-            console.warn(`[AutoSchedule] Contenido ${contenido.id} es programado pero no tiene fecha`);
+        // 2. Cuentas destino (explícitas o la primera conectada de la plataforma)
+        const { explicitos, cuentas } = await ProgramacionService.resolverDestinos(contenido);
+        if (cuentas.length === 0) {
+            console.warn(`[AutoSchedule] No se pudo programar: No hay cuentas destino conectadas para contenido ${contenido.id}`);
             return;
         }
 
-        // 3. Buscar cuenta conectada para la plataforma
-        const cuentas = await CuentasSocialesModel.getByPlataforma(contenido.plataforma);
-        if (!cuentas || cuentas.length === 0) {
-            console.warn(`[AutoSchedule] No se pudo programar: No hay cuentas conectadas para ${contenido.plataforma}`);
+        // 3. Sin fecha: añadir a la cola de cada cuenta (o mantener su sitio si ya está en ella)
+        if (!contenido.fecha_publicacion) {
+            const cuentasCola = await cuentasColaDestino(contenido);
+            if (cuentasCola.length === 0) {
+                console.warn(`[AutoSchedule] Contenido ${contenido.id} es programado pero no tiene fecha ni cola configurada`);
+                return;
+            }
+
+            const idsCola = cuentasCola.map(c => c.id);
+            await quitarPendientes(existentes.filter(p => !idsCola.includes(p.cuenta_social_id) || !p.en_cola));
+
+            for (const cuenta of cuentasCola) {
+                if (existentes.some(p => p.estado === 'pendiente' && p.en_cola && p.cuenta_social_id === cuenta.id)) continue;
+
+                const encolada = await ColaPublicacionService.encolar(contenido.id, cuenta.id);
+                console.log(`[AutoSchedule] ✅ Contenido ${contenido.id} añadido a la cola de ${cuenta.nombre_cuenta} (${encolada.fecha_programada})`);
+            }
             return;
         }
-        const cuenta = cuentas[0]; // Usar la primera disponible
 
-        // 4. Gestionar duplicados (Eliminar anterior si existe para recrear con nuevos datos)
-        const existentes = await PublicacionesModel.getByContenido(contenido.id);
-        const pendiente = existentes.find(p => p.estado === 'pendiente');
-        
-        if (pendiente) {
-            await PublicacionesModel.remove(pendiente.id);
-        }
+        // 4. Gestionar duplicados (Eliminar anteriores para recrear con nuevos datos)
+        await quitarPendientes(existentes);
 
-        // 5. Crear nueva publicación programada
-        await PublicacionesModel.create({
-            contenido_id: contenido.id,
-            cuenta_social_id: cuenta.id,
-            fecha_programada: new Date(contenido.fecha_publicacion)
-        });
+        // 5. Crear una publicación programada por cuenta destino
+        const destinos = explicitos ? cuentas : [cuentas[0]]; // Sin destinos: la primera disponible
+        const { resultados, errores } = await ProgramacionService.programarEnCuentas(
+            contenido,
+            destinos.map(cuenta => ({ cuenta_social_id: cuenta.id, fecha_programada: contenido.fecha_publicacion })),
+            { validar: false }
+        );
 
-        console.log(`[AutoSchedule] ✅ Contenido ${contenido.id} programado para ${contenido.fecha_publicacion} en ${cuenta.nombre_cuenta}`);
+        for (const publicacion of resultados) {
+            console.log(`[AutoSchedule] ✅ Contenido ${contenido.id} programado para ${contenido.fecha_publicacion} en ${publicacion.nombre_cuenta}`);
+        }
+        for (const { cuenta_social_id, error } of errores) {
+            console.warn(`[AutoSchedule] No se pudo programar contenido ${contenido.id} en la cuenta ${cuenta_social_id}: ${error}`);
+        }
 
     } catch (error) {
         console.error('[AutoSchedule] Error:', error);
     }
 };
 
+/**
+ * Registra el video de un contenido reemplazando el anterior
+ * @param {number} contenidoId - ID del contenido
+ * @param {Object} video - { url, cover_url, thumb_offset_ms, duracion_segundos }
+ */
+const guardarVideo = async (contenidoId, video) => {
+    await VideosModel.removeByContenido(contenidoId);
+
+    if (!video?.url) return null;
+
+    return await VideosModel.create({
+        contenido_id: contenidoId,
+        url_video: video.url,
+        cover_url: video.cover_url || null,
+        thumb_offset_ms: parseInt(video.thumb_offset_ms) || 0,
+        duracion_segundos: video.duracion_segundos || null,
+        ancho: parseInt(video.ancho) || null,
+        alto: parseInt(video.alto) || null
+    });
+};
+
+/**
+ * Registra el medio único de una Story (imagen o video) reemplazando el anterior
+ * @param {number} contenidoId - ID del contenido
+ * @param {Object} story - { media_tipo, url, ancho, alto, duracion_segundos }
+ */
+const guardarStory = async (contenidoId, story) => {
+    await ImagenesModel.removeByContenido(contenidoId);
+    await VideosModel.removeByContenido(contenidoId);
+
+    if (!story?.url) return null;
+
+    if (story.media_tipo === 'video') {
+        return await guardarVideo(contenidoId, story);
+    }
+
+    return await ImagenesModel.create({
+        contenido_id: contenidoId,
+        url_imagen: story.url,
+        prompt_imagen: story.prompt || 'Imagen de Story',
+        ancho: parseInt(story.ancho) || null,
+        alto: parseInt(story.alto) || null,
+        tamano_bytes: parseInt(story.tamano_bytes) || null
+    });
+};
+
+/**
+ * Valida el medio de una Story antes de que pueda llegar al scheduler.
+ * Un borrador puede guardarse sin medio, pero nunca con un medio inválido
+ * @param {Object} media - { imagenes, videos }
+ * @param {string} estado - Estado resultante del contenido
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+const validarMediaStory = (media, estado) => {
+    const sinMedio = media.imagenes.length + media.videos.length === 0;
+    if (sinMedio && !ESTADOS_HACIA_SCHEDULER.includes(estado)) return null;
+
+    const errores = validarStory(media);
+    return errores.length > 0 ? errores.join('. ') : null;
+};
+
+/**
+ * Imágenes y video enviados en la petición, con el formato de sus tablas
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} { imagenes, videos }
+ */
+const mediaDeLaPeticion = (body) => {
+    let imagenes = [];
+    if (Array.isArray(body.imagenes) && body.imagenes.length > 0) {
+        imagenes = body.imagenes.map(img => ({
+            url_imagen: img.url,
+            ancho: parseInt(img.ancho) || null,
+            alto: parseInt(img.alto) || null,
+            tamano_bytes: parseInt(img.tamano_bytes) || null
+        }));
+    } else if (body.imagen_url) {
+        imagenes = [{ url_imagen: body.imagen_url }];
+    }
+
+    const videos = body.video?.url
+        ? [{ url_video: body.video.url, duracion_segundos: body.video.duracion_segundos || null }]
+        : [];
+
+    return { imagenes, videos };
+};
+
+/**
+ * Valida el contenido contra los límites de su plataforma cuando va a quedar
+ * aprobado o programado (es decir, cuando puede llegar al scheduler).
+ * Con cuentas destino se valida cada una con su plataforma y su copy.
+ * @param {Object} contenido - Contenido resultante con imagenes, videos y cuentas
+ * @param {string} estado - Estado resultante
+ * @returns {Promise<Object|null>} Resultado de la validación o null si no aplica
+ */
+const validarSiVaAlScheduler = async (contenido, estado) => {
+    if (!ESTADOS_HACIA_SCHEDULER.includes(estado)) return null;
+    if (contenido.cuentas?.length > 0) {
+        return await ValidacionService.validarDestinos(contenido, contenido.cuentas);
+    }
+    return await ValidacionService.validarContenido(contenido, contenido.plataforma);
+};
+
 /**
  * Lista todo el contenido con paginación y filtros
  * @route GET /api/contenido
@@ -106,7 +281,10 @@ export const getById = async (req, res) => {
             return sendError(res, 'Contenido no encontrado', 404);
         }
 
-        return sendSuccess(res, { contenido });
+        // fecha_publicacion llega en UTC: el formulario la muestra en la hora de la marca
+        const zona_horaria = await ZonaHorariaService.zonaMarca();
+
+        return sendSuccess(res, { contenido, zona_horaria });
     } catch (error) {
         console.error('Error obteniendo contenido:', error);
         return sendError(res, 'Error al obtener contenido', 500);
@@ -157,6 +335,36 @@ export const create = async (req, res) => {
             return sendError(res, `Estado inválido. Opciones: ${validEstados.join(', ')}`, 400);
         }
 
+        // Validar formato de la Story (9:16, medio único)
+        if (tipo === 'story') {
+            const errorStory = validarMediaStory(mediaDesdePayload(req.body.story), estado || 'pendiente');
+            if (errorStory) {
+                return sendError(res, errorStory, 400);
+            }
+        }
+
+        // Cuentas destino con su copy específico (opcional)
+        let destinos = [];
+        if (req.body.cuentas !== undefined) {
+            const preparados = await ProgramacionService.prepararDestinos(req.body.cuentas);
+            if (preparados.errores.length > 0) {
+                return sendError(res, preparados.errores.join('. '), 400);
+            }
+            destinos = preparados.destinos;
+        }
+
+        // Validar límites de la plataforma si va directo a aprobado/programado
+        const validacion = await validarSiVaAlScheduler({
+            ...req.body,
+            cuentas: destinos,
+            tipo: tipo || 'post',
+            plataforma: plataforma || 'instagram',
+            ...(tipo === 'story' ? mediaDesdePayload(req.body.story) : mediaDeLaPeticion(req.body))
+        }, estado || 'pendiente');
+        if (validacion && !validacion.valido) {
+            return sendError(res, validacion.errores.join('. '), 400, validacion);
+        }
+
         const nuevoContenido = await ContenidoModel.create({
             campana_id: campana_id ? parseInt(campana_id) : null,
             titulo,
@@ -167,7 +375,7 @@ export const create = async (req, res) => {
             estado: estado || 'pendiente',
             prompt_usado,
             modelo_ia,
-            fecha_publicacion,
+            fecha_publicacion: await ZonaHorariaService.interpretarFecha(fecha_publicacion),
             created_by: req.user.id
         });
 
@@ -175,8 +383,13 @@ export const create = async (req, res) => {
         console.log('[CONTENIDO] imagen_url recibida:', imagen_url);
         console.log('[CONTENIDO] imagen_prompt recibida:', imagen_prompt);
 
+        // Medio de la Story (imagen o video vertical)
+        if (tipo === 'story' && req.body.story?.url) {
+            await guardarStory(nuevoContenido.id, req.body.story);
+            console.log('[STORY] ✅ Medio registrado:', req.body.story.url);
+        }
         // Si se proporcionó un array de imágenes, crear registros
-        if (req.body.imagenes && Array.isArray(req.body.imagenes) && req.body.imagenes.length > 0) {
+        else if (req.body.imagenes && Array.isArray(req.body.imagenes) && req.body.imagenes.length > 0) {
             console.log(`[IMAGEN] ✅ Procesando ${req.body.imagenes.length} imágenes...`);
             
             for (const img of req.body.imagenes) {
@@ -185,7 +398,10 @@ export const create = async (req, res) => {
                         contenido_id: nuevoContenido.id,
                         url_imagen: img.url,
                         prompt_imagen: img.prompt || 'Imagen generada con IA',
-                        modelo_ia: modelo_ia || 'dall-e-3'
+                        modelo_ia: modelo_ia || 'dall-e-3',
+                        ancho: parseInt(img.ancho) || null,
+                        alto: parseInt(img.alto) || null,
+                        tamano_bytes: parseInt(img.tamano_bytes) || null
                     });
                     console.log('[IMAGEN] ✅ Imagen registrada:', img.url);
                 } catch (imgError) {
@@ -213,10 +429,23 @@ export const create = async (req, res) => {
             console.log('[IMAGEN] ⚠️ No se recibieron imágenes');
         }
 
+        // Video subido previamente a R2 (contenido tipo video)
+        if (req.body.video?.url) {
+            const videoCreado = await guardarVideo(nuevoContenido.id, req.body.video);
+            console.log('[VIDEO] ✅ Video registrado:', videoCreado.url_video);
+        }
+
+        if (destinos.length > 0) {
+            await ContenidoCuentasModel.reemplazar(nuevoContenido.id, destinos);
+        }
+
         // Intentar programar automáticamente
         await handleScheduling(nuevoContenido);
 
-        return sendSuccess(res, { contenido: nuevoContenido }, 'Contenido creado exitosamente', 201);
+        return sendSuccess(res, {
+            contenido: nuevoContenido,
+            advertencias: validacion?.advertencias || []
+        }, 'Contenido creado exitosamente', 201);
     } catch (error) {
         console.error('Error creando contenido:', error);
         return sendError(res, 'Error al crear contenido', 500);
@@ -263,9 +492,62 @@ export const update = async (req, res) => {
             return sendError(res, `Estado inválido. Opciones: ${validEstados.join(', ')}`, 400);
         }
 
-        const updated = await ContenidoModel.update(parseInt(id), req.body);
+        // Validar formato de la Story con el medio nuevo o el ya guardado
+        const tipoFinal = req.body.tipo || existingContenido.tipo;
+        if (tipoFinal === 'story') {
+            const media = req.body.story !== undefined
+                ? mediaDesdePayload(req.body.story)
+                : { imagenes: existingContenido.imagenes, videos: existingContenido.videos };
+            const errorStory = validarMediaStory(media, req.body.estado || existingContenido.estado);
+            if (errorStory) {
+                return sendError(res, errorStory, 400);
+            }
+        }
+
+        // Cuentas destino nuevas (si se envían) o las ya guardadas
+        let destinos = existingContenido.cuentas;
+        if (req.body.cuentas !== undefined) {
+            const preparados = await ProgramacionService.prepararDestinos(req.body.cuentas);
+            if (preparados.errores.length > 0) {
+                return sendError(res, preparados.errores.join('. '), 400);
+            }
+            destinos = preparados.destinos;
+        }
+
+        // Validar límites de la plataforma con los datos resultantes
+        const mediaResultante = tipoFinal === 'story' && req.body.story !== undefined
+            ? mediaDesdePayload(req.body.story)
+            : {
+                imagenes: existingContenido.imagenes,
+                videos: req.body.video !== undefined ? mediaDeLaPeticion(req.body).videos : existingContenido.videos
+            };
+        const validacion = await validarSiVaAlScheduler(
+            { ...existingContenido, ...req.body, ...mediaResultante, cuentas: destinos },
+            req.body.estado || existingContenido.estado
+        );
+        if (validacion && !validacion.valido) {
+            return sendError(res, validacion.errores.join('. '), 400, validacion);
+        }
 
-        if (!updated) {
+        // La fecha llega en hora de la marca y se guarda en UTC
+        const cambios = req.body.fecha_publicacion
+            ? { ...req.body, fecha_publicacion: await ZonaHorariaService.interpretarFecha(req.body.fecha_publicacion) }
+            : req.body;
+        const updated = await ContenidoModel.update(parseInt(id), cambios);
+
+        // El video y el medio de la Story se gestionan en sus propias tablas
+        if (tipoFinal === 'story' && req.body.story !== undefined) {
+            await guardarStory(parseInt(id), req.body.story);
+        } else if (req.body.video !== undefined) {
+            await guardarVideo(parseInt(id), req.body.video);
+        }
+
+        if (req.body.cuentas !== undefined) {
+            await ContenidoCuentasModel.reemplazar(parseInt(id), destinos);
+        }
+
+        const cambioMedia = req.body.video !== undefined || req.body.story !== undefined;
+        if (!updated && !cambioMedia && req.body.cuentas === undefined) {
             return sendError(res, 'No se realizaron cambios', 400);
         }
 
@@ -274,7 +556,10 @@ export const update = async (req, res) => {
         // Intentar programar automáticamente
         await handleScheduling(contenido);
 
-        return sendSuccess(res, { contenido }, 'Contenido actualizado');
+        return sendSuccess(res, {
+            contenido,
+            advertencias: validacion?.advertencias || []
+        }, 'Contenido actualizado');
     } catch (error) {
         console.error('Error actualizando contenido:', error);
         return sendError(res, 'Error al actualizar contenido', 500);
@@ -288,7 +573,7 @@ export const update = async (req, res) => {
 export const updateEstado = async (req, res) => {
     try {
         const { id } = req.params;
-        const { estado } = req.body;
+        const { estado, auto_programar, en_cola } = req.body;
 
         const validEstados = ['pendiente', 'aprobado', 'programado', 'publicado', 'rechazado'];
         if (!estado || !validEstados.includes(estado)) {
@@ -300,15 +585,178 @@ export const updateEstado = async (req, res) => {
             return sendError(res, 'Contenido no encontrado', 404);
         }
 
+        // No se aprueba ni programa contenido que la plataforma rechazaría
+        const validacion = await validarSiVaAlScheduler(existingContenido, estado);
+        if (validacion && !validacion.valido) {
+            return sendError(res, validacion.errores.join('. '), 400, validacion);
+        }
+
+        // Aprobar y añadir a la cola de cada cuenta destino (siguiente franja libre)
+        if (estado === 'aprobado' && en_cola) {
+            const cuentasCola = await cuentasColaDestino(existingContenido);
+            if (cuentasCola.length === 0) {
+                return sendError(res, 'Ninguna cuenta destino tiene franjas de cola configuradas', 400);
+            }
+
+            const enCola = { ...existingContenido, estado: 'programado', fecha_publicacion: null };
+            await ContenidoModel.update(parseInt(id), { estado: 'programado', fecha_publicacion: null });
+            await handleScheduling(enCola);
+
+            const publicaciones = (await PublicacionesModel.getByContenido(existingContenido.id))
+                .filter(p => p.estado === 'pendiente' && p.en_cola);
+
+            return sendSuccess(res, {
+                estado: 'programado',
+                fecha_publicacion: publicaciones[0]?.fecha_programada || null,
+                cuenta: publicaciones.map(p => p.nombre_cuenta).join(', '),
+                publicaciones,
+                advertencias: validacion?.advertencias || []
+            }, 'Contenido aprobado y añadido a la cola');
+        }
+
+        // Aprobar y programar en la siguiente franja recomendada (la de la primera cuenta destino)
+        if (estado === 'aprobado' && auto_programar) {
+            const { cuentas } = await ProgramacionService.resolverDestinos(existingContenido);
+            if (cuentas.length === 0) {
+                return sendError(res, `No hay cuentas conectadas para ${existingContenido.plataforma}`, 400);
+            }
+
+            const siguiente = await MejoresHorariosService.siguienteHorario({
+                plataforma: cuentas[0].plataforma,
+                cuenta_social_id: cuentas[0].id
+            });
+
+            await ContenidoModel.update(parseInt(id), { estado: 'programado', fecha_publicacion: siguiente.fecha });
+            await handleScheduling({ ...existingContenido, estado: 'programado', fecha_publicacion: siguiente.fecha });
+
+            const publicaciones = (await PublicacionesModel.getByContenido(existingContenido.id))
+                .filter(p => p.estado === 'pendiente' && !p.serie_id);
+
+            return sendSuccess(res, {
+                estado: 'programado',
+                fecha_publicacion: siguiente.fecha,
+                horario: siguiente.horario,
+                publicaciones,
+                advertencias: validacion?.advertencias || []
+            }, 'Contenido aprobado y programado en el mejor horario');
+        }
+
         await ContenidoModel.updateEstado(parseInt(id), estado);
 
-        return sendSuccess(res, { estado }, 'Estado actualizado');
+        return sendSuccess(res, {
+            estado,
+            advertencias: validacion?.advertencias || []
+        }, 'Estado actualizado');
     } catch (error) {
         console.error('Error actualizando estado:', error);
         return sendError(res, 'Error al actualizar estado', 500);
     }
 };
 
+/**
+ * Valida un contenido contra los límites de una plataforma sin cambiar su estado
+ * @route GET /api/contenido/:id/validacion
+ */
+export const validar = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const contenido = await ContenidoModel.getById(parseInt(id));
+        if (!contenido) {
+            return sendError(res, 'Contenido no encontrado', 404);
+        }
+
+        // Sin plataforma indicada, el contenido con cuentas destino se valida para cada una
+        const validacion = !req.query.plataforma && contenido.cuentas.length > 0
+            ? await ValidacionService.validarDestinos(contenido, contenido.cuentas)
+            : await ValidacionService.validarContenido(contenido, req.query.plataforma || contenido.plataforma);
+
+        return sendSuccess(res, validacion, validacion.valido ? 'Contenido listo para publicar' : 'El contenido tiene errores');
+    } catch (error) {
+        console.error('Error validando contenido:', error);
+        return sendError(res, 'Error al validar contenido', 500);
+    }
+};
+
+/**
+ * Obtiene las variantes por plataforma de un contenido
+ * @route GET /api/contenido/:id/variantes
+ */
+export const getVariantes = async (req, res) => {
+    try {
+        const contenido = await ContenidoModel.getById(parseInt(req.params.id));
+        if (!contenido) {
+            return sendError(res, 'Contenido no encontrado', 404);
+        }
+
+        return sendSuccess(res, { variantes: contenido.variantes });
+    } catch (error) {
+        console.error('Error obteniendo variantes:', error);
+        return sendError(res, 'Error al obtener variantes', 500);
+    }
+};
+
+/**
+ * Crea o actualiza la variante de una plataforma (copy y selección de imágenes)
+ * @route PUT /api/contenido/:id/variantes/:plataforma
+ */
+export const guardarVariante = async (req, res) => {
+    try {
+        const { id, plataforma } = req.params;
+        const { copy_texto, imagenes_ids } = req.body;
+
+        if (!PLATAFORMAS_VARIANTE.includes(plataforma)) {
+            return sendError(res, `Plataforma no válida. Opciones: ${PLATAFORMAS_VARIANTE.join(', ')}`, 400);
+        }
+
+        const contenido = await ContenidoModel.getById(parseInt(id));
+        if (!contenido) {
+            return sendError(res, 'Contenido no encontrado', 404);
+        }
+
+        // La selección solo puede incluir imágenes del propio contenido
+        const ids = parsearIdsImagenes(imagenes_ids);
+        if (ids) {
+            const ajenas = ids.filter(imgId => !contenido.imagenes.some(img => img.id === imgId));
+            if (ajenas.length > 0) {
+                return sendError(res, `Imágenes que no pertenecen al contenido: ${ajenas.join(', ')}`, 400);
+            }
+        }
+
+        const variante = await ContenidoVariantesModel.upsert({
+            contenido_id: contenido.id,
+            plataforma,
+            copy_texto: copy_texto || null,
+            imagenes_ids: ids ? ids.join(',') : null
+        });
+
+        return sendSuccess(res, { variante }, `Variante de ${plataforma} guardada`);
+    } catch (error) {
+        console.error('Error guardando variante:', error);
+        return sendError(res, 'Error al guardar variante', 500);
+    }
+};
+
+/**
+ * Elimina la variante de una plataforma (se vuelve a publicar el copy maestro)
+ * @route DELETE /api/contenido/:id/variantes/:plataforma
+ */
+export const eliminarVariante = async (req, res) => {
+    try {
+        const { id, plataforma } = req.params;
+
+        const eliminada = await ContenidoVariantesModel.remove(parseInt(id), plataforma);
+        if (!eliminada) {
+            return sendError(res, 'Variante no encontrada', 404);
+        }
+
+        return sendSuccess(res, null, `Variante de ${plataforma} eliminada`);
+    } catch (error) {
+        console.error('Error eliminando variante:', error);
+        return sendError(res, 'Error al eliminar variante', 500);
+    }
+};
+
 /**
  * Elimina contenido
  * @route DELETE /api/contenido/:id
@@ -331,6 +779,29 @@ export const remove = async (req, res) => {
     }
 };
 
+/**
+ * Sube un video a R2 para usarlo en un contenido
+ * @route POST /api/contenido/upload-video
+ */
+export const uploadVideo = async (req, res) => {
+    try {
+        if (!req.file) {
+            return sendError(res, 'No se ha subido ningún video', 400);
+        }
+
+        const url = await StorageService.uploadVideo(req.file.buffer, req.file.mimetype);
+
+        return sendSuccess(res, {
+            url_video: url,
+            size: req.file.size,
+            mimetype: req.file.mimetype
+        }, 'Video subido exitosamente', 201);
+    } catch (error) {
+        console.error('Error subiendo video:', error);
+        return sendError(res, 'Error al subir video', 500);
+    }
+};
+
 /**
  * Obtiene contenido pendiente de aprobación
  * @route GET /api/contenido/pendientes
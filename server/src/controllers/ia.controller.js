@@ -9,7 +9,9 @@ import * as OpenAIService from '../services/openai.service.js';
 import * as DalleService from '../services/dalle.service.js';
 import * as ContenidoModel from '../models/contenido.model.js';
 import * as ConfigMarcaModel from '../models/configMarca.model.js';
+import * as ContenidoVariantesModel from '../models/contenidoVariantes.model.js';
 import { sendSuccess, sendError, validateRequired } from '../utils/helpers.js';
+import { PLATAFORMAS_VARIANTE } from '../utils/variantes.js';
 
 /**
  * Genera copy para publicaciones
@@ -192,6 +194,85 @@ export const mejorarTexto = async (req, res) => {
     }
 };
 
+/**
+ * Genera variantes por plataforma a partir del copy maestro de un contenido
+ * @route POST /api/ia/generar-variantes
+ */
+export const generarVariantes = async (req, res) => {
+    try {
+        const { contenido_id, plataformas, modelo } = req.body;
+
+        const validation = validateRequired(req.body, ['contenido_id']);
+        if (!validation.valid) {
+            return sendError(res, 'Campo requerido: contenido_id', 400);
+        }
+
+        const contenido = await ContenidoModel.getById(parseInt(contenido_id));
+        if (!contenido) {
+            return sendError(res, 'Contenido no encontrado', 404);
+        }
+        if (!contenido.copy_texto) {
+            return sendError(res, 'El contenido no tiene copy para adaptar', 400);
+        }
+
+        const destino = Array.isArray(plataformas) && plataformas.length > 0 ? plataformas : PLATAFORMAS_VARIANTE;
+        const invalidas = destino.filter(p => !PLATAFORMAS_VARIANTE.includes(p));
+        if (invalidas.length > 0) {
+            return sendError(res, `Plataformas no válidas: ${invalidas.join(', ')}`, 400);
+        }
+
+        let contextoMarca = null;
+        try {
+            contextoMarca = await ConfigMarcaModel.get();
+        } catch (e) {
+            // Si no hay config de marca, continuar sin ella
+        }
+
+        const usarOpenAI = modelo === 'openai' || modelo === 'gpt-4';
+        let servicio = GeminiService;
+        if (usarOpenAI && OpenAIService.verificarConfiguracion().configurado) {
+            servicio = OpenAIService;
+        } else if (!GeminiService.verificarConfiguracion().configurado) {
+            return sendError(res, 'API de IA no configurada', 500);
+        }
+
+        const variantes = [];
+        const errores = [];
+        for (const plataforma of destino) {
+            const resultado = await servicio.adaptarCopy({
+                copy: contenido.copy_texto,
+                plataforma,
+                contextoMarca
+            });
+
+            if (!resultado.success) {
+                errores.push({ plataforma, error: resultado.error });
+                continue;
+            }
+
+            // La selección de imágenes de la variante se conserva
+            const actual = contenido.variantes.find(v => v.plataforma === plataforma);
+            variantes.push(await ContenidoVariantesModel.upsert({
+                contenido_id: contenido.id,
+                plataforma,
+                copy_texto: resultado.copy_texto,
+                imagenes_ids: actual?.imagenes_ids || null,
+                generado_ia: true,
+                modelo_ia: resultado.modelo
+            }));
+        }
+
+        if (variantes.length === 0) {
+            return sendError(res, 'Error generando variantes', 500, errores);
+        }
+
+        return sendSuccess(res, { variantes, errores }, `${variantes.length} variante(s) generada(s)`);
+    } catch (error) {
+        console.error('Error en generarVariantes:', error);
+        return sendError(res, 'Error generando variantes', 500);
+    }
+};
+
 /**
  * Genera prompt para imagen (sin generar la imagen)
  * @route POST /api/ia/generar-prompt-imagen
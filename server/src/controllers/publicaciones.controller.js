@@ -7,7 +7,31 @@
 import * as PublicacionesModel from '../models/publicaciones.model.js';
 import * as ContenidoModel from '../models/contenido.model.js';
 import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import * as IntentosPublicacionModel from '../models/intentosPublicacion.model.js';
+import * as AccionesPublicacionModel from '../models/accionesPublicacion.model.js';
 import { sendSuccess, sendError, paginate, paginatedResponse, validateRequired } from '../utils/helpers.js';
+import * as ValidacionService from '../services/validacion.service.js';
+import * as RecurrenciaService from '../services/recurrencia.service.js';
+import * as SeriesPublicacionModel from '../models/seriesPublicacion.model.js';
+import * as ColaEvergreenModel from '../models/colaEvergreen.model.js';
+import * as MejoresHorariosService from '../services/mejoresHorarios.service.js';
+import * as ColaPublicacionService from '../services/colaPublicacion.service.js';
+import * as ProgramacionService from '../services/programacion.service.js';
+import * as HorariosColaModel from '../models/horariosCola.model.js';
+import * as Platforms from '../services/platforms/index.js';
+import * as BloqueosService from '../services/bloqueos.service.js';
+import * as BloqueosPublicacionModel from '../models/bloqueosPublicacion.model.js';
+import * as ZonaHorariaService from '../services/zonaHoraria.service.js';
+import * as PublicacionesFallidasService from '../services/publicacionesFallidas.service.js';
+import { descifrarToken } from '../utils/cifradoTokens.js';
+import { validarRegla, normalizarRegla, siguienteOcurrencia, describirRegla } from '../utils/recurrencia.js';
+import { validarFranjas } from '../utils/colaPublicacion.js';
+import { validarVentana } from '../utils/bloqueos.js';
+import { fechaEnZona, formatearEnZona, parsearFechaLocal } from '../utils/zonaHoraria.js';
+import { validarAccionMasiva } from '../utils/publicacionesFallidas.js';
+
+// Horizonte del calendario cuando no se indica fin de rango
+const HORIZONTE_CALENDARIO_DIAS = 31;
 
 /**
  * Lista todas las publicaciones programadas
@@ -43,13 +67,49 @@ export const getById = async (req, res) => {
             return sendError(res, 'Publicación no encontrada', 404);
         }
 
-        return sendSuccess(res, { publicacion });
+        // Incluir los intentos para que el editor vea por qué se reintentó
+        const intentos = await IntentosPublicacionModel.getByPublicacion(publicacion.id);
+        const acciones = await AccionesPublicacionModel.getByPublicacion(publicacion.id);
+
+        return sendSuccess(res, { publicacion, intentos, acciones });
     } catch (error) {
         console.error('Error obteniendo publicación:', error);
         return sendError(res, 'Error al obtener publicación', 500);
     }
 };
 
+/**
+ * Historial de intentos de una publicación, del más reciente al más antiguo
+ * Cada intento incluye la instancia, el resumen del envío, la respuesta de la red,
+ * la categoría del error y la duración, para diagnosticar sin los logs del servidor
+ * @route GET /api/publicaciones/:id/historial
+ */
+export const getHistorial = async (req, res) => {
+    try {
+        const publicacion = await PublicacionesModel.getById(parseInt(req.params.id));
+        if (!publicacion) {
+            return sendError(res, 'Publicación no encontrada', 404);
+        }
+
+        const historial = await IntentosPublicacionModel.getHistorial(publicacion.id);
+
+        return sendSuccess(res, {
+            publicacion: {
+                id: publicacion.id,
+                estado: publicacion.estado,
+                intentos: publicacion.intentos,
+                proximo_intento: publicacion.proximo_intento,
+                ultimo_error: publicacion.ultimo_error
+            },
+            historial,
+            total: historial.length
+        });
+    } catch (error) {
+        console.error('Error obteniendo historial de publicación:', error);
+        return sendError(res, 'Error al obtener historial', 500);
+    }
+};
+
 /**
  * Programa una nueva publicación
  * @route POST /api/publicaciones
@@ -82,8 +142,18 @@ export const create = async (req, res) => {
             return sendError(res, 'La cuenta social no está conectada', 400);
         }
 
-        // Validar fecha programada
-        const fechaProg = new Date(fecha_programada);
+        // Validar contra los límites de la red de la cuenta (texto, imágenes, Stories...)
+        // con el copy específico de la cuenta si el contenido lo tiene
+        const destino = contenido.cuentas.find(c => c.cuenta_social_id === cuenta.id);
+        const validacion = await ValidacionService.validarContenido(contenido, cuenta.plataforma, {
+            copyCuenta: destino?.copy_texto
+        });
+        if (!validacion.valido) {
+            return sendError(res, validacion.errores.join('. '), 400, validacion);
+        }
+
+        // Validar fecha programada (hora de pared de la marca si no trae zona)
+        const fechaProg = await ZonaHorariaService.interpretarFecha(fecha_programada);
         if (isNaN(fechaProg.getTime())) {
             return sendError(res, 'Fecha programada inválida', 400);
         }
@@ -101,7 +171,10 @@ export const create = async (req, res) => {
         // Actualizar estado del contenido a 'programado'
         await ContenidoModel.updateEstado(parseInt(contenido_id), 'programado');
 
-        return sendSuccess(res, { publicacion }, 'Publicación programada exitosamente', 201);
+        return sendSuccess(res, {
+            publicacion,
+            advertencias: validacion.advertencias
+        }, 'Publicación programada exitosamente', 201);
     } catch (error) {
         console.error('Error programando publicación:', error);
         return sendError(res, 'Error al programar publicación', 500);
@@ -109,7 +182,8 @@ export const create = async (req, res) => {
 };
 
 /**
- * Programa múltiples publicaciones para un contenido
+ * Programa un contenido en varias cuentas (flujo normal de programación)
+ * Cada programación puede llevar su propio copy para esa cuenta
  * @route POST /api/publicaciones/multiple
  */
 export const createMultiple = async (req, res) => {
@@ -121,30 +195,18 @@ export const createMultiple = async (req, res) => {
             return sendError(res, 'Se requiere contenido_id y array de programaciones', 400);
         }
 
+        const sinFecha = programaciones.filter(prog => !prog.cuenta_social_id || !prog.fecha_programada);
+        if (sinFecha.length > 0) {
+            return sendError(res, 'Cada programación requiere cuenta_social_id y fecha_programada', 400);
+        }
+
         // Verificar contenido
         const contenido = await ContenidoModel.getById(parseInt(contenido_id));
         if (!contenido) {
             return sendError(res, 'Contenido no encontrado', 404);
         }
 
-        const resultados = [];
-        const errores = [];
-
-        for (const prog of programaciones) {
-            try {
-                const publicacion = await PublicacionesModel.create({
-                    contenido_id: parseInt(contenido_id),
-                    cuenta_social_id: parseInt(prog.cuenta_social_id),
-                    fecha_programada: new Date(prog.fecha_programada)
-                });
-                resultados.push(publicacion);
-            } catch (err) {
-                errores.push({
-                    cuenta_social_id: prog.cuenta_social_id,
-                    error: err.message
-                });
-            }
-        }
+        const { resultados, errores } = await ProgramacionService.programarEnCuentas(contenido, programaciones);
 
         // Actualizar estado del contenido
         if (resultados.length > 0) {
@@ -176,8 +238,22 @@ export const cancel = async (req, res) => {
             return sendError(res, 'Publicación no encontrada', 404);
         }
 
-        if (publicacion.estado !== 'pendiente') {
-            return sendError(res, 'Solo se pueden cancelar publicaciones pendientes', 400);
+        if (publicacion.estado !== 'pendiente' && publicacion.estado !== 'retenido') {
+            return sendError(res, 'Solo se pueden cancelar publicaciones pendientes o retenidas', 400);
+        }
+
+        // En una serie se salta solo esta ocurrencia: queda cancelada y se programa la siguiente
+        if (publicacion.serie_id) {
+            await PublicacionesModel.updateEstado(publicacion.id, 'cancelado');
+            const serie = await SeriesPublicacionModel.getById(publicacion.serie_id);
+            await RecurrenciaService.materializarSiguiente(serie, publicacion.fecha_programada);
+            return sendSuccess(res, null, 'Ocurrencia cancelada');
+        }
+
+        // En la cola, los elementos siguientes avanzan una franja
+        if (publicacion.en_cola) {
+            await ColaPublicacionService.quitar(publicacion);
+            return sendSuccess(res, null, 'Publicación quitada de la cola');
         }
 
         await PublicacionesModel.remove(parseInt(id));
@@ -189,6 +265,145 @@ export const cancel = async (req, res) => {
     }
 };
 
+/**
+ * Comprueba que una publicación enviada se pueda modificar en su red
+ * y prepara las credenciales de su cuenta (token descifrado)
+ * @param {Object} publicacion - Publicación (PublicacionesModel.getById)
+ * @param {string} capacidad - 'editarPublicado' | 'eliminarPublicado'
+ * @returns {Promise<Object>} { adapter, cuenta, error }
+ */
+const adapterParaPublicado = async (publicacion, capacidad) => {
+    if (publicacion.estado !== 'enviado' || !publicacion.external_post_id) {
+        return { error: 'Solo se pueden modificar publicaciones enviadas a la red' };
+    }
+
+    const adapter = Platforms.getAdapter(publicacion.cuenta_plataforma);
+    if (!adapter) {
+        return { error: `Plataforma no soportada: ${publicacion.cuenta_plataforma}` };
+    }
+    if (!adapter.capacidades[capacidad]) {
+        const accion = capacidad === 'editarPublicado' ? 'editar' : 'eliminar';
+        return { error: `${adapter.capacidades.nombre} no permite ${accion} publicaciones desde la app` };
+    }
+
+    const credenciales = await CuentasSocialesModel.getCredenciales(publicacion.cuenta_social_id);
+    if (!credenciales?.access_token) {
+        return { error: 'Token de acceso no disponible. Reconecta la cuenta.' };
+    }
+
+    return {
+        adapter,
+        cuenta: { page_id: publicacion.page_id, access_token: descifrarToken(credenciales.access_token) }
+    };
+};
+
+/**
+ * Edita el texto de una publicación ya enviada, en la propia red
+ * @route PATCH /api/publicaciones/:id/remoto
+ */
+export const editarRemoto = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { texto } = req.body;
+
+        if (!texto || !texto.trim()) {
+            return sendError(res, 'Se requiere el nuevo texto', 400);
+        }
+
+        const publicacion = await PublicacionesModel.getById(parseInt(id));
+        if (!publicacion) {
+            return sendError(res, 'Publicación no encontrada', 404);
+        }
+
+        const { adapter, cuenta, error } = await adapterParaPublicado(publicacion, 'editarPublicado');
+        if (error) {
+            return sendError(res, error, 400);
+        }
+
+        const { texto_max } = adapter.capacidades.limites;
+        if (texto_max && texto.length > texto_max) {
+            return sendError(res, `El texto supera el máximo de ${adapter.capacidades.nombre} (${texto.length}/${texto_max} caracteres)`, 400);
+        }
+
+        const resultado = await adapter.edit(cuenta, publicacion.external_post_id, texto);
+
+        await AccionesPublicacionModel.registrar({
+            publicacion_id: publicacion.id,
+            usuario_id: req.user.id,
+            accion: 'editar',
+            resultado: resultado.success ? 'exito' : 'error',
+            texto_anterior: publicacion.texto_publicado ?? publicacion.copy_texto,
+            texto_nuevo: texto,
+            error: resultado.error || null,
+            response_api: resultado
+        });
+
+        if (!resultado.success) {
+            return sendError(res, `Error editando en ${adapter.capacidades.nombre}: ${resultado.error}`, 500);
+        }
+
+        await PublicacionesModel.registrarEdicion(publicacion.id, texto);
+
+        const updated = await PublicacionesModel.getById(publicacion.id);
+        return sendSuccess(res, { publicacion: updated }, `Publicación editada en ${adapter.capacidades.nombre}`);
+    } catch (error) {
+        console.error('Error editando publicación enviada:', error);
+        return sendError(res, 'Error al editar la publicación', 500);
+    }
+};
+
+/**
+ * Elimina de la red una publicación ya enviada
+ * El contenido deja de estar publicado si ya no queda en ninguna cuenta
+ * @route DELETE /api/publicaciones/:id/remoto
+ */
+export const eliminarRemoto = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const publicacion = await PublicacionesModel.getById(parseInt(id));
+        if (!publicacion) {
+            return sendError(res, 'Publicación no encontrada', 404);
+        }
+
+        const { adapter, cuenta, error } = await adapterParaPublicado(publicacion, 'eliminarPublicado');
+        if (error) {
+            return sendError(res, error, 400);
+        }
+
+        const resultado = await adapter.remove(cuenta, publicacion.external_post_id);
+
+        await AccionesPublicacionModel.registrar({
+            publicacion_id: publicacion.id,
+            usuario_id: req.user.id,
+            accion: 'eliminar',
+            resultado: resultado.success ? 'exito' : 'error',
+            texto_anterior: publicacion.texto_publicado ?? publicacion.copy_texto,
+            error: resultado.error || null,
+            response_api: resultado
+        });
+
+        if (!resultado.success) {
+            return sendError(res, `Error eliminando en ${adapter.capacidades.nombre}: ${resultado.error}`, 500);
+        }
+
+        await PublicacionesModel.updateEstado(publicacion.id, 'eliminado');
+
+        // Sin posts vivos, el contenido vuelve a programado o aprobado para poder republicarse
+        const contenido = await ContenidoModel.getById(publicacion.contenido_id);
+        if (contenido?.estado === 'publicado'
+            && await PublicacionesModel.contarEnviadasPorContenido(contenido.id) === 0) {
+            const pendientes = await PublicacionesModel.contarPendientesPorContenido(contenido.id);
+            await ContenidoModel.updateEstado(contenido.id, pendientes > 0 ? 'programado' : 'aprobado');
+        }
+
+        return sendSuccess(res, null, `Publicación eliminada de ${adapter.capacidades.nombre}`);
+    } catch (error) {
+        console.error('Error eliminando publicación enviada:', error);
+        return sendError(res, 'Error al eliminar la publicación', 500);
+    }
+};
+
 /**
  * Obtiene publicaciones de un contenido específico
  * @route GET /api/publicaciones/contenido/:contenidoId
@@ -207,16 +422,28 @@ export const getByContenido = async (req, res) => {
 
 /**
  * Obtiene publicaciones pendientes para el calendario
+ * Incluye las ocurrencias futuras de las series aún no materializadas (virtual: true)
  * @route GET /api/publicaciones/calendario
  */
 export const getCalendario = async (req, res) => {
     try {
-        const { desde, hasta } = req.query;
+        const { mes, anio } = req.query;
+        const zona = await ZonaHorariaService.zonaMarca();
+        let desde = parsearFechaLocal(req.query.desde, zona);
+        let hasta = parsearFechaLocal(req.query.hasta, zona);
+
+        // El calendario del cliente consulta por mes, en la zona de la marca
+        if (mes && anio) {
+            const a = parseInt(anio);
+            const m = parseInt(mes);
+            desde = fechaEnZona({ anio: a, mes: m, dia: 1 }, zona);
+            hasta = new Date(fechaEnZona({ anio: m === 12 ? a + 1 : a, mes: m === 12 ? 1 : m + 1, dia: 1 }, zona) - 1000);
+        }
 
         let query = `
             SELECT pp.*, 
                    c.titulo, c.plataforma as contenido_plataforma,
-                   cs.nombre_cuenta
+                   cs.nombre_cuenta, cs.plataforma as cuenta_plataforma
             FROM publicaciones_programadas pp
             LEFT JOIN contenido c ON pp.contenido_id = c.id
             LEFT JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
@@ -236,22 +463,45 @@ export const getCalendario = async (req, res) => {
         query += ' ORDER BY pp.fecha_programada ASC';
 
         const { pool } = await import('../config/db.js');
-        const [rows] = await pool.query(query, params);
+        const [filas] = await pool.query(query, params);
+
+        const inicioRango = desde ? new Date(desde) : new Date();
+        const finRango = hasta
+            ? new Date(hasta)
+            : new Date(inicioRango.getTime() + HORIZONTE_CALENDARIO_DIAS * 24 * 60 * 60 * 1000);
+        const proyectadas = await RecurrenciaService.proyectarOcurrencias(inicioRango, finRango, filas);
+
+        // Qué se puede hacer desde la app con lo ya publicado en cada red
+        filas.filter(pub => pub.estado === 'enviado').forEach(pub => {
+            const capacidades = Platforms.getAdapter(pub.cuenta_plataforma)?.capacidades;
+            pub.remoto = {
+                editar: !!capacidades?.editarPublicado,
+                eliminar: !!capacidades?.eliminarPublicado
+            };
+        });
+
+        const rows = [...filas, ...proyectadas]
+            .sort((a, b) => new Date(a.fecha_programada) - new Date(b.fecha_programada));
 
-        // Agrupar por fecha para el calendario
+        // Agrupar por día de la marca para el calendario
         const calendario = {};
         rows.forEach(pub => {
-            const fecha = new Date(pub.fecha_programada).toISOString().split('T')[0];
+            const fecha = formatearEnZona(pub.fecha_programada, zona).split('T')[0];
             if (!calendario[fecha]) {
                 calendario[fecha] = [];
             }
             calendario[fecha].push(pub);
         });
 
+        // Franjas de cola sin publicación asignada
+        const slotsVacios = await ColaPublicacionService.huecosLibres(inicioRango, finRango, rows);
+
         return sendSuccess(res, {
             publicaciones: rows,
             calendario,
-            total: rows.length
+            slots_vacios: slotsVacios,
+            total: rows.length,
+            zona_horaria: zona
         });
     } catch (error) {
         console.error('Error obteniendo calendario:', error);
@@ -273,6 +523,40 @@ export const getStats = async (req, res) => {
     }
 };
 
+/**
+ * Recomienda los mejores horarios de publicación según el historial
+ * @route GET /api/publicaciones/mejores-horarios
+ */
+export const getMejoresHorarios = async (req, res) => {
+    try {
+        const { cuenta_social_id, top } = req.query;
+        let { plataforma } = req.query;
+
+        if (cuenta_social_id) {
+            const cuenta = await CuentasSocialesModel.getById(parseInt(cuenta_social_id));
+            if (!cuenta) {
+                return sendError(res, 'Cuenta social no encontrada', 404);
+            }
+            plataforma = plataforma || cuenta.plataforma;
+        }
+
+        if (!plataforma) {
+            return sendError(res, 'Se requiere plataforma o cuenta_social_id', 400);
+        }
+
+        const recomendacion = await MejoresHorariosService.obtenerMejoresHorarios({
+            plataforma,
+            cuenta_social_id: cuenta_social_id ? parseInt(cuenta_social_id) : null,
+            top: Math.min(24, Math.max(1, parseInt(top) || 5))
+        });
+
+        return sendSuccess(res, recomendacion);
+    } catch (error) {
+        console.error('Error calculando mejores horarios:', error);
+        return sendError(res, 'Error al calcular mejores horarios', 500);
+    }
+};
+
 /**
  * Reprograma una publicación
  * @route PATCH /api/publicaciones/:id/reprogramar
@@ -291,20 +575,24 @@ export const reprogramar = async (req, res) => {
             return sendError(res, 'Publicación no encontrada', 404);
         }
 
-        if (publicacion.estado !== 'pendiente' && publicacion.estado !== 'fallido') {
-            return sendError(res, 'Solo se pueden reprogramar publicaciones pendientes o fallidas', 400);
+        if (!['pendiente', 'fallido', 'retenido'].includes(publicacion.estado)) {
+            return sendError(res, 'Solo se pueden reprogramar publicaciones pendientes, fallidas o retenidas', 400);
         }
 
-        const nuevaFecha = new Date(fecha_programada);
+        const nuevaFecha = await ZonaHorariaService.interpretarFecha(fecha_programada);
+        if (isNaN(nuevaFecha.getTime())) {
+            return sendError(res, 'Fecha programada inválida', 400);
+        }
         if (nuevaFecha < new Date()) {
             return sendError(res, 'La nueva fecha debe ser en el futuro', 400);
         }
 
-        const { pool } = await import('../config/db.js');
-        await pool.query(
-            `UPDATE publicaciones_programadas SET fecha_programada = ?, estado = 'pendiente' WHERE id = ?`,
-            [nuevaFecha, parseInt(id)]
-        );
+        // Una fecha fijada a mano saca la publicación de la cola
+        await PublicacionesModel.reprogramar(parseInt(id), nuevaFecha);
+
+        if (publicacion.en_cola) {
+            await ColaPublicacionService.reorganizar(publicacion.cuenta_social_id);
+        }
 
         const updated = await PublicacionesModel.getById(parseInt(id));
         return sendSuccess(res, { publicacion: updated }, 'Publicación reprogramada');
@@ -313,3 +601,511 @@ export const reprogramar = async (req, res) => {
         return sendError(res, 'Error al reprogramar', 500);
     }
 };
+
+/**
+ * Lista las series recurrentes y evergreen
+ * @route GET /api/publicaciones/series
+ */
+export const listSeries = async (req, res) => {
+    try {
+        const { activa } = req.query;
+        const filtro = activa === undefined ? null : activa === 'true';
+        const [series, zonaMarca] = await Promise.all([
+            SeriesPublicacionModel.getAll({ activa: filtro }),
+            ZonaHorariaService.zonaMarca()
+        ]);
+
+        const data = series.map(serie => ({
+            ...serie,
+            descripcion: describirRegla(serie),
+            proxima_ocurrencia: serie.activa
+                ? siguienteOcurrencia({ ...serie, zona_horaria: serie.zona_horaria || zonaMarca })
+                : null
+        }));
+
+        return sendSuccess(res, { series: data, total: data.length });
+    } catch (error) {
+        console.error('Error listando series:', error);
+        return sendError(res, 'Error al obtener series', 500);
+    }
+};
+
+/**
+ * Crea una serie recurrente (contenido fijo) o evergreen (recicla la cola)
+ * @route POST /api/publicaciones/series
+ */
+export const createSerie = async (req, res) => {
+    try {
+        const { tipo = 'recurrente', contenido_id, cuenta_social_id } = req.body;
+
+        if (!['recurrente', 'evergreen'].includes(tipo)) {
+            return sendError(res, 'Tipo de serie inválido. Válidos: recurrente, evergreen', 400);
+        }
+
+        const requeridos = tipo === 'recurrente'
+            ? ['contenido_id', 'cuenta_social_id', 'frecuencia', 'hora', 'fecha_inicio']
+            : ['cuenta_social_id', 'frecuencia', 'hora', 'fecha_inicio'];
+        const validation = validateRequired(req.body, requeridos);
+        if (!validation.valid) {
+            return sendError(res, `Campos requeridos: ${validation.missing.join(', ')}`, 400);
+        }
+
+        const erroresRegla = validarRegla(req.body);
+        if (erroresRegla.length > 0) {
+            return sendError(res, erroresRegla.join('. '), 400);
+        }
+
+        const cuenta = await CuentasSocialesModel.getById(parseInt(cuenta_social_id));
+        if (!cuenta) {
+            return sendError(res, 'Cuenta social no encontrada', 404);
+        }
+        if (cuenta.estado !== 'conectada') {
+            return sendError(res, 'La cuenta social no está conectada', 400);
+        }
+
+        let advertencias = [];
+        if (tipo === 'recurrente') {
+            const contenido = await ContenidoModel.getById(parseInt(contenido_id));
+            if (!contenido) {
+                return sendError(res, 'Contenido no encontrado', 404);
+            }
+            if (!['aprobado', 'programado', 'publicado'].includes(contenido.estado)) {
+                return sendError(res, 'El contenido debe estar aprobado para programar una serie', 400);
+            }
+
+            const validacion = await ValidacionService.validarContenido(contenido, cuenta.plataforma);
+            if (!validacion.valido) {
+                return sendError(res, validacion.errores.join('. '), 400, validacion);
+            }
+            advertencias = validacion.advertencias;
+        }
+
+        // La hora de la serie es la de la zona de la cuenta
+        const zona = await ZonaHorariaService.zonaCuenta(cuenta);
+        if (!siguienteOcurrencia({ ...req.body, zona_horaria: zona })) {
+            return sendError(res, 'La regla no tiene ocurrencias futuras', 400);
+        }
+
+        const regla = normalizarRegla(req.body);
+        const serie = await SeriesPublicacionModel.create({
+            tipo,
+            contenido_id: tipo === 'recurrente' ? parseInt(contenido_id) : null,
+            cuenta_social_id: parseInt(cuenta_social_id),
+            frecuencia: regla.frecuencia,
+            cada_dias: regla.cada_dias,
+            dias_semana: regla.dias_semana.length > 0 ? regla.dias_semana : null,
+            dia_mes: regla.dia_mes,
+            semana_mes: regla.semana_mes,
+            dia_semana: regla.dia_semana,
+            hora: `${String(regla.horas).padStart(2, '0')}:${String(regla.minutos).padStart(2, '0')}`,
+            fecha_inicio: req.body.fecha_inicio,
+            fecha_fin: req.body.fecha_fin || null,
+            created_by: req.user?.id || null
+        });
+
+        const publicacion = await RecurrenciaService.materializarSiguiente(serie);
+
+        if (tipo === 'recurrente' && publicacion) {
+            await ContenidoModel.updateEstado(parseInt(contenido_id), 'programado');
+        }
+
+        return sendSuccess(res, {
+            serie: { ...serie, descripcion: describirRegla(serie) },
+            publicacion,
+            advertencias
+        }, 'Serie programada exitosamente', 201);
+    } catch (error) {
+        console.error('Error creando serie:', error);
+        return sendError(res, 'Error al crear serie', 500);
+    }
+};
+
+/**
+ * Detiene una serie y cancela sus ocurrencias pendientes
+ * @route DELETE /api/publicaciones/series/:id
+ */
+export const cancelSerie = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const serie = await SeriesPublicacionModel.getById(parseInt(id));
+        if (!serie) {
+            return sendError(res, 'Serie no encontrada', 404);
+        }
+
+        await SeriesPublicacionModel.desactivar(serie.id);
+        const canceladas = await PublicacionesModel.cancelarPorSerie(serie.id);
+
+        return sendSuccess(res, { canceladas }, 'Serie detenida');
+    } catch (error) {
+        console.error('Error deteniendo serie:', error);
+        return sendError(res, 'Error al detener serie', 500);
+    }
+};
+
+/**
+ * Lista la cola evergreen ordenada por rendimiento
+ * @route GET /api/publicaciones/evergreen
+ */
+export const listEvergreen = async (req, res) => {
+    try {
+        const cola = await ColaEvergreenModel.getAll();
+        return sendSuccess(res, { cola, total: cola.length });
+    } catch (error) {
+        console.error('Error obteniendo cola evergreen:', error);
+        return sendError(res, 'Error al obtener la cola evergreen', 500);
+    }
+};
+
+/**
+ * Añade contenido a la cola evergreen
+ * @route POST /api/publicaciones/evergreen
+ */
+export const addEvergreen = async (req, res) => {
+    try {
+        const { contenido_id, intervalo_min_dias = 30 } = req.body;
+
+        if (!contenido_id) {
+            return sendError(res, 'Se requiere contenido_id', 400);
+        }
+
+        const intervalo = parseInt(intervalo_min_dias);
+        if (isNaN(intervalo) || intervalo < 1) {
+            return sendError(res, 'intervalo_min_dias debe ser un entero positivo', 400);
+        }
+
+        const contenido = await ContenidoModel.getById(parseInt(contenido_id));
+        if (!contenido) {
+            return sendError(res, 'Contenido no encontrado', 404);
+        }
+        if (!['aprobado', 'programado', 'publicado'].includes(contenido.estado)) {
+            return sendError(res, 'Solo se puede reciclar contenido aprobado o publicado', 400);
+        }
+
+        await ColaEvergreenModel.upsert({ contenido_id: contenido.id, intervalo_min_dias: intervalo });
+
+        return sendSuccess(res, null, 'Contenido añadido a la cola evergreen', 201);
+    } catch (error) {
+        console.error('Error añadiendo a cola evergreen:', error);
+        return sendError(res, 'Error al añadir a la cola evergreen', 500);
+    }
+};
+
+/**
+ * Quita contenido de la cola evergreen
+ * @route DELETE /api/publicaciones/evergreen/:contenidoId
+ */
+export const removeEvergreen = async (req, res) => {
+    try {
+        const { contenidoId } = req.params;
+        const eliminado = await ColaEvergreenModel.remove(parseInt(contenidoId));
+
+        if (!eliminado) {
+            return sendError(res, 'El contenido no está en la cola evergreen', 404);
+        }
+
+        return sendSuccess(res, null, 'Contenido quitado de la cola evergreen');
+    } catch (error) {
+        console.error('Error quitando de cola evergreen:', error);
+        return sendError(res, 'Error al quitar de la cola evergreen', 500);
+    }
+};
+
+/**
+ * Obtiene las franjas y la cola pendiente de una cuenta
+ * @route GET /api/publicaciones/cola/:cuentaId
+ */
+export const getCola = async (req, res) => {
+    try {
+        const cuentaId = parseInt(req.params.cuentaId);
+
+        const cuenta = await CuentasSocialesModel.getById(cuentaId);
+        if (!cuenta) {
+            return sendError(res, 'Cuenta no encontrada', 404);
+        }
+
+        const [horarios, items] = await Promise.all([
+            HorariosColaModel.getByCuenta(cuentaId),
+            PublicacionesModel.getColaPorCuenta(cuentaId)
+        ]);
+
+        return sendSuccess(res, { horarios, items, total: items.length });
+    } catch (error) {
+        console.error('Error obteniendo cola:', error);
+        return sendError(res, 'Error al obtener la cola', 500);
+    }
+};
+
+/**
+ * Reemplaza las franjas semanales de la cola de una cuenta
+ * @route PUT /api/publicaciones/cola/:cuentaId/horarios
+ */
+export const updateHorariosCola = async (req, res) => {
+    try {
+        const cuentaId = parseInt(req.params.cuentaId);
+        const { horarios } = req.body;
+
+        const errores = validarFranjas(horarios);
+        if (errores.length > 0) {
+            return sendError(res, errores.join('. '), 400);
+        }
+
+        const cuenta = await CuentasSocialesModel.getById(cuentaId);
+        if (!cuenta) {
+            return sendError(res, 'Cuenta no encontrada', 404);
+        }
+
+        const guardados = await ColaPublicacionService.configurarFranjas(cuentaId, horarios);
+        const items = await PublicacionesModel.getColaPorCuenta(cuentaId);
+
+        return sendSuccess(res, { horarios: guardados, items }, 'Franjas de la cola actualizadas');
+    } catch (error) {
+        console.error('Error actualizando franjas de cola:', error);
+        return sendError(res, 'Error al actualizar las franjas de la cola', 500);
+    }
+};
+
+/**
+ * Añade contenido aprobado al final de la cola de una cuenta
+ * @route POST /api/publicaciones/cola/:cuentaId
+ */
+export const addCola = async (req, res) => {
+    try {
+        const cuentaId = parseInt(req.params.cuentaId);
+        const { contenido_id } = req.body;
+
+        if (!contenido_id) {
+            return sendError(res, 'Se requiere contenido_id', 400);
+        }
+
+        const [contenido, cuenta] = await Promise.all([
+            ContenidoModel.getById(parseInt(contenido_id)),
+            CuentasSocialesModel.getById(cuentaId)
+        ]);
+        if (!contenido) {
+            return sendError(res, 'Contenido no encontrado', 404);
+        }
+        if (!cuenta) {
+            return sendError(res, 'Cuenta no encontrada', 404);
+        }
+        if (!['aprobado', 'programado'].includes(contenido.estado)) {
+            return sendError(res, 'Solo se puede encolar contenido aprobado', 400);
+        }
+        if (!(await ColaPublicacionService.tieneCola(cuentaId))) {
+            return sendError(res, 'La cuenta no tiene franjas de cola configuradas', 400);
+        }
+
+        const validacion = await ValidacionService.validarContenido(contenido, cuenta.plataforma);
+        if (!validacion.valido) {
+            return sendError(res, validacion.errores.join('. '), 400, validacion);
+        }
+
+        const publicacion = await ColaPublicacionService.encolar(contenido.id, cuentaId);
+        await ContenidoModel.updateEstado(contenido.id, 'programado');
+
+        return sendSuccess(res, {
+            publicacion,
+            advertencias: validacion.advertencias
+        }, 'Contenido añadido a la cola', 201);
+    } catch (error) {
+        console.error('Error añadiendo a la cola:', error);
+        return sendError(res, 'Error al añadir a la cola', 500);
+    }
+};
+
+/**
+ * Reordena la cola de una cuenta y reasigna sus franjas
+ * @route PATCH /api/publicaciones/cola/:cuentaId/orden
+ */
+export const reordenarCola = async (req, res) => {
+    try {
+        const cuentaId = parseInt(req.params.cuentaId);
+        const { ids } = req.body;
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return sendError(res, 'Se requiere un array de ids', 400);
+        }
+
+        await ColaPublicacionService.reordenar(cuentaId, ids);
+        const items = await PublicacionesModel.getColaPorCuenta(cuentaId);
+
+        return sendSuccess(res, { items }, 'Cola reordenada');
+    } catch (error) {
+        console.error('Error reordenando cola:', error);
+        return sendError(res, 'Error al reordenar la cola', 500);
+    }
+};
+
+/**
+ * Estado de la publicación automática: pausa, ventanas de bloqueo y retenidas
+ * @route GET /api/publicaciones/bloqueos
+ */
+export const getBloqueos = async (req, res) => {
+    try {
+        const { bloqueado, pausa, ventana, bloqueos } = await BloqueosService.estadoActual();
+        const retenidas = await PublicacionesModel.getRetenidas();
+        // Las ventanas se escriben y se muestran en la hora de la marca
+        const zona_horaria = await ZonaHorariaService.zonaMarca();
+
+        return sendSuccess(res, { bloqueado, pausa, ventana, bloqueos, retenidas, zona_horaria });
+    } catch (error) {
+        console.error('Error obteniendo bloqueos:', error);
+        return sendError(res, 'Error al obtener bloqueos', 500);
+    }
+};
+
+/**
+ * Crea una ventana de bloqueo (festivo, crisis, luto)
+ * @route POST /api/publicaciones/bloqueos
+ */
+export const createBloqueo = async (req, res) => {
+    try {
+        const { motivo } = req.body;
+        const inicio = await ZonaHorariaService.interpretarFecha(req.body.inicio);
+        const fin = await ZonaHorariaService.interpretarFecha(req.body.fin);
+
+        const errores = validarVentana({ motivo, inicio, fin });
+        if (errores.length > 0) {
+            return sendError(res, errores.join('. '), 400);
+        }
+
+        const bloqueo = await BloqueosPublicacionModel.create({
+            tipo: 'ventana',
+            motivo: motivo.trim(),
+            inicio,
+            fin,
+            created_by: req.user.id
+        });
+
+        return sendSuccess(res, { bloqueo }, 'Ventana de bloqueo creada', 201);
+    } catch (error) {
+        console.error('Error creando bloqueo:', error);
+        return sendError(res, 'Error al crear bloqueo', 500);
+    }
+};
+
+/**
+ * Elimina una ventana de bloqueo; lo retenido se reprograma en el siguiente ciclo
+ * @route DELETE /api/publicaciones/bloqueos/:id
+ */
+export const removeBloqueo = async (req, res) => {
+    try {
+        const bloqueo = await BloqueosPublicacionModel.getById(parseInt(req.params.id));
+        if (!bloqueo) {
+            return sendError(res, 'Bloqueo no encontrado', 404);
+        }
+        if (bloqueo.tipo === 'pausa') {
+            return sendError(res, 'Usa reanudar para terminar una pausa', 400);
+        }
+
+        await BloqueosPublicacionModel.remove(bloqueo.id);
+
+        return sendSuccess(res, null, 'Ventana de bloqueo eliminada');
+    } catch (error) {
+        console.error('Error eliminando bloqueo:', error);
+        return sendError(res, 'Error al eliminar bloqueo', 500);
+    }
+};
+
+/**
+ * Pausa toda la publicación automática
+ * @route POST /api/publicaciones/pausa
+ */
+export const pausar = async (req, res) => {
+    try {
+        const { motivo } = req.body;
+        if (!motivo || !motivo.trim()) {
+            return sendError(res, 'Indica el motivo de la pausa', 400);
+        }
+
+        const pausa = await BloqueosService.pausar({ motivo: motivo.trim(), usuarioId: req.user.id });
+
+        return sendSuccess(res, { pausa }, 'Publicación automática pausada');
+    } catch (error) {
+        console.error('Error pausando publicación:', error);
+        return sendError(res, 'Error al pausar la publicación', 500);
+    }
+};
+
+/**
+ * Reanuda la publicación automática y reprograma lo retenido
+ * @route POST /api/publicaciones/reanudar
+ */
+export const reanudar = async (req, res) => {
+    try {
+        const { liberadas, ventana } = await BloqueosService.reanudar();
+
+        const mensaje = ventana
+            ? `Pausa terminada. Sigue vigente la ventana "${ventana.motivo}": lo retenido se reprogramará al terminar`
+            : `Publicación reanudada: ${liberadas} publicación(es) reprogramada(s)`;
+
+        return sendSuccess(res, { liberadas, ventana }, mensaje);
+    } catch (error) {
+        console.error('Error reanudando publicación:', error);
+        return sendError(res, 'Error al reanudar la publicación', 500);
+    }
+};
+
+/**
+ * Publicaciones fallidas agrupadas por causa (token caducado, medios, límite...)
+ * @route GET /api/publicaciones/fallidas
+ */
+export const getFallidas = async (req, res) => {
+    try {
+        const { grupos, total } = await PublicacionesFallidasService.listar();
+        return sendSuccess(res, { grupos, total });
+    } catch (error) {
+        console.error('Error obteniendo publicaciones fallidas:', error);
+        return sendError(res, 'Error al obtener publicaciones fallidas', 500);
+    }
+};
+
+/**
+ * Acción masiva sobre publicaciones fallidas
+ * Reencolar y reasignar las devuelven al scheduler ya; reprogramar, en la fecha indicada
+ * @route POST /api/publicaciones/fallidas/acciones
+ */
+export const accionFallidas = async (req, res) => {
+    try {
+        const errores = validarAccionMasiva(req.body);
+        if (errores.length > 0) {
+            return sendError(res, errores.join('. '), 400);
+        }
+
+        const { accion } = req.body;
+        const ids = [...new Set(req.body.ids.map(Number))];
+        let fecha = null;
+        let cuenta = null;
+
+        if (accion === 'reprogramar') {
+            fecha = await ZonaHorariaService.interpretarFecha(req.body.fecha_programada);
+            if (isNaN(fecha.getTime())) {
+                return sendError(res, 'Fecha programada inválida', 400);
+            }
+            if (fecha < new Date()) {
+                return sendError(res, 'La nueva fecha debe ser en el futuro', 400);
+            }
+        }
+
+        if (accion === 'reasignar') {
+            cuenta = await CuentasSocialesModel.getById(parseInt(req.body.cuenta_social_id));
+            if (!cuenta) {
+                return sendError(res, 'Cuenta destino no encontrada', 404);
+            }
+            if (cuenta.estado !== 'conectada') {
+                return sendError(res, 'La cuenta destino no está conectada', 400);
+            }
+        }
+
+        const resultado = await PublicacionesFallidasService.aplicar({ accion, ids, fecha, cuenta });
+
+        const mensaje = resultado.errores.length > 0
+            ? `${resultado.procesadas.length} procesada(s), ${resultado.errores.length} con error`
+            : `${resultado.procesadas.length} publicación(es) procesada(s)`;
+
+        return sendSuccess(res, resultado, mensaje);
+    } catch (error) {
+        console.error('Error en acción sobre publicaciones fallidas:', error);
+        return sendError(res, 'Error al procesar las publicaciones fallidas', 500);
+    }
+};
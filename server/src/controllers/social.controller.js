@@ -4,15 +4,23 @@
  * @module controllers/social
  */
 
-import * as MetaService from '../services/meta.service.js';
-import * as LinkedInService from '../services/linkedin.service.js';
+import * as Platforms from '../services/platforms/index.js';
+import * as Sandbox from '../services/platforms/sandbox.js';
+import * as ValidacionService from '../services/validacion.service.js';
 import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
 import * as ContenidoModel from '../models/contenido.model.js';
+import * as CuotaPublicacionService from '../services/cuotaPublicacion.service.js';
+import * as DiagnosticoCuentasService from '../services/diagnosticoCuentas.service.js';
+import * as OauthEstadosModel from '../models/oauthEstados.model.js';
+import * as CuentasDescubiertasModel from '../models/cuentasDescubiertas.model.js';
+import * as PublicacionesModel from '../models/publicaciones.model.js';
 import { sendSuccess, sendError, validateRequired } from '../utils/helpers.js';
-import crypto from 'crypto';
-
-// Almacén temporal de estados OAuth (en producción usar Redis)
-const oauthStates = new Map();
+import { aplicarVariante } from '../utils/variantes.js';
+import { validarCuota } from '../utils/cuotaPublicacion.js';
+import { esZonaValida } from '../utils/zonaHoraria.js';
+import { generarState, generarVerificador, desafioPkce, caducidadState } from '../utils/oauth.js';
+import { diasParaCaducar, TOKEN_AVISO_DIAS } from '../utils/tokens.js';
+import { descifrarToken } from '../utils/cifradoTokens.js';
 
 /**
  * Obtiene estado de configuración de redes sociales
@@ -20,18 +28,35 @@ const oauthStates = new Map();
  */
 export const getStatus = async (req, res) => {
     try {
-        const meta = MetaService.verificarConfiguracion();
-        const linkedin = LinkedInService.verificarConfiguracion();
+        const configuracion = Object.fromEntries(
+            Platforms.getConectores().map(c => [c.proveedor, c.verificarConfiguracion()])
+        );
         const cuentas = await CuentasSocialesModel.getConectadas();
+        const expiradas = await CuentasSocialesModel.getExpiradas();
+        const retenidas = await PublicacionesModel.contarRetenidasPorCuenta();
 
         return sendSuccess(res, {
-            configuracion: { meta, linkedin },
+            configuracion,
+            sandbox: Platforms.SANDBOX_ACTIVO,
             cuentas_conectadas: cuentas.length,
-            cuentas: cuentas.map(c => ({
+            cuentas: cuentas.map(c => {
+                const dias = diasParaCaducar(c.token_expires_at);
+                return {
+                    id: c.id,
+                    plataforma: c.plataforma,
+                    nombre: c.nombre_cuenta,
+                    es_organizacion: !!Platforms.getAdapter(c.plataforma)?.esOrganizacion?.(c.page_id),
+                    expira: c.token_expires_at,
+                    dias_para_caducar: dias,
+                    por_caducar: dias !== null && dias <= TOKEN_AVISO_DIAS
+                };
+            }),
+            cuentas_expiradas: expiradas.map(c => ({
                 id: c.id,
                 plataforma: c.plataforma,
                 nombre: c.nombre_cuenta,
-                expira: c.token_expires_at
+                expiro: c.token_expires_at,
+                publicaciones_retenidas: retenidas[c.id] || 0
             }))
         }, 'Estado de redes sociales');
     } catch (error) {
@@ -39,199 +64,179 @@ export const getStatus = async (req, res) => {
     }
 };
 
-// ==================== META (Facebook/Instagram) ====================
+// ==================== OAUTH ====================
+
+/**
+ * Guarda una cuenta recién autorizada
+ * Si ya existía (reconexión) recibe los tokens nuevos en lugar de duplicarse
+ * @param {Object} cuenta - { plataforma, nombre_cuenta, page_id, access_token, refresh_token, token_expires_at }
+ * @returns {Promise<Object>} { id, plataforma, nombre_cuenta }
+ */
+const guardarCuentaConectada = async (cuenta) => {
+    const existente = await CuentasSocialesModel.getByPageId(cuenta.plataforma, cuenta.page_id);
+    if (existente) {
+        await CuentasSocialesModel.updateTokens(existente.id, {
+            access_token: cuenta.access_token,
+            refresh_token: cuenta.refresh_token || null,
+            token_expires_at: cuenta.token_expires_at
+        });
+        return { id: existente.id, plataforma: existente.plataforma, nombre_cuenta: existente.nombre_cuenta };
+    }
+
+    const creada = await CuentasSocialesModel.create({
+        plataforma: cuenta.plataforma,
+        nombre_cuenta: cuenta.nombre_cuenta,
+        page_id: cuenta.page_id,
+        access_token: cuenta.access_token,
+        refresh_token: cuenta.refresh_token || null,
+        token_expires_at: cuenta.token_expires_at,
+        estado: 'conectada'
+    });
+    return { id: creada.id, plataforma: creada.plataforma, nombre_cuenta: creada.nombre_cuenta };
+};
 
 /**
- * Inicia flujo OAuth con Meta
- * @route GET /api/social/meta/auth
+ * Inicia flujo OAuth con un proveedor (meta, linkedin, ...)
+ * @route GET /api/social/:proveedor/auth
  */
-export const iniciarAuthMeta = async (req, res) => {
+export const iniciarAuth = async (req, res) => {
     try {
-        const meta = MetaService.verificarConfiguracion();
-        if (!meta.configurado) {
-            return sendError(res, 'Meta no está configurado. Verifica META_APP_ID y META_APP_SECRET', 400);
-        }
+        const { proveedor } = req.params;
 
-        // Generar estado único para prevenir CSRF
-        const state = crypto.randomBytes(16).toString('hex');
-        oauthStates.set(state, {
-            userId: req.user.id,
-            timestamp: Date.now(),
-            platform: 'meta'
-        });
+        const conector = Platforms.getConector(proveedor);
+        if (!conector) {
+            return sendError(res, `Proveedor ${proveedor} no soportado`, 404);
+        }
 
-        // Limpiar estados antiguos (más de 10 minutos)
-        for (const [key, value] of oauthStates.entries()) {
-            if (Date.now() - value.timestamp > 600000) {
-                oauthStates.delete(key);
-            }
+        if (!conector.verificarConfiguracion().configurado) {
+            return sendError(res, conector.mensajeNoConfigurado, 400);
         }
 
-        const redirectUri = `${req.protocol}://${req.get('host')}/api/social/meta/callback`;
-        const authUrl = MetaService.getAuthUrl(redirectUri, state);
+        // Estado único para prevenir CSRF, guardado en BD para que sirva a cualquier réplica
+        const state = generarState();
+        const codeVerifier = conector.pkce ? generarVerificador() : null;
+        await OauthEstadosModel.create({
+            state,
+            usuario_id: req.user.id,
+            proveedor,
+            code_verifier: codeVerifier,
+            expira_at: caducidadState()
+        });
+
+        const redirectUri = `${req.protocol}://${req.get('host')}/api/social/${proveedor}/callback`;
+        const authUrl = conector.getAuthUrl(redirectUri, state, {
+            codeChallenge: codeVerifier ? desafioPkce(codeVerifier) : null
+        });
 
         return sendSuccess(res, {
             auth_url: authUrl,
             state
         }, 'Redirige al usuario a esta URL');
     } catch (error) {
-        console.error('Error iniciando auth Meta:', error);
+        console.error(`Error iniciando auth ${req.params.proveedor}:`, error);
         return sendError(res, 'Error iniciando autenticación', 500);
     }
 };
 
 /**
- * Callback OAuth de Meta
- * @route GET /api/social/meta/callback
+ * Callback OAuth de un proveedor
+ * @route GET /api/social/:proveedor/callback
  */
-export const callbackMeta = async (req, res) => {
+export const callbackAuth = async (req, res) => {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
     try {
+        const { proveedor } = req.params;
         const { code, state, error, error_description } = req.query;
 
         if (error) {
             return res.redirect(`/social/error?message=${encodeURIComponent(error_description || error)}`);
         }
 
-        // Verificar estado
-        const stateData = oauthStates.get(state);
+        const conector = Platforms.getConector(proveedor);
+        if (!conector) {
+            return res.redirect('/social/error?message=Proveedor no soportado');
+        }
+
+        // Verificar estado: de este proveedor, sin caducar y sin usar antes
+        const stateData = state ? await OauthEstadosModel.consumir(String(state), proveedor) : null;
         if (!stateData) {
             return res.redirect('/social/error?message=Estado inválido o expirado');
         }
-        oauthStates.delete(state);
 
-        const redirectUri = `${req.protocol}://${req.get('host')}/api/social/meta/callback`;
+        const redirectUri = `${req.protocol}://${req.get('host')}/api/social/${proveedor}/callback`;
 
-        // Intercambiar código por token
-        const tokenResult = await MetaService.exchangeCodeForToken(code, redirectUri);
-        if (!tokenResult.success) {
-            return res.redirect(`/social/error?message=${encodeURIComponent(tokenResult.error)}`);
+        // Intercambiar código por token y obtener las cuentas a conectar
+        const authResult = await conector.completarAuth(code, redirectUri, { codeVerifier: stateData.code_verifier });
+        if (!authResult.success) {
+            return res.redirect(`/social/error?message=${encodeURIComponent(authResult.error)}`);
         }
 
-        // Obtener token de larga duración
-        const longTokenResult = await MetaService.getLongLivedToken(tokenResult.access_token);
-        const finalToken = longTokenResult.success ? longTokenResult.access_token : tokenResult.access_token;
-        const expiresIn = longTokenResult.success ? longTokenResult.expires_in : tokenResult.expires_in;
-
-        // Obtener páginas de Facebook
-        const pagesResult = await MetaService.getPages(finalToken);
-
-        if (pagesResult.success && pagesResult.pages.length > 0) {
-            // Guardar primera página como cuenta conectada
-            const page = pagesResult.pages[0];
-
-            await CuentasSocialesModel.create({
-                plataforma: 'facebook',
-                nombre_cuenta: page.name,
-                page_id: page.id,
-                access_token: page.access_token,
-                token_expires_at: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
-                estado: 'conectada'
-            });
-
-            // Buscar cuenta de Instagram vinculada
-            const igResult = await MetaService.getInstagramAccount(page.id, page.access_token);
-            if (igResult.success) {
-                await CuentasSocialesModel.create({
-                    plataforma: 'instagram',
-                    nombre_cuenta: `IG de ${page.name}`,
-                    page_id: igResult.instagram_account_id,
-                    access_token: page.access_token,
-                    token_expires_at: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
-                    estado: 'conectada'
-                });
+        // Con varias cuentas posibles se guardan como descubiertas y el usuario elige en la app
+        if (conector.seleccionarCuentas) {
+            if (authResult.cuentas.length === 0) {
+                return res.redirect(`${clientUrl}/?social_error=true&message=${encodeURIComponent('No se encontraron páginas en la cuenta')}`);
             }
+            await CuentasDescubiertasModel.reemplazar(stateData.usuario_id, proveedor, authResult.cuentas);
+            console.log(`[Social] ${authResult.cuentas.length} cuenta(s) de ${proveedor} descubierta(s) por el usuario ${stateData.usuario_id}`);
+            return res.redirect(`${clientUrl}/?social_seleccion=true&platform=${proveedor}`);
         }
 
+        for (const cuenta of authResult.cuentas) {
+            await guardarCuentaConectada(cuenta);
+        }
+        // Lo retenido por token caducado vuelve al scheduler
+        await PublicacionesModel.liberarPorCuenta();
+        console.log(`[Social] ${authResult.cuentas.length} cuenta(s) de ${proveedor} conectada(s) por el usuario ${stateData.usuario_id}`);
+
         // Redirigir a página de éxito en el frontend
-        // Redirigir a página de éxito en el frontend
-        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
-        return res.redirect(`${clientUrl}/?social_success=true&platform=meta`);
+        return res.redirect(`${clientUrl}/?social_success=true&platform=${proveedor}`);
     } catch (error) {
-        console.error('Error en callback Meta:', error);
-        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+        console.error(`Error en callback ${req.params.proveedor}:`, error);
         return res.redirect(`${clientUrl}/?social_error=true&message=Error procesando autenticación`);
     }
 };
 
-// ==================== LINKEDIN ====================
-
 /**
- * Inicia flujo OAuth con LinkedIn
- * @route GET /api/social/linkedin/auth
+ * Cuentas que devolvió el último OAuth del usuario, para elegir cuáles conectar
+ * @route GET /api/social/descubiertas
  */
-export const iniciarAuthLinkedIn = async (req, res) => {
+export const getDescubiertas = async (req, res) => {
     try {
-        const linkedin = LinkedInService.verificarConfiguracion();
-        if (!linkedin.configurado) {
-            return sendError(res, 'LinkedIn no está configurado. Verifica LINKEDIN_CLIENT_ID y LINKEDIN_CLIENT_SECRET', 400);
-        }
-
-        const state = crypto.randomBytes(16).toString('hex');
-        oauthStates.set(state, {
-            userId: req.user.id,
-            timestamp: Date.now(),
-            platform: 'linkedin'
-        });
-
-        const redirectUri = `${req.protocol}://${req.get('host')}/api/social/linkedin/callback`;
-        const authUrl = LinkedInService.getAuthUrl(redirectUri, state);
-
-        return sendSuccess(res, {
-            auth_url: authUrl,
-            state
-        }, 'Redirige al usuario a esta URL');
+        const cuentas = await CuentasDescubiertasModel.getByUsuario(req.user.id);
+        return sendSuccess(res, { cuentas });
     } catch (error) {
-        console.error('Error iniciando auth LinkedIn:', error);
-        return sendError(res, 'Error iniciando autenticación', 500);
+        console.error('Error obteniendo cuentas descubiertas:', error);
+        return sendError(res, 'Error obteniendo cuentas descubiertas', 500);
     }
 };
 
 /**
- * Callback OAuth de LinkedIn
- * @route GET /api/social/linkedin/callback
+ * Conecta las cuentas descubiertas elegidas
+ * @route POST /api/social/descubiertas/conectar
  */
-export const callbackLinkedIn = async (req, res) => {
+export const conectarDescubiertas = async (req, res) => {
     try {
-        const { code, state, error, error_description } = req.query;
-
-        if (error) {
-            return res.redirect(`/social/error?message=${encodeURIComponent(error_description || error)}`);
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(Number(id)))) {
+            return sendError(res, 'Selecciona al menos una cuenta', 400);
         }
 
-        const stateData = oauthStates.get(state);
-        if (!stateData) {
-            return res.redirect('/social/error?message=Estado inválido o expirado');
-        }
-        oauthStates.delete(state);
-
-        const redirectUri = `${req.protocol}://${req.get('host')}/api/social/linkedin/callback`;
-
-        // Intercambiar código por token
-        const tokenResult = await LinkedInService.exchangeCodeForToken(code, redirectUri);
-        if (!tokenResult.success) {
-            return res.redirect(`/social/error?message=${encodeURIComponent(tokenResult.error)}`);
+        const elegidas = await CuentasDescubiertasModel.getByIds(req.user.id, ids.map(Number));
+        if (elegidas.length === 0) {
+            return sendError(res, 'Las cuentas elegidas ya no están disponibles. Vuelve a iniciar sesión', 404);
         }
 
-        // Obtener perfil del usuario
-        const profileResult = await LinkedInService.getProfile(tokenResult.access_token);
-
-        if (profileResult.success) {
-            await CuentasSocialesModel.create({
-                plataforma: 'linkedin',
-                nombre_cuenta: profileResult.profile.name || 'LinkedIn Usuario',
-                page_id: profileResult.profile.sub, // URN del usuario
-                access_token: tokenResult.access_token,
-                token_expires_at: tokenResult.expires_at,
-                estado: 'conectada'
-            });
+        const conectadas = [];
+        for (const cuenta of elegidas) {
+            conectadas.push(await guardarCuentaConectada({ ...cuenta, access_token: descifrarToken(cuenta.access_token) }));
         }
+        await PublicacionesModel.liberarPorCuenta();
 
-        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
-        return res.redirect(`${clientUrl}/?social_success=true&platform=linkedin`);
+        return sendSuccess(res, { conectadas }, `${conectadas.length} cuenta(s) conectada(s)`);
     } catch (error) {
-        console.error('Error en callback LinkedIn:', error);
-        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
-        return res.redirect(`${clientUrl}/?social_error=true&message=Error procesando autenticación`);
+        console.error('Error conectando cuentas descubiertas:', error);
+        return sendError(res, 'Error conectando cuentas', 500);
     }
 };
 
@@ -244,7 +249,7 @@ export const callbackLinkedIn = async (req, res) => {
 export const publicarContenido = async (req, res) => {
     try {
         const { contenidoId } = req.params;
-        const { cuenta_id, plataforma } = req.body;
+        const { cuenta_id } = req.body;
 
         // Validar
         if (!cuenta_id) {
@@ -267,61 +272,34 @@ export const publicarContenido = async (req, res) => {
             return sendError(res, 'La cuenta no está conectada. Reconecta la cuenta.', 400);
         }
 
-        let resultado;
-
-        console.log(`[SocialController] Publicando contenido ${contenidoId} en ${cuenta.plataforma}`);
-        console.log(`[SocialController] Imágenes encontradas: ${contenido.imagenes?.length || 0}`);
-
-        switch (cuenta.plataforma) {
-            case 'facebook':
-                const fbPayload = { message: contenido.copy_texto || contenido.contenido };
-                
-                // Si hay imagen, agregarla al payload
-                if (contenido.imagenes && contenido.imagenes.length > 0) {
-                    fbPayload.image_url = contenido.imagenes[0].url_imagen;
-                    console.log(`[SocialController] ✅ Imagen detectada para Facebook: ${fbPayload.image_url}`);
-                } else {
-                    console.log(`[SocialController] ⚠️ No hay imágenes para Facebook`);
-                }
-
-                resultado = await MetaService.publishToFacebook(
-                    cuenta.page_id,
-                    cuenta.access_token,
-                    fbPayload
-                );
-                break;
-
-            case 'instagram':
-                if (!contenido.imagenes || contenido.imagenes.length === 0) {
-                    console.log(`[SocialController] ❌ Error: Instagram requiere imagen`);
-                    return sendError(res, 'Instagram requiere una imagen', 400);
-                }
-                
-                console.log(`[SocialController] ✅ Imagen detectada para Instagram: ${contenido.imagenes[0].url_imagen}`);
-                
-                resultado = await MetaService.publishToInstagram(
-                    cuenta.page_id,
-                    cuenta.access_token,
-                    {
-                        image_url: contenido.imagenes[0].url_imagen,
-                        caption: contenido.copy_texto || contenido.contenido
-                    }
-                );
-                break;
-
-            case 'linkedin':
-                console.log(`[SocialController] Publicando en LinkedIn (solo texto por ahora)`);
-                resultado = await LinkedInService.publishPost(
-                    cuenta.access_token,
-                    `urn:li:person:${cuenta.page_id}`,
-                    { text: contenido.copy_texto || contenido.contenido }
-                );
-                break;
-
-            default:
-                return sendError(res, `Plataforma ${cuenta.plataforma} no soportada`, 400);
+        const adapter = Platforms.getAdapter(cuenta.plataforma);
+        if (!adapter) {
+            return sendError(res, `Plataforma ${cuenta.plataforma} no soportada`, 400);
+        }
+
+        // Copy e imágenes de la cuenta o de la variante de la plataforma
+        const destino = contenido.cuentas.find(c => c.cuenta_social_id === cuenta.id);
+        const validacion = await ValidacionService.validarContenido(contenido, cuenta.plataforma, {
+            copyCuenta: destino?.copy_texto
+        });
+        if (!validacion.valido) {
+            return sendError(res, validacion.errores.join('. '), 400, validacion);
         }
 
+        const pieza = Platforms.prepararPieza(aplicarVariante(contenido, cuenta.plataforma, { copyCuenta: destino?.copy_texto }));
+
+        console.log(`[SocialController] Publicando contenido ${contenidoId} (${pieza.tipo}) en ${cuenta.plataforma} con ${pieza.imagenes.length} imagen(es)`);
+
+        const credenciales = await CuentasSocialesModel.getCredenciales(cuenta.id);
+        if (!credenciales?.access_token) {
+            return sendError(res, 'Token de acceso no disponible. Reconecta la cuenta.', 400);
+        }
+
+        const resultado = await adapter.publish({
+            ...cuenta,
+            access_token: descifrarToken(credenciales.access_token)
+        }, pieza);
+
         if (!resultado.success) {
             return sendError(res, `Error publicando: ${resultado.error}`, 500);
         }
@@ -340,6 +318,28 @@ export const publicarContenido = async (req, res) => {
     }
 };
 
+/**
+ * Lista lo publicado en el sandbox (solo con SOCIAL_SANDBOX=true)
+ * @route GET /api/social/sandbox/publicados
+ */
+export const getPublicadosSandbox = async (req, res) => {
+    if (!Platforms.SANDBOX_ACTIVO) {
+        return sendError(res, 'El modo sandbox no está activo', 404);
+    }
+
+    const publicados = Sandbox.getPublicados(req.query.plataforma).map(p => ({
+        post_id: p.post_id,
+        plataforma: p.plataforma,
+        page_id: p.page_id,
+        tipo: p.pieza.tipo,
+        texto: p.pieza.texto,
+        imagenes: p.pieza.imageUrls,
+        publicado_en: p.publicado_en
+    }));
+
+    return sendSuccess(res, { publicados, total: publicados.length });
+};
+
 /**
  * Obtiene todas las cuentas sociales
  * @route GET /api/social/cuentas
@@ -353,6 +353,110 @@ export const getCuentas = async (req, res) => {
     }
 };
 
+/**
+ * Diagnóstico de las cuentas: token, permisos, enlace con la página y caducidad
+ * @route GET /api/social/diagnostico
+ */
+export const getDiagnostico = async (req, res) => {
+    try {
+        const cuentas = await DiagnosticoCuentasService.diagnosticarCuentas();
+        return sendSuccess(res, { cuentas });
+    } catch (error) {
+        console.error('Error diagnosticando cuentas:', error);
+        return sendError(res, 'Error diagnosticando las cuentas', 500);
+    }
+};
+
+/**
+ * Diagnóstico de una cuenta
+ * @route GET /api/social/cuentas/:id/diagnostico
+ */
+export const getDiagnosticoCuenta = async (req, res) => {
+    try {
+        const cuenta = await CuentasSocialesModel.getById(parseInt(req.params.id));
+        if (!cuenta) {
+            return sendError(res, 'Cuenta social no encontrada', 404);
+        }
+
+        const diagnostico = await DiagnosticoCuentasService.diagnosticarCuenta(cuenta);
+        return sendSuccess(res, { cuenta: diagnostico });
+    } catch (error) {
+        console.error('Error diagnosticando cuenta:', error);
+        return sendError(res, 'Error diagnosticando la cuenta', 500);
+    }
+};
+
+/**
+ * Uso de la cuota de publicación de cada cuenta
+ * @route GET /api/social/cuotas
+ */
+export const getCuotas = async (req, res) => {
+    try {
+        const cuentas = await CuotaPublicacionService.estadoCuentas();
+        return sendSuccess(res, { cuentas });
+    } catch (error) {
+        console.error('Error obteniendo cuotas:', error);
+        return sendError(res, 'Error obteniendo cuotas', 500);
+    }
+};
+
+/**
+ * Configura la cuota de publicación de una cuenta
+ * Los campos vacíos vuelven a la cuota por defecto de la plataforma
+ * @route PUT /api/social/cuentas/:id/cuota
+ */
+export const updateCuota = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const aNumero = (valor) => (valor === '' || valor === null || valor === undefined ? null : Number(valor));
+        const cuota = {
+            limite_publicaciones: aNumero(req.body.limite_publicaciones),
+            ventana_limite_horas: aNumero(req.body.ventana_limite_horas),
+            separacion_minima_min: aNumero(req.body.separacion_minima_min)
+        };
+
+        const errores = validarCuota(cuota);
+        if (errores.length > 0) {
+            return sendError(res, errores.join('. '), 400);
+        }
+
+        const updated = await CuentasSocialesModel.updateCuota(id, cuota);
+        if (!updated) {
+            return sendError(res, 'Cuenta no encontrada', 404);
+        }
+
+        return sendSuccess(res, { id, ...cuota }, 'Cuota actualizada');
+    } catch (error) {
+        console.error('Error actualizando cuota:', error);
+        return sendError(res, 'Error actualizando cuota', 500);
+    }
+};
+
+/**
+ * Cambia la zona horaria de una cuenta
+ * @route PUT /api/social/cuentas/:id/zona-horaria
+ */
+export const updateZonaHoraria = async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const zona = req.body.zona_horaria || null;
+
+        if (zona !== null && !esZonaValida(zona)) {
+            return sendError(res, 'Zona horaria inválida (usa un identificador IANA como America/Guayaquil)', 400);
+        }
+
+        const updated = await CuentasSocialesModel.updateZonaHoraria(id, zona);
+        if (!updated) {
+            return sendError(res, 'Cuenta no encontrada', 404);
+        }
+
+        return sendSuccess(res, { id, zona_horaria: zona }, 'Zona horaria actualizada');
+    } catch (error) {
+        console.error('Error actualizando zona horaria:', error);
+        return sendError(res, 'Error actualizando zona horaria', 500);
+    }
+};
+
 /**
  * Desconecta una cuenta social
  * @route DELETE /api/social/cuentas/:id
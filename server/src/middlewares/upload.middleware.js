@@ -19,3 +19,20 @@ export const upload = multer({
         fileSize: 10 * 1024 * 1024 // 10MB max
     }
 });
+
+// Filtro de videos (Reels / publicaciones de video)
+const videoFilter = (req, file, cb) => {
+    if (file.mimetype === 'video/mp4' || file.mimetype === 'video/quicktime') {
+        cb(null, true);
+    } else {
+        cb(new Error('Formato de video no soportado. Sube un archivo MP4 o MOV.'), false);
+    }
+};
+
+export const uploadVideo = multer({
+    storage: storage,
+    fileFilter: videoFilter,
+    limits: {
+        fileSize: 100 * 1024 * 1024 // 100MB max (límite de Reels vía API)
+    }
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Modelo de Acciones sobre publicaciones enviadas
+ * @description Operaciones para la tabla acciones_publicacion (ediciones y borrados remotos)
+ * @module models/accionesPublicacion
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * Registra una edición o un borrado remoto
+ * @param {Object} data - Datos de la acción
+ * @returns {Promise<number>} ID del registro
+ */
+export const registrar = async ({
+    publicacion_id,
+    usuario_id = null,
+    accion,
+    resultado,
+    texto_anterior = null,
+    texto_nuevo = null,
+    error = null,
+    response_api = null
+}) => {
+    const [result] = await pool.query(
+        `INSERT INTO acciones_publicacion
+         (publicacion_id, usuario_id, accion, resultado, texto_anterior, texto_nuevo, error, response_api)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            publicacion_id,
+            usuario_id,
+            accion,
+            resultado,
+            texto_anterior,
+            texto_nuevo,
+            error,
+            response_api && typeof response_api === 'object' ? JSON.stringify(response_api) : response_api
+        ]
+    );
+    return result.insertId;
+};
+
+/**
+ * Obtiene las acciones de una publicación con el usuario que las hizo
+ * @param {number} publicacionId - ID de la publicación
+ * @returns {Promise<Array>} Acciones de la más reciente a la más antigua
+ */
+export const getByPublicacion = async (publicacionId) => {
+    const [rows] = await pool.query(
+        `SELECT ap.*, u.nombre as usuario_nombre
+         FROM acciones_publicacion ap
+         LEFT JOIN usuarios u ON ap.usuario_id = u.id
+         WHERE ap.publicacion_id = ?
+         ORDER BY ap.created_at DESC, ap.id DESC`,
+        [publicacionId]
+    );
+    return rows;
+};
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Modelo de Bloqueos de publicación
+ * @description Operaciones para la tabla bloqueos_publicacion (ventanas y pausas)
+ * @module models/bloqueosPublicacion
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * Obtiene los bloqueos vigentes ahora o que empiezan más adelante
+ * @returns {Promise<Array>} Bloqueos ordenados por inicio
+ */
+export const getVigentes = async () => {
+    const [rows] = await pool.query(`
+        SELECT b.*, u.nombre as creado_por
+        FROM bloqueos_publicacion b
+        LEFT JOIN usuarios u ON b.created_by = u.id
+        WHERE b.fin IS NULL OR b.fin > NOW()
+        ORDER BY b.inicio ASC
+    `);
+    return rows;
+};
+
+/**
+ * Obtiene un bloqueo por ID
+ * @param {number} id - ID del bloqueo
+ * @returns {Promise<Object|null>} Bloqueo o null
+ */
+export const getById = async (id) => {
+    const [rows] = await pool.query('SELECT * FROM bloqueos_publicacion WHERE id = ?', [id]);
+    return rows[0] || null;
+};
+
+/**
+ * Crea una ventana de bloqueo o una pausa
+ * @param {Object} data - { tipo, motivo, inicio, fin, created_by }
+ * @returns {Promise<Object>} Bloqueo creado
+ */
+export const create = async ({ tipo = 'ventana', motivo, inicio, fin = null, created_by = null }) => {
+    const [result] = await pool.query(
+        `INSERT INTO bloqueos_publicacion (tipo, motivo, inicio, fin, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [tipo, motivo, inicio, fin, created_by]
+    );
+    return getById(result.insertId);
+};
+
+/**
+ * Cierra las pausas abiertas (reanudar publicación)
+ * @returns {Promise<number>} Pausas cerradas
+ */
+export const cerrarPausas = async () => {
+    const [result] = await pool.query(
+        `UPDATE bloqueos_publicacion SET fin = NOW()
+         WHERE tipo = 'pausa' AND fin IS NULL`
+    );
+    return result.affectedRows;
+};
+
+/**
+ * Elimina un bloqueo
+ * @param {number} id - ID del bloqueo
+ * @returns {Promise<boolean>} True si se eliminó
+ */
+export const remove = async (id) => {
+    const [result] = await pool.query('DELETE FROM bloqueos_publicacion WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+};
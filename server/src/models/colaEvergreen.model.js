@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Modelo de Cola Evergreen
+ * @description Operaciones para la tabla cola_evergreen
+ * @module models/colaEvergreen
+ */
+
+import { pool } from '../config/db.js';
+
+// Rendimiento de cada contenido: mejor tasa de engagement medida
+const SUBQUERY_RENDIMIENTO = `
+    SELECT contenido_id, MAX(tasa_engagement) as rendimiento
+    FROM metricas_contenido
+    GROUP BY contenido_id
+`;
+
+/**
+ * Obtiene la cola evergreen ordenada por rendimiento
+ * @returns {Promise<Array>} Entradas de la cola
+ */
+export const getAll = async () => {
+    const [rows] = await pool.query(`
+        SELECT ce.*,
+               c.titulo,
+               c.plataforma,
+               c.estado as contenido_estado,
+               COALESCE(m.rendimiento, 0) as rendimiento
+        FROM cola_evergreen ce
+        INNER JOIN contenido c ON ce.contenido_id = c.id
+        LEFT JOIN (${SUBQUERY_RENDIMIENTO}) m ON m.contenido_id = ce.contenido_id
+        ORDER BY ce.activo DESC, rendimiento DESC, ce.ultima_publicacion ASC
+    `);
+    return rows;
+};
+
+/**
+ * Añade un contenido a la cola o actualiza su intervalo mínimo
+ * @param {Object} data - { contenido_id, intervalo_min_dias }
+ * @returns {Promise<boolean>} True si se guardó
+ */
+export const upsert = async ({ contenido_id, intervalo_min_dias = 30 }) => {
+    const [result] = await pool.query(
+        `INSERT INTO cola_evergreen (contenido_id, intervalo_min_dias, activo)
+         VALUES (?, ?, TRUE)
+         ON DUPLICATE KEY UPDATE intervalo_min_dias = VALUES(intervalo_min_dias), activo = TRUE`,
+        [contenido_id, intervalo_min_dias]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Quita un contenido de la cola
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<boolean>} True si se eliminó
+ */
+export const remove = async (contenidoId) => {
+    const [result] = await pool.query(
+        'DELETE FROM cola_evergreen WHERE contenido_id = ?',
+        [contenidoId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Elige el contenido a reciclar en una fecha para una plataforma
+ * Prioriza el mejor rendimiento entre los que ya cumplieron su intervalo
+ * mínimo y no tienen otra publicación pendiente
+ * @param {string} plataforma - Plataforma de la cuenta destino
+ * @param {Date} fecha - Fecha de la ocurrencia
+ * @returns {Promise<Object|null>} Entrada elegida o null si no hay candidatos
+ */
+export const siguienteParaPublicar = async (plataforma, fecha) => {
+    const [rows] = await pool.query(`
+        SELECT ce.*, COALESCE(m.rendimiento, 0) as rendimiento
+        FROM cola_evergreen ce
+        INNER JOIN contenido c ON ce.contenido_id = c.id
+        LEFT JOIN (${SUBQUERY_RENDIMIENTO}) m ON m.contenido_id = ce.contenido_id
+        WHERE ce.activo = TRUE
+          AND c.plataforma = ?
+          AND c.estado IN ('aprobado', 'programado', 'publicado')
+          AND (ce.ultima_publicacion IS NULL
+               OR ce.ultima_publicacion <= DATE_SUB(?, INTERVAL ce.intervalo_min_dias DAY))
+          AND NOT EXISTS (
+              SELECT 1 FROM publicaciones_programadas pp
+              WHERE pp.contenido_id = ce.contenido_id AND pp.estado = 'pendiente'
+          )
+        ORDER BY rendimiento DESC, ce.ultima_publicacion IS NOT NULL, ce.ultima_publicacion ASC
+        LIMIT 1
+    `, [plataforma, fecha]);
+    return rows[0] || null;
+};
+
+/**
+ * Registra que un contenido de la cola se publicó
+ * No hace nada si el contenido no está en la cola
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<boolean>} True si el contenido estaba en la cola
+ */
+export const registrarPublicacion = async (contenidoId) => {
+    const [result] = await pool.query(
+        `UPDATE cola_evergreen
+         SET ultima_publicacion = NOW(), veces_publicado = veces_publicado + 1
+         WHERE contenido_id = ?`,
+        [contenidoId]
+    );
+    return result.affectedRows > 0;
+};
@@ -27,7 +27,8 @@ export const upsert = async ({
     tono_voz = null,
     pilares_comunicacion = null,
     frecuencia_semanal = 3,
-    segmento_principal = null
+    segmento_principal = null,
+    zona_horaria = 'America/Guayaquil'
 }) => {
     // Verificar si ya existe una configuración
     const existing = await get();
@@ -37,18 +38,18 @@ export const upsert = async ({
         await pool.query(
             `UPDATE config_marca SET 
        nombre_marca = ?, descripcion = ?, tono_voz = ?, 
-       pilares_comunicacion = ?, frecuencia_semanal = ?, segmento_principal = ?
+       pilares_comunicacion = ?, frecuencia_semanal = ?, segmento_principal = ?, zona_horaria = ?
        WHERE id = ?`,
-            [nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal, existing.id]
+            [nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal, zona_horaria, existing.id]
         );
-        return { ...existing, nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal };
+        return { ...existing, nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal, zona_horaria };
     } else {
         // Crear nuevo
         const [result] = await pool.query(
             `INSERT INTO config_marca 
-       (nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-            [nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal]
+       (nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal, zona_horaria) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [nombre_marca, descripcion, tono_voz, pilares_comunicacion, frecuencia_semanal, segmento_principal, zona_horaria]
         );
         return {
             id: result.insertId,
@@ -57,7 +58,8 @@ export const upsert = async ({
             tono_voz,
             pilares_comunicacion,
             frecuencia_semanal,
-            segmento_principal
+            segmento_principal,
+            zona_horaria
         };
     }
 };
@@ -73,7 +75,7 @@ export const update = async (data) => {
 
     const allowedFields = [
         'nombre_marca', 'descripcion', 'tono_voz',
-        'pilares_comunicacion', 'frecuencia_semanal', 'segmento_principal'
+        'pilares_comunicacion', 'frecuencia_semanal', 'segmento_principal', 'zona_horaria'
     ];
 
     const fields = [];
@@ -102,9 +102,34 @@ export const getById = async (id) => {
         [id]
     );
 
+    // Obtener videos asociados
+    const [videos] = await pool.query(
+        'SELECT * FROM videos WHERE contenido_id = ?',
+        [id]
+    );
+
+    // Obtener cuentas destino (con su copy específico)
+    const [cuentas] = await pool.query(
+        `SELECT cc.cuenta_social_id, cc.copy_texto, cs.nombre_cuenta, cs.plataforma, cs.estado
+         FROM contenido_cuentas cc
+         INNER JOIN cuentas_sociales cs ON cc.cuenta_social_id = cs.id
+         WHERE cc.contenido_id = ?
+         ORDER BY cc.id ASC`,
+        [id]
+    );
+
+    // Obtener variantes por plataforma
+    const [variantes] = await pool.query(
+        'SELECT * FROM contenido_variantes WHERE contenido_id = ? ORDER BY plataforma',
+        [id]
+    );
+
     return {
         ...rows[0],
-        imagenes
+        imagenes,
+        videos,
+        cuentas,
+        variantes
     };
 };
 
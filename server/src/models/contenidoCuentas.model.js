@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Modelo de Cuentas destino del contenido
+ * @description Operaciones para la tabla contenido_cuentas (a qué cuentas va
+ * cada contenido y con qué copy específico)
+ * @module models/contenidoCuentas
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * Obtiene las cuentas destino de un contenido
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<Array>} Destinos con los datos de la cuenta
+ */
+export const getByContenido = async (contenidoId) => {
+    const [rows] = await pool.query(`
+        SELECT cc.cuenta_social_id, cc.copy_texto,
+               cs.nombre_cuenta, cs.plataforma, cs.estado
+        FROM contenido_cuentas cc
+        INNER JOIN cuentas_sociales cs ON cc.cuenta_social_id = cs.id
+        WHERE cc.contenido_id = ?
+        ORDER BY cc.id ASC
+    `, [contenidoId]);
+    return rows;
+};
+
+/**
+ * Reemplaza las cuentas destino de un contenido
+ * @param {number} contenidoId - ID del contenido
+ * @param {Array<Object>} destinos - [{ cuenta_social_id, copy_texto }]
+ * @returns {Promise<Array>} Destinos guardados
+ */
+export const reemplazar = async (contenidoId, destinos) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query('DELETE FROM contenido_cuentas WHERE contenido_id = ?', [contenidoId]);
+
+        for (const { cuenta_social_id, copy_texto } of destinos) {
+            await connection.query(
+                'INSERT IGNORE INTO contenido_cuentas (contenido_id, cuenta_social_id, copy_texto) VALUES (?, ?, ?)',
+                [contenidoId, cuenta_social_id, copy_texto || null]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    return getByContenido(contenidoId);
+};
+
+/**
+ * Añade una cuenta destino o actualiza su copy específico
+ * @param {Object} data - { contenido_id, cuenta_social_id, copy_texto }
+ * @returns {Promise<boolean>} True si se guardó
+ */
+export const upsert = async ({ contenido_id, cuenta_social_id, copy_texto = null }) => {
+    const [result] = await pool.query(
+        `INSERT INTO contenido_cuentas (contenido_id, cuenta_social_id, copy_texto)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE copy_texto = VALUES(copy_texto)`,
+        [contenido_id, cuenta_social_id, copy_texto || null]
+    );
+    return result.affectedRows > 0;
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Modelo de Variantes del contenido
+ * @description Operaciones para la tabla contenido_variantes (copy e imágenes por plataforma)
+ * @module models/contenidoVariantes
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * Obtiene las variantes de un contenido
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<Array>} Variantes por plataforma
+ */
+export const getByContenido = async (contenidoId) => {
+    const [rows] = await pool.query(
+        'SELECT * FROM contenido_variantes WHERE contenido_id = ? ORDER BY plataforma',
+        [contenidoId]
+    );
+    return rows;
+};
+
+/**
+ * Crea o reemplaza la variante de una plataforma
+ * @param {Object} data - { contenido_id, plataforma, copy_texto, imagenes_ids, generado_ia, modelo_ia }
+ * @returns {Promise<Object|null>} Variante guardada
+ */
+export const upsert = async ({
+    contenido_id,
+    plataforma,
+    copy_texto = null,
+    imagenes_ids = null,
+    generado_ia = false,
+    modelo_ia = null
+}) => {
+    await pool.query(
+        `INSERT INTO contenido_variantes 
+         (contenido_id, plataforma, copy_texto, imagenes_ids, generado_ia, modelo_ia)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE copy_texto = VALUES(copy_texto), imagenes_ids = VALUES(imagenes_ids),
+             generado_ia = VALUES(generado_ia), modelo_ia = VALUES(modelo_ia)`,
+        [contenido_id, plataforma, copy_texto, imagenes_ids, generado_ia, modelo_ia]
+    );
+
+    const [rows] = await pool.query(
+        'SELECT * FROM contenido_variantes WHERE contenido_id = ? AND plataforma = ?',
+        [contenido_id, plataforma]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Elimina la variante de una plataforma (vuelve a usarse el copy maestro)
+ * @param {number} contenidoId - ID del contenido
+ * @param {string} plataforma - Plataforma
+ * @returns {Promise<boolean>} True si se eliminó
+ */
+export const remove = async (contenidoId, plataforma) => {
+    const [result] = await pool.query(
+        'DELETE FROM contenido_variantes WHERE contenido_id = ? AND plataforma = ?',
+        [contenidoId, plataforma]
+    );
+    return result.affectedRows > 0;
+};
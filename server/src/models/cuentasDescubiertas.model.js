@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Modelo de Cuentas Descubiertas
+ * @description Operaciones para la tabla cuentas_descubiertas: las cuentas que
+ * devolvió el OAuth de cada usuario, pendientes de elegir cuáles conectar
+ * @module models/cuentasDescubiertas
+ */
+
+import { pool } from '../config/db.js';
+import { cifrarToken } from '../utils/cifradoTokens.js';
+
+/**
+ * Reemplaza las cuentas descubiertas de un usuario en un proveedor
+ * Los tokens se guardan cifrados
+ * @param {number} usuarioId - Usuario que hizo el OAuth
+ * @param {string} proveedor - 'meta', ...
+ * @param {Array<Object>} cuentas - [{ plataforma, nombre_cuenta, page_id, vinculada_a, access_token, token_expires_at }]
+ * @returns {Promise<number>} Número de cuentas guardadas
+ */
+export const reemplazar = async (usuarioId, proveedor, cuentas) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query(
+            'DELETE FROM cuentas_descubiertas WHERE usuario_id = ? AND proveedor = ?',
+            [usuarioId, proveedor]
+        );
+
+        for (const cuenta of cuentas) {
+            await connection.query(
+                `INSERT IGNORE INTO cuentas_descubiertas
+                 (usuario_id, proveedor, plataforma, nombre_cuenta, page_id, vinculada_a, access_token, token_expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    usuarioId, proveedor, cuenta.plataforma, cuenta.nombre_cuenta, cuenta.page_id,
+                    cuenta.vinculada_a || null, cifrarToken(cuenta.access_token), cuenta.token_expires_at || null
+                ]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    return cuentas.length;
+};
+
+/**
+ * Cuentas descubiertas vigentes de un usuario (sin tokens)
+ * Indica si cada una ya está conectada como cuenta social
+ * @param {number} usuarioId - ID del usuario
+ * @returns {Promise<Array>} Cuentas con { conectada }
+ */
+export const getByUsuario = async (usuarioId) => {
+    const [rows] = await pool.query(
+        `SELECT cd.id, cd.proveedor, cd.plataforma, cd.nombre_cuenta, cd.page_id, cd.vinculada_a,
+                cd.token_expires_at, cd.created_at,
+                EXISTS (
+                    SELECT 1 FROM cuentas_sociales cs
+                    WHERE cs.plataforma = cd.plataforma AND cs.page_id = cd.page_id AND cs.estado = 'conectada'
+                ) as conectada
+         FROM cuentas_descubiertas cd
+         WHERE cd.usuario_id = ?
+           AND (cd.token_expires_at IS NULL OR cd.token_expires_at > NOW())
+         ORDER BY cd.proveedor, COALESCE(cd.vinculada_a, cd.page_id), cd.plataforma`,
+        [usuarioId]
+    );
+    return rows.map(row => ({ ...row, conectada: !!row.conectada }));
+};
+
+/**
+ * Cuentas descubiertas de un usuario por ID, con sus tokens
+ * @param {number} usuarioId - ID del usuario
+ * @param {Array<number>} ids - IDs elegidos
+ * @returns {Promise<Array>} Cuentas vigentes encontradas (tokens cifrados)
+ */
+export const getByIds = async (usuarioId, ids) => {
+    if (ids.length === 0) return [];
+    const [rows] = await pool.query(
+        `SELECT * FROM cuentas_descubiertas
+         WHERE usuario_id = ? AND id IN (?)
+           AND (token_expires_at IS NULL OR token_expires_at > NOW())`,
+        [usuarioId, ids]
+    );
+    return rows;
+};
+
+/**
+ * Cuentas descubiertas con token, para rotar la clave de cifrado
+ * @returns {Promise<Array>} [{ id, access_token }]
+ */
+export const getTokensGuardados = async () => {
+    const [rows] = await pool.query(
+        'SELECT id, access_token FROM cuentas_descubiertas WHERE access_token IS NOT NULL'
+    );
+    return rows;
+};
+
+/**
+ * Sustituye el token guardado tal cual (ya cifrado)
+ * @param {number} id - ID de la cuenta descubierta
+ * @param {string} accessToken - Token cifrado
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const guardarTokenCifrado = async (id, accessToken) => {
+    const [result] = await pool.query(
+        'UPDATE cuentas_descubiertas SET access_token = ? WHERE id = ?',
+        [accessToken, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Elimina las cuentas descubiertas cuyo token ya caducó
+ * @returns {Promise<number>} Número de cuentas eliminadas
+ */
+export const limpiar = async () => {
+    const [result] = await pool.query(
+        'DELETE FROM cuentas_descubiertas WHERE token_expires_at IS NOT NULL AND token_expires_at < NOW()'
+    );
+    return result.affectedRows;
+};
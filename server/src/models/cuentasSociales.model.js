@@ -5,6 +5,12 @@
  */
 
 import { pool } from '../config/db.js';
+import { cifrarToken } from '../utils/cifradoTokens.js';
+
+// Columnas que se pueden devolver: los tokens solo salen con getCredenciales()
+const COLUMNAS_CUENTA = `id, plataforma, nombre_cuenta, page_id, estado, token_expires_at, aviso_caducidad_at,
+            limite_publicaciones, ventana_limite_horas, separacion_minima_min,
+            cuota_usada, cuota_actualizada_at, zona_horaria, created_at`;
 
 /**
  * Obtiene todas las cuentas sociales
@@ -12,7 +18,7 @@ import { pool } from '../config/db.js';
  */
 export const getAll = async () => {
     const [rows] = await pool.query(
-        `SELECT id, plataforma, nombre_cuenta, page_id, estado, token_expires_at, created_at 
+        `SELECT ${COLUMNAS_CUENTA} 
      FROM cuentas_sociales 
      ORDER BY plataforma, created_at DESC`
     );
@@ -26,7 +32,7 @@ export const getAll = async () => {
  */
 export const getById = async (id) => {
     const [rows] = await pool.query(
-        'SELECT * FROM cuentas_sociales WHERE id = ?',
+        `SELECT ${COLUMNAS_CUENTA} FROM cuentas_sociales WHERE id = ?`,
         [id]
     );
     return rows[0] || null;
@@ -39,19 +45,33 @@ export const getById = async (id) => {
  */
 export const getByPlataforma = async (plataforma) => {
     const [rows] = await pool.query(
-        'SELECT * FROM cuentas_sociales WHERE plataforma = ? AND estado = "conectada"',
+        `SELECT ${COLUMNAS_CUENTA} FROM cuentas_sociales WHERE plataforma = ? AND estado = "conectada"`,
         [plataforma]
     );
     return rows;
 };
 
+/**
+ * Obtiene la cuenta de una página o perfil concreto
+ * @param {string} plataforma - 'facebook', 'instagram', 'linkedin'
+ * @param {string} pageId - ID de la página o perfil en la red
+ * @returns {Promise<Object|null>} Cuenta o null
+ */
+export const getByPageId = async (plataforma, pageId) => {
+    const [rows] = await pool.query(
+        `SELECT ${COLUMNAS_CUENTA} FROM cuentas_sociales WHERE plataforma = ? AND page_id = ? ORDER BY id LIMIT 1`,
+        [plataforma, pageId]
+    );
+    return rows[0] || null;
+};
+
 /**
  * Obtiene cuentas conectadas (con token válido)
  * @returns {Promise<Array>} Cuentas conectadas
  */
 export const getConectadas = async () => {
     const [rows] = await pool.query(
-        `SELECT id, plataforma, nombre_cuenta, page_id, token_expires_at 
+        `SELECT id, plataforma, nombre_cuenta, page_id, token_expires_at, aviso_caducidad_at 
      FROM cuentas_sociales 
      WHERE estado = 'conectada' 
      AND (token_expires_at IS NULL OR token_expires_at > NOW())`
@@ -61,7 +81,8 @@ export const getConectadas = async () => {
 
 /**
  * Crea una nueva cuenta social
- * @param {Object} data - Datos de la cuenta
+ * Los tokens se guardan cifrados
+ * @param {Object} data - Datos de la cuenta (tokens en claro)
  * @returns {Promise<Object>} Cuenta creada (sin tokens para seguridad)
  */
 export const create = async ({
@@ -77,7 +98,7 @@ export const create = async ({
         `INSERT INTO cuentas_sociales 
      (plataforma, nombre_cuenta, page_id, access_token, refresh_token, token_expires_at, estado) 
      VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [plataforma, nombre_cuenta, page_id, access_token, refresh_token, token_expires_at, estado]
+        [plataforma, nombre_cuenta, page_id, cifrarToken(access_token), cifrarToken(refresh_token), token_expires_at, estado]
     );
 
     return {
@@ -90,17 +111,61 @@ export const create = async ({
 };
 
 /**
- * Actualiza los tokens de una cuenta
+ * Actualiza los tokens de una cuenta (se guardan cifrados)
  * @param {number} id - ID de la cuenta
- * @param {Object} tokens - Tokens a actualizar
+ * @param {Object} tokens - Tokens en claro
  * @returns {Promise<boolean>} True si se actualizó
  */
 export const updateTokens = async (id, { access_token, refresh_token = null, token_expires_at = null }) => {
     const [result] = await pool.query(
         `UPDATE cuentas_sociales 
-     SET access_token = ?, refresh_token = ?, token_expires_at = ?, estado = 'conectada' 
+     SET access_token = ?, refresh_token = ?, token_expires_at = ?, aviso_caducidad_at = NULL, estado = 'conectada' 
      WHERE id = ?`,
-        [access_token, refresh_token, token_expires_at, id]
+        [cifrarToken(access_token), cifrarToken(refresh_token), token_expires_at, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Obtiene las cuentas conectadas cuyo token caduca en los próximos días
+ * @param {number} dias - Margen en días
+ * @returns {Promise<Array>} Cuentas con sus tokens (cifrados)
+ */
+export const getPorCaducar = async (dias) => {
+    const [rows] = await pool.query(
+        `SELECT * FROM cuentas_sociales
+     WHERE estado = 'conectada'
+     AND token_expires_at IS NOT NULL
+     AND token_expires_at > NOW()
+     AND token_expires_at <= DATE_ADD(NOW(), INTERVAL ? DAY)
+     ORDER BY token_expires_at ASC`,
+        [dias]
+    );
+    return rows;
+};
+
+/**
+ * Obtiene las cuentas expiradas (hay que reconectarlas)
+ * @returns {Promise<Array>} Cuentas expiradas
+ */
+export const getExpiradas = async () => {
+    const [rows] = await pool.query(
+        `SELECT id, plataforma, nombre_cuenta, page_id, token_expires_at 
+     FROM cuentas_sociales 
+     WHERE estado = 'expirada'`
+    );
+    return rows;
+};
+
+/**
+ * Registra que ya se avisó de la caducidad del token de una cuenta
+ * @param {number} id - ID de la cuenta
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const marcarAvisoCaducidad = async (id) => {
+    const [result] = await pool.query(
+        'UPDATE cuentas_sociales SET aviso_caducidad_at = NOW() WHERE id = ?',
+        [id]
     );
     return result.affectedRows > 0;
 };
@@ -120,16 +185,88 @@ export const updateEstado = async (id, estado) => {
 };
 
 /**
- * Obtiene el token de acceso de una cuenta
+ * Actualiza la cuota de publicación propia de una cuenta
+ * Un valor null vuelve a la cuota por defecto de la plataforma
+ * @param {number} id - ID de la cuenta
+ * @param {Object} cuota - { limite_publicaciones, ventana_limite_horas, separacion_minima_min }
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const updateCuota = async (id, { limite_publicaciones = null, ventana_limite_horas = null, separacion_minima_min = null }) => {
+    const [result] = await pool.query(
+        `UPDATE cuentas_sociales
+     SET limite_publicaciones = ?, ventana_limite_horas = ?, separacion_minima_min = ?
+     WHERE id = ?`,
+        [limite_publicaciones, ventana_limite_horas, separacion_minima_min, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Cambia la zona horaria de una cuenta (null = la de la marca)
  * @param {number} id - ID de la cuenta
- * @returns {Promise<string|null>} Token o null
+ * @param {string|null} zona - Zona IANA
+ * @returns {Promise<boolean>} True si se actualizó
  */
-export const getAccessToken = async (id) => {
+export const updateZonaHoraria = async (id, zona) => {
+    const [result] = await pool.query(
+        'UPDATE cuentas_sociales SET zona_horaria = ? WHERE id = ?',
+        [zona, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Guarda el uso de la cuota que informa la red social
+ * @param {number} id - ID de la cuenta
+ * @param {number} usadas - Publicaciones consumidas en la ventana actual
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const registrarUsoCuota = async (id, usadas) => {
+    const [result] = await pool.query(
+        'UPDATE cuentas_sociales SET cuota_usada = ?, cuota_actualizada_at = NOW() WHERE id = ?',
+        [usadas, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Obtiene los tokens de una cuenta conectada, cifrados
+ * Se descifran con descifrarToken() justo antes de llamar a la red
+ * @param {number} id - ID de la cuenta
+ * @returns {Promise<Object|null>} { access_token, refresh_token } o null
+ */
+export const getCredenciales = async (id) => {
     const [rows] = await pool.query(
-        'SELECT access_token FROM cuentas_sociales WHERE id = ? AND estado = "conectada"',
+        'SELECT access_token, refresh_token FROM cuentas_sociales WHERE id = ? AND estado = "conectada"',
         [id]
     );
-    return rows[0]?.access_token || null;
+    return rows[0] || null;
+};
+
+/**
+ * Cuentas con tokens guardados, para rotar la clave de cifrado
+ * @returns {Promise<Array>} [{ id, access_token, refresh_token }]
+ */
+export const getTokensGuardados = async () => {
+    const [rows] = await pool.query(
+        `SELECT id, access_token, refresh_token FROM cuentas_sociales
+     WHERE access_token IS NOT NULL OR refresh_token IS NOT NULL`
+    );
+    return rows;
+};
+
+/**
+ * Sustituye los tokens guardados tal cual (ya cifrados), sin tocar el estado
+ * @param {number} id - ID de la cuenta
+ * @param {Object} tokens - { access_token, refresh_token } cifrados
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const guardarTokensCifrados = async (id, { access_token, refresh_token }) => {
+    const [result] = await pool.query(
+        'UPDATE cuentas_sociales SET access_token = ?, refresh_token = ? WHERE id = ?',
+        [access_token, refresh_token, id]
+    );
+    return result.affectedRows > 0;
 };
 
 /**
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Modelo de Horarios de Cola
+ * @description Operaciones para la tabla horarios_cola (franjas semanales por cuenta)
+ * @module models/horariosCola
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * Obtiene las franjas de una cuenta
+ * @param {number} cuentaId - ID de la cuenta social
+ * @returns {Promise<Array>} Franjas ordenadas por día y hora
+ */
+export const getByCuenta = async (cuentaId) => {
+    const [rows] = await pool.query(
+        `SELECT * FROM horarios_cola
+         WHERE cuenta_social_id = ?
+         ORDER BY dia_semana ASC, hora ASC`,
+        [cuentaId]
+    );
+    return rows;
+};
+
+/**
+ * Obtiene las franjas de todas las cuentas conectadas
+ * @returns {Promise<Array>} Franjas con datos de la cuenta
+ */
+export const getTodas = async () => {
+    const [rows] = await pool.query(`
+        SELECT hc.*, cs.nombre_cuenta, cs.plataforma, cs.zona_horaria
+        FROM horarios_cola hc
+        INNER JOIN cuentas_sociales cs ON hc.cuenta_social_id = cs.id
+        WHERE cs.estado = 'conectada'
+        ORDER BY hc.cuenta_social_id, hc.dia_semana, hc.hora
+    `);
+    return rows;
+};
+
+/**
+ * Reemplaza las franjas de una cuenta
+ * @param {number} cuentaId - ID de la cuenta social
+ * @param {Array<Object>} franjas - [{ dia_semana, hora }]
+ * @returns {Promise<Array>} Franjas guardadas
+ */
+export const reemplazar = async (cuentaId, franjas) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query('DELETE FROM horarios_cola WHERE cuenta_social_id = ?', [cuentaId]);
+
+        for (const { dia_semana, hora } of franjas) {
+            await connection.query(
+                'INSERT IGNORE INTO horarios_cola (cuenta_social_id, dia_semana, hora) VALUES (?, ?, ?)',
+                [cuentaId, dia_semana, hora]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    return getByCuenta(cuentaId);
+};
@@ -38,12 +38,15 @@ export const create = async ({
     contenido_id,
     url_imagen,
     prompt_imagen = null,
-    modelo_ia = null
+    modelo_ia = null,
+    ancho = null,
+    alto = null,
+    tamano_bytes = null
 }) => {
     const [result] = await pool.query(
-        `INSERT INTO imagenes (contenido_id, url_imagen, prompt_imagen, modelo_ia) 
-     VALUES (?, ?, ?, ?)`,
-        [contenido_id, url_imagen, prompt_imagen, modelo_ia]
+        `INSERT INTO imagenes (contenido_id, url_imagen, prompt_imagen, modelo_ia, ancho, alto, tamano_bytes) 
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [contenido_id, url_imagen, prompt_imagen, modelo_ia, ancho, alto, tamano_bytes]
     );
 
     return {
@@ -51,10 +54,27 @@ export const create = async ({
         contenido_id,
         url_imagen,
         prompt_imagen,
-        modelo_ia
+        modelo_ia,
+        ancho,
+        alto,
+        tamano_bytes
     };
 };
 
+/**
+ * Guarda las dimensiones y el peso de una imagen
+ * @param {number} id - ID de la imagen
+ * @param {Object} metadatos - { ancho, alto, tamano_bytes }
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const actualizarMetadatos = async (id, { ancho, alto, tamano_bytes }) => {
+    const [result] = await pool.query(
+        'UPDATE imagenes SET ancho = ?, alto = ?, tamano_bytes = ? WHERE id = ?',
+        [ancho, alto, tamano_bytes, id]
+    );
+    return result.affectedRows > 0;
+};
+
 /**
  * Elimina una imagen
  * @param {number} id - ID de la imagen
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Modelo de Intentos de Publicación
+ * @description Operaciones para la tabla intentos_publicacion
+ * @module models/intentosPublicacion
+ */
+
+import { pool } from '../config/db.js';
+
+// Las columnas TEXT guardan los objetos como JSON
+const aTexto = (valor) => (valor && typeof valor === 'object' ? JSON.stringify(valor) : valor);
+
+const aObjeto = (valor) => {
+    if (!valor) return null;
+    try {
+        return JSON.parse(valor);
+    } catch {
+        return valor;
+    }
+};
+
+/**
+ * Registra un intento de publicación
+ * @param {Object} data - Datos del intento
+ * @returns {Promise<number>} ID del registro
+ */
+export const registrar = async ({
+    publicacion_id,
+    numero_intento,
+    resultado,
+    instancia = null,
+    error = null,
+    categoria_error = null,
+    resumen_envio = null,
+    response_api = null,
+    duracion_ms = null,
+    proximo_intento = null
+}) => {
+    const [result] = await pool.query(
+        `INSERT INTO intentos_publicacion
+         (publicacion_id, numero_intento, resultado, instancia, error, categoria_error,
+          resumen_envio, response_api, duracion_ms, proximo_intento)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            publicacion_id,
+            numero_intento,
+            resultado,
+            instancia,
+            error,
+            categoria_error,
+            aTexto(resumen_envio),
+            aTexto(response_api),
+            duracion_ms,
+            proximo_intento
+        ]
+    );
+    return result.insertId;
+};
+
+/**
+ * Obtiene los intentos de una publicación
+ * @param {number} publicacionId - ID de la publicación
+ * @returns {Promise<Array>} Intentos ordenados del más antiguo al más reciente
+ */
+export const getByPublicacion = async (publicacionId) => {
+    const [rows] = await pool.query(
+        `SELECT * FROM intentos_publicacion
+         WHERE publicacion_id = ?
+         ORDER BY numero_intento ASC, created_at ASC`,
+        [publicacionId]
+    );
+    return rows;
+};
+
+/**
+ * Historial de intentos de una publicación, con el envío y la respuesta ya decodificados
+ * @param {number} publicacionId - ID de la publicación
+ * @returns {Promise<Array>} Intentos del más reciente al más antiguo
+ */
+export const getHistorial = async (publicacionId) => {
+    const [rows] = await pool.query(
+        `SELECT id, numero_intento, resultado, instancia, error, categoria_error,
+                resumen_envio, response_api, duracion_ms, proximo_intento, created_at
+         FROM intentos_publicacion
+         WHERE publicacion_id = ?
+         ORDER BY created_at DESC, id DESC`,
+        [publicacionId]
+    );
+    return rows.map(row => ({
+        ...row,
+        resumen_envio: aObjeto(row.resumen_envio),
+        response_api: aObjeto(row.response_api)
+    }));
+};
+
+/**
+ * Obtiene las fechas de los envíos con éxito de una cuenta en las últimas horas
+ * Es el uso local de la cuota de publicación de la cuenta
+ * @param {number} cuentaId - ID de la cuenta social
+ * @param {number} horas - Tamaño de la ventana
+ * @returns {Promise<Array<Date>>} Fechas de envío, de la más antigua a la más reciente
+ */
+export const getEnviosPorCuenta = async (cuentaId, horas) => {
+    const [rows] = await pool.query(
+        `SELECT ip.created_at
+         FROM intentos_publicacion ip
+         INNER JOIN publicaciones_programadas pp ON ip.publicacion_id = pp.id
+         WHERE pp.cuenta_social_id = ?
+           AND ip.resultado = 'exito'
+           AND ip.created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+         ORDER BY ip.created_at ASC`,
+        [cuentaId, horas]
+    );
+    return rows.map(row => row.created_at);
+};
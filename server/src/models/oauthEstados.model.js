@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Modelo de Estados OAuth
+ * @description Operaciones para la tabla oauth_estados
+ * @module models/oauthEstados
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * Guarda el estado de un flujo OAuth recién iniciado
+ * @param {Object} data - { state, usuario_id, proveedor, code_verifier, expira_at }
+ * @returns {Promise<boolean>} True si se guardó
+ */
+export const create = async ({ state, usuario_id, proveedor, code_verifier = null, expira_at }) => {
+    const [result] = await pool.query(
+        `INSERT INTO oauth_estados (state, usuario_id, proveedor, code_verifier, expira_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [state, usuario_id, proveedor, code_verifier, expira_at]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Consume un estado: solo la primera llamada dentro del plazo lo obtiene
+ * El UPDATE condicionado hace que dos réplicas no puedan usar el mismo estado
+ * @param {string} state - Estado recibido en el callback
+ * @param {string} proveedor - Proveedor del callback
+ * @returns {Promise<Object|null>} { usuario_id, proveedor, code_verifier } o null si no es válido
+ */
+export const consumir = async (state, proveedor) => {
+    const [result] = await pool.query(
+        `UPDATE oauth_estados SET consumido_at = NOW()
+         WHERE state = ? AND proveedor = ? AND consumido_at IS NULL AND expira_at > NOW()`,
+        [state, proveedor]
+    );
+    if (result.affectedRows === 0) return null;
+
+    const [rows] = await pool.query(
+        'SELECT usuario_id, proveedor, code_verifier FROM oauth_estados WHERE state = ?',
+        [state]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Elimina los estados caducados o ya consumidos
+ * @returns {Promise<number>} Número de estados eliminados
+ */
+export const limpiar = async () => {
+    const [result] = await pool.query(
+        'DELETE FROM oauth_estados WHERE expira_at < NOW() OR consumido_at IS NOT NULL'
+    );
+    return result.affectedRows;
+};
@@ -4,8 +4,33 @@
  * @module models/publicaciones
  */
 
+import crypto from 'crypto';
 import { pool } from '../config/db.js';
 
+// Columnas necesarias para publicar (contenido + credenciales de la cuenta, con el token cifrado)
+// Copy: el de la cuenta destino, si no el de la variante de la plataforma, si no el maestro
+const SELECT_PARA_PUBLICAR = `
+    SELECT pp.*, 
+           c.titulo,
+           COALESCE(NULLIF(cc.copy_texto, ''), NULLIF(cv.copy_texto, ''), c.copy_texto) as copy_texto,
+           cv.imagenes_ids as variante_imagenes_ids,
+           c.contenido as contenido_texto,
+           c.plataforma,
+           c.tipo,
+           cs.nombre_cuenta,
+           cs.page_id,
+           cs.access_token,
+           cs.plataforma as cuenta_plataforma,
+           cs.limite_publicaciones,
+           cs.ventana_limite_horas,
+           cs.separacion_minima_min
+    FROM publicaciones_programadas pp
+    INNER JOIN contenido c ON pp.contenido_id = c.id
+    INNER JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
+    LEFT JOIN contenido_cuentas cc ON cc.contenido_id = pp.contenido_id AND cc.cuenta_social_id = pp.cuenta_social_id
+    LEFT JOIN contenido_variantes cv ON cv.contenido_id = pp.contenido_id AND cv.plataforma = cs.plataforma
+`;
+
 /**
  * Obtiene todas las publicaciones programadas con paginación
  * @param {Object} options - Opciones de consulta
@@ -67,7 +92,7 @@ export const getById = async (id) => {
                c.plataforma as contenido_plataforma,
                cs.nombre_cuenta,
                cs.plataforma as cuenta_plataforma,
-               cs.access_token
+               cs.page_id
         FROM publicaciones_programadas pp
         LEFT JOIN contenido c ON pp.contenido_id = c.id
         LEFT JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
@@ -98,14 +123,137 @@ export const create = async ({ contenido_id, cuenta_social_id, fecha_programada
     };
 };
 
+/**
+ * Crea la ocurrencia de una serie
+ * La clave única (serie_id, fecha_programada) evita duplicados cuando
+ * varias instancias materializan la misma ocurrencia
+ * @param {Object} data - Datos de la ocurrencia
+ * @returns {Promise<Object|null>} Publicación creada o null si ya existía
+ */
+export const crearOcurrencia = async ({ contenido_id, cuenta_social_id, fecha_programada, serie_id }) => {
+    const [result] = await pool.query(
+        `INSERT IGNORE INTO publicaciones_programadas 
+         (contenido_id, cuenta_social_id, fecha_programada, estado, serie_id) 
+         VALUES (?, ?, ?, 'pendiente', ?)`,
+        [contenido_id, cuenta_social_id, fecha_programada, serie_id]
+    );
+
+    if (result.affectedRows === 0) return null;
+
+    return {
+        id: result.insertId,
+        contenido_id,
+        cuenta_social_id,
+        fecha_programada,
+        serie_id,
+        estado: 'pendiente'
+    };
+};
+
+/**
+ * Añade una publicación al final de la cola de una cuenta
+ * La fecha definitiva la asigna la reorganización de la cola
+ * @param {Object} data - { contenido_id, cuenta_social_id, fecha_programada }
+ * @returns {Promise<Object>} Publicación creada
+ */
+export const crearEnCola = async ({ contenido_id, cuenta_social_id, fecha_programada }) => {
+    const [result] = await pool.query(
+        `INSERT INTO publicaciones_programadas 
+         (contenido_id, cuenta_social_id, fecha_programada, estado, en_cola, posicion_cola)
+         SELECT ?, ?, ?, 'pendiente', TRUE, COALESCE(MAX(posicion_cola), 0) + 1
+         FROM publicaciones_programadas
+         WHERE cuenta_social_id = ? AND en_cola = TRUE AND estado = 'pendiente'`,
+        [contenido_id, cuenta_social_id, fecha_programada, cuenta_social_id]
+    );
+
+    return {
+        id: result.insertId,
+        contenido_id,
+        cuenta_social_id,
+        fecha_programada,
+        en_cola: true,
+        estado: 'pendiente'
+    };
+};
+
+/**
+ * Obtiene la cola pendiente de una cuenta en orden
+ * @param {number} cuentaId - ID de la cuenta social
+ * @returns {Promise<Array>} Elementos de la cola
+ */
+export const getColaPorCuenta = async (cuentaId) => {
+    const [rows] = await pool.query(`
+        SELECT pp.*, c.titulo as contenido_titulo, c.plataforma as contenido_plataforma
+        FROM publicaciones_programadas pp
+        LEFT JOIN contenido c ON pp.contenido_id = c.id
+        WHERE pp.cuenta_social_id = ? AND pp.en_cola = TRUE AND pp.estado = 'pendiente'
+        ORDER BY pp.posicion_cola ASC, pp.id ASC
+    `, [cuentaId]);
+    return rows;
+};
+
+/**
+ * Obtiene las fechas futuras que ya usan otras publicaciones pendientes de una cuenta
+ * @param {number} cuentaId - ID de la cuenta social
+ * @returns {Promise<Array<Date>>} Fechas ocupadas fuera de la cola
+ */
+export const getFechasOcupadas = async (cuentaId) => {
+    const [rows] = await pool.query(`
+        SELECT fecha_programada FROM publicaciones_programadas
+        WHERE cuenta_social_id = ? AND en_cola = FALSE
+          AND estado = 'pendiente' AND fecha_programada > NOW()
+    `, [cuentaId]);
+    return rows.map(row => row.fecha_programada);
+};
+
+/**
+ * Mueve un elemento de la cola a otra franja
+ * @param {number} id - ID de la publicación
+ * @param {Date} fecha - Nueva fecha programada
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const actualizarFechaCola = async (id, fecha) => {
+    const [result] = await pool.query(
+        `UPDATE publicaciones_programadas SET fecha_programada = ?
+         WHERE id = ? AND en_cola = TRUE AND estado = 'pendiente' AND lease_owner IS NULL`,
+        [fecha, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Cambia la posición de un elemento de la cola
+ * @param {number} id - ID de la publicación
+ * @param {number} posicion - Nueva posición
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const actualizarPosicionCola = async (id, posicion) => {
+    const [result] = await pool.query(
+        'UPDATE publicaciones_programadas SET posicion_cola = ? WHERE id = ? AND en_cola = TRUE',
+        [posicion, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Condición que limita un UPDATE a filas que no ha reclamado otra instancia
+ * Una fila con el lease ya liberado sigue siendo de quien la estaba procesando
+ * @param {string|null} leaseOwner - Token devuelto por reclamarSiguiente (null = sin comprobar)
+ * @returns {{ sql: string, values: Array }} Fragmento WHERE y sus valores
+ */
+const condicionLease = (leaseOwner) => leaseOwner
+    ? { sql: ' AND (lease_owner = ? OR lease_owner IS NULL)', values: [leaseOwner] }
+    : { sql: '', values: [] };
+
 /**
  * Actualiza el estado de una publicación
  * @param {number} id - ID de la publicación
  * @param {string} estado - Nuevo estado
- * @param {Object} extras - Datos adicionales (response_api, external_post_id)
+ * @param {Object} extras - Datos adicionales (response_api, external_post_id, texto_publicado, intentos, ultimo_error)
+ * @param {string|null} leaseOwner - Token del lease del worker; si otra instancia la reclamó no se toca
  * @returns {Promise<boolean>} True si se actualizó
  */
-export const updateEstado = async (id, estado, extras = {}) => {
+export const updateEstado = async (id, estado, extras = {}, leaseOwner = null) => {
     const fields = ['estado = ?'];
     const values = [estado];
 
@@ -121,43 +269,284 @@ export const updateEstado = async (id, estado, extras = {}) => {
         values.push(extras.external_post_id);
     }
 
-    values.push(id);
+    if (extras.texto_publicado !== undefined) {
+        fields.push('texto_publicado = ?');
+        values.push(extras.texto_publicado);
+    }
+
+    if (extras.intentos !== undefined) {
+        fields.push('intentos = ?');
+        values.push(extras.intentos);
+    }
+
+    if (extras.ultimo_error !== undefined) {
+        fields.push('ultimo_error = ?');
+        values.push(extras.ultimo_error);
+    }
+
+    // Un cambio de estado explícito cierra cualquier reintento pendiente y libera el lease
+    fields.push('proximo_intento = NULL', 'lease_owner = NULL', 'lease_expira = NULL');
+
+    const lease = condicionLease(leaseOwner);
+    values.push(id, ...lease.values);
 
     const [result] = await pool.query(
-        `UPDATE publicaciones_programadas SET ${fields.join(', ')} WHERE id = ?`,
+        `UPDATE publicaciones_programadas SET ${fields.join(', ')} WHERE id = ?${lease.sql}`,
         values
     );
 
     return result.affectedRows > 0;
 };
 
+/**
+ * Deja una publicación pendiente de reintento tras un fallo temporal
+ * Solo afecta a publicaciones aún pendientes: nunca reabre una ya enviada
+ * @param {number} id - ID de la publicación
+ * @param {Object} data - { intentos, proximo_intento, ultimo_error, response_api }
+ * @param {string|null} leaseOwner - Token del lease del worker
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const programarReintento = async (id, { intentos, proximo_intento, ultimo_error = null, response_api = null }, leaseOwner = null) => {
+    const lease = condicionLease(leaseOwner);
+    const [result] = await pool.query(
+        `UPDATE publicaciones_programadas 
+         SET estado = 'pendiente', intentos = ?, proximo_intento = ?, ultimo_error = ?, response_api = ?,
+             lease_owner = NULL, lease_expira = NULL
+         WHERE id = ? AND estado = 'pendiente'${lease.sql}`,
+        [
+            intentos,
+            proximo_intento,
+            ultimo_error,
+            response_api && typeof response_api === 'object' ? JSON.stringify(response_api) : response_api,
+            id,
+            ...lease.values
+        ]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Aplaza una publicación reclamada porque su cuenta agotó la cuota
+ * No consume un intento: vuelve a ser reclamable a partir de la fecha indicada
+ * @param {number} id - ID de la publicación
+ * @param {Date} fecha - Momento a partir del cual se puede publicar
+ * @param {string} motivo - Motivo visible en ultimo_error
+ * @param {string|null} leaseOwner - Token del lease del worker
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const aplazar = async (id, fecha, motivo, leaseOwner = null) => {
+    const lease = condicionLease(leaseOwner);
+    const [result] = await pool.query(
+        `UPDATE publicaciones_programadas
+         SET proximo_intento = ?, ultimo_error = ?, lease_owner = NULL, lease_expira = NULL
+         WHERE id = ? AND estado = 'pendiente'${lease.sql}`,
+        [fecha, motivo, id, ...lease.values]
+    );
+    return result.affectedRows > 0;
+};
+
 /**
  * Obtiene publicaciones pendientes listas para publicar
+ * Solo lectura: no reserva filas. El scheduler usa reclamarSiguiente()
  * @returns {Promise<Array>} Lista de publicaciones listas
  */
 export const getPendientesParaPublicar = async () => {
     const [rows] = await pool.query(`
-        SELECT pp.*, 
-               c.titulo,
-               c.copy_texto,
-               c.contenido as contenido_texto,
-               c.plataforma,
-               c.tipo,
-               cs.nombre_cuenta,
-               cs.page_id,
-               cs.access_token,
-               cs.plataforma as cuenta_plataforma
-        FROM publicaciones_programadas pp
-        INNER JOIN contenido c ON pp.contenido_id = c.id
-        INNER JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
+        ${SELECT_PARA_PUBLICAR}
         WHERE pp.estado = 'pendiente' 
           AND pp.fecha_programada <= NOW()
+          AND (pp.proximo_intento IS NULL OR pp.proximo_intento <= NOW())
           AND cs.estado = 'conectada'
         ORDER BY pp.fecha_programada ASC
     `);
     return rows;
 };
 
+/**
+ * Reclama de forma atómica la siguiente publicación lista para publicar
+ * El UPDATE con LIMIT 1 bloquea la fila, así que dos instancias nunca
+ * obtienen la misma publicación. Un lease vencido (proceso caído) vuelve
+ * a ser reclamable.
+ * @param {string} instancia - Identificador de la instancia del worker
+ * @param {number} leaseSegundos - Duración del lease
+ * @returns {Promise<Object|null>} Publicación reclamada o null si no hay
+ */
+export const reclamarSiguiente = async (instancia, leaseSegundos) => {
+    const token = `${instancia}:${crypto.randomBytes(6).toString('hex')}`;
+
+    const [result] = await pool.query(`
+        UPDATE publicaciones_programadas
+        SET lease_owner = ?, lease_expira = DATE_ADD(NOW(), INTERVAL ? SECOND)
+        WHERE estado = 'pendiente'
+          AND fecha_programada <= NOW()
+          AND (proximo_intento IS NULL OR proximo_intento <= NOW())
+          AND (lease_owner IS NULL OR lease_expira < NOW())
+          AND cuenta_social_id IN (SELECT id FROM cuentas_sociales WHERE estado = 'conectada')
+        ORDER BY fecha_programada ASC
+        LIMIT 1
+    `, [token, leaseSegundos]);
+
+    if (result.affectedRows === 0) return null;
+
+    const [rows] = await pool.query(`${SELECT_PARA_PUBLICAR} WHERE pp.lease_owner = ?`, [token]);
+    return rows[0] || null;
+};
+
+/**
+ * Retiene las publicaciones que vencen durante un bloqueo
+ * Las que un worker está publicando (lease vigente) terminan su envío
+ * @returns {Promise<number>} Publicaciones retenidas
+ */
+export const retenerVencidas = async () => {
+    const [result] = await pool.query(`
+        UPDATE publicaciones_programadas
+        SET estado = 'retenido', motivo_retencion = 'bloqueo'
+        WHERE estado = 'pendiente'
+          AND fecha_programada <= NOW()
+          AND (proximo_intento IS NULL OR proximo_intento <= NOW())
+          AND (lease_owner IS NULL OR lease_expira < NOW())
+    `);
+    return result.affectedRows;
+};
+
+/**
+ * Obtiene las publicaciones retenidas por un bloqueo
+ * @returns {Promise<Array>} Publicaciones en orden de fecha original
+ */
+export const getRetenidas = async () => {
+    const [rows] = await pool.query(`
+        SELECT pp.*, c.titulo as contenido_titulo, cs.nombre_cuenta, cs.plataforma as cuenta_plataforma
+        FROM publicaciones_programadas pp
+        LEFT JOIN contenido c ON pp.contenido_id = c.id
+        LEFT JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
+        WHERE pp.estado = 'retenido' AND pp.motivo_retencion = 'bloqueo'
+        ORDER BY pp.fecha_programada ASC, pp.id ASC
+    `);
+    return rows;
+};
+
+/**
+ * Retiene las publicaciones pendientes de cuentas que ya no están conectadas
+ * Quedan a la espera de que se reconecte la cuenta en lugar de fallar
+ * @returns {Promise<number>} Publicaciones retenidas
+ */
+export const retenerPorCuenta = async () => {
+    const [result] = await pool.query(`
+        UPDATE publicaciones_programadas pp
+        INNER JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
+        SET pp.estado = 'retenido', pp.motivo_retencion = 'cuenta'
+        WHERE pp.estado = 'pendiente'
+          AND cs.estado <> 'conectada'
+          AND (pp.lease_owner IS NULL OR pp.lease_expira < NOW())
+    `);
+    return result.affectedRows;
+};
+
+/**
+ * Devuelve al scheduler lo retenido de cuentas que vuelven a estar conectadas
+ * Conservan su fecha: lo ya vencido sale respetando la cuota de la cuenta
+ * @returns {Promise<number>} Publicaciones liberadas
+ */
+export const liberarPorCuenta = async () => {
+    const [result] = await pool.query(`
+        UPDATE publicaciones_programadas pp
+        INNER JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
+        SET pp.estado = 'pendiente', pp.motivo_retencion = NULL, pp.proximo_intento = NULL
+        WHERE pp.estado = 'retenido'
+          AND pp.motivo_retencion = 'cuenta'
+          AND cs.estado = 'conectada'
+    `);
+    return result.affectedRows;
+};
+
+/**
+ * Cuenta lo retenido por cuenta expirada, agrupado por cuenta
+ * @returns {Promise<Object>} { [cuenta_social_id]: total }
+ */
+export const contarRetenidasPorCuenta = async () => {
+    const [rows] = await pool.query(`
+        SELECT cuenta_social_id, COUNT(*) as total
+        FROM publicaciones_programadas
+        WHERE estado = 'retenido' AND motivo_retencion = 'cuenta'
+        GROUP BY cuenta_social_id
+    `);
+    return Object.fromEntries(rows.map(row => [row.cuenta_social_id, row.total]));
+};
+
+/**
+ * Devuelve una publicación retenida al scheduler con una nueva fecha
+ * @param {number} id - ID de la publicación
+ * @param {Date|null} fecha - Nueva fecha (null en la cola: la reasigna reorganizar)
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const liberarRetenida = async (id, fecha) => {
+    const [result] = await pool.query(
+        `UPDATE publicaciones_programadas
+         SET estado = 'pendiente', motivo_retencion = NULL, fecha_programada = ?, proximo_intento = NULL
+         WHERE id = ? AND estado = 'retenido'`,
+        [fecha, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Obtiene las publicaciones fallidas con la categoría del error de su último intento
+ * @returns {Promise<Array>} Publicaciones de la más reciente a la más antigua
+ */
+export const getFallidas = async () => {
+    const [rows] = await pool.query(`
+        SELECT pp.id, pp.contenido_id, pp.cuenta_social_id, pp.fecha_programada, pp.estado,
+               pp.intentos, pp.ultimo_error, pp.serie_id, pp.en_cola,
+               c.titulo as contenido_titulo,
+               cs.nombre_cuenta, cs.plataforma as cuenta_plataforma, cs.estado as cuenta_estado,
+               ip.categoria_error, ip.created_at as fallo_at
+        FROM publicaciones_programadas pp
+        LEFT JOIN contenido c ON pp.contenido_id = c.id
+        LEFT JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
+        LEFT JOIN intentos_publicacion ip ON ip.id = (
+            SELECT MAX(id) FROM intentos_publicacion WHERE publicacion_id = pp.id
+        )
+        WHERE pp.estado = 'fallido'
+        ORDER BY COALESCE(ip.created_at, pp.fecha_programada) DESC, pp.id DESC
+    `);
+    return rows;
+};
+
+/**
+ * Vuelve a programar una publicación desde cero en una fecha
+ * Reinicia los intentos y la saca de la cola: la fecha queda fijada a mano
+ * @param {number} id - ID de la publicación
+ * @param {Date} fecha - Nueva fecha
+ * @param {number|null} cuentaId - Nueva cuenta destino (null = la misma)
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const reprogramar = async (id, fecha, cuentaId = null) => {
+    const [result] = await pool.query(
+        `UPDATE publicaciones_programadas 
+         SET fecha_programada = ?, estado = 'pendiente', motivo_retencion = NULL,
+             intentos = 0, proximo_intento = NULL, ultimo_error = NULL,
+             en_cola = FALSE, posicion_cola = NULL, cuenta_social_id = COALESCE(?, cuenta_social_id)
+         WHERE id = ?`,
+        [fecha, cuentaId, id]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Libera leases vencidos de procesos que terminaron sin cerrar la publicación
+ * @returns {Promise<number>} Número de leases liberados
+ */
+export const liberarLeasesVencidos = async () => {
+    const [result] = await pool.query(`
+        UPDATE publicaciones_programadas
+        SET lease_owner = NULL, lease_expira = NULL
+        WHERE estado = 'pendiente'
+          AND lease_owner IS NOT NULL
+          AND lease_expira < NOW()
+    `);
+    return result.affectedRows;
+};
+
 /**
  * Obtiene publicaciones por contenido
  * @param {number} contenidoId - ID del contenido
@@ -174,6 +563,48 @@ export const getByContenido = async (contenidoId) => {
     return rows;
 };
 
+/**
+ * Cuenta las publicaciones pendientes o retenidas (no recurrentes) de un contenido
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<number>} Total pendiente
+ */
+export const contarPendientesPorContenido = async (contenidoId) => {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) as total FROM publicaciones_programadas
+         WHERE contenido_id = ? AND estado IN ('pendiente', 'retenido') AND serie_id IS NULL`,
+        [contenidoId]
+    );
+    return rows[0].total;
+};
+
+/**
+ * Cuenta las publicaciones de un contenido que siguen publicadas en alguna red
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<number>} Total enviado
+ */
+export const contarEnviadasPorContenido = async (contenidoId) => {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) as total FROM publicaciones_programadas
+         WHERE contenido_id = ? AND estado = 'enviado'`,
+        [contenidoId]
+    );
+    return rows[0].total;
+};
+
+/**
+ * Guarda el texto editado de una publicación ya enviada
+ * @param {number} id - ID de la publicación
+ * @param {string} texto - Texto que queda publicado
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const registrarEdicion = async (id, texto) => {
+    const [result] = await pool.query(
+        'UPDATE publicaciones_programadas SET texto_publicado = ?, editado_at = NOW() WHERE id = ?',
+        [texto, id]
+    );
+    return result.affectedRows > 0;
+};
+
 /**
  * Elimina una publicación programada
  * @param {number} id - ID de la publicación
@@ -202,6 +633,53 @@ export const cancelarPorContenido = async (contenidoId) => {
     return result.affectedRows;
 };
 
+/**
+ * Cancela las ocurrencias pendientes de una serie
+ * Las que un worker está publicando en este momento (con lease) terminan su envío
+ * @param {number} serieId - ID de la serie
+ * @returns {Promise<number>} Número de publicaciones canceladas
+ */
+export const cancelarPorSerie = async (serieId) => {
+    const [result] = await pool.query(
+        `UPDATE publicaciones_programadas 
+         SET estado = 'cancelado'
+         WHERE serie_id = ? AND estado = 'pendiente' AND lease_owner IS NULL`,
+        [serieId]
+    );
+    return result.affectedRows;
+};
+
+/**
+ * Obtiene los envíos con métricas para calcular los mejores horarios
+ * Cada fila es una publicación enviada con su mejor tasa de engagement medida
+ * @param {Object} options - { plataforma, cuenta_social_id, dias }
+ * @returns {Promise<Array>} Filas { fecha, tasa_engagement }
+ */
+export const getHistorialEngagement = async ({ plataforma, cuenta_social_id = null, dias = 365 }) => {
+    let query = `
+        SELECT pp.fecha_programada as fecha, m.tasa_engagement
+        FROM publicaciones_programadas pp
+        INNER JOIN cuentas_sociales cs ON pp.cuenta_social_id = cs.id
+        INNER JOIN (
+            SELECT contenido_id, cuenta_social_id, MAX(tasa_engagement) as tasa_engagement
+            FROM metricas_contenido
+            GROUP BY contenido_id, cuenta_social_id
+        ) m ON m.contenido_id = pp.contenido_id AND m.cuenta_social_id = pp.cuenta_social_id
+        WHERE pp.estado = 'enviado'
+          AND cs.plataforma = ?
+          AND pp.fecha_programada >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    `;
+    const params = [plataforma, dias];
+
+    if (cuenta_social_id) {
+        query += ' AND pp.cuenta_social_id = ?';
+        params.push(cuenta_social_id);
+    }
+
+    const [rows] = await pool.query(query, params);
+    return rows;
+};
+
 /**
  * Obtiene estadísticas de publicaciones
  * @returns {Promise<Object>} Estadísticas
@@ -219,6 +697,7 @@ export const getStats = async () => {
         pendientes: 0,
         enviadas: 0,
         fallidas: 0,
+        retenidas: 0,
         total: 0
     };
 
@@ -226,6 +705,7 @@ export const getStats = async () => {
         if (row.estado === 'pendiente') stats.pendientes = row.total;
         else if (row.estado === 'enviado') stats.enviadas = row.total;
         else if (row.estado === 'fallido') stats.fallidas = row.total;
+        else if (row.estado === 'retenido') stats.retenidas = row.total;
         stats.total += row.total;
     });
 
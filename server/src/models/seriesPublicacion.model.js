@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Modelo de Series de Publicación
+ * @description Operaciones para la tabla series_publicacion (recurrentes y evergreen)
+ * @module models/seriesPublicacion
+ */
+
+import { pool } from '../config/db.js';
+
+const SELECT_SERIES = `
+    SELECT s.*,
+           c.titulo as contenido_titulo,
+           c.plataforma as contenido_plataforma,
+           cs.nombre_cuenta,
+           cs.plataforma as cuenta_plataforma,
+           cs.zona_horaria
+    FROM series_publicacion s
+    LEFT JOIN contenido c ON s.contenido_id = c.id
+    LEFT JOIN cuentas_sociales cs ON s.cuenta_social_id = cs.id
+`;
+
+/**
+ * Obtiene todas las series
+ * @param {Object} options - { activa }
+ * @returns {Promise<Array>} Lista de series
+ */
+export const getAll = async ({ activa = null } = {}) => {
+    let query = SELECT_SERIES;
+    const params = [];
+
+    if (activa !== null) {
+        query += ' WHERE s.activa = ?';
+        params.push(activa);
+    }
+
+    query += ' ORDER BY s.created_at DESC';
+
+    const [rows] = await pool.query(query, params);
+    return rows;
+};
+
+/**
+ * Obtiene una serie por ID
+ * @param {number} id - ID de la serie
+ * @returns {Promise<Object|null>} Serie o null
+ */
+export const getById = async (id) => {
+    const [rows] = await pool.query(`${SELECT_SERIES} WHERE s.id = ?`, [id]);
+    return rows[0] || null;
+};
+
+/**
+ * Obtiene las series activas que no tienen ninguna ocurrencia pendiente
+ * @returns {Promise<Array>} Series que necesitan materializar su siguiente ocurrencia
+ */
+export const getActivasSinPendiente = async () => {
+    const [rows] = await pool.query(`
+        ${SELECT_SERIES}
+        WHERE s.activa = TRUE
+          AND NOT EXISTS (
+              SELECT 1 FROM publicaciones_programadas pp
+              WHERE pp.serie_id = s.id AND pp.estado = 'pendiente'
+          )
+    `);
+    return rows;
+};
+
+/**
+ * Crea una nueva serie
+ * @param {Object} data - Datos de la serie
+ * @returns {Promise<Object>} Serie creada
+ */
+export const create = async ({
+    tipo = 'recurrente',
+    contenido_id = null,
+    cuenta_social_id,
+    frecuencia,
+    cada_dias = 1,
+    dias_semana = null,
+    dia_mes = null,
+    semana_mes = null,
+    dia_semana = null,
+    hora,
+    fecha_inicio,
+    fecha_fin = null,
+    created_by = null
+}) => {
+    const diasSemana = Array.isArray(dias_semana) ? dias_semana.join(',') : dias_semana;
+
+    const [result] = await pool.query(
+        `INSERT INTO series_publicacion
+         (tipo, contenido_id, cuenta_social_id, frecuencia, cada_dias, dias_semana,
+          dia_mes, semana_mes, dia_semana, hora, fecha_inicio, fecha_fin, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            tipo, contenido_id, cuenta_social_id, frecuencia, cada_dias, diasSemana,
+            dia_mes, semana_mes, dia_semana, hora, fecha_inicio, fecha_fin, created_by
+        ]
+    );
+
+    return getById(result.insertId);
+};
+
+/**
+ * Desactiva una serie (no genera más ocurrencias)
+ * @param {number} id - ID de la serie
+ * @returns {Promise<boolean>} True si se actualizó
+ */
+export const desactivar = async (id) => {
+    const [result] = await pool.query(
+        'UPDATE series_publicacion SET activa = FALSE WHERE id = ?',
+        [id]
+    );
+    return result.affectedRows > 0;
+};
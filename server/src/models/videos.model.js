@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Modelo de Videos
+ * @description Operaciones CRUD para la tabla videos
+ * @module models/videos
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * Obtiene videos por contenido
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<Array>} Lista de videos
+ */
+export const getByContenido = async (contenidoId) => {
+    const [rows] = await pool.query(
+        'SELECT * FROM videos WHERE contenido_id = ? ORDER BY created_at DESC',
+        [contenidoId]
+    );
+    return rows;
+};
+
+/**
+ * Crea un nuevo video
+ * @param {Object} data - Datos del video
+ * @returns {Promise<Object>} Video creado
+ */
+export const create = async ({
+    contenido_id,
+    url_video,
+    cover_url = null,
+    thumb_offset_ms = 0,
+    duracion_segundos = null,
+    ancho = null,
+    alto = null
+}) => {
+    const [result] = await pool.query(
+        `INSERT INTO videos (contenido_id, url_video, cover_url, thumb_offset_ms, duracion_segundos, ancho, alto)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [contenido_id, url_video, cover_url, thumb_offset_ms, duracion_segundos, ancho, alto]
+    );
+
+    return {
+        id: result.insertId,
+        contenido_id,
+        url_video,
+        cover_url,
+        thumb_offset_ms,
+        duracion_segundos,
+        ancho,
+        alto
+    };
+};
+
+/**
+ * Elimina todos los videos de un contenido
+ * @param {number} contenidoId - ID del contenido
+ * @returns {Promise<number>} Número de videos eliminados
+ */
+export const removeByContenido = async (contenidoId) => {
+    const [result] = await pool.query(
+        'DELETE FROM videos WHERE contenido_id = ?',
+        [contenidoId]
+    );
+    return result.affectedRows;
+};
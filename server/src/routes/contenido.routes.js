@@ -8,6 +8,7 @@ import { Router } from 'express';
 import * as ContenidoController from '../controllers/contenido.controller.js';
 import { verifyToken } from '../middlewares/auth.middleware.js';
 import { isEditor, isAdmin } from '../middlewares/role.middleware.js';
+import { uploadVideo } from '../middlewares/upload.middleware.js';
 
 const router = Router();
 
@@ -46,20 +47,64 @@ router.get('/:id', ContenidoController.getById);
  * @route POST /api/contenido
  * @description Crear nuevo contenido
  * @access Editor+
+ * @body {Array} cuentas - Cuentas destino [{ cuenta_social_id, copy_texto? }] (opcional)
  */
 router.post('/', isEditor, ContenidoController.create);
 
+/**
+ * @route POST /api/contenido/upload-video
+ * @description Subir un video (MP4/MOV) a R2 para contenido tipo video
+ * @access Editor+
+ * @body multipart/form-data: video
+ */
+router.post('/upload-video', isEditor, uploadVideo.single('video'), ContenidoController.uploadVideo);
+
 /**
  * @route PUT /api/contenido/:id
  * @description Actualizar contenido
  * @access Editor+
+ * @body {Array} cuentas - Reemplaza las cuentas destino [{ cuenta_social_id, copy_texto? }] (opcional)
  */
 router.put('/:id', isEditor, ContenidoController.update);
 
+/**
+ * @route GET /api/contenido/:id/validacion
+ * @description Validar contenido contra los límites de una plataforma
+ * @access Editor+
+ * @query {string} plataforma - Plataforma destino (por defecto, cada cuenta destino o la plataforma del contenido)
+ */
+router.get('/:id/validacion', isEditor, ContenidoController.validar);
+
+/**
+ * @route GET /api/contenido/:id/variantes
+ * @description Obtener las variantes por plataforma del contenido
+ * @access Editor+
+ */
+router.get('/:id/variantes', isEditor, ContenidoController.getVariantes);
+
+/**
+ * @route PUT /api/contenido/:id/variantes/:plataforma
+ * @description Crear o actualizar la variante de una plataforma
+ * @access Editor+
+ * @body {string} copy_texto - Copy para la plataforma (vacío = copy maestro)
+ * @body {Array<number>} imagenes_ids - Imágenes a publicar, en orden (vacío = todas)
+ */
+router.put('/:id/variantes/:plataforma', isEditor, ContenidoController.guardarVariante);
+
+/**
+ * @route DELETE /api/contenido/:id/variantes/:plataforma
+ * @description Eliminar la variante de una plataforma
+ * @access Editor+
+ */
+router.delete('/:id/variantes/:plataforma', isEditor, ContenidoController.eliminarVariante);
+
 /**
  * @route PATCH /api/contenido/:id/estado
  * @description Cambiar estado del contenido
  * @access Editor+
+ * @body {string} estado - Nuevo estado
+ * @body {boolean} auto_programar - Al aprobar, programar en la siguiente franja recomendada
+ * @body {boolean} en_cola - Al aprobar, añadir a la cola de la cuenta (siguiente franja libre)
  */
 router.patch('/:id/estado', isEditor, ContenidoController.updateEstado);
 
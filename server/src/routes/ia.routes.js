@@ -61,6 +61,16 @@ router.post('/generar-ideas', IAController.generarIdeas);
  */
 router.post('/mejorar-texto', IAController.mejorarTexto);
 
+/**
+ * @route POST /api/ia/generar-variantes
+ * @description Adaptar el copy maestro de un contenido a cada plataforma y guardar las variantes
+ * @access Editor+
+ * @body {number} contenido_id - ID del contenido (requerido)
+ * @body {Array<string>} plataformas - instagram|facebook|linkedin (por defecto todas)
+ * @body {string} modelo - gemini|openai|gpt-4
+ */
+router.post('/generar-variantes', IAController.generarVariantes);
+
 // ==================== GENERACIÓN DE IMÁGENES (DALL-E) ====================
 
 /**
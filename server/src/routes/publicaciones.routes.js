@@ -7,7 +7,7 @@
 import { Router } from 'express';
 import * as PublicacionesController from '../controllers/publicaciones.controller.js';
 import { verifyToken } from '../middlewares/auth.middleware.js';
-import { isEditor } from '../middlewares/role.middleware.js';
+import { isEditor, isAdmin } from '../middlewares/role.middleware.js';
 
 const router = Router();
 
@@ -33,13 +33,168 @@ router.get('/stats', PublicacionesController.getStats);
 
 /**
  * @route GET /api/publicaciones/calendario
- * @description Obtener publicaciones para vista calendario
+ * @description Obtener publicaciones para vista calendario, incluidas las ocurrencias futuras de las series
  * @access Viewer+
  * @query {string} desde - Fecha inicio (YYYY-MM-DD)
  * @query {string} hasta - Fecha fin (YYYY-MM-DD)
+ * @query {number} mes - Mes (1-12), junto con anio, en lugar de desde/hasta
+ * @query {number} anio - Año
  */
 router.get('/calendario', PublicacionesController.getCalendario);
 
+/**
+ * @route GET /api/publicaciones/mejores-horarios
+ * @description Recomendar franjas de publicación a partir del historial (o por defecto si hay pocos datos)
+ * @access Viewer+
+ * @query {string} plataforma - Plataforma (instagram, facebook, linkedin)
+ * @query {number} cuenta_social_id - Cuenta concreta (opcional)
+ * @query {number} top - Número de franjas (por defecto 5)
+ */
+router.get('/mejores-horarios', PublicacionesController.getMejoresHorarios);
+
+/**
+ * @route GET /api/publicaciones/series
+ * @description Listar series recurrentes y evergreen con su próxima ocurrencia
+ * @access Viewer+
+ * @query {boolean} activa - Filtrar por series activas o detenidas
+ */
+router.get('/series', PublicacionesController.listSeries);
+
+/**
+ * @route POST /api/publicaciones/series
+ * @description Crear una serie recurrente o evergreen
+ * @access Editor+
+ * @body {string} tipo - recurrente (contenido fijo) o evergreen (recicla la cola)
+ * @body {number} contenido_id - ID del contenido (solo recurrente)
+ * @body {number} cuenta_social_id - ID de la cuenta social
+ * @body {string} frecuencia - diaria, semanal o mensual
+ * @body {number} cada_dias - Cada cuántos días (diaria)
+ * @body {Array} dias_semana - Días 0 (domingo) a 6 (sábado) (semanal)
+ * @body {number} dia_mes - Día del mes, p. ej. 15 (mensual)
+ * @body {number} semana_mes - 1-5 o -1 para la última, con dia_semana (mensual, p. ej. primer lunes)
+ * @body {string} hora - Hora de publicación (HH:MM)
+ * @body {string} fecha_inicio - Primer día de la serie (YYYY-MM-DD)
+ * @body {string} fecha_fin - Último día de la serie (opcional)
+ */
+router.post('/series', isEditor, PublicacionesController.createSerie);
+
+/**
+ * @route DELETE /api/publicaciones/series/:id
+ * @description Detener una serie y cancelar sus ocurrencias pendientes
+ * @access Editor+
+ */
+router.delete('/series/:id', isEditor, PublicacionesController.cancelSerie);
+
+/**
+ * @route GET /api/publicaciones/evergreen
+ * @description Listar la cola evergreen ordenada por rendimiento
+ * @access Viewer+
+ */
+router.get('/evergreen', PublicacionesController.listEvergreen);
+
+/**
+ * @route POST /api/publicaciones/evergreen
+ * @description Añadir contenido a la cola evergreen
+ * @access Editor+
+ * @body {number} contenido_id - ID del contenido
+ * @body {number} intervalo_min_dias - Días mínimos entre dos publicaciones del mismo contenido
+ */
+router.post('/evergreen', isEditor, PublicacionesController.addEvergreen);
+
+/**
+ * @route DELETE /api/publicaciones/evergreen/:contenidoId
+ * @description Quitar contenido de la cola evergreen
+ * @access Editor+
+ */
+router.delete('/evergreen/:contenidoId', isEditor, PublicacionesController.removeEvergreen);
+
+/**
+ * @route GET /api/publicaciones/cola/:cuentaId
+ * @description Obtener las franjas semanales y la cola pendiente de una cuenta
+ * @access Viewer+
+ */
+router.get('/cola/:cuentaId', PublicacionesController.getCola);
+
+/**
+ * @route PUT /api/publicaciones/cola/:cuentaId/horarios
+ * @description Reemplazar las franjas semanales de la cola (reasigna los elementos en cola)
+ * @access Editor+
+ * @body {Array} horarios - [{ dia_semana: 0-6, hora: 'HH:MM' }]
+ */
+router.put('/cola/:cuentaId/horarios', isEditor, PublicacionesController.updateHorariosCola);
+
+/**
+ * @route POST /api/publicaciones/cola/:cuentaId
+ * @description Añadir contenido aprobado al final de la cola (siguiente franja libre)
+ * @access Editor+
+ * @body {number} contenido_id - ID del contenido
+ */
+router.post('/cola/:cuentaId', isEditor, PublicacionesController.addCola);
+
+/**
+ * @route PATCH /api/publicaciones/cola/:cuentaId/orden
+ * @description Reordenar la cola; los elementos se reasignan a las franjas en el nuevo orden
+ * @access Editor+
+ * @body {Array<number>} ids - IDs de publicaciones en el nuevo orden
+ */
+router.patch('/cola/:cuentaId/orden', isEditor, PublicacionesController.reordenarCola);
+
+/**
+ * @route GET /api/publicaciones/bloqueos
+ * @description Pausa global, ventanas de bloqueo vigentes o futuras y publicaciones retenidas
+ */
+router.get('/bloqueos', PublicacionesController.getBloqueos);
+
+/**
+ * @route POST /api/publicaciones/bloqueos
+ * @description Crear una ventana sin publicación automática
+ * @access Admin
+ * @body {string} motivo - Festivo, crisis, luto...
+ * @body {string} inicio - Fecha y hora de inicio
+ * @body {string} fin - Fecha y hora de fin
+ */
+router.post('/bloqueos', isAdmin, PublicacionesController.createBloqueo);
+
+/**
+ * @route DELETE /api/publicaciones/bloqueos/:id
+ * @description Eliminar una ventana de bloqueo
+ * @access Admin
+ */
+router.delete('/bloqueos/:id', isAdmin, PublicacionesController.removeBloqueo);
+
+/**
+ * @route POST /api/publicaciones/pausa
+ * @description Pausar toda la publicación automática; lo que venza queda retenido
+ * @access Admin
+ * @body {string} motivo - Motivo de la pausa
+ */
+router.post('/pausa', isAdmin, PublicacionesController.pausar);
+
+/**
+ * @route POST /api/publicaciones/reanudar
+ * @description Reanudar la publicación y reprogramar lo retenido
+ * @access Admin
+ */
+router.post('/reanudar', isAdmin, PublicacionesController.reanudar);
+
+/**
+ * @route GET /api/publicaciones/fallidas
+ * @description Publicaciones fallidas agrupadas por causa del error
+ * @access Viewer+
+ */
+router.get('/fallidas', PublicacionesController.getFallidas);
+
+/**
+ * @route POST /api/publicaciones/fallidas/acciones
+ * @description Acción masiva sobre publicaciones fallidas
+ * @access Editor+
+ * @body {string} accion - reencolar | reprogramar | reasignar | cancelar
+ * @body {Array<number>} ids - IDs de las publicaciones fallidas
+ * @body {string} [fecha_programada] - Nueva fecha (reprogramar)
+ * @body {number} [cuenta_social_id] - Cuenta destino (reasignar)
+ */
+router.post('/fallidas/acciones', isEditor, PublicacionesController.accionFallidas);
+
 /**
  * @route GET /api/publicaciones/contenido/:contenidoId
  * @description Obtener publicaciones de un contenido específico
@@ -54,6 +209,13 @@ router.get('/contenido/:contenidoId', PublicacionesController.getByContenido);
  */
 router.get('/:id', PublicacionesController.getById);
 
+/**
+ * @route GET /api/publicaciones/:id/historial
+ * @description Historial de intentos: instancia, envío, respuesta, categoría del error y duración
+ * @access Viewer+
+ */
+router.get('/:id/historial', PublicacionesController.getHistorial);
+
 /**
  * @route POST /api/publicaciones
  * @description Programar una nueva publicación
@@ -66,10 +228,10 @@ router.post('/', isEditor, PublicacionesController.create);
 
 /**
  * @route POST /api/publicaciones/multiple
- * @description Programar múltiples publicaciones para un contenido
+ * @description Programar un contenido en varias cuentas (p. ej. Facebook e Instagram a la vez)
  * @access Editor+
  * @body {number} contenido_id - ID del contenido
- * @body {Array} programaciones - Array de { cuenta_social_id, fecha_programada }
+ * @body {Array} programaciones - Array de { cuenta_social_id, fecha_programada, copy_texto? }
  */
 router.post('/multiple', isEditor, PublicacionesController.createMultiple);
 
@@ -81,6 +243,21 @@ router.post('/multiple', isEditor, PublicacionesController.createMultiple);
  */
 router.patch('/:id/reprogramar', isEditor, PublicacionesController.reprogramar);
 
+/**
+ * @route PATCH /api/publicaciones/:id/remoto
+ * @description Editar el texto de una publicación ya enviada (Facebook y LinkedIn)
+ * @access Editor+
+ * @body {string} texto - Nuevo texto
+ */
+router.patch('/:id/remoto', isEditor, PublicacionesController.editarRemoto);
+
+/**
+ * @route DELETE /api/publicaciones/:id/remoto
+ * @description Eliminar de la red una publicación ya enviada (Facebook y LinkedIn)
+ * @access Editor+
+ */
+router.delete('/:id/remoto', isEditor, PublicacionesController.eliminarRemoto);
+
 /**
  * @route DELETE /api/publicaciones/:id
  * @description Cancelar una publicación programada
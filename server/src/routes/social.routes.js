@@ -32,37 +32,83 @@ router.get('/cuentas', verifyToken, isEditor, SocialController.getCuentas);
  */
 router.delete('/cuentas/:id', verifyToken, isAdmin, SocialController.desconectarCuenta);
 
-// ==================== META OAuth ====================
+/**
+ * @route GET /api/social/diagnostico
+ * @description Diagnóstico de cada cuenta: token, permisos, enlace con la página y caducidad
+ * @access Editor+
+ */
+router.get('/diagnostico', verifyToken, isEditor, SocialController.getDiagnostico);
+
+/**
+ * @route GET /api/social/cuentas/:id/diagnostico
+ * @description Diagnóstico de una cuenta
+ * @access Editor+
+ */
+router.get('/cuentas/:id/diagnostico', verifyToken, isEditor, SocialController.getDiagnosticoCuenta);
+
+/**
+ * @route GET /api/social/cuotas
+ * @description Uso de la cuota de publicación de cada cuenta
+ * @access Editor+
+ */
+router.get('/cuotas', verifyToken, isEditor, SocialController.getCuotas);
+
+/**
+ * @route PUT /api/social/cuentas/:id/cuota
+ * @description Configurar el límite por ventana y la separación mínima de una cuenta
+ * @access Admin
+ * @body {number|null} limite_publicaciones - Máximo en la ventana (null = el de la plataforma)
+ * @body {number|null} ventana_limite_horas - Duración de la ventana en horas
+ * @body {number|null} separacion_minima_min - Minutos mínimos entre publicaciones
+ */
+router.put('/cuentas/:id/cuota', verifyToken, isAdmin, SocialController.updateCuota);
+
+/**
+ * @route PUT /api/social/cuentas/:id/zona-horaria
+ * @description Zona de las franjas de cola y series de la cuenta
+ * @access Admin
+ * @body {string|null} zona_horaria - Zona IANA (null = la de la marca)
+ */
+router.put('/cuentas/:id/zona-horaria', verifyToken, isAdmin, SocialController.updateZonaHoraria);
 
 /**
- * @route GET /api/social/meta/auth
- * @description Iniciar flujo OAuth con Meta (Facebook/Instagram)
+ * @route GET /api/social/sandbox/publicados
+ * @description Publicaciones aceptadas por el modo sandbox (SOCIAL_SANDBOX=true)
  * @access Editor+
+ * @query {string} plataforma - Filtrar por plataforma (opcional)
  */
-router.get('/meta/auth', verifyToken, isEditor, SocialController.iniciarAuthMeta);
+router.get('/sandbox/publicados', verifyToken, isEditor, SocialController.getPublicadosSandbox);
+
+// ==================== OAuth ====================
 
 /**
- * @route GET /api/social/meta/callback
- * @description Callback OAuth de Meta
- * @access Public (viene de Meta)
+ * @route GET /api/social/:proveedor/auth
+ * @description Iniciar flujo OAuth con el proveedor (meta = Facebook/Instagram, linkedin)
+ * @access Editor+
  */
-router.get('/meta/callback', optionalAuth, SocialController.callbackMeta);
+router.get('/:proveedor/auth', verifyToken, isEditor, SocialController.iniciarAuth);
 
-// ==================== LinkedIn OAuth ====================
+/**
+ * @route GET /api/social/:proveedor/callback
+ * @description Callback OAuth del proveedor
+ * @access Public (viene de la red social)
+ */
+router.get('/:proveedor/callback', optionalAuth, SocialController.callbackAuth);
 
 /**
- * @route GET /api/social/linkedin/auth
- * @description Iniciar flujo OAuth con LinkedIn
+ * @route GET /api/social/descubiertas
+ * @description Cuentas del último OAuth del usuario, pendientes de elegir
  * @access Editor+
  */
-router.get('/linkedin/auth', verifyToken, isEditor, SocialController.iniciarAuthLinkedIn);
+router.get('/descubiertas', verifyToken, isEditor, SocialController.getDescubiertas);
 
 /**
- * @route GET /api/social/linkedin/callback
- * @description Callback OAuth de LinkedIn
- * @access Public (viene de LinkedIn)
+ * @route POST /api/social/descubiertas/conectar
+ * @description Conectar las cuentas descubiertas elegidas
+ * @access Editor+
+ * @body {Array<number>} ids - IDs de las cuentas descubiertas
  */
-router.get('/linkedin/callback', optionalAuth, SocialController.callbackLinkedIn);
+router.post('/descubiertas/conectar', verifyToken, isEditor, SocialController.conectarDescubiertas);
 
 // ==================== Publicación ====================
 
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Rotación de la clave de cifrado de tokens
+ * @description Vuelve a cifrar con la TOKENS_KEY actual los tokens guardados con una
+ * clave anterior (TOKENS_KEYS_ANTERIORES) y cifra los que seguían en claro.
+ * Uso: npm run tokens:rotar (desde server/). Es solo un punto de entrada de consola:
+ * al ejecutarse rota las claves y termina el proceso, así que no se importa.
+ * @module scripts/rotarClaveTokens
+ */
+
+import { pool } from '../config/db.js';
+import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import * as CuentasDescubiertasModel from '../models/cuentasDescubiertas.model.js';
+import { necesitaRotacion, rotarToken } from '../utils/cifradoTokens.js';
+
+/**
+ * Rota los tokens de cuentas_sociales y cuentas_descubiertas
+ * @returns {Promise<Object>} { cuentas, descubiertas } filas actualizadas
+ */
+const rotar = async () => {
+    let cuentas = 0;
+    for (const fila of await CuentasSocialesModel.getTokensGuardados()) {
+        if (!necesitaRotacion(fila.access_token) && !necesitaRotacion(fila.refresh_token)) continue;
+        await CuentasSocialesModel.guardarTokensCifrados(fila.id, {
+            access_token: rotarToken(fila.access_token),
+            refresh_token: rotarToken(fila.refresh_token)
+        });
+        cuentas++;
+    }
+
+    let descubiertas = 0;
+    for (const fila of await CuentasDescubiertasModel.getTokensGuardados()) {
+        if (!necesitaRotacion(fila.access_token)) continue;
+        await CuentasDescubiertasModel.guardarTokenCifrado(fila.id, rotarToken(fila.access_token));
+        descubiertas++;
+    }
+
+    return { cuentas, descubiertas };
+};
+
+console.log('--- Rotando la clave de cifrado de tokens ---');
+rotar()
+    .then(({ cuentas, descubiertas }) => {
+        console.log(`✅ ${cuentas} cuenta(s) social(es) y ${descubiertas} cuenta(s) descubierta(s) cifradas con la clave actual`);
+        return pool.end();
+    })
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Error rotando la clave:', err.message);
+        process.exit(1);
+    });
@@ -129,14 +129,20 @@ const PORT = process.env.PORT || 3000;
 // Importar workers (solo si no estamos en testing)
 let SchedulerWorker = null;
 let MetricsWorker = null;
+let MantenimientoWorker = null;
+let TokensWorker = null;
 
 const initWorkers = async () => {
     try {
         // Importación dinámica para evitar errores si los archivos no existen
         const scheduler = await import('./workers/scheduler.js');
         const metrics = await import('./workers/metricsCollector.js');
+        const mantenimiento = await import('./workers/mantenimiento.js');
+        const tokens = await import('./workers/renovacionTokens.js');
         SchedulerWorker = scheduler;
         MetricsWorker = metrics;
+        MantenimientoWorker = mantenimiento;
+        TokensWorker = tokens;
         return true;
     } catch (error) {
         console.log('⚠️  Workers no disponibles:', error.message);
@@ -168,6 +174,14 @@ app.listen(PORT, async () => {
                 // Iniciar worker de métricas
                 MetricsWorker.iniciar();
                 console.log('✅ Worker de recolección de métricas iniciado');
+
+                // Iniciar worker de mantenimiento (limpieza de estados OAuth)
+                MantenimientoWorker.iniciar();
+                console.log('✅ Worker de mantenimiento iniciado');
+
+                // Iniciar worker de renovación de tokens
+                TokensWorker.iniciar();
+                console.log('✅ Worker de renovación de tokens iniciado');
             }
         } else {
             console.log('ℹ️  Workers desactivados (set ENABLE_WORKERS=true para activar)');
@@ -186,6 +200,8 @@ process.on('SIGTERM', () => {
     console.log('Cerrando servidor...');
     if (SchedulerWorker) SchedulerWorker.detener();
     if (MetricsWorker) MetricsWorker.detener();
+    if (MantenimientoWorker) MantenimientoWorker.detener();
+    if (TokensWorker) TokensWorker.detener();
     process.exit(0);
 });
 
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Servicio de bloqueos de publicación
+ * @description Pausa global y ventanas de bloqueo que respeta el scheduler.
+ * Lo que vence durante un bloqueo queda retenido y, al terminar, se reparte
+ * desde ese momento sin amontonar publicaciones en la misma cuenta.
+ * @module services/bloqueos
+ */
+
+import * as BloqueosPublicacionModel from '../models/bloqueosPublicacion.model.js';
+import * as PublicacionesModel from '../models/publicaciones.model.js';
+import * as ColaPublicacionService from './colaPublicacion.service.js';
+import { bloqueoEn, repartirRetenidas } from '../utils/bloqueos.js';
+
+// Separación mínima entre publicaciones liberadas de una misma cuenta (por defecto 30 minutos)
+const SEPARACION_MS = (parseInt(process.env.BLOQUEO_SEPARACION_MINUTOS) || 30) * 60 * 1000;
+
+// Margen antes de la primera publicación liberada
+const MARGEN_MS = 5 * 60 * 1000;
+
+/**
+ * Estado actual de la publicación automática
+ * @returns {Promise<Object>} { bloqueado, pausa, ventana, bloqueos }
+ */
+export const estadoActual = async () => {
+    const bloqueos = await BloqueosPublicacionModel.getVigentes();
+    const vigente = bloqueoEn(bloqueos, new Date());
+
+    return {
+        bloqueado: !!vigente,
+        pausa: bloqueos.find(b => b.tipo === 'pausa' && !b.fin) || null,
+        ventana: vigente?.tipo === 'ventana' ? vigente : null,
+        bloqueos
+    };
+};
+
+/**
+ * Pausa toda la publicación automática hasta que se reanude
+ * @param {Object} data - { motivo, usuarioId }
+ * @returns {Promise<Object>} Pausa abierta (la existente si ya estaba pausado)
+ */
+export const pausar = async ({ motivo, usuarioId = null }) => {
+    const { pausa } = await estadoActual();
+    if (pausa) return pausa;
+
+    return await BloqueosPublicacionModel.create({
+        tipo: 'pausa',
+        motivo,
+        inicio: new Date(),
+        created_by: usuarioId
+    });
+};
+
+/**
+ * Reanuda la publicación y reprograma lo retenido
+ * Si sigue vigente una ventana, lo retenido espera a que termine
+ * @returns {Promise<Object>} { liberadas, ventana }
+ */
+export const reanudar = async () => {
+    await BloqueosPublicacionModel.cerrarPausas();
+    const liberadas = await liberarRetenidas();
+    const { ventana } = await estadoActual();
+    return { liberadas, ventana };
+};
+
+/**
+ * Retiene las publicaciones vencidas mientras hay un bloqueo
+ * @returns {Promise<number>} Publicaciones retenidas
+ */
+export const retenerVencidas = () => PublicacionesModel.retenerVencidas();
+
+/**
+ * Devuelve lo retenido al scheduler si ya no hay bloqueo vigente
+ * En la cola, los elementos recuperan su posición y se reasignan las franjas;
+ * el resto se reparte por cuenta desde ahora, evitando ventanas futuras
+ * @returns {Promise<number>} Publicaciones liberadas
+ */
+export const liberarRetenidas = async () => {
+    const { bloqueado, bloqueos } = await estadoActual();
+    if (bloqueado) return 0;
+
+    const retenidas = await PublicacionesModel.getRetenidas();
+    if (retenidas.length === 0) return 0;
+
+    const porCuenta = new Map();
+    retenidas.forEach(pub => {
+        if (!porCuenta.has(pub.cuenta_social_id)) porCuenta.set(pub.cuenta_social_id, []);
+        porCuenta.get(pub.cuenta_social_id).push(pub);
+    });
+
+    const desde = new Date(Date.now() + MARGEN_MS);
+    let liberadas = 0;
+
+    for (const [cuentaId, publicaciones] of porCuenta) {
+        // Los elementos de cola sin reintentos vuelven a su franja; los demás se reparten
+        const enCola = publicaciones.filter(pub => pub.en_cola && !pub.intentos);
+        const sueltas = publicaciones.filter(pub => !enCola.includes(pub));
+
+        if (sueltas.length > 0) {
+            const ocupadas = cuentaId ? await PublicacionesModel.getFechasOcupadas(cuentaId) : [];
+            const reparto = repartirRetenidas(sueltas, { desde, bloqueos, ocupadas, separacionMs: SEPARACION_MS });
+            for (const { id, fecha_programada } of reparto) {
+                // Sin hueco (no debería ocurrir sin pausa abierta) sigue retenida
+                if (fecha_programada && await PublicacionesModel.liberarRetenida(id, fecha_programada)) {
+                    liberadas++;
+                }
+            }
+        }
+
+        for (const pub of enCola) {
+            if (await PublicacionesModel.liberarRetenida(pub.id, null)) liberadas++;
+        }
+        if (enCola.length > 0) {
+            await ColaPublicacionService.reorganizar(cuentaId);
+        }
+    }
+
+    if (liberadas > 0) {
+        console.log(`[Bloqueos] ▶️ ${liberadas} publicación(es) retenida(s) reprogramada(s)`);
+    }
+
+    return liberadas;
+};
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Servicio de cola de publicación por cuenta
+ * @description Modo cola: cada cuenta define franjas semanales y el contenido
+ * aprobado ocupa la siguiente franja libre. Quitar o reordenar elementos
+ * reasigna las franjas de los siguientes.
+ * @module services/colaPublicacion
+ */
+
+import * as PublicacionesModel from '../models/publicaciones.model.js';
+import * as HorariosColaModel from '../models/horariosCola.model.js';
+import * as ZonaHorariaService from './zonaHoraria.service.js';
+import { asignarSlots, generarSlots } from '../utils/colaPublicacion.js';
+
+// Margen mínimo antes de la primera franja asignable
+const MARGEN_MS = 5 * 60 * 1000;
+
+// Máximo de huecos por cuenta devueltos al calendario
+const MAX_HUECOS_POR_CUENTA = 200;
+
+/**
+ * Reasigna las franjas de la cola de una cuenta según su orden
+ * Los elementos vencidos, en reintento o en publicación conservan su fecha
+ * @param {number} cuentaId - ID de la cuenta social
+ * @returns {Promise<Array>} Asignaciones [{ id, fecha_programada, cambia }]
+ */
+export const reorganizar = async (cuentaId) => {
+    const franjas = await HorariosColaModel.getByCuenta(cuentaId);
+    if (franjas.length === 0) return [];
+
+    const [cola, fechasOcupadas, zona] = await Promise.all([
+        PublicacionesModel.getColaPorCuenta(cuentaId),
+        PublicacionesModel.getFechasOcupadas(cuentaId),
+        ZonaHorariaService.zonaCuenta(cuentaId)
+    ]);
+
+    const desde = new Date(Date.now() + MARGEN_MS);
+    const esFijo = (item) => item.lease_owner
+        || item.intentos > 0
+        || (item.fecha_programada && new Date(item.fecha_programada) <= desde);
+
+    const fijos = cola.filter(esFijo);
+    const movibles = cola.filter(item => !esFijo(item));
+    const ocupadas = new Set([...fechasOcupadas, ...fijos.map(item => item.fecha_programada)]
+        .map(fecha => new Date(fecha).getTime()));
+
+    const asignaciones = asignarSlots(movibles, franjas, desde, ocupadas, zona);
+
+    for (const asignacion of asignaciones.filter(a => a.cambia)) {
+        await PublicacionesModel.actualizarFechaCola(asignacion.id, asignacion.fecha_programada);
+    }
+
+    return asignaciones;
+};
+
+/**
+ * Indica si una cuenta tiene franjas de cola configuradas
+ * @param {number} cuentaId - ID de la cuenta social
+ * @returns {Promise<boolean>}
+ */
+export const tieneCola = async (cuentaId) => {
+    const franjas = await HorariosColaModel.getByCuenta(cuentaId);
+    return franjas.length > 0;
+};
+
+/**
+ * Añade un contenido al final de la cola de una cuenta
+ * @param {number} contenidoId - ID del contenido
+ * @param {number} cuentaId - ID de la cuenta social
+ * @returns {Promise<Object>} Publicación creada con su franja asignada
+ */
+export const encolar = async (contenidoId, cuentaId) => {
+    // Sin fecha hasta reorganizar: el scheduler nunca reclama filas sin fecha
+    const publicacion = await PublicacionesModel.crearEnCola({
+        contenido_id: contenidoId,
+        cuenta_social_id: cuentaId,
+        fecha_programada: null
+    });
+
+    const asignaciones = await reorganizar(cuentaId);
+    const asignada = asignaciones.find(a => a.id === publicacion.id);
+
+    return { ...publicacion, fecha_programada: asignada?.fecha_programada || null };
+};
+
+/**
+ * Quita un elemento de la cola y adelanta los siguientes
+ * @param {Object} publicacion - Publicación en cola
+ * @returns {Promise<Array>} Asignaciones tras reorganizar
+ */
+export const quitar = async (publicacion) => {
+    await PublicacionesModel.remove(publicacion.id);
+    return reorganizar(publicacion.cuenta_social_id);
+};
+
+/**
+ * Cambia el orden de la cola de una cuenta
+ * Los elementos no incluidos en ids mantienen su orden relativo al final
+ * @param {number} cuentaId - ID de la cuenta social
+ * @param {Array<number>} ids - IDs de publicaciones en el nuevo orden
+ * @returns {Promise<Array>} Asignaciones tras reorganizar
+ */
+export const reordenar = async (cuentaId, ids) => {
+    const cola = await PublicacionesModel.getColaPorCuenta(cuentaId);
+    const idsCola = new Set(cola.map(item => item.id));
+
+    const ordenados = ids.map(Number).filter(id => idsCola.has(id));
+    const resto = cola.map(item => item.id).filter(id => !ordenados.includes(id));
+
+    const nuevoOrden = [...ordenados, ...resto];
+    for (let i = 0; i < nuevoOrden.length; i++) {
+        await PublicacionesModel.actualizarPosicionCola(nuevoOrden[i], i + 1);
+    }
+
+    return reorganizar(cuentaId);
+};
+
+/**
+ * Reemplaza las franjas semanales de una cuenta y reasigna su cola
+ * @param {number} cuentaId - ID de la cuenta social
+ * @param {Array<Object>} franjas - [{ dia_semana, hora }]
+ * @returns {Promise<Array>} Franjas guardadas
+ */
+export const configurarFranjas = async (cuentaId, franjas) => {
+    const guardadas = await HorariosColaModel.reemplazar(cuentaId, franjas);
+    await reorganizar(cuentaId);
+    return guardadas;
+};
+
+/**
+ * Calcula las franjas sin publicación de todas las cuentas en un rango
+ * @param {Date} desde - Inicio del rango
+ * @param {Date} hasta - Fin del rango
+ * @param {Array<Object>} publicaciones - Publicaciones pendientes del rango (incluidas las previstas)
+ * @returns {Promise<Array<Object>>} Huecos [{ cuenta_social_id, nombre_cuenta, plataforma, fecha }]
+ */
+export const huecosLibres = async (desde, hasta, publicaciones = []) => {
+    const ahora = new Date();
+    const inicio = desde > ahora ? desde : ahora;
+    if (hasta < inicio) return [];
+
+    const franjasPorCuenta = new Map();
+    for (const franja of await HorariosColaModel.getTodas()) {
+        const lista = franjasPorCuenta.get(franja.cuenta_social_id) || [];
+        lista.push(franja);
+        franjasPorCuenta.set(franja.cuenta_social_id, lista);
+    }
+
+    const zonaMarca = await ZonaHorariaService.zonaMarca();
+    const huecos = [];
+    for (const [cuentaId, franjas] of franjasPorCuenta) {
+        const ocupadas = new Set(publicaciones
+            .filter(pub => pub.cuenta_social_id === cuentaId && pub.estado === 'pendiente')
+            .map(pub => new Date(pub.fecha_programada).getTime()));
+
+        const zona = franjas[0].zona_horaria || zonaMarca;
+        const slots = generarSlots(franjas, inicio, { hasta, max: MAX_HUECOS_POR_CUENTA, ocupadas, zona });
+        huecos.push(...slots.map(fecha => ({
+            cuenta_social_id: cuentaId,
+            nombre_cuenta: franjas[0].nombre_cuenta,
+            plataforma: franjas[0].plataforma,
+            fecha
+        })));
+    }
+
+    return huecos.sort((a, b) => a.fecha - b.fecha);
+};
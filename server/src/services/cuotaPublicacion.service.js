@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Servicio de cuota de publicación por cuenta
+ * @description Aplica el límite de publicaciones por ventana y la separación mínima
+ * de cada cuenta antes de que el scheduler publique. Combina los envíos registrados
+ * en intentos_publicacion con el uso que informa la red cuando lo expone.
+ * @module services/cuotaPublicacion
+ */
+
+import * as IntentosPublicacionModel from '../models/intentosPublicacion.model.js';
+import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import * as Platforms from './platforms/index.js';
+import { resolverCuota, evaluarCuota } from '../utils/cuotaPublicacion.js';
+import { descifrarToken } from '../utils/cifradoTokens.js';
+
+/**
+ * Cuota efectiva de una cuenta (la suya o la de su plataforma)
+ * @param {Object} cuenta - Cuenta social con sus columnas de cuota
+ * @param {string} plataforma - Plataforma de la cuenta
+ * @returns {Object} { max, ventanaMs, separacionMs }
+ */
+export const cuotaDe = (cuenta, plataforma) =>
+    resolverCuota(cuenta, Platforms.getAdapter(plataforma)?.capacidades.cuota);
+
+/**
+ * Consulta el uso de la cuota en la red y lo guarda en la cuenta
+ * Un fallo de la consulta no bloquea la publicación: se usa el conteo local
+ * @param {Object} adapter - Adaptador de la plataforma
+ * @param {number} cuentaId - ID de la cuenta
+ * @param {Object} credenciales - { page_id, access_token }
+ * @returns {Promise<number|null>} Publicaciones usadas o null si la red no lo informa
+ */
+const usoSegunApi = async (adapter, cuentaId, credenciales) => {
+    if (typeof adapter?.fetchQuota !== 'function' || !credenciales.access_token) return null;
+
+    const uso = await adapter.fetchQuota(credenciales);
+    if (!uso.success) {
+        console.warn(`[Cuota] No se pudo consultar la cuota de la cuenta ${cuentaId}: ${uso.error}`);
+        return null;
+    }
+
+    await CuentasSocialesModel.registrarUsoCuota(cuentaId, uso.usadas);
+    return uso.usadas;
+};
+
+/**
+ * Comprueba si una publicación reclamada puede enviarse ya a su cuenta
+ * @param {Object} publicacion - Publicación con los datos de su cuenta (SELECT_PARA_PUBLICAR)
+ * @returns {Promise<Object>} { permitido, siguiente, usados, motivo }
+ */
+export const comprobar = async (publicacion) => {
+    const adapter = Platforms.getAdapter(publicacion.cuenta_plataforma);
+    const cuota = cuotaDe(publicacion, publicacion.cuenta_plataforma);
+    if (cuota.max === null && cuota.separacionMs === 0) {
+        return { permitido: true, siguiente: null, usados: 0, motivo: null };
+    }
+
+    const horas = Math.ceil(cuota.ventanaMs / 3600000);
+    const [envios, usoApi] = await Promise.all([
+        IntentosPublicacionModel.getEnviosPorCuenta(publicacion.cuenta_social_id, horas),
+        usoSegunApi(adapter, publicacion.cuenta_social_id, {
+            page_id: publicacion.page_id,
+            access_token: descifrarToken(publicacion.access_token)
+        })
+    ]);
+
+    return evaluarCuota({ cuota, envios, usoApi, ahora: new Date() });
+};
+
+/**
+ * Uso actual de la cuota de cada cuenta, para mostrarlo en la app
+ * Solo cuenta los envíos locales; el último uso informado por la red va en cuota_usada
+ * @returns {Promise<Array>} Cuentas con { cuota, usados, siguiente }
+ */
+export const estadoCuentas = async () => {
+    const cuentas = await CuentasSocialesModel.getAll();
+
+    return await Promise.all(cuentas.map(async (cuenta) => {
+        const cuota = cuotaDe(cuenta, cuenta.plataforma);
+        const envios = await IntentosPublicacionModel.getEnviosPorCuenta(cuenta.id, Math.ceil(cuota.ventanaMs / 3600000));
+        const { usados, siguiente } = evaluarCuota({ cuota, envios, ahora: new Date() });
+
+        return {
+            ...cuenta,
+            cuota: {
+                max: cuota.max,
+                ventana_horas: cuota.ventanaMs / 3600000,
+                separacion_minutos: cuota.separacionMs / 60000,
+                personalizada: cuenta.limite_publicaciones !== null
+                    || cuenta.ventana_limite_horas !== null
+                    || cuenta.separacion_minima_min !== null
+            },
+            usados,
+            siguiente
+        };
+    }));
+};
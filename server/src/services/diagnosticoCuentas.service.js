@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Servicio de diagnóstico de cuentas conectadas
+ * @description Pregunta a cada red por el token de sus cuentas (validez, permisos,
+ * enlace con la página y caducidad) y devuelve cada comprobación con su corrección
+ * @module services/diagnosticoCuentas
+ */
+
+import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import * as Platforms from './platforms/index.js';
+import { evaluarDiagnostico } from '../utils/diagnosticoCuentas.js';
+import { descifrarToken } from '../utils/cifradoTokens.js';
+
+/**
+ * Consulta a la red el estado del token de una cuenta
+ * @param {Object} cuenta - Cuenta social (sin tokens)
+ * @param {Object|undefined} conector - Conector OAuth de su plataforma
+ * @returns {Promise<Object>} Resultado en el formato de conector.diagnosticar()
+ */
+const consultarRed = async (cuenta, conector) => {
+    if (cuenta.estado !== 'conectada') {
+        return { success: true, valido: false };
+    }
+    if (!conector?.diagnosticar) {
+        return { success: true, valido: true, scopes: null, enlace: null };
+    }
+
+    const credenciales = await CuentasSocialesModel.getCredenciales(cuenta.id);
+    if (!credenciales?.access_token) {
+        return { success: true, valido: false };
+    }
+
+    try {
+        return await conector.diagnosticar({ ...cuenta, access_token: descifrarToken(credenciales.access_token) });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Diagnostica una cuenta
+ * @param {Object} cuenta - Cuenta social (sin tokens)
+ * @returns {Promise<Object>} { id, nombre, plataforma, proveedor, estado, dias_para_caducar, comprobaciones }
+ */
+export const diagnosticarCuenta = async (cuenta) => {
+    const conector = Platforms.getAdapter(cuenta.plataforma)?.connect;
+    const resultado = await consultarRed(cuenta, conector);
+
+    return {
+        id: cuenta.id,
+        nombre: cuenta.nombre_cuenta,
+        plataforma: cuenta.plataforma,
+        proveedor: conector?.proveedor || null,
+        ...evaluarDiagnostico(cuenta, resultado)
+    };
+};
+
+/**
+ * Diagnostica todas las cuentas conectadas o expiradas
+ * Una a una, para no disparar los límites de la API de cada red
+ * @returns {Promise<Array>} Diagnóstico de cada cuenta
+ */
+export const diagnosticarCuentas = async () => {
+    const cuentas = (await CuentasSocialesModel.getAll())
+        .filter(cuenta => cuenta.estado === 'conectada' || cuenta.estado === 'expirada');
+
+    const diagnosticos = [];
+    for (const cuenta of cuentas) {
+        diagnosticos.push(await diagnosticarCuenta(cuenta));
+    }
+    return diagnosticos;
+};
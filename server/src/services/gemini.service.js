@@ -6,6 +6,7 @@
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { construirPromptVariante, limpiarRespuestaIA } from '../utils/variantes.js';
 
 dotenv.config();
 
@@ -227,6 +228,36 @@ Responde SOLO con el prompt en inglés, sin explicaciones.
     }
 };
 
+/**
+ * Adapta el copy maestro de un contenido a una plataforma
+ * @param {Object} options - Opciones de adaptación
+ * @param {string} options.copy - Copy maestro
+ * @param {string} options.plataforma - Plataforma destino
+ * @param {Object} options.contextoMarca - Contexto de la marca
+ * @returns {Promise<Object>} Copy adaptado
+ */
+export const adaptarCopy = async ({ copy, plataforma, contextoMarca = null }) => {
+    try {
+        const prompt = construirPromptVariante({ copy, plataforma, contextoMarca });
+
+        const result = await textModel.generateContent(prompt);
+        const response = await result.response;
+
+        return {
+            success: true,
+            copy_texto: limpiarRespuestaIA(response.text()),
+            plataforma,
+            modelo: 'gemini-1.5-flash'
+        };
+    } catch (error) {
+        console.error(`Error adaptando copy a ${plataforma} con Gemini:`, error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
 // ================== FUNCIONES AUXILIARES ==================
 
 /**
@@ -11,6 +11,8 @@ dotenv.config();
 const LINKEDIN_CLIENT_ID = process.env.LINKEDIN_CLIENT_ID;
 const LINKEDIN_CLIENT_SECRET = process.env.LINKEDIN_CLIENT_SECRET;
 const LINKEDIN_API_URL = 'https://api.linkedin.com/v2';
+const LINKEDIN_REST_URL = 'https://api.linkedin.com/rest';
+const LINKEDIN_VERSION = '202401';
 
 /**
  * Genera la URL de autorización OAuth para LinkedIn
@@ -23,7 +25,10 @@ export const getAuthUrl = (redirectUri, state) => {
         'openid',
         'profile',
         'email',
-        'w_member_social'
+        'w_member_social',
+        'r_organization_social',
+        'w_organization_social',
+        'rw_organization_admin'
     ].join(' ');
 
     const params = new URLSearchParams({
@@ -72,7 +77,9 @@ export const exchangeCodeForToken = async (code, redirectUri) => {
             success: true,
             access_token: data.access_token,
             expires_in: data.expires_in, // segundos
-            expires_at: new Date(Date.now() + data.expires_in * 1000)
+            expires_at: new Date(Date.now() + data.expires_in * 1000),
+            // Solo las apps con refresh programático aprobado lo reciben
+            refresh_token: data.refresh_token || null
         };
     } catch (error) {
         console.error('Error intercambiando código LinkedIn:', error);
@@ -83,6 +90,111 @@ export const exchangeCodeForToken = async (code, redirectUri) => {
     }
 };
 
+/**
+ * Renueva el access token con el refresh token
+ * @param {string} refreshToken - Refresh token guardado
+ * @returns {Promise<Object>} { success, access_token, refresh_token, expires_at, error }
+ */
+export const refreshAccessToken = async (refreshToken) => {
+    try {
+        const response = await fetch(
+            'https://www.linkedin.com/oauth/v2/accessToken',
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    grant_type: 'refresh_token',
+                    refresh_token: refreshToken,
+                    client_id: LINKEDIN_CLIENT_ID,
+                    client_secret: LINKEDIN_CLIENT_SECRET
+                }).toString()
+            }
+        );
+
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(data.error_description || data.error);
+        }
+
+        return {
+            success: true,
+            access_token: data.access_token,
+            expires_at: new Date(Date.now() + data.expires_in * 1000),
+            refresh_token: data.refresh_token || refreshToken
+        };
+    } catch (error) {
+        console.error('Error renovando token LinkedIn:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Consulta la validez, caducidad y permisos de un token (introspección OAuth)
+ * @param {string} accessToken - Token a inspeccionar
+ * @returns {Promise<Object>} { success, valido, expira_at, scopes, error }
+ */
+export const introspectToken = async (accessToken) => {
+    try {
+        const response = await fetch(
+            'https://www.linkedin.com/oauth/v2/introspectToken',
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    token: accessToken,
+                    client_id: LINKEDIN_CLIENT_ID,
+                    client_secret: LINKEDIN_CLIENT_SECRET
+                }).toString()
+            }
+        );
+
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(data.error_description || data.error);
+        }
+
+        return {
+            success: true,
+            valido: !!data.active,
+            expira_at: data.expires_at ? new Date(data.expires_at * 1000) : null,
+            scopes: data.scope ? data.scope.split(/[ ,]+/) : []
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Construye el URN de autor a partir del page_id guardado en cuentas_sociales
+ * Las organizaciones se guardan con su URN completo; los perfiles con el `sub`
+ * @param {string} pageId - page_id de la cuenta
+ * @returns {string} URN del autor (urn:li:person:xxx o urn:li:organization:xxx)
+ */
+export const getAuthorUrn = (pageId) => {
+    return String(pageId).startsWith('urn:li:') ? pageId : `urn:li:person:${pageId}`;
+};
+
+/**
+ * Indica si el page_id corresponde a una página de empresa
+ * @param {string} pageId - page_id de la cuenta
+ * @returns {boolean} True si es una organización
+ */
+export const isOrganization = (pageId) => {
+    return String(pageId).startsWith('urn:li:organization:');
+};
+
 /**
  * Obtiene el perfil del usuario autenticado
  * @param {string} accessToken - Token de acceso
@@ -122,34 +234,190 @@ export const getProfile = async (accessToken) => {
     }
 };
 
+/**
+ * Obtiene las organizaciones (Company Pages) que administra el usuario
+ * @param {string} accessToken - Token de acceso
+ * @returns {Promise<Object>} Lista de organizaciones { urn, id, name }
+ */
+export const getAdministeredOrganizations = async (accessToken) => {
+    try {
+        const params = new URLSearchParams({
+            q: 'roleAssignee',
+            role: 'ADMINISTRATOR',
+            state: 'APPROVED'
+        });
+
+        const response = await fetch(
+            `${LINKEDIN_API_URL}/organizationAcls?${params.toString()}&projection=(elements*(organization~(id,localizedName)))`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'X-Restli-Protocol-Version': '2.0.0'
+                }
+            }
+        );
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Error obteniendo organizaciones de LinkedIn');
+        }
+
+        return {
+            success: true,
+            organizations: (data.elements || []).map(element => {
+                const org = element['organization~'] || {};
+                const id = org.id || String(element.organization).split(':').pop();
+                return {
+                    urn: `urn:li:organization:${id}`,
+                    id: String(id),
+                    name: org.localizedName || `Organización ${id}`
+                };
+            })
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            organizations: []
+        };
+    }
+};
+
+/**
+ * Registra la subida de una imagen en LinkedIn
+ * @param {string} accessToken - Token de acceso
+ * @param {string} ownerUrn - URN del autor (urn:li:person:xxx o urn:li:organization:xxx)
+ * @returns {Promise<Object>} { upload_url, asset }
+ */
+export const registerImageUpload = async (accessToken, ownerUrn) => {
+    const response = await fetch(
+        `${LINKEDIN_API_URL}/assets?action=registerUpload`,
+        {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json',
+                'X-Restli-Protocol-Version': '2.0.0'
+            },
+            body: JSON.stringify({
+                registerUploadRequest: {
+                    recipes: ['urn:li:digitalmediaRecipe:feedshare-image'],
+                    owner: ownerUrn,
+                    serviceRelationships: [{
+                        relationshipType: 'OWNER',
+                        identifier: 'urn:li:userGeneratedContent'
+                    }]
+                }
+            })
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const err = new Error(data.message || 'Error registrando imagen en LinkedIn');
+        err.status = response.status;
+        throw err;
+    }
+
+    const mechanism = data.value?.uploadMechanism?.['com.linkedin.digitalmedia.uploadmechanism.MediaUploadHttpRequest'];
+
+    return {
+        upload_url: mechanism?.uploadUrl,
+        asset: data.value?.asset
+    };
+};
+
+/**
+ * Descarga una imagen pública y la sube a LinkedIn como asset
+ * @param {string} accessToken - Token de acceso
+ * @param {string} ownerUrn - URN del autor
+ * @param {string} imageUrl - URL pública de la imagen (ej. R2)
+ * @returns {Promise<string>} URN del asset (urn:li:digitalmediaAsset:xxx)
+ */
+export const uploadImage = async (accessToken, ownerUrn, imageUrl) => {
+    const { upload_url, asset } = await registerImageUpload(accessToken, ownerUrn);
+
+    if (!upload_url || !asset) {
+        throw new Error('LinkedIn no devolvió URL de subida para la imagen');
+    }
+
+    const imageResponse = await fetch(imageUrl);
+    if (!imageResponse.ok) {
+        const err = new Error(`Error descargando imagen: ${imageResponse.statusText}`);
+        err.status = imageResponse.status;
+        throw err;
+    }
+
+    const buffer = Buffer.from(await imageResponse.arrayBuffer());
+
+    const uploadResponse = await fetch(upload_url, {
+        method: 'PUT',
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': imageResponse.headers.get('content-type') || 'application/octet-stream'
+        },
+        body: buffer
+    });
+
+    if (!uploadResponse.ok) {
+        const err = new Error(`Error subiendo imagen a LinkedIn: ${uploadResponse.statusText}`);
+        err.status = uploadResponse.status;
+        throw err;
+    }
+
+    console.log(`[LinkedInService] ✅ Imagen subida: ${asset}`);
+    return asset;
+};
+
 /**
  * Publica contenido en LinkedIn
  * @param {string} accessToken - Token de acceso
- * @param {string} personUrn - URN del usuario (urn:li:person:xxx)
- * @param {Object} content - Contenido a publicar
+ * @param {string} personUrn - URN del autor (urn:li:person:xxx o urn:li:organization:xxx)
+ * @param {Object} content - Contenido a publicar (text, image_url, images array)
  * @returns {Promise<Object>} Resultado de publicación
  */
 export const publishPost = async (accessToken, personUrn, content) => {
     try {
+        // Normalizar imágenes
+        const images = content.images && content.images.length > 0
+            ? content.images
+            : (content.image_url ? [content.image_url] : []);
+
+        // Registrar y subir cada imagen antes de crear el post
+        const assets = [];
+        for (const imageUrl of images) {
+            assets.push(await uploadImage(accessToken, personUrn, imageUrl));
+        }
+
+        const shareContent = {
+            shareCommentary: {
+                text: content.text
+            },
+            shareMediaCategory: assets.length > 0 ? 'IMAGE' : 'NONE'
+        };
+
+        if (assets.length > 0) {
+            shareContent.media = assets.map(asset => ({
+                status: 'READY',
+                media: asset
+            }));
+        }
+
         // Estructura del post según LinkedIn API v2
         const postBody = {
             author: personUrn,
             lifecycleState: 'PUBLISHED',
             specificContent: {
-                'com.linkedin.ugc.ShareContent': {
-                    shareCommentary: {
-                        text: content.text
-                    },
-                    shareMediaCategory: content.image_url ? 'IMAGE' : 'NONE'
-                }
+                'com.linkedin.ugc.ShareContent': shareContent
             },
             visibility: {
                 'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC'
             }
         };
 
-        // Si hay imagen, primero hay que registrarla (proceso más complejo)
-        // Por ahora solo publicamos texto
+        console.log(`[LinkedInService] Publicando en LinkedIn con ${assets.length} imagen(es)`);
 
         const response = await fetch(
             `${LINKEDIN_API_URL}/ugcPosts`,
@@ -166,7 +434,9 @@ export const publishPost = async (accessToken, personUrn, content) => {
 
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Error publicando en LinkedIn');
+            const err = new Error(errorData.message || 'Error publicando en LinkedIn');
+            err.status = response.status;
+            throw err;
         }
 
         const postId = response.headers.get('x-restli-id');
@@ -177,14 +447,89 @@ export const publishPost = async (accessToken, personUrn, content) => {
             platform: 'linkedin'
         };
     } catch (error) {
+        console.error(`[LinkedInService] ❌ Error en publishPost:`, error.message);
         return {
             success: false,
             error: error.message,
+            status: error.status,
             platform: 'linkedin'
         };
     }
 };
 
+/**
+ * Edita el texto de un post publicado (Posts API, actualización parcial)
+ * @param {string} accessToken - Token de acceso
+ * @param {string} postUrn - URN del post (urn:li:share:xxx o urn:li:ugcPost:xxx)
+ * @param {string} text - Nuevo texto
+ * @returns {Promise<Object>} { success, error, status }
+ */
+export const editarPost = async (accessToken, postUrn, text) => {
+    try {
+        const response = await fetch(
+            `${LINKEDIN_REST_URL}/posts/${encodeURIComponent(postUrn)}`,
+            {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json',
+                    'X-Restli-Protocol-Version': '2.0.0',
+                    'X-RestLi-Method': 'PARTIAL_UPDATE',
+                    'LinkedIn-Version': LINKEDIN_VERSION
+                },
+                body: JSON.stringify({ patch: { $set: { commentary: text } } })
+            }
+        );
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const err = new Error(errorData.message || 'Error editando el post en LinkedIn');
+            err.status = response.status;
+            throw err;
+        }
+
+        console.log(`[LinkedInService] ✏️ Post ${postUrn} editado`);
+        return { success: true, platform: 'linkedin' };
+    } catch (error) {
+        console.error(`[LinkedInService] ❌ Error en editarPost:`, error.message);
+        return { success: false, error: error.message, status: error.status, platform: 'linkedin' };
+    }
+};
+
+/**
+ * Elimina un post publicado
+ * @param {string} accessToken - Token de acceso
+ * @param {string} postUrn - URN del post
+ * @returns {Promise<Object>} { success, error, status }
+ */
+export const eliminarPost = async (accessToken, postUrn) => {
+    try {
+        const response = await fetch(
+            `${LINKEDIN_API_URL}/ugcPosts/${encodeURIComponent(postUrn)}`,
+            {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'X-Restli-Protocol-Version': '2.0.0'
+                }
+            }
+        );
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const err = new Error(errorData.message || 'Error eliminando el post en LinkedIn');
+            err.status = response.status;
+            throw err;
+        }
+
+        console.log(`[LinkedInService] 🗑️ Post ${postUrn} eliminado`);
+        return { success: true, platform: 'linkedin' };
+    } catch (error) {
+        console.error(`[LinkedInService] ❌ Error en eliminarPost:`, error.message);
+        return { success: false, error: error.message, status: error.status, platform: 'linkedin' };
+    }
+};
+
 /**
  * Verifica si la configuración de LinkedIn está completa
  */
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Servicio de inspección de medios
+ * @description Descarga imágenes publicadas (R2, DALL-E) para conocer
+ * dimensiones y peso antes de validarlas contra los límites de cada red
+ * @module services/mediaInfo
+ */
+
+import { leerDimensiones } from '../utils/imageInfo.js';
+
+// Tiempo máximo de descarga por imagen
+const TIMEOUT_MS = parseInt(process.env.MEDIA_INFO_TIMEOUT_MS) || 10000;
+
+/**
+ * Obtiene dimensiones y tamaño de una imagen remota
+ * @param {string} url - URL pública de la imagen
+ * @returns {Promise<Object>} { success, ancho, alto, tamano_bytes, formato, error }
+ */
+export const inspeccionarImagen = async (url) => {
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        const dimensiones = leerDimensiones(buffer);
+        if (!dimensiones) {
+            throw new Error('Formato de imagen no reconocido');
+        }
+
+        return {
+            success: true,
+            ancho: dimensiones.ancho,
+            alto: dimensiones.alto,
+            formato: dimensiones.formato,
+            tamano_bytes: buffer.length
+        };
+    } catch (error) {
+        console.warn(`[MediaInfo] No se pudo inspeccionar ${url}:`, error.message);
+        return { success: false, error: error.message };
+    }
+};
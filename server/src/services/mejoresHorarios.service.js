@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Servicio de mejores horarios de publicación
+ * @description Recomienda franjas por cuenta o plataforma a partir del
+ * historial de envíos y métricas, con horarios de referencia como respaldo
+ * @module services/mejoresHorarios
+ */
+
+import * as PublicacionesModel from '../models/publicaciones.model.js';
+import * as ZonaHorariaService from './zonaHoraria.service.js';
+import { calcularMejoresHorarios, siguienteMejorHorario, MIN_MUESTRAS } from '../utils/mejoresHorarios.js';
+
+// Antigüedad máxima del historial considerado
+const HISTORIAL_DIAS = parseInt(process.env.MEJORES_HORARIOS_DIAS) || 365;
+
+/**
+ * Obtiene las mejores franjas para una plataforma o cuenta
+ * Si la cuenta tiene pocos envíos se usa el historial de toda la plataforma,
+ * y si tampoco alcanza, los horarios por defecto. Las franjas se expresan en
+ * la zona de la cuenta (o de la marca si se consulta por plataforma)
+ * @param {Object} options - { plataforma, cuenta_social_id, top }
+ * @returns {Promise<Object>} Recomendación con horarios y siguiente franja
+ */
+export const obtenerMejoresHorarios = async ({ plataforma, cuenta_social_id = null, top = 5 }) => {
+    let ambito = 'plataforma';
+    let muestras = [];
+
+    if (cuenta_social_id) {
+        muestras = await PublicacionesModel.getHistorialEngagement({ plataforma, cuenta_social_id, dias: HISTORIAL_DIAS });
+        ambito = 'cuenta';
+    }
+
+    if (muestras.length < MIN_MUESTRAS) {
+        muestras = await PublicacionesModel.getHistorialEngagement({ plataforma, dias: HISTORIAL_DIAS });
+        ambito = 'plataforma';
+    }
+
+    const zona = cuenta_social_id
+        ? await ZonaHorariaService.zonaCuenta(cuenta_social_id)
+        : await ZonaHorariaService.zonaMarca();
+    const recomendacion = calcularMejoresHorarios(muestras, plataforma, { top, zona });
+    const siguiente = siguienteMejorHorario(recomendacion.horarios, new Date(), { zona });
+
+    return {
+        plataforma,
+        cuenta_social_id,
+        zona_horaria: zona,
+        ambito: recomendacion.fuente === 'historial' ? ambito : 'por_defecto',
+        ...recomendacion,
+        siguiente
+    };
+};
+
+/**
+ * Calcula la próxima franja recomendada para programar contenido
+ * @param {Object} options - { plataforma, cuenta_social_id }
+ * @returns {Promise<Object|null>} { fecha, horario } o null
+ */
+export const siguienteHorario = async ({ plataforma, cuenta_social_id = null }) => {
+    const { siguiente } = await obtenerMejoresHorarios({ plataforma, cuenta_social_id });
+    return siguiente;
+};
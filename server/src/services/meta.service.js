@@ -13,13 +13,27 @@ const META_APP_SECRET = process.env.META_APP_SECRET;
 const META_API_VERSION = 'v18.0';
 const META_GRAPH_URL = `https://graph.facebook.com/${META_API_VERSION}`;
 
+/**
+ * Construye un Error a partir del objeto de error de Graph API
+ * conservando el código para poder clasificar el fallo
+ * @param {Object} error - Objeto `error` de la respuesta de Graph API
+ * @returns {Error} Error con `code` y `subcode`
+ */
+const graphError = (error) => {
+    const err = new Error(error.message);
+    err.code = error.code;
+    err.subcode = error.error_subcode;
+    return err;
+};
+
 /**
  * Genera la URL de autorización OAuth para Meta
  * @param {string} redirectUri - URI de redirección después de auth
  * @param {string} state - Estado para prevenir CSRF
+ * @param {Object} options - { codeChallenge } para PKCE (S256)
  * @returns {string} URL de autorización
  */
-export const getAuthUrl = (redirectUri, state) => {
+export const getAuthUrl = (redirectUri, state, { codeChallenge = null } = {}) => {
     const scopes = [
         'pages_show_list',
         'pages_read_engagement',
@@ -37,6 +51,11 @@ export const getAuthUrl = (redirectUri, state) => {
         state: state
     });
 
+    if (codeChallenge) {
+        params.append('code_challenge', codeChallenge);
+        params.append('code_challenge_method', 'S256');
+    }
+
     return `https://www.facebook.com/${META_API_VERSION}/dialog/oauth?${params.toString()}`;
 };
 
@@ -44,9 +63,10 @@ export const getAuthUrl = (redirectUri, state) => {
  * Intercambia código de autorización por access token
  * @param {string} code - Código de autorización
  * @param {string} redirectUri - URI de redirección usada
+ * @param {string|null} codeVerifier - Verificador PKCE del inicio del flujo
  * @returns {Promise<Object>} Token de acceso
  */
-export const exchangeCodeForToken = async (code, redirectUri) => {
+export const exchangeCodeForToken = async (code, redirectUri, codeVerifier = null) => {
     try {
         const params = new URLSearchParams({
             client_id: META_APP_ID,
@@ -54,6 +74,9 @@ export const exchangeCodeForToken = async (code, redirectUri) => {
             redirect_uri: redirectUri,
             code: code
         });
+        if (codeVerifier) {
+            params.append('code_verifier', codeVerifier);
+        }
 
         const response = await fetch(
             `${META_GRAPH_URL}/oauth/access_token?${params.toString()}`
@@ -117,6 +140,71 @@ export const getLongLivedToken = async (shortToken) => {
     }
 };
 
+/**
+ * Consulta la validez, caducidad y permisos de un token (debug_token)
+ * @param {string} accessToken - Token a inspeccionar
+ * @returns {Promise<Object>} { success, valido, expira_at (null = no caduca), scopes, error }
+ */
+export const getTokenInfo = async (accessToken) => {
+    try {
+        const params = new URLSearchParams({
+            input_token: accessToken,
+            access_token: `${META_APP_ID}|${META_APP_SECRET}`
+        });
+
+        const response = await fetch(`${META_GRAPH_URL}/debug_token?${params.toString()}`);
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(data.error.message);
+        }
+
+        const info = data.data || {};
+        return {
+            success: true,
+            valido: !!info.is_valid,
+            expira_at: info.expires_at ? new Date(info.expires_at * 1000) : null,
+            scopes: info.scopes || []
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Obtiene la página a la que pertenece un token de página y su Instagram vinculado
+ * @param {string} pageAccessToken - Token de la página
+ * @returns {Promise<Object>} { success, page_id, nombre, instagram_account_id, error }
+ */
+export const getPaginaDelToken = async (pageAccessToken) => {
+    try {
+        const response = await fetch(
+            `${META_GRAPH_URL}/me?fields=id,name,instagram_business_account&access_token=${pageAccessToken}`
+        );
+
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(data.error.message);
+        }
+
+        return {
+            success: true,
+            page_id: data.id,
+            nombre: data.name,
+            instagram_account_id: data.instagram_business_account?.id || null
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
 /**
  * Obtiene las páginas de Facebook del usuario
  * @param {string} accessToken - Token de acceso
@@ -160,7 +248,7 @@ export const getPages = async (accessToken) => {
 export const getInstagramAccount = async (pageId, pageAccessToken) => {
     try {
         const response = await fetch(
-            `${META_GRAPH_URL}/${pageId}?fields=instagram_business_account&access_token=${pageAccessToken}`
+            `${META_GRAPH_URL}/${pageId}?fields=instagram_business_account{id,username}&access_token=${pageAccessToken}`
         );
 
         const data = await response.json();
@@ -178,7 +266,8 @@ export const getInstagramAccount = async (pageId, pageAccessToken) => {
 
         return {
             success: true,
-            instagram_account_id: data.instagram_business_account.id
+            instagram_account_id: data.instagram_business_account.id,
+            username: data.instagram_business_account.username || null
         };
     } catch (error) {
         return {
@@ -188,23 +277,18 @@ export const getInstagramAccount = async (pageId, pageAccessToken) => {
     }
 };
 
-/**
- * Publica contenido en una página de Facebook
- * @param {string} pageId - ID de la página
- * @param {string} pageAccessToken - Token de la página
- * @param {Object} content - Contenido a publicar
- * @returns {Promise<Object>} Resultado de publicación
- */
+// Espera de contenedores de video: Meta procesa Reels en segundo plano (hasta ~5 min)
+const VIDEO_CONTAINER_POLLING = { maxAttempts: 60, delay: 5000 };
+
 /**
  * Verifica el estado del contenedor de media de Instagram
  * @param {string} containerId - ID del contenedor
  * @param {string} accessToken - Token de acceso
+ * @param {Object} options - { maxAttempts, delay } (por defecto 10 intentos cada 2s, suficiente para imágenes)
  * @returns {Promise<boolean>} True si está listo, False si falló
  */
-const checkContainerStatus = async (containerId, accessToken) => {
+const checkContainerStatus = async (containerId, accessToken, { maxAttempts = 10, delay = 2000 } = {}) => {
     let attempts = 0;
-    const maxAttempts = 10;
-    const delay = 2000; // 2 segundos
 
     while (attempts < maxAttempts) {
         try {
@@ -270,7 +354,7 @@ export const publishToFacebook = async (pageId, pageAccessToken, content) => {
                 });
                 
                 const photoData = await photoResponse.json();
-                if (photoData.error) throw new Error(photoData.error.message);
+                if (photoData.error) throw graphError(photoData.error);
                 mediaIds.push(photoData.id);
             }
 
@@ -286,7 +370,7 @@ export const publishToFacebook = async (pageId, pageAccessToken, content) => {
             });
 
             const feedData = await feedResponse.json();
-            if (feedData.error) throw new Error(feedData.error.message);
+            if (feedData.error) throw graphError(feedData.error);
 
             console.log(`[MetaService] ✅ Álbum publicado exitosamente en Facebook ID: ${feedData.id}`);
             return { success: true, post_id: feedData.id, platform: 'facebook' };
@@ -315,7 +399,7 @@ export const publishToFacebook = async (pageId, pageAccessToken, content) => {
 
         if (data.error) {
             console.error(`[MetaService] ❌ Error de Facebook API:`, data.error);
-            throw new Error(data.error.message);
+            throw graphError(data.error);
         }
 
         console.log(`[MetaService] ✅ Publicación exitosa en Facebook ID: ${data.id || data.post_id}`);
@@ -330,11 +414,50 @@ export const publishToFacebook = async (pageId, pageAccessToken, content) => {
         return {
             success: false,
             error: error.message,
+            code: error.code,
+            subcode: error.subcode,
             platform: 'facebook'
         };
     }
 };
 
+/**
+ * Espera a que un contenedor de Instagram esté listo y lo publica
+ * @param {string} igAccountId - ID de cuenta de Instagram
+ * @param {string} accessToken - Token de acceso
+ * @param {string} creationId - ID del contenedor
+ * @param {Object} polling - Opciones de espera para checkContainerStatus
+ * @returns {Promise<string>} ID de la publicación
+ */
+const publishContainer = async (igAccountId, accessToken, creationId, polling) => {
+    // Verificar estado antes de publicar
+    const isReady = await checkContainerStatus(creationId, accessToken, polling);
+    if (!isReady) {
+        throw new Error('El contenedor multimedia no estuvo listo a tiempo');
+    }
+
+    const publishResponse = await fetch(
+        `${META_GRAPH_URL}/${igAccountId}/media_publish`,
+        {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                creation_id: creationId,
+                access_token: accessToken
+            })
+        }
+    );
+
+    const publishData = await publishResponse.json();
+
+    if (publishData.error) {
+        console.error(`[MetaService] ❌ Error publicando contenedor IG:`, publishData.error);
+        throw graphError(publishData.error);
+    }
+
+    return publishData.id;
+};
+
 /**
  * Publica contenido en Instagram
  * @param {string} igAccountId - ID de cuenta de Instagram
@@ -375,7 +498,7 @@ export const publishToInstagram = async (igAccountId, accessToken, content) => {
                 });
                 
                 const itemData = await itemResponse.json();
-                if (itemData.error) throw new Error(itemData.error.message);
+                if (itemData.error) throw graphError(itemData.error);
                 itemIds.push(itemData.id);
             }
 
@@ -392,7 +515,7 @@ export const publishToInstagram = async (igAccountId, accessToken, content) => {
             });
 
             const carouselData = await carouselResponse.json();
-            if (carouselData.error) throw new Error(carouselData.error.message);
+            if (carouselData.error) throw graphError(carouselData.error);
             creationId = carouselData.id;
 
         } else {
@@ -412,55 +535,399 @@ export const publishToInstagram = async (igAccountId, accessToken, content) => {
             );
 
             const containerData = await containerResponse.json();
-            if (containerData.error) throw new Error(containerData.error.message);
+            if (containerData.error) throw graphError(containerData.error);
             creationId = containerData.id;
         }
 
         console.log(`[MetaService] ✅ Contenedor creado: ${creationId}. Verificando estado...`);
 
-        // Verificar estado antes de publicar
-        const isReady = await checkContainerStatus(creationId, accessToken);
-        if (!isReady) {
-            throw new Error('El contenedor multimedia no estuvo listo a tiempo');
+        const postId = await publishContainer(igAccountId, accessToken, creationId);
+
+        console.log(`[MetaService] ✅ Publicación exitosa en Instagram ID: ${postId}`);
+
+        return {
+            success: true,
+            post_id: postId,
+            platform: 'instagram'
+        };
+    } catch (error) {
+        console.error(`[MetaService] ❌ Error en publishToInstagram:`, error.message);
+        return {
+            success: false,
+            error: error.message,
+            code: error.code,
+            subcode: error.subcode,
+            platform: 'instagram'
+        };
+    }
+};
+
+/**
+ * Publica un video como Reel en Instagram
+ * @param {string} igAccountId - ID de cuenta de Instagram
+ * @param {string} accessToken - Token de acceso
+ * @param {Object} content - Contenido (video_url, caption, cover_url, thumb_offset en ms, share_to_feed)
+ * @returns {Promise<Object>} Resultado de publicación
+ */
+export const publishVideoToInstagram = async (igAccountId, accessToken, content) => {
+    try {
+        if (!content.video_url) {
+            throw new Error('Instagram requiere un video para publicar un Reel');
         }
 
-        // Publicar el contenedor
-        const publishResponse = await fetch(
-            `${META_GRAPH_URL}/${igAccountId}/media_publish`,
-            {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    creation_id: creationId,
-                    access_token: accessToken
-                })
-            }
-        );
+        console.log(`[MetaService] Creando contenedor REELS en Instagram. Cuenta: ${igAccountId}`);
 
-        const publishData = await publishResponse.json();
+        const body = {
+            media_type: 'REELS',
+            video_url: content.video_url,
+            caption: content.caption,
+            share_to_feed: content.share_to_feed !== false,
+            access_token: accessToken
+        };
 
-        if (publishData.error) {
-            console.error(`[MetaService] ❌ Error publicando contenedor IG:`, publishData.error);
-            throw new Error(publishData.error.message);
+        // Portada: imagen propia o frame del video (offset en ms)
+        if (content.cover_url) {
+            body.cover_url = content.cover_url;
+        } else if (content.thumb_offset) {
+            body.thumb_offset = content.thumb_offset;
         }
 
-        console.log(`[MetaService] ✅ Publicación exitosa en Instagram ID: ${publishData.id}`);
+        const containerResponse = await fetch(`${META_GRAPH_URL}/${igAccountId}/media`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const containerData = await containerResponse.json();
+        if (containerData.error) throw graphError(containerData.error);
+
+        console.log(`[MetaService] ✅ Contenedor de video creado: ${containerData.id}. Esperando procesamiento...`);
+
+        const postId = await publishContainer(igAccountId, accessToken, containerData.id, VIDEO_CONTAINER_POLLING);
+
+        console.log(`[MetaService] ✅ Reel publicado en Instagram ID: ${postId}`);
 
         return {
             success: true,
-            post_id: publishData.id,
+            post_id: postId,
             platform: 'instagram'
         };
     } catch (error) {
-        console.error(`[MetaService] ❌ Error en publishToInstagram:`, error.message);
+        console.error(`[MetaService] ❌ Error en publishVideoToInstagram:`, error.message);
+        return {
+            success: false,
+            error: error.message,
+            code: error.code,
+            subcode: error.subcode,
+            platform: 'instagram'
+        };
+    }
+};
+
+/**
+ * Publica un video en una página de Facebook
+ * @param {string} pageId - ID de la página
+ * @param {string} pageAccessToken - Token de la página
+ * @param {Object} content - Contenido (video_url, description, title)
+ * @returns {Promise<Object>} Resultado de publicación
+ */
+export const publishVideoToFacebook = async (pageId, pageAccessToken, content) => {
+    try {
+        if (!content.video_url) {
+            throw new Error('Se requiere un video para publicar en Facebook');
+        }
+
+        console.log(`[MetaService] Publicando video en Facebook. Página: ${pageId}`);
+
+        // Facebook descarga el archivo desde file_url (R2 público)
+        const response = await fetch(`${META_GRAPH_URL}/${pageId}/videos`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                file_url: content.video_url,
+                description: content.description,
+                title: content.title,
+                access_token: pageAccessToken
+            })
+        });
+
+        const data = await response.json();
+        if (data.error) throw graphError(data.error);
+
+        console.log(`[MetaService] ✅ Video publicado en Facebook ID: ${data.id}`);
+
+        return {
+            success: true,
+            post_id: data.id,
+            platform: 'facebook'
+        };
+    } catch (error) {
+        console.error(`[MetaService] ❌ Error en publishVideoToFacebook:`, error.message);
+        return {
+            success: false,
+            error: error.message,
+            code: error.code,
+            subcode: error.subcode,
+            platform: 'facebook'
+        };
+    }
+};
+
+/**
+ * Publica una Story en Instagram (imagen o video 9:16)
+ * @param {string} igAccountId - ID de cuenta de Instagram
+ * @param {string} accessToken - Token de acceso
+ * @param {Object} content - Contenido (image_url o video_url)
+ * @returns {Promise<Object>} Resultado de publicación
+ */
+export const publishStoryToInstagram = async (igAccountId, accessToken, content) => {
+    try {
+        if (!content.image_url && !content.video_url) {
+            throw new Error('Instagram requiere una imagen o un video para publicar una Story');
+        }
+
+        console.log(`[MetaService] Creando contenedor STORIES en Instagram. Cuenta: ${igAccountId}`);
+
+        const body = {
+            media_type: 'STORIES',
+            access_token: accessToken
+        };
+
+        if (content.video_url) {
+            body.video_url = content.video_url;
+        } else {
+            body.image_url = content.image_url;
+        }
+
+        const containerResponse = await fetch(`${META_GRAPH_URL}/${igAccountId}/media`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const containerData = await containerResponse.json();
+        if (containerData.error) throw graphError(containerData.error);
+
+        console.log(`[MetaService] ✅ Contenedor de Story creado: ${containerData.id}`);
+
+        // Las stories de video requieren el mismo procesamiento que un Reel
+        const polling = content.video_url ? VIDEO_CONTAINER_POLLING : undefined;
+        const postId = await publishContainer(igAccountId, accessToken, containerData.id, polling);
+
+        console.log(`[MetaService] ✅ Story publicada en Instagram ID: ${postId}`);
+
+        return {
+            success: true,
+            post_id: postId,
+            platform: 'instagram'
+        };
+    } catch (error) {
+        console.error(`[MetaService] ❌ Error en publishStoryToInstagram:`, error.message);
         return {
             success: false,
             error: error.message,
+            code: error.code,
+            subcode: error.subcode,
             platform: 'instagram'
         };
     }
 };
 
+/**
+ * Publica una Story en una página de Facebook
+ * Imagen: foto sin publicar + /photo_stories. Video: subida en tres fases a /video_stories
+ * @param {string} pageId - ID de la página
+ * @param {string} pageAccessToken - Token de la página
+ * @param {Object} content - Contenido (image_url o video_url)
+ * @returns {Promise<Object>} Resultado de publicación
+ */
+export const publishStoryToFacebook = async (pageId, pageAccessToken, content) => {
+    try {
+        if (!content.image_url && !content.video_url) {
+            throw new Error('Facebook requiere una imagen o un video para publicar una Story');
+        }
+
+        console.log(`[MetaService] Publicando Story en Facebook. Página: ${pageId}`);
+
+        const postId = content.video_url
+            ? await publishFacebookVideoStory(pageId, pageAccessToken, content.video_url)
+            : await publishFacebookPhotoStory(pageId, pageAccessToken, content.image_url);
+
+        console.log(`[MetaService] ✅ Story publicada en Facebook ID: ${postId}`);
+
+        return {
+            success: true,
+            post_id: postId,
+            platform: 'facebook'
+        };
+    } catch (error) {
+        console.error(`[MetaService] ❌ Error en publishStoryToFacebook:`, error.message);
+        return {
+            success: false,
+            error: error.message,
+            code: error.code,
+            subcode: error.subcode,
+            platform: 'facebook'
+        };
+    }
+};
+
+/**
+ * Story de foto: sube la imagen sin publicar y la adjunta como story
+ */
+const publishFacebookPhotoStory = async (pageId, pageAccessToken, imageUrl) => {
+    const photoResponse = await fetch(`${META_GRAPH_URL}/${pageId}/photos`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            url: imageUrl,
+            published: false,
+            access_token: pageAccessToken
+        })
+    });
+
+    const photoData = await photoResponse.json();
+    if (photoData.error) throw graphError(photoData.error);
+
+    const storyResponse = await fetch(`${META_GRAPH_URL}/${pageId}/photo_stories`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            photo_id: photoData.id,
+            access_token: pageAccessToken
+        })
+    });
+
+    const storyData = await storyResponse.json();
+    if (storyData.error) throw graphError(storyData.error);
+
+    return storyData.post_id || photoData.id;
+};
+
+/**
+ * Story de video: start → subida por file_url → finish
+ */
+const publishFacebookVideoStory = async (pageId, pageAccessToken, videoUrl) => {
+    const startResponse = await fetch(`${META_GRAPH_URL}/${pageId}/video_stories`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            upload_phase: 'start',
+            access_token: pageAccessToken
+        })
+    });
+
+    const startData = await startResponse.json();
+    if (startData.error) throw graphError(startData.error);
+
+    // Facebook descarga el archivo desde file_url (R2 público)
+    const uploadResponse = await fetch(startData.upload_url, {
+        method: 'POST',
+        headers: {
+            Authorization: `OAuth ${pageAccessToken}`,
+            file_url: videoUrl
+        }
+    });
+
+    const uploadData = await uploadResponse.json();
+    if (uploadData.error || uploadData.success === false) {
+        throw graphError(uploadData.error || { message: 'Error subiendo el video de la Story' });
+    }
+
+    const finishResponse = await fetch(`${META_GRAPH_URL}/${pageId}/video_stories`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            upload_phase: 'finish',
+            video_id: startData.video_id,
+            access_token: pageAccessToken
+        })
+    });
+
+    const finishData = await finishResponse.json();
+    if (finishData.error) throw graphError(finishData.error);
+
+    return finishData.post_id || startData.video_id;
+};
+
+/**
+ * Edita el texto de un post ya publicado en una página de Facebook
+ * @param {string} postId - ID del post
+ * @param {string} pageAccessToken - Token de la página
+ * @param {string} message - Nuevo texto
+ * @returns {Promise<Object>} { success, error, code }
+ */
+export const editarPostFacebook = async (postId, pageAccessToken, message) => {
+    try {
+        const response = await fetch(`${META_GRAPH_URL}/${postId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message, access_token: pageAccessToken })
+        });
+
+        const data = await response.json();
+        if (data.error) throw graphError(data.error);
+
+        console.log(`[MetaService] ✏️ Post ${postId} editado en Facebook`);
+        return { success: data.success !== false, platform: 'facebook' };
+    } catch (error) {
+        console.error(`[MetaService] ❌ Error en editarPostFacebook:`, error.message);
+        return { success: false, error: error.message, code: error.code, platform: 'facebook' };
+    }
+};
+
+/**
+ * Elimina un post publicado en una página de Facebook
+ * @param {string} postId - ID del post
+ * @param {string} pageAccessToken - Token de la página
+ * @returns {Promise<Object>} { success, error, code }
+ */
+export const eliminarPostFacebook = async (postId, pageAccessToken) => {
+    try {
+        const response = await fetch(`${META_GRAPH_URL}/${postId}?access_token=${pageAccessToken}`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+        if (data.error) throw graphError(data.error);
+
+        console.log(`[MetaService] 🗑️ Post ${postId} eliminado de Facebook`);
+        return { success: data.success !== false, platform: 'facebook' };
+    } catch (error) {
+        console.error(`[MetaService] ❌ Error en eliminarPostFacebook:`, error.message);
+        return { success: false, error: error.message, code: error.code, platform: 'facebook' };
+    }
+};
+
+/**
+ * Consulta la cuota de publicación de una cuenta de Instagram
+ * Instagram limita las publicaciones vía API en una ventana móvil de 24 horas
+ * @param {string} igAccountId - ID de la cuenta de Instagram
+ * @param {string} accessToken - Token de acceso
+ * @returns {Promise<Object>} { success, usadas, total, ventana_horas, error }
+ */
+export const getInstagramPublishingLimit = async (igAccountId, accessToken) => {
+    try {
+        const response = await fetch(
+            `${META_GRAPH_URL}/${igAccountId}/content_publishing_limit?fields=quota_usage,config&access_token=${accessToken}`
+        );
+
+        const data = await response.json();
+        if (data.error) throw graphError(data.error);
+
+        const limite = data.data?.[0] || {};
+        return {
+            success: true,
+            usadas: limite.quota_usage ?? 0,
+            total: limite.config?.quota_total ?? null,
+            ventana_horas: limite.config?.quota_duration ? limite.config.quota_duration / 3600 : null
+        };
+    } catch (error) {
+        console.error(`[MetaService] ❌ Error en getInstagramPublishingLimit:`, error.message);
+        return { success: false, error: error.message, code: error.code };
+    }
+};
+
 /**
  * Verifica si la configuración de Meta está completa
  */
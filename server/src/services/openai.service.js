@@ -6,6 +6,7 @@
 
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { construirPromptVariante, limpiarRespuestaIA } from '../utils/variantes.js';
 
 dotenv.config();
 
@@ -225,6 +226,52 @@ Proporciona:
     }
 };
 
+/**
+ * Adapta el copy maestro de un contenido a una plataforma usando GPT-4
+ * @param {Object} options - Opciones de adaptación
+ * @param {string} options.copy - Copy maestro
+ * @param {string} options.plataforma - Plataforma destino
+ * @param {Object} options.contextoMarca - Contexto de la marca
+ * @returns {Promise<Object>} Copy adaptado
+ */
+export const adaptarCopy = async ({ copy, plataforma, contextoMarca = null }) => {
+    try {
+        const client = getClient();
+        if (!client) {
+            return { success: false, error: 'OpenAI API no configurada' };
+        }
+
+        const completion = await client.chat.completions.create({
+            model: 'gpt-4-turbo-preview',
+            messages: [
+                {
+                    role: 'system',
+                    content: `Eres un experto en copywriting para ${plataforma}.`
+                },
+                {
+                    role: 'user',
+                    content: construirPromptVariante({ copy, plataforma, contextoMarca })
+                }
+            ],
+            temperature: 0.7,
+            max_tokens: 1000
+        });
+
+        return {
+            success: true,
+            copy_texto: limpiarRespuestaIA(completion.choices[0].message.content),
+            plataforma,
+            modelo: 'gpt-4-turbo-preview'
+        };
+    } catch (error) {
+        console.error(`Error en OpenAI adaptarCopy (${plataforma}):`, error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
 // ================== FUNCIONES AUXILIARES ==================
 
 /**
@@ -300,6 +347,6 @@ export const verificarConfiguracion = () => {
     return {
         configurado: !!apiKey && apiKey.startsWith('sk-'),
         servicio: 'OpenAI GPT-4',
-        funcionalidades: ['generarCopy', 'generarIdeas', 'mejorarTexto']
+        funcionalidades: ['generarCopy', 'generarIdeas', 'mejorarTexto', 'adaptarCopy']
     };
 };
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Registro de adaptadores de plataforma
+ * @description Cada red social implementa el mismo contrato y los workers y
+ * controladores la resuelven por `plataforma`:
+ *  - plataforma: identificador ('facebook', 'instagram', ...)
+ *  - capacidades: qué tipos de contenido admite y su cuota por defecto
+ *    (cuota: { max, ventana_horas, separacion_minutos })
+ *  - connect: flujo OAuth ({ proveedor, getAuthUrl, completarAuth, verificarConfiguracion });
+ *    con pkce: true recibe { codeChallenge } en getAuthUrl y { codeVerifier } en completarAuth;
+ *    con seleccionarCuentas: true las cuentas quedan descubiertas y el usuario elige cuáles conectar
+ *    renovarToken(cuenta): opcional, { success, access_token, refresh_token, token_expires_at }
+ *    diagnosticar(cuenta): opcional, { success, valido, scopes, enlace, expira_at } del token
+ *  - validate(pieza): { errores, advertencias } según sus límites
+ *  - publish(cuenta, pieza): publica y devuelve { success, post_id, error }
+ *  - edit(cuenta, externalPostId, texto) / remove(cuenta, externalPostId): opcionales,
+ *    según capacidades.editarPublicado / eliminarPublicado
+ *  - fetchMetrics(cuenta, externalPostId): devuelve { success, datos }
+ *  - fetchQuota(cuenta): opcional, uso de la cuota según la red { success, usadas, total }
+ * @module services/platforms
+ */
+
+import * as facebook from './facebook.adapter.js';
+import * as instagram from './instagram.adapter.js';
+import * as linkedin from './linkedin.adapter.js';
+import { SANDBOX_ACTIVO, crearAdapterSandbox } from './sandbox.js';
+
+export { prepararPieza, resumirPieza } from './pieza.js';
+export { SANDBOX_ACTIVO } from './sandbox.js';
+
+const adapters = new Map();
+
+/**
+ * Registra (o reemplaza) el adaptador de una plataforma
+ * @param {Object} adapter - Adaptador que cumple el contrato
+ */
+export const registrarAdapter = (adapter) => {
+    if (!adapter?.plataforma || typeof adapter.publish !== 'function') {
+        throw new Error('Adaptador inválido: requiere plataforma y publish()');
+    }
+    adapters.set(adapter.plataforma, adapter);
+};
+
+/**
+ * Obtiene el adaptador de una plataforma
+ * @param {string} plataforma - Identificador de la plataforma
+ * @returns {Object|null} Adaptador o null si no está soportada
+ */
+export const getAdapter = (plataforma) => adapters.get(plataforma) || null;
+
+/**
+ * Lista las plataformas registradas
+ * @returns {Array<string>}
+ */
+export const getPlataformas = () => [...adapters.keys()];
+
+/**
+ * Lista los conectores OAuth sin duplicados (Meta cubre Facebook e Instagram)
+ * @returns {Array<Object>}
+ */
+export const getConectores = () => {
+    const conectores = new Map();
+    for (const adapter of adapters.values()) {
+        if (adapter.connect && !conectores.has(adapter.connect.proveedor)) {
+            conectores.set(adapter.connect.proveedor, adapter.connect);
+        }
+    }
+    return [...conectores.values()];
+};
+
+/**
+ * Obtiene el conector OAuth de un proveedor
+ * @param {string} proveedor - 'meta', 'linkedin', ...
+ * @returns {Object|null}
+ */
+export const getConector = (proveedor) => getConectores().find(c => c.proveedor === proveedor) || null;
+
+// En modo sandbox se publican en memoria, sin llamar a Meta ni a LinkedIn
+[facebook, instagram, linkedin]
+    .map(adapter => (SANDBOX_ACTIVO ? crearAdapterSandbox(adapter) : adapter))
+    .forEach(registrarAdapter);
+
+if (SANDBOX_ACTIVO) {
+    console.log('[Platforms] ⚠️ Modo sandbox activo: las publicaciones no llegan a las redes reales');
+}
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Adaptador de Instagram
+ * @description Publicación (feed, Reels, Stories) y métricas de cuentas de Instagram Business
+ * @module services/platforms/instagram
+ */
+
+import * as MetaService from '../meta.service.js';
+import * as metaConnect from './meta.connect.js';
+import { validarPieza } from './validacion.js';
+
+export const plataforma = 'instagram';
+
+export const capacidades = {
+    nombre: 'Instagram',
+    video: true,
+    story: true,
+    requiereImagen: true,
+    // La API de Instagram no permite editar el caption ni borrar lo publicado
+    editarPublicado: false,
+    eliminarPublicado: false,
+    // Instagram admite 25 publicaciones vía API cada 24 horas
+    cuota: { max: 25, ventana_horas: 24, separacion_minutos: 10 },
+    limites: {
+        texto_max: 2200,
+        texto_visible: 125,
+        hashtags_max: 30,
+        menciones_max: 20,
+        imagenes_max: 10,
+        carrusel_min: 2,
+        aspecto_min: 0.8,
+        aspecto_max: 1.91,
+        ancho_min: 320,
+        ancho_recomendado_max: 1440,
+        imagen_bytes_max: 8 * 1024 * 1024,
+        video_duracion_min: 3,
+        video_duracion_max: 15 * 60
+    }
+};
+
+export const connect = metaConnect;
+
+/**
+ * Valida que la pieza se pueda publicar en Instagram
+ * @param {Object} pieza - Pieza preparada
+ * @returns {Object} { errores, advertencias }
+ */
+export const validate = (pieza) => validarPieza(pieza, capacidades);
+
+/**
+ * Publica la pieza en la cuenta de Instagram
+ * @param {Object} cuenta - { page_id (ID de IG), access_token }
+ * @param {Object} pieza - Pieza preparada
+ * @returns {Promise<Object>} Resultado de publicación
+ */
+export const publish = async ({ page_id, access_token }, pieza) => {
+    if (pieza.tipo === 'story') {
+        return await MetaService.publishStoryToInstagram(page_id, access_token, {
+            image_url: pieza.imageUrls[0],
+            video_url: pieza.videos[0]?.url_video
+        });
+    }
+
+    if (pieza.tipo === 'video') {
+        const video = pieza.videos[0];
+        return await MetaService.publishVideoToInstagram(page_id, access_token, {
+            video_url: video.url_video,
+            caption: pieza.texto,
+            cover_url: video.cover_url,
+            thumb_offset: video.thumb_offset_ms
+        });
+    }
+
+    return await MetaService.publishToInstagram(page_id, access_token, {
+        caption: pieza.texto,
+        image_url: pieza.imageUrls[0],
+        images: pieza.imageUrls
+    });
+};
+
+/**
+ * Consulta cuánta cuota de publicación ha consumido la cuenta según Instagram
+ * @param {Object} cuenta - { page_id (ID de IG), access_token }
+ * @returns {Promise<Object>} { success, usadas, total, ventana_horas }
+ */
+export const fetchQuota = ({ page_id, access_token }) =>
+    MetaService.getInstagramPublishingLimit(page_id, access_token);
+
+/**
+ * Obtiene métricas de un media de Instagram
+ * @param {Object} cuenta - { access_token }
+ * @param {string} mediaId - ID externo del media
+ * @returns {Promise<Object>} { success, datos }
+ */
+export const fetchMetrics = async ({ access_token: accessToken }, mediaId) => {
+    try {
+        // Primero intentamos obtener impresiones y alcance (Insights)
+        // Nota: Algunas publicaciones muy recientes o de ciertos tipos pueden no tener todos los insights de inmediato
+        const url = `https://graph.facebook.com/v18.0/${mediaId}/insights?metric=impressions,reach,saved&access_token=${accessToken}`;
+
+        const response = await fetch(url);
+        const data = await response.json();
+
+        // Si hay error en insights (como "Object does not exist"), intentamos obtener al menos likes/comments del nodo base
+        if (data.error) {
+            console.warn(`[MetricsCollector] Advertencia Instagram Insights para ${mediaId}:`, data.error.message);
+            
+            const baseUrl = `https://graph.facebook.com/v18.0/${mediaId}?fields=like_count,comments_count&access_token=${accessToken}`;
+            const baseResponse = await fetch(baseUrl);
+            const baseData = await baseResponse.json();
+
+            if (baseData.error) {
+                throw new Error(`Error base IG y error Insights: ${baseData.error.message}`);
+            }
+
+            return {
+                success: true,
+                datos: {
+                    likes: baseData.like_count || 0,
+                    comentarios: baseData.comments_count || 0,
+                    guardados: 0,
+                    impresiones: 0,
+                    alcance: 0
+                }
+            };
+        }
+
+        const metricas = {};
+        data.data?.forEach(metric => {
+            metricas[metric.name] = metric.values[0]?.value || 0;
+        });
+
+        // Para likes y comentarios en IG, a veces es mejor pedirlos directamente al nodo si no vienen en insights
+        const baseUrl = `https://graph.facebook.com/v18.0/${mediaId}?fields=like_count,comments_count&access_token=${accessToken}`;
+        const baseResponse = await fetch(baseUrl);
+        const baseData = await baseResponse.json();
+
+        return {
+            success: true,
+            datos: {
+                likes: baseData.like_count || metricas.likes || 0,
+                comentarios: baseData.comments_count || metricas.comments || 0,
+                guardados: metricas.saved || 0,
+                impresiones: metricas.impressions || 0,
+                alcance: metricas.reach || 0
+            }
+        };
+    } catch (error) {
+        console.error('[MetricsCollector] Error Instagram:', error.message);
+        return { success: false, error: error.message };
+    }
+};
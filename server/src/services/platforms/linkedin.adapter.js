@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Adaptador de LinkedIn
+ * @description Conexión OAuth, publicación y métricas de perfiles y páginas de empresa
+ * @module services/platforms/linkedin
+ */
+
+import * as LinkedInService from '../linkedin.service.js';
+import { validarPieza } from './validacion.js';
+
+export const plataforma = 'linkedin';
+
+export const capacidades = {
+    nombre: 'LinkedIn',
+    video: false,
+    story: false,
+    requiereImagen: false,
+    editarPublicado: true,
+    eliminarPublicado: true,
+    cuota: { max: 100, ventana_horas: 24, separacion_minutos: 5 },
+    limites: {
+        texto_max: 3000,
+        texto_visible: 210,
+        hashtags_recomendados: 5,
+        imagenes_max: 9,
+        carrusel_min: 2,
+        aspecto_min: 1 / 2.4,
+        aspecto_max: 2.4
+    }
+};
+
+/**
+ * Conexión OAuth de LinkedIn: perfil del usuario y páginas que administra
+ */
+export const connect = {
+    proveedor: 'linkedin',
+    mensajeNoConfigurado: 'LinkedIn no está configurado. Verifica LINKEDIN_CLIENT_ID y LINKEDIN_CLIENT_SECRET',
+    verificarConfiguracion: LinkedInService.verificarConfiguracion,
+    getAuthUrl: LinkedInService.getAuthUrl,
+
+    /**
+     * Completa el OAuth y devuelve las cuentas a registrar
+     * @param {string} code - Código de autorización
+     * @param {string} redirectUri - URI de redirección usada en la autorización
+     * @returns {Promise<Object>} { success, cuentas, error }
+     */
+    completarAuth: async (code, redirectUri) => {
+        // Intercambiar código por token
+        const tokenResult = await LinkedInService.exchangeCodeForToken(code, redirectUri);
+        if (!tokenResult.success) {
+            return { success: false, error: tokenResult.error };
+        }
+
+        const cuentas = [];
+
+        // Obtener perfil del usuario
+        const profileResult = await LinkedInService.getProfile(tokenResult.access_token);
+        if (profileResult.success) {
+            cuentas.push({
+                plataforma: 'linkedin',
+                nombre_cuenta: profileResult.profile.name || 'LinkedIn Usuario',
+                page_id: profileResult.profile.sub, // URN del usuario
+                access_token: tokenResult.access_token,
+                refresh_token: tokenResult.refresh_token,
+                token_expires_at: tokenResult.expires_at
+            });
+        }
+
+        // Páginas de empresa que administra el usuario (una cuenta por organización)
+        const orgsResult = await LinkedInService.getAdministeredOrganizations(tokenResult.access_token);
+        if (!orgsResult.success) {
+            console.warn('[LinkedInAdapter] No se pudieron obtener organizaciones de LinkedIn:', orgsResult.error);
+        }
+
+        for (const org of orgsResult.organizations) {
+            cuentas.push({
+                plataforma: 'linkedin',
+                nombre_cuenta: org.name,
+                page_id: org.urn, // URN completo de la organización
+                access_token: tokenResult.access_token,
+                refresh_token: tokenResult.refresh_token,
+                token_expires_at: tokenResult.expires_at
+            });
+        }
+
+        return { success: true, cuentas };
+    },
+
+    /**
+     * Diagnostica el token: validez y permisos por introspección, y que el perfil
+     * o la página de empresa sigan accesibles
+     * @param {Object} cuenta - Cuenta con access_token
+     * @returns {Promise<Object>} { success, valido, scopes, enlace, expira_at, error }
+     */
+    diagnosticar: async (cuenta) => {
+        const info = await LinkedInService.introspectToken(cuenta.access_token);
+        if (!info.success) {
+            return { success: false, error: info.error };
+        }
+        if (!info.valido) {
+            return { success: true, valido: false };
+        }
+
+        let enlace;
+        if (LinkedInService.isOrganization(cuenta.page_id)) {
+            const orgsResult = await LinkedInService.getAdministeredOrganizations(cuenta.access_token);
+            enlace = orgsResult.organizations.some(org => org.urn === cuenta.page_id);
+        } else {
+            const profileResult = await LinkedInService.getProfile(cuenta.access_token);
+            enlace = profileResult.success && profileResult.profile.sub === cuenta.page_id;
+        }
+
+        return { success: true, valido: true, scopes: info.scopes, enlace, expira_at: info.expira_at };
+    },
+
+    /**
+     * Renueva el token con el refresh token, si LinkedIn lo emitió
+     * @param {Object} cuenta - Cuenta con refresh_token
+     * @returns {Promise<Object>} { success, access_token, refresh_token, token_expires_at, error }
+     */
+    renovarToken: async (cuenta) => {
+        if (!cuenta.refresh_token) {
+            return { success: false, error: 'LinkedIn no emitió refresh token para esta app' };
+        }
+
+        const result = await LinkedInService.refreshAccessToken(cuenta.refresh_token);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+
+        return {
+            success: true,
+            access_token: result.access_token,
+            refresh_token: result.refresh_token,
+            token_expires_at: result.expires_at
+        };
+    }
+};
+
+/**
+ * Indica si la cuenta es una página de empresa
+ * @param {string} pageId - page_id de la cuenta
+ * @returns {boolean}
+ */
+export const esOrganizacion = LinkedInService.isOrganization;
+
+/**
+ * Valida que la pieza se pueda publicar en LinkedIn
+ * @param {Object} pieza - Pieza preparada
+ * @returns {Object} { errores, advertencias }
+ */
+export const validate = (pieza) => validarPieza(pieza, capacidades);
+
+/**
+ * Publica la pieza en el perfil o la página de empresa
+ * @param {Object} cuenta - { page_id, access_token }
+ * @param {Object} pieza - Pieza preparada
+ * @returns {Promise<Object>} Resultado de publicación
+ */
+export const publish = async ({ page_id, access_token }, pieza) => {
+    // LinkedIn usa el URN del autor (perfil u organización)
+    return await LinkedInService.publishPost(access_token, LinkedInService.getAuthorUrn(page_id), {
+        text: pieza.texto,
+        images: pieza.imageUrls
+    });
+};
+
+/**
+ * Edita el texto de un post ya publicado
+ * @param {Object} cuenta - { access_token }
+ * @param {string} postId - URN del post
+ * @param {string} texto - Nuevo texto
+ * @returns {Promise<Object>} { success, error }
+ */
+export const edit = async ({ access_token }, postId, texto) => {
+    return await LinkedInService.editarPost(access_token, postId, texto);
+};
+
+/**
+ * Elimina un post publicado
+ * @param {Object} cuenta - { access_token }
+ * @param {string} postId - URN del post
+ * @returns {Promise<Object>} { success, error }
+ */
+export const remove = async ({ access_token }, postId) => {
+    return await LinkedInService.eliminarPost(access_token, postId);
+};
+
+/**
+ * Obtiene métricas de un post de LinkedIn
+ * Para páginas de empresa se agregan impresiones, clics y compartidos
+ * desde organizationalEntityShareStatistics
+ * @param {Object} cuenta - { access_token, page_id }
+ * @param {string} postId - URN del post
+ * @returns {Promise<Object>} { success, datos }
+ */
+export const fetchMetrics = async ({ access_token: accessToken, page_id: pageId }, postId) => {
+    try {
+        const headers = {
+            'Authorization': `Bearer ${accessToken}`,
+            'X-Restli-Protocol-Version': '2.0.0'
+        };
+
+        // LinkedIn API para métricas de share
+        const url = `https://api.linkedin.com/v2/socialActions/${encodeURIComponent(postId)}`;
+
+        const response = await fetch(url, { headers });
+
+        const data = await response.json();
+
+        const datos = {
+            likes: data.likesSummary?.totalLikes || 0,
+            comentarios: data.commentsSummary?.totalFirstLevelComments || 0,
+            compartidos: 0 // LinkedIn API diferente
+        };
+
+        if (LinkedInService.isOrganization(pageId)) {
+            const stats = await obtenerEstadisticasOrganizacion(postId, pageId, headers);
+            if (stats) {
+                datos.likes = stats.likeCount ?? datos.likes;
+                datos.comentarios = stats.commentCount ?? datos.comentarios;
+                datos.compartidos = stats.shareCount || 0;
+                datos.impresiones = stats.impressionCount || 0;
+                datos.alcance = stats.uniqueImpressionsCount || 0;
+                datos.clics = stats.clickCount || 0;
+            }
+        }
+
+        return {
+            success: true,
+            datos
+        };
+    } catch (error) {
+        console.error('[MetricsCollector] Error LinkedIn:', error.message);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Obtiene estadísticas de un post publicado por una organización de LinkedIn
+ * @returns {Promise<Object|null>} totalShareStatistics o null si no hay datos
+ */
+const obtenerEstadisticasOrganizacion = async (postId, orgUrn, headers) => {
+    // Los posts creados vía ugcPosts devuelven urn:li:share o urn:li:ugcPost
+    const parametro = String(postId).startsWith('urn:li:ugcPost:') ? 'ugcPosts' : 'shares';
+    const url = `https://api.linkedin.com/v2/organizationalEntityShareStatistics?q=organizationalEntity`
+        + `&organizationalEntity=${encodeURIComponent(orgUrn)}`
+        + `&${parametro}=List(${encodeURIComponent(postId)})`;
+
+    const response = await fetch(url, { headers });
+    const data = await response.json();
+
+    if (!response.ok) {
+        console.warn(`[MetricsCollector] Advertencia estadísticas de organización para ${postId}:`, data.message);
+        return null;
+    }
+
+    return data.elements?.[0]?.totalShareStatistics || null;
+};
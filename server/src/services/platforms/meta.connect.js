@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Conexión OAuth con Meta
+ * @description Flujo OAuth compartido por los adaptadores de Facebook e Instagram:
+ * un único login devuelve las páginas de Facebook y sus cuentas de Instagram vinculadas,
+ * y el usuario elige cuáles conectar
+ * @module services/platforms/meta.connect
+ */
+
+import * as MetaService from '../meta.service.js';
+
+export const proveedor = 'meta';
+
+export const mensajeNoConfigurado = 'Meta no está configurado. Verifica META_APP_ID y META_APP_SECRET';
+
+export const verificarConfiguracion = MetaService.verificarConfiguracion;
+
+// El login de Meta admite PKCE además del secreto de la app
+export const pkce = true;
+
+// Un login puede dar acceso a varias páginas: se guardan como descubiertas y se eligen
+export const seleccionarCuentas = true;
+
+export const getAuthUrl = MetaService.getAuthUrl;
+
+/**
+ * Completa el OAuth y devuelve todas las cuentas encontradas
+ * @param {string} code - Código de autorización
+ * @param {string} redirectUri - URI de redirección usada en la autorización
+ * @param {Object} options - { codeVerifier } del inicio del flujo
+ * @returns {Promise<Object>} { success, cuentas, error }
+ */
+export const completarAuth = async (code, redirectUri, { codeVerifier = null } = {}) => {
+    // Intercambiar código por token
+    const tokenResult = await MetaService.exchangeCodeForToken(code, redirectUri, codeVerifier);
+    if (!tokenResult.success) {
+        return { success: false, error: tokenResult.error };
+    }
+
+    // Obtener token de larga duración
+    const longTokenResult = await MetaService.getLongLivedToken(tokenResult.access_token);
+    const finalToken = longTokenResult.success ? longTokenResult.access_token : tokenResult.access_token;
+    const expiresIn = longTokenResult.success ? longTokenResult.expires_in : tokenResult.expires_in;
+    const tokenExpiresAt = expiresIn ? new Date(Date.now() + expiresIn * 1000) : null;
+
+    // Obtener páginas de Facebook
+    const pagesResult = await MetaService.getPages(finalToken);
+    if (!pagesResult.success) {
+        return { success: false, error: pagesResult.error };
+    }
+
+    // Todas las páginas y sus cuentas de Instagram: el usuario elige después cuáles conectar
+    const cuentas = [];
+    for (const page of pagesResult.pages) {
+        cuentas.push({
+            plataforma: 'facebook',
+            nombre_cuenta: page.name,
+            page_id: page.id,
+            access_token: page.access_token,
+            token_expires_at: tokenExpiresAt
+        });
+
+        // Buscar cuenta de Instagram vinculada
+        const igResult = await MetaService.getInstagramAccount(page.id, page.access_token);
+        if (igResult.success) {
+            cuentas.push({
+                plataforma: 'instagram',
+                nombre_cuenta: igResult.username ? `@${igResult.username}` : `IG de ${page.name}`,
+                page_id: igResult.instagram_account_id,
+                vinculada_a: page.id,
+                access_token: page.access_token,
+                token_expires_at: tokenExpiresAt
+            });
+        }
+    }
+
+    return { success: true, cuentas };
+};
+
+/**
+ * Diagnostica el token de una cuenta de Facebook o Instagram
+ * Los tokens de página identifican a su página: se comprueba que siga siendo
+ * la de la cuenta y, en Instagram, que la cuenta siga vinculada a ella
+ * @param {Object} cuenta - Cuenta con access_token
+ * @returns {Promise<Object>} { success, valido, scopes, enlace, expira_at, error }
+ */
+export const diagnosticar = async (cuenta) => {
+    const info = await MetaService.getTokenInfo(cuenta.access_token);
+    if (!info.success) {
+        return { success: false, error: info.error };
+    }
+    if (!info.valido) {
+        return { success: true, valido: false };
+    }
+
+    const pagina = await MetaService.getPaginaDelToken(cuenta.access_token);
+    const enlace = !pagina.success
+        ? false
+        : cuenta.plataforma === 'instagram'
+            ? pagina.instagram_account_id === cuenta.page_id
+            : pagina.page_id === cuenta.page_id;
+
+    return { success: true, valido: true, scopes: info.scopes, enlace, expira_at: info.expira_at };
+};
+
+/**
+ * Renueva el token de una cuenta de Facebook o Instagram
+ * Los tokens de página obtenidos de un token de larga duración no caducan:
+ * en ese caso solo se corrige la caducidad guardada
+ * @param {Object} cuenta - Cuenta con access_token
+ * @returns {Promise<Object>} { success, access_token, token_expires_at, error }
+ */
+export const renovarToken = async (cuenta) => {
+    const info = await MetaService.getTokenInfo(cuenta.access_token);
+    if (!info.success) {
+        return { success: false, error: info.error };
+    }
+    if (!info.valido) {
+        return { success: false, error: 'Meta ya no acepta el token de la cuenta' };
+    }
+    if (!info.expira_at) {
+        return { success: true, access_token: cuenta.access_token, token_expires_at: null };
+    }
+
+    const longTokenResult = await MetaService.getLongLivedToken(cuenta.access_token);
+    if (!longTokenResult.success) {
+        return { success: false, error: longTokenResult.error };
+    }
+
+    return {
+        success: true,
+        access_token: longTokenResult.access_token,
+        token_expires_at: longTokenResult.expires_in
+            ? new Date(Date.now() + longTokenResult.expires_in * 1000)
+            : info.expira_at
+    };
+};
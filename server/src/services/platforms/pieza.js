@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Pieza publicable
+ * @description Normaliza un contenido con sus medios al formato que reciben
+ * los adaptadores de plataforma
+ * @module services/platforms/pieza
+ */
+
+/**
+ * Construye la pieza a publicar a partir de un contenido y sus medios
+ * @param {Object} contenido - { tipo, titulo, copy_texto, contenido, imagenes, videos }
+ * @returns {Object} { tipo, texto, titulo, imagenes, videos, imageUrls }
+ */
+export const prepararPieza = ({ tipo, titulo, copy_texto, contenido, imagenes = [], videos = [] }) => ({
+    tipo: tipo || 'post',
+    texto: copy_texto || contenido || titulo || '',
+    titulo,
+    imagenes,
+    videos,
+    imageUrls: imagenes.map(img => img.url_imagen)
+});
+
+/**
+ * Resumen de lo que se envía a la red, para el historial de intentos
+ * No guarda el texto completo ni los medios, solo lo necesario para diagnosticar
+ * @param {Object} pieza - Pieza preparada con prepararPieza
+ * @returns {Object} { tipo, caracteres, extracto, imagenes, videos, urls }
+ */
+export const resumirPieza = (pieza) => ({
+    tipo: pieza.tipo,
+    caracteres: pieza.texto.length,
+    extracto: pieza.texto.length > 80 ? `${pieza.texto.slice(0, 80)}…` : pieza.texto,
+    imagenes: pieza.imagenes.length,
+    videos: pieza.videos.length,
+    urls: [...pieza.imageUrls, ...pieza.videos.map(video => video.url_video)]
+});
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Modo sandbox de plataformas
+ * @description Sustituye la publicación, las métricas y el OAuth de cada adaptador
+ * por un stub en memoria para ejecutar el flujo completo sin tokens reales.
+ * Se activa con SOCIAL_SANDBOX=true. Las validaciones de cada plataforma se mantienen.
+ *
+ * Marcadores en el texto para simular fallos:
+ *  - #sandbox-error      → error temporal (se reintenta con backoff)
+ *  - #sandbox-permanente → error permanente (token inválido)
+ * @module services/platforms/sandbox
+ */
+
+import crypto from 'crypto';
+
+export const SANDBOX_ACTIVO = process.env.SOCIAL_SANDBOX === 'true';
+
+// Publicaciones aceptadas por el sandbox: post_id → { plataforma, page_id, pieza, publicado_en }
+const publicados = new Map();
+let secuencia = 0;
+
+// Conectores compartidos por proveedor (Meta cubre Facebook e Instagram)
+const conectores = new Map();
+
+// Cuentas que devuelve el OAuth simulado de cada proveedor
+const CUENTAS_SANDBOX = {
+    meta: [
+        { plataforma: 'facebook', nombre_cuenta: 'Página Sandbox', page_id: 'sandbox-page' },
+        { plataforma: 'instagram', nombre_cuenta: '@sandbox', page_id: 'sandbox-ig', vinculada_a: 'sandbox-page' },
+        { plataforma: 'facebook', nombre_cuenta: 'Segunda Página Sandbox', page_id: 'sandbox-page-2' }
+    ],
+    linkedin: [
+        { plataforma: 'linkedin', nombre_cuenta: 'Usuario Sandbox', page_id: 'sandbox-person' },
+        { plataforma: 'linkedin', nombre_cuenta: 'Empresa Sandbox', page_id: 'urn:li:organization:0' }
+    ]
+};
+
+/**
+ * Genera métricas sintéticas deterministas que crecen con el tiempo publicado
+ * @param {string} postId - ID devuelto por el sandbox
+ * @param {Date|null} publicadoEn - Fecha de publicación (null si no se conoce)
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {Object} Métricas en el formato de metricas_contenido
+ */
+export const metricasSinteticas = (postId, publicadoEn, ahora = new Date()) => {
+    const semilla = crypto.createHash('md5').update(String(postId)).digest().readUInt16BE(0);
+    const horas = publicadoEn ? Math.max(0, (ahora - publicadoEn) / 3600000) : 1;
+    const factor = Math.min(1 + horas / 6, 10);
+
+    const impresiones = Math.round((200 + (semilla % 800)) * factor);
+    const alcance = Math.round(impresiones * 0.7);
+    const likes = Math.round(alcance * (0.03 + (semilla % 5) / 100));
+
+    return {
+        likes,
+        comentarios: Math.round(likes * 0.1),
+        compartidos: Math.round(likes * 0.05),
+        guardados: Math.round(likes * 0.08),
+        impresiones,
+        alcance,
+        clics: Math.round(impresiones * 0.02)
+    };
+};
+
+/**
+ * Conector OAuth simulado: la URL de autorización apunta directamente al callback
+ * @param {Object} real - Conector real del proveedor
+ * @returns {Object} Conector sandbox
+ */
+const conectorSandbox = (real) => {
+    if (conectores.has(real.proveedor)) return conectores.get(real.proveedor);
+
+    const conector = {
+        proveedor: real.proveedor,
+        pkce: !!real.pkce,
+        seleccionarCuentas: !!real.seleccionarCuentas,
+        mensajeNoConfigurado: real.mensajeNoConfigurado,
+        verificarConfiguracion: () => ({ configurado: true, sandbox: true }),
+        getAuthUrl: (redirectUri, state) => `${redirectUri}?code=sandbox&state=${encodeURIComponent(state)}`,
+        completarAuth: async () => ({
+            success: true,
+            cuentas: (CUENTAS_SANDBOX[real.proveedor] || []).map(cuenta => ({
+                ...cuenta,
+                access_token: `sandbox-token-${cuenta.page_id}`,
+                token_expires_at: new Date(Date.now() + 60 * 24 * 3600 * 1000)
+            }))
+        }),
+        diagnosticar: async (cuenta) => ({
+            success: true,
+            valido: true,
+            scopes: ['pages_manage_posts', 'instagram_content_publish', 'w_member_social'],
+            enlace: true,
+            expira_at: cuenta.token_expires_at
+        }),
+        renovarToken: async (cuenta) => ({
+            success: true,
+            access_token: cuenta.access_token,
+            refresh_token: cuenta.refresh_token || null,
+            token_expires_at: new Date(Date.now() + 60 * 24 * 3600 * 1000)
+        })
+    };
+
+    conectores.set(real.proveedor, conector);
+    return conector;
+};
+
+/**
+ * Envuelve un adaptador real con publicación y métricas simuladas
+ * @param {Object} real - Adaptador real de la plataforma
+ * @returns {Object} Adaptador sandbox con el mismo contrato
+ */
+export const crearAdapterSandbox = (real) => ({
+    ...real,
+    sandbox: true,
+    connect: real.connect ? conectorSandbox(real.connect) : undefined,
+
+    publish: async ({ page_id }, pieza) => {
+        if (pieza.texto.includes('#sandbox-permanente')) {
+            return { success: false, error: 'Sandbox: token de acceso inválido', code: 190, platform: real.plataforma };
+        }
+        if (pieza.texto.includes('#sandbox-error')) {
+            return { success: false, error: 'Sandbox: error temporal simulado', platform: real.plataforma };
+        }
+
+        secuencia++;
+        const postId = `sandbox_${real.plataforma}_${Date.now()}_${secuencia}`;
+        publicados.set(postId, { plataforma: real.plataforma, page_id, pieza, publicado_en: new Date() });
+
+        console.log(`[Sandbox] ✅ ${real.plataforma}: ${pieza.tipo} publicado como ${postId}`);
+
+        return { success: true, post_id: postId, platform: real.plataforma, sandbox: true };
+    },
+
+    edit: real.edit && (async (cuenta, postId, texto) => {
+        const publicado = publicados.get(postId);
+        if (!publicado) {
+            return { success: false, error: 'Sandbox: el post no existe', platform: real.plataforma };
+        }
+        publicado.pieza = { ...publicado.pieza, texto };
+        console.log(`[Sandbox] ✏️ ${real.plataforma}: ${postId} editado`);
+        return { success: true, platform: real.plataforma, sandbox: true };
+    }),
+
+    remove: real.remove && (async (cuenta, postId) => {
+        if (!publicados.delete(postId)) {
+            return { success: false, error: 'Sandbox: el post no existe', platform: real.plataforma };
+        }
+        console.log(`[Sandbox] 🗑️ ${real.plataforma}: ${postId} eliminado`);
+        return { success: true, platform: real.plataforma, sandbox: true };
+    }),
+
+    fetchQuota: real.fetchQuota && (async ({ page_id }) => {
+        const ventanaMs = (real.capacidades.cuota?.ventana_horas || 24) * 3600 * 1000;
+        const usadas = getPublicados(real.plataforma)
+            .filter(p => p.page_id === page_id && Date.now() - p.publicado_en < ventanaMs)
+            .length;
+        return { success: true, usadas, total: real.capacidades.cuota?.max ?? null, sandbox: true };
+    }),
+
+    fetchMetrics: async (cuenta, postId) => ({
+        success: true,
+        datos: metricasSinteticas(postId, publicados.get(postId)?.publicado_en || null)
+    })
+});
+
+/**
+ * Lista lo publicado en el sandbox (para QA y tests)
+ * @param {string} plataforma - Filtrar por plataforma (opcional)
+ * @returns {Array<Object>} Publicaciones con su post_id
+ */
+export const getPublicados = (plataforma) => [...publicados.entries()]
+    .map(([post_id, datos]) => ({ post_id, ...datos }))
+    .filter(p => !plataforma || p.plataforma === plataforma);
+
+/**
+ * Vacía las publicaciones del sandbox
+ */
+export const reset = () => {
+    publicados.clear();
+    secuencia = 0;
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Motor de validación previa a la publicación
+ * @description Aplica los límites que declara cada adaptador (texto, hashtags,
+ * menciones, número de imágenes, dimensiones, relación de aspecto, peso, duración)
+ * y separa errores (impiden publicar) de advertencias (se publica igualmente)
+ * @module services/platforms/validacion
+ */
+
+import { validarStory } from '../../utils/storyRules.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Longitud visible del texto (cuenta emojis como un carácter)
+ * @param {string} texto
+ * @returns {number}
+ */
+export const longitudTexto = (texto = '') => [...texto].length;
+
+/**
+ * Cuenta hashtags (#palabra)
+ * @param {string} texto
+ * @returns {number}
+ */
+export const contarHashtags = (texto = '') => (texto.match(/#[\p{L}\p{N}_]+/gu) || []).length;
+
+/**
+ * Cuenta menciones (@usuario), ignorando direcciones de email
+ * @param {string} texto
+ * @returns {number}
+ */
+export const contarMenciones = (texto = '') => (texto.match(/(^|[^\w.])@[\w.]+/g) || []).length;
+
+/**
+ * Comprueba los límites del texto
+ */
+const validarTexto = (texto, nombre, limites, resultado) => {
+    const largo = longitudTexto(texto);
+    if (limites.texto_max && largo > limites.texto_max) {
+        resultado.errores.push(`El texto supera el máximo de ${nombre} (${largo}/${limites.texto_max} caracteres)`);
+    } else if (limites.texto_visible && largo > limites.texto_visible) {
+        resultado.advertencias.push(`${nombre} mostrará el texto truncado a partir de ${limites.texto_visible} caracteres`);
+    }
+
+    const hashtags = contarHashtags(texto);
+    if (limites.hashtags_max && hashtags > limites.hashtags_max) {
+        resultado.errores.push(`${nombre} admite como máximo ${limites.hashtags_max} hashtags (hay ${hashtags})`);
+    } else if (limites.hashtags_recomendados && hashtags > limites.hashtags_recomendados) {
+        resultado.advertencias.push(`Se recomiendan como máximo ${limites.hashtags_recomendados} hashtags en ${nombre} (hay ${hashtags})`);
+    }
+
+    const menciones = contarMenciones(texto);
+    if (limites.menciones_max && menciones > limites.menciones_max) {
+        resultado.errores.push(`${nombre} admite como máximo ${limites.menciones_max} menciones (hay ${menciones})`);
+    }
+};
+
+/**
+ * Comprueba número de imágenes, dimensiones, relación de aspecto y peso
+ */
+const validarImagenes = (pieza, nombre, limites, resultado) => {
+    const total = pieza.imagenes.length;
+
+    if (limites.imagenes_max && total > limites.imagenes_max) {
+        resultado.errores.push(`${nombre} admite como máximo ${limites.imagenes_max} imágenes por publicación (hay ${total})`);
+    }
+
+    if (pieza.tipo === 'carrusel' && limites.carrusel_min && total < limites.carrusel_min) {
+        resultado.errores.push(`Un carrusel de ${nombre} necesita al menos ${limites.carrusel_min} imágenes`);
+    }
+
+    let sinMetadatos = 0;
+
+    pieza.imagenes.forEach((img, i) => {
+        const etiqueta = `Imagen ${i + 1}`;
+
+        if (!img.ancho || !img.alto) {
+            sinMetadatos++;
+        } else {
+            const aspecto = img.ancho / img.alto;
+            if ((limites.aspecto_min && aspecto < limites.aspecto_min) || (limites.aspecto_max && aspecto > limites.aspecto_max)) {
+                resultado.errores.push(`${etiqueta}: relación de aspecto ${img.ancho}x${img.alto} fuera del rango de ${nombre} (${limites.aspecto_min}–${limites.aspecto_max})`);
+            }
+            if (limites.ancho_min && img.ancho < limites.ancho_min) {
+                resultado.errores.push(`${etiqueta}: ancho mínimo en ${nombre} es ${limites.ancho_min}px (tiene ${img.ancho}px)`);
+            }
+            if (limites.ancho_recomendado_max && img.ancho > limites.ancho_recomendado_max) {
+                resultado.advertencias.push(`${etiqueta}: ${nombre} la reducirá a ${limites.ancho_recomendado_max}px de ancho`);
+            }
+        }
+
+        if (limites.imagen_bytes_max && img.tamano_bytes > limites.imagen_bytes_max) {
+            resultado.errores.push(`${etiqueta}: pesa ${(img.tamano_bytes / MB).toFixed(1)}MB, el máximo en ${nombre} es ${limites.imagen_bytes_max / MB}MB`);
+        }
+    });
+
+    if (sinMetadatos > 0) {
+        resultado.advertencias.push(`No se pudieron verificar las dimensiones de ${sinMetadatos} imagen(es)`);
+    }
+};
+
+/**
+ * Comprueba la duración del video
+ */
+const validarVideo = (video, nombre, limites, resultado) => {
+    const duracion = Number(video.duracion_segundos);
+    if (!duracion) {
+        resultado.advertencias.push('No se pudo verificar la duración del video');
+        return;
+    }
+    if (limites.video_duracion_min && duracion < limites.video_duracion_min) {
+        resultado.errores.push(`El video dura ${duracion}s; ${nombre} exige al menos ${limites.video_duracion_min}s`);
+    }
+    if (limites.video_duracion_max && duracion > limites.video_duracion_max) {
+        resultado.errores.push(`El video dura ${duracion}s; ${nombre} admite como máximo ${limites.video_duracion_max}s`);
+    }
+};
+
+/**
+ * Valida una pieza contra las capacidades y límites de una plataforma
+ * @param {Object} pieza - Pieza preparada con prepararPieza
+ * @param {Object} capacidades - { nombre, video, story, requiereImagen, limites }
+ * @returns {Object} { errores, advertencias }
+ */
+export const validarPieza = (pieza, capacidades) => {
+    const { nombre, limites = {} } = capacidades;
+    const resultado = { errores: [], advertencias: [] };
+    const tieneImagenes = pieza.imagenes.length > 0;
+
+    // Stories: medio único 9:16, sin caption
+    if (pieza.tipo === 'story') {
+        resultado.errores = capacidades.story ? validarStory(pieza) : [`${nombre} no admite Stories`];
+        return resultado;
+    }
+
+    if (pieza.tipo === 'video') {
+        if (!capacidades.video) {
+            resultado.errores.push(`Publicación de video no soportada en ${nombre}`);
+            return resultado;
+        }
+        if (pieza.videos.length === 0) {
+            resultado.errores.push('El contenido es de tipo video pero no tiene video asociado');
+            return resultado;
+        }
+        validarTexto(pieza.texto, nombre, limites, resultado);
+        validarVideo(pieza.videos[0], nombre, limites, resultado);
+        return resultado;
+    }
+
+    if ((pieza.tipo === 'imagen' || pieza.tipo === 'carrusel') && !tieneImagenes) {
+        resultado.errores.push(`El contenido tipo '${pieza.tipo}' requiere imágenes pero no se encontraron.`);
+    } else if (capacidades.requiereImagen && !tieneImagenes) {
+        resultado.errores.push(`${nombre} requiere una imagen para publicar`);
+    } else if (!pieza.texto && !tieneImagenes) {
+        resultado.errores.push('La publicación está vacía (sin texto ni imágenes).');
+    }
+
+    validarTexto(pieza.texto, nombre, limites, resultado);
+    validarImagenes(pieza, nombre, limites, resultado);
+
+    return resultado;
+};
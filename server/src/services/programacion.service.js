@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Servicio de programación multicuenta
+ * @description Resuelve las cuentas destino de un contenido y crea una
+ * publicación programada por cuenta, con su copy específico
+ * @module services/programacion
+ */
+
+import * as PublicacionesModel from '../models/publicaciones.model.js';
+import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import * as ContenidoCuentasModel from '../models/contenidoCuentas.model.js';
+import * as ValidacionService from './validacion.service.js';
+import * as ZonaHorariaService from './zonaHoraria.service.js';
+
+/**
+ * Obtiene las cuentas a las que va un contenido
+ * Sin destinos explícitos se usa la primera cuenta conectada de su plataforma
+ * @param {Object} contenido - Contenido (con cuentas si viene de ContenidoModel.getById)
+ * @returns {Promise<Object>} { explicitos, cuentas: [{ id, nombre_cuenta, plataforma, copy_texto }] }
+ */
+export const resolverDestinos = async (contenido) => {
+    const destinos = contenido.cuentas || await ContenidoCuentasModel.getByContenido(contenido.id);
+
+    if (destinos.length > 0) {
+        return {
+            explicitos: true,
+            cuentas: destinos
+                .filter(destino => destino.estado === 'conectada')
+                .map(destino => ({
+                    id: destino.cuenta_social_id,
+                    nombre_cuenta: destino.nombre_cuenta,
+                    plataforma: destino.plataforma,
+                    copy_texto: destino.copy_texto
+                }))
+        };
+    }
+
+    const cuentas = await CuentasSocialesModel.getByPlataforma(contenido.plataforma);
+    return { explicitos: false, cuentas: cuentas || [] };
+};
+
+/**
+ * Completa las cuentas destino recibidas en una petición con los datos de cada cuenta
+ * @param {Array<Object>} cuentas - [{ cuenta_social_id, copy_texto }]
+ * @returns {Promise<Object>} { destinos, errores }
+ */
+export const prepararDestinos = async (cuentas) => {
+    if (!Array.isArray(cuentas)) {
+        return { destinos: [], errores: ['cuentas debe ser un array de { cuenta_social_id, copy_texto }'] };
+    }
+
+    const destinos = [];
+    const errores = [];
+    for (const { cuenta_social_id, copy_texto } of cuentas) {
+        const cuenta = await CuentasSocialesModel.getById(parseInt(cuenta_social_id));
+        if (!cuenta) {
+            errores.push(`Cuenta ${cuenta_social_id} no encontrada`);
+            continue;
+        }
+        destinos.push({
+            cuenta_social_id: cuenta.id,
+            nombre_cuenta: cuenta.nombre_cuenta,
+            plataforma: cuenta.plataforma,
+            estado: cuenta.estado,
+            copy_texto: copy_texto || null
+        });
+    }
+
+    return { destinos, errores };
+};
+
+/**
+ * Programa un contenido en varias cuentas
+ * Cada programación puede traer su propio copy, que queda guardado como
+ * copy específico de esa cuenta para el contenido
+ * @param {Object} contenido - Contenido (ContenidoModel.getById)
+ * @param {Array<Object>} programaciones - [{ cuenta_social_id, fecha_programada (hora de la marca), copy_texto }]
+ * @param {Object} options - { validar }: validar cada cuenta contra su plataforma
+ * @returns {Promise<Object>} { resultados, errores }
+ */
+export const programarEnCuentas = async (contenido, programaciones, { validar = true } = {}) => {
+    const resultados = [];
+    const errores = [];
+
+    for (const prog of programaciones) {
+        const cuentaId = parseInt(prog.cuenta_social_id);
+        try {
+            const cuenta = await CuentasSocialesModel.getById(cuentaId);
+            if (!cuenta) {
+                errores.push({ cuenta_social_id: prog.cuenta_social_id, error: 'Cuenta no encontrada' });
+                continue;
+            }
+
+            if (prog.copy_texto !== undefined) {
+                await ContenidoCuentasModel.upsert({
+                    contenido_id: contenido.id,
+                    cuenta_social_id: cuentaId,
+                    copy_texto: prog.copy_texto
+                });
+            }
+
+            if (validar) {
+                const copyCuenta = prog.copy_texto
+                    ?? (contenido.cuentas || []).find(c => c.cuenta_social_id === cuentaId)?.copy_texto;
+                const validacion = await ValidacionService.validarContenido(contenido, cuenta.plataforma, { copyCuenta });
+                if (!validacion.valido) {
+                    errores.push({ cuenta_social_id: cuentaId, error: validacion.errores.join('. ') });
+                    continue;
+                }
+            }
+
+            const publicacion = await PublicacionesModel.create({
+                contenido_id: contenido.id,
+                cuenta_social_id: cuentaId,
+                fecha_programada: await ZonaHorariaService.interpretarFecha(prog.fecha_programada)
+            });
+            resultados.push({ ...publicacion, nombre_cuenta: cuenta.nombre_cuenta, plataforma: cuenta.plataforma });
+        } catch (err) {
+            errores.push({ cuenta_social_id: prog.cuenta_social_id, error: err.message });
+        }
+    }
+
+    return { resultados, errores };
+};
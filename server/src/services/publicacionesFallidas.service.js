@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Servicio de publicaciones fallidas
+ * @description Vista de las fallidas agrupada por causa y acciones masivas sobre ellas:
+ * reencolar ya, reprogramar a una fecha, pasar a otra cuenta o cancelar. Cada
+ * publicación se procesa por separado; un error en una no detiene el resto.
+ * @module services/publicacionesFallidas
+ */
+
+import * as PublicacionesModel from '../models/publicaciones.model.js';
+import * as ContenidoModel from '../models/contenido.model.js';
+import * as ContenidoCuentasModel from '../models/contenidoCuentas.model.js';
+import * as ValidacionService from './validacion.service.js';
+import * as ColaPublicacionService from './colaPublicacion.service.js';
+import { agruparPorCausa } from '../utils/publicacionesFallidas.js';
+
+/**
+ * Publicaciones fallidas agrupadas por causa
+ * @returns {Promise<Object>} { grupos, total }
+ */
+export const listar = async () => {
+    const fallidas = await PublicacionesModel.getFallidas();
+    return { grupos: agruparPorCausa(fallidas), total: fallidas.length };
+};
+
+/**
+ * Pasa una publicación a otra cuenta, si su contenido es válido para esa plataforma
+ * @param {Object} publicacion - Publicación fallida
+ * @param {Object} cuenta - Cuenta destino
+ * @param {Date} fecha - Nueva fecha
+ */
+const reasignar = async (publicacion, cuenta, fecha) => {
+    const contenido = await ContenidoModel.getById(publicacion.contenido_id);
+    const validacion = await ValidacionService.validarContenido(contenido, cuenta.plataforma);
+    if (!validacion.valido) {
+        throw new Error(validacion.errores.join('. '));
+    }
+
+    // Si el contenido tiene cuentas destino explícitas, la nueva pasa a ser una de ellas
+    const destinos = await ContenidoCuentasModel.getByContenido(publicacion.contenido_id);
+    if (destinos.length > 0 && !destinos.some(d => d.cuenta_social_id === cuenta.id)) {
+        await ContenidoCuentasModel.upsert({ contenido_id: publicacion.contenido_id, cuenta_social_id: cuenta.id });
+    }
+
+    await PublicacionesModel.reprogramar(publicacion.id, fecha, cuenta.id);
+};
+
+/**
+ * Aplica una acción masiva a publicaciones fallidas
+ * @param {Object} datos - { accion, ids, fecha, cuenta }
+ * @param {string} datos.accion - 'reencolar' | 'reprogramar' | 'reasignar' | 'cancelar'
+ * @param {Array<number>} datos.ids - IDs de las publicaciones
+ * @param {Date|null} datos.fecha - Fecha para 'reprogramar' (el resto sale ya)
+ * @param {Object|null} datos.cuenta - Cuenta destino para 'reasignar'
+ * @returns {Promise<Object>} { procesadas: [ids], errores: [{ id, error }] }
+ */
+export const aplicar = async ({ accion, ids, fecha = null, cuenta = null }) => {
+    const procesadas = [];
+    const errores = [];
+    const desde = fecha || new Date();
+
+    for (const [indice, id] of ids.entries()) {
+        try {
+            const publicacion = await PublicacionesModel.getById(id);
+            if (!publicacion || publicacion.estado !== 'fallido') {
+                errores.push({ id, error: 'No es una publicación fallida' });
+                continue;
+            }
+
+            // Un segundo entre cada una: dos ocurrencias de una serie no pueden compartir fecha
+            const nuevaFecha = new Date(desde.getTime() + indice * 1000);
+
+            if (accion === 'cancelar') {
+                await PublicacionesModel.updateEstado(publicacion.id, 'cancelado');
+            } else if (accion === 'reasignar') {
+                await reasignar(publicacion, cuenta, nuevaFecha);
+            } else {
+                await PublicacionesModel.reprogramar(publicacion.id, nuevaFecha);
+            }
+
+            if (publicacion.en_cola) {
+                await ColaPublicacionService.reorganizar(publicacion.cuenta_social_id);
+            }
+
+            procesadas.push(id);
+        } catch (err) {
+            errores.push({ id, error: err.message });
+        }
+    }
+
+    return { procesadas, errores };
+};
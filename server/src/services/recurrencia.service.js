@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Servicio de publicaciones recurrentes y evergreen
+ * @description Materializa la siguiente ocurrencia de cada serie como una
+ * publicación programada y proyecta las futuras para el calendario
+ * @module services/recurrencia
+ */
+
+import * as SeriesPublicacionModel from '../models/seriesPublicacion.model.js';
+import * as PublicacionesModel from '../models/publicaciones.model.js';
+import * as ColaEvergreenModel from '../models/colaEvergreen.model.js';
+import * as ZonaHorariaService from './zonaHoraria.service.js';
+import { siguienteOcurrencia, ocurrenciasEntre, describirRegla } from '../utils/recurrencia.js';
+
+// Máximo de ocurrencias proyectadas por serie en una consulta de calendario
+const MAX_PROYECTADAS_POR_SERIE = 100;
+
+/**
+ * Crea la siguiente ocurrencia de una serie como publicación pendiente
+ * Nunca materializa fechas pasadas: si el worker estuvo parado se salta
+ * las ocurrencias perdidas. Las series evergreen eligen en este momento
+ * el contenido de la cola con mejor rendimiento. La hora de la serie es la
+ * de la zona de su cuenta.
+ * @param {Object} serie - Fila de series_publicacion (con cuenta_plataforma)
+ * @param {Date} despuesDe - Fecha a partir de la cual buscar
+ * @returns {Promise<Object|null>} Publicación creada o null
+ */
+export const materializarSiguiente = async (serie, despuesDe = new Date()) => {
+    if (!serie?.activa) return null;
+
+    const ahora = new Date();
+    const referencia = new Date(despuesDe) > ahora ? new Date(despuesDe) : ahora;
+    const zona = await ZonaHorariaService.zonaCuenta(serie);
+    const fecha = siguienteOcurrencia({ ...serie, zona_horaria: zona }, referencia);
+
+    if (!fecha) {
+        await SeriesPublicacionModel.desactivar(serie.id);
+        console.log(`[Recurrencia] Serie ${serie.id} finalizada (sin más ocurrencias)`);
+        return null;
+    }
+
+    let contenidoId = serie.contenido_id;
+    if (serie.tipo === 'evergreen') {
+        const candidato = await ColaEvergreenModel.siguienteParaPublicar(serie.cuenta_plataforma, fecha);
+        if (!candidato) {
+            console.log(`[Recurrencia] Serie evergreen ${serie.id}: no hay contenido disponible para ${fecha.toISOString()}`);
+            return null;
+        }
+        contenidoId = candidato.contenido_id;
+    }
+
+    const publicacion = await PublicacionesModel.crearOcurrencia({
+        contenido_id: contenidoId,
+        cuenta_social_id: serie.cuenta_social_id,
+        fecha_programada: fecha,
+        serie_id: serie.id
+    });
+
+    if (publicacion) {
+        console.log(`[Recurrencia] Serie ${serie.id}: ocurrencia programada para ${fecha.toISOString()} (contenido ${contenidoId})`);
+    }
+    return publicacion;
+};
+
+/**
+ * Garantiza que cada serie activa tenga su siguiente ocurrencia pendiente
+ * Cubre series recién creadas, ocurrencias canceladas a mano y huecos evergreen
+ * @returns {Promise<number>} Número de ocurrencias creadas
+ */
+export const materializarPendientes = async () => {
+    const series = await SeriesPublicacionModel.getActivasSinPendiente();
+    let creadas = 0;
+
+    for (const serie of series) {
+        try {
+            if (await materializarSiguiente(serie)) creadas++;
+        } catch (error) {
+            console.error(`[Recurrencia] Error materializando serie ${serie.id}:`, error.message);
+        }
+    }
+
+    return creadas;
+};
+
+/**
+ * Acciones tras cerrar una publicación (enviada o fallida definitivamente)
+ * Actualiza la cola evergreen y materializa la siguiente ocurrencia de su serie.
+ * No lanza errores: la publicación ya quedó registrada.
+ * @param {Object} publicacion - Publicación procesada
+ * @param {boolean} enviada - True si se publicó
+ */
+export const trasPublicacion = async (publicacion, enviada) => {
+    try {
+        if (enviada) {
+            await ColaEvergreenModel.registrarPublicacion(publicacion.contenido_id);
+        }
+
+        if (publicacion.serie_id) {
+            const serie = await SeriesPublicacionModel.getById(publicacion.serie_id);
+            await materializarSiguiente(serie, publicacion.fecha_programada);
+        }
+    } catch (error) {
+        console.error(`[Recurrencia] Error tras publicar ${publicacion.id}:`, error.message);
+    }
+};
+
+/**
+ * Proyecta las ocurrencias futuras de las series activas en un rango
+ * Omite las que ya están materializadas en publicaciones_programadas
+ * @param {Date} desde - Inicio del rango
+ * @param {Date} hasta - Fin del rango
+ * @param {Array<Object>} existentes - Publicaciones ya presentes en el rango
+ * @returns {Promise<Array<Object>>} Ocurrencias virtuales (sin id)
+ */
+export const proyectarOcurrencias = async (desde, hasta, existentes = []) => {
+    const ahora = new Date();
+    const inicio = desde > ahora ? desde : ahora;
+    if (hasta < inicio) return [];
+
+    const materializadas = new Set(existentes
+        .filter(pub => pub.serie_id)
+        .map(pub => `${pub.serie_id}|${new Date(pub.fecha_programada).getTime()}`));
+
+    const series = await SeriesPublicacionModel.getAll({ activa: true });
+    const zonaMarca = await ZonaHorariaService.zonaMarca();
+    const proyectadas = [];
+
+    for (const serie of series) {
+        const recurrencia = describirRegla(serie);
+        const esEvergreen = serie.tipo === 'evergreen';
+
+        const regla = { ...serie, zona_horaria: serie.zona_horaria || zonaMarca };
+
+        for (const fecha of ocurrenciasEntre(regla, inicio, hasta, MAX_PROYECTADAS_POR_SERIE)) {
+            if (materializadas.has(`${serie.id}|${fecha.getTime()}`)) continue;
+
+            proyectadas.push({
+                id: null,
+                virtual: true,
+                serie_id: serie.id,
+                serie_tipo: serie.tipo,
+                contenido_id: serie.contenido_id,
+                cuenta_social_id: serie.cuenta_social_id,
+                fecha_programada: fecha,
+                estado: 'pendiente',
+                titulo: esEvergreen ? 'Evergreen: contenido con mejor rendimiento' : serie.contenido_titulo,
+                contenido_plataforma: serie.contenido_plataforma || serie.cuenta_plataforma,
+                nombre_cuenta: serie.nombre_cuenta,
+                cuenta_plataforma: serie.cuenta_plataforma,
+                recurrencia
+            });
+        }
+    }
+
+    return proyectadas;
+};
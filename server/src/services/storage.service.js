@@ -97,6 +97,21 @@ export const uploadFromUrl = async (url, prefix = 'ai-generated') => {
     }
 };
 
+/**
+ * Sube un video a R2 con nombre único
+ * @param {Buffer} buffer - Contenido del video
+ * @param {string} contentType - Tipo MIME (video/mp4, video/quicktime)
+ * @param {string} prefix - Prefijo para el nombre del archivo
+ * @returns {Promise<string>} URL pública del video
+ */
+export const uploadVideo = async (buffer, contentType = 'video/mp4', prefix = 'video') => {
+    const extension = contentType === 'video/quicktime' ? 'mov' : 'mp4';
+    const random = crypto.randomBytes(4).toString('hex');
+    const filename = `${prefix}-${Date.now()}-${random}.${extension}`;
+
+    return await uploadImage(buffer, filename, contentType);
+};
+
 /**
  * Verifica la configuración de R2
  */
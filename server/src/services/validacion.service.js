@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Servicio de validación previa a la publicación
+ * @description Completa los metadatos de las imágenes y valida un contenido
+ * contra los límites de la plataforma destino mediante su adaptador
+ * @module services/validacion
+ */
+
+import * as Platforms from './platforms/index.js';
+import * as MediaInfoService from './mediaInfo.service.js';
+import * as ImagenesModel from '../models/imagenes.model.js';
+import { aplicarVariante } from '../utils/variantes.js';
+
+/**
+ * Completa ancho, alto y peso de las imágenes que no los tienen
+ * Los registros existentes se actualizan para no volver a descargarlos
+ * @param {Array<Object>} imagenes - Filas de la tabla imagenes (o equivalentes)
+ * @returns {Promise<Array<Object>>} Imágenes con metadatos
+ */
+export const completarMetadatosImagenes = async (imagenes = []) => {
+    return await Promise.all(imagenes.map(async (img) => {
+        if (img.ancho && img.alto && img.tamano_bytes) return img;
+        if (!img.url_imagen) return img;
+
+        const info = await MediaInfoService.inspeccionarImagen(img.url_imagen);
+        if (!info.success) return img;
+
+        const metadatos = { ancho: info.ancho, alto: info.alto, tamano_bytes: info.tamano_bytes };
+        if (img.id) {
+            await ImagenesModel.actualizarMetadatos(img.id, metadatos);
+        }
+        return { ...img, ...metadatos };
+    }));
+};
+
+/**
+ * Valida un contenido para una plataforma
+ * Se valida lo que se publicaría: la variante de la plataforma y, si se
+ * indica, el copy específico de la cuenta
+ * @param {Object} contenido - Contenido con imagenes, videos y variantes (ContenidoModel.getById)
+ * @param {string} plataforma - Plataforma destino
+ * @param {Object} options - { copyCuenta }
+ * @returns {Promise<Object>} { valido, plataforma, errores, advertencias }
+ */
+export const validarContenido = async (contenido, plataforma = contenido.plataforma, { copyCuenta = null } = {}) => {
+    const adapter = Platforms.getAdapter(plataforma);
+    if (!adapter) {
+        return {
+            valido: false,
+            plataforma,
+            errores: [`Plataforma no soportada: ${plataforma}`],
+            advertencias: []
+        };
+    }
+
+    const publicado = aplicarVariante(contenido, plataforma, { copyCuenta });
+    const imagenes = await completarMetadatosImagenes(publicado.imagenes);
+    const pieza = Platforms.prepararPieza({ ...publicado, imagenes, videos: contenido.videos || [] });
+    const { errores, advertencias } = adapter.validate(pieza);
+
+    return {
+        valido: errores.length === 0,
+        plataforma,
+        errores,
+        advertencias
+    };
+};
+
+/**
+ * Valida un contenido para cada una de sus cuentas destino
+ * Cada cuenta se valida con su plataforma, su variante y su copy específico, si lo tiene
+ * @param {Object} contenido - Contenido con imagenes y videos
+ * @param {Array<Object>} destinos - [{ cuenta_social_id, nombre_cuenta, plataforma, copy_texto }]
+ * @returns {Promise<Object>} { valido, plataforma, errores, advertencias, cuentas }
+ */
+export const validarDestinos = async (contenido, destinos) => {
+    const cuentas = await Promise.all(destinos.map(async (destino) => {
+        const resultado = await validarContenido(contenido, destino.plataforma, { copyCuenta: destino.copy_texto });
+        return { ...resultado, cuenta_social_id: destino.cuenta_social_id, nombre_cuenta: destino.nombre_cuenta };
+    }));
+
+    const conCuenta = (resultado, mensajes) => mensajes.map(m => `${resultado.nombre_cuenta}: ${m}`);
+
+    return {
+        valido: cuentas.every(r => r.valido),
+        plataforma: [...new Set(cuentas.map(r => r.plataforma))].join(', '),
+        errores: cuentas.flatMap(r => conCuenta(r, r.errores)),
+        advertencias: cuentas.flatMap(r => conCuenta(r, r.advertencias)),
+        cuentas
+    };
+};
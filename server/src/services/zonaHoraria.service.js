@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Servicio de zona horaria de la marca y de las cuentas
+ * @description Las fechas se guardan en UTC. Lo que el equipo escribe o ve en la app
+ * es hora de pared de la zona de la marca; las franjas de cola y las series usan la
+ * zona de la cuenta si apunta a otra región.
+ * @module services/zonaHoraria
+ */
+
+import * as ConfigMarcaModel from '../models/configMarca.model.js';
+import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import { esZonaValida, parsearFechaLocal } from '../utils/zonaHoraria.js';
+
+// Zona si la marca aún no tiene una configurada
+export const ZONA_POR_DEFECTO = esZonaValida(process.env.ZONA_HORARIA) ? process.env.ZONA_HORARIA : 'America/Guayaquil';
+
+/**
+ * Zona horaria de la marca
+ * @returns {Promise<string>} Zona IANA
+ */
+export const zonaMarca = async () => {
+    const config = await ConfigMarcaModel.get();
+    return esZonaValida(config?.zona_horaria) ? config.zona_horaria : ZONA_POR_DEFECTO;
+};
+
+/**
+ * Zona horaria de una cuenta (la de la marca si no tiene una propia)
+ * @param {Object|number} cuenta - Cuenta con zona_horaria o su ID
+ * @returns {Promise<string>} Zona IANA
+ */
+export const zonaCuenta = async (cuenta) => {
+    const datos = typeof cuenta === 'object' ? cuenta : await CuentasSocialesModel.getById(cuenta);
+    return esZonaValida(datos?.zona_horaria) ? datos.zona_horaria : zonaMarca();
+};
+
+/**
+ * Interpreta una fecha enviada desde la app en la zona de la marca
+ * @param {Date|string|null} valor - '2026-03-10T09:00', ISO con zona o Date
+ * @returns {Promise<Date|null>} Instante
+ */
+export const interpretarFecha = async (valor) => parsearFechaLocal(valor, await zonaMarca());
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Bloqueos de publicación
+ * @description Ventanas de bloqueo (festivos, crisis, luto) y pausa global.
+ * Una pausa es un bloqueo sin fin hasta que se reanuda. Las publicaciones que
+ * vencen durante un bloqueo quedan retenidas y al terminar se reparten desde
+ * ese momento, respetando una separación mínima por cuenta.
+ * @module utils/bloqueos
+ */
+
+// Iteraciones máximas buscando un hueco libre (evita bucles con datos corruptos)
+const MAX_SALTOS = 1000;
+
+/**
+ * Valida los datos de una ventana de bloqueo
+ * @param {Object} ventana - { inicio, fin, motivo }
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+export const validarVentana = ({ inicio, fin, motivo }) => {
+    const errores = [];
+    const desde = new Date(inicio);
+    const hasta = new Date(fin);
+
+    if (!inicio || isNaN(desde)) errores.push('inicio debe ser una fecha válida');
+    if (!fin || isNaN(hasta)) errores.push('fin debe ser una fecha válida');
+    if (errores.length === 0 && hasta <= desde) errores.push('fin debe ser posterior a inicio');
+    if (errores.length === 0 && hasta <= new Date()) errores.push('La ventana ya ha terminado');
+    if (!motivo || !String(motivo).trim()) errores.push('Indica el motivo del bloqueo');
+
+    return errores;
+};
+
+/**
+ * Devuelve el bloqueo vigente en una fecha
+ * @param {Array<Object>} bloqueos - [{ inicio, fin }] (fin null = pausa abierta)
+ * @param {Date} fecha - Fecha a comprobar
+ * @returns {Object|null} Bloqueo vigente o null
+ */
+export const bloqueoEn = (bloqueos, fecha) => bloqueos.find(b =>
+    new Date(b.inicio) <= fecha && (!b.fin || new Date(b.fin) > fecha)
+) || null;
+
+/**
+ * Busca la primera fecha libre a partir de una dada: fuera de bloqueos
+ * y separada de las fechas ya ocupadas de la cuenta
+ * @param {Date} fecha - Fecha candidata
+ * @param {Object} options - { bloqueos, ocupadas, separacionMs }
+ * @returns {Date|null} Fecha libre, o null si hay una pausa abierta
+ */
+export const siguienteHueco = (fecha, { bloqueos = [], ocupadas = [], separacionMs }) => {
+    let candidata = new Date(fecha);
+
+    for (let saltos = 0; saltos < MAX_SALTOS; saltos++) {
+        const bloqueo = bloqueoEn(bloqueos, candidata);
+        if (bloqueo) {
+            if (!bloqueo.fin) return null;
+            candidata = new Date(bloqueo.fin);
+            continue;
+        }
+
+        const choque = ocupadas.find(o => Math.abs(new Date(o) - candidata) < separacionMs);
+        if (choque) {
+            candidata = new Date(new Date(choque).getTime() + separacionMs);
+            continue;
+        }
+
+        return candidata;
+    }
+
+    return null;
+};
+
+/**
+ * Reparte las publicaciones retenidas de una cuenta a partir de una fecha
+ * Conservan su orden original y quedan separadas entre sí y de lo ya programado
+ * @param {Array<Object>} retenidas - [{ id, fecha_programada }]
+ * @param {Object} options - { desde, bloqueos, ocupadas, separacionMs }
+ * @returns {Array<Object>} [{ id, fecha_programada }] (fecha null si no hay hueco)
+ */
+export const repartirRetenidas = (retenidas, { desde, bloqueos = [], ocupadas = [], separacionMs }) => {
+    const usadas = [...ocupadas];
+    let cursor = new Date(desde);
+
+    return [...retenidas]
+        .sort((a, b) => new Date(a.fecha_programada) - new Date(b.fecha_programada) || a.id - b.id)
+        .map(pub => {
+            const fecha = siguienteHueco(cursor, { bloqueos, ocupadas: usadas, separacionMs });
+            if (fecha) {
+                usadas.push(fecha);
+                cursor = new Date(fecha.getTime() + separacionMs);
+            }
+            return { id: pub.id, fecha_programada: fecha };
+        });
+};
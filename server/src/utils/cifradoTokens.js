@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Cifrado de tokens en reposo
+ * @description Cifrado por sobre (envelope) de los tokens de las cuentas sociales:
+ * cada token se cifra con una clave de datos aleatoria (AES-256-GCM) y esa clave
+ * se cifra con la clave maestra de TOKENS_KEY. Rotar la clave maestra solo obliga
+ * a volver a cifrar la clave de datos de cada token.
+ *
+ * Formato guardado: enc1.<id clave maestra>.<iv clave>.<clave de datos cifrada>.<iv>.<token cifrado>
+ * (partes en base64url; las partes cifradas llevan su tag de autenticación al final).
+ * Los valores sin el prefijo son tokens anteriores al cifrado y se devuelven tal cual.
+ * @module utils/cifradoTokens
+ */
+
+import crypto from 'crypto';
+
+const PREFIJO = 'enc1';
+const ALGORITMO = 'aes-256-gcm';
+const TAG_BYTES = 16;
+
+let clavesEntorno = null;
+
+/**
+ * Interpreta una clave maestra: 32 bytes en base64 o en hexadecimal
+ * @param {string} texto - Valor de la variable de entorno
+ * @returns {Buffer}
+ */
+export const parsearClave = (texto) => {
+    const valor = String(texto).trim();
+    const clave = /^[0-9a-f]{64}$/i.test(valor) ? Buffer.from(valor, 'hex') : Buffer.from(valor, 'base64');
+    if (clave.length !== 32) {
+        throw new Error('La clave de cifrado de tokens debe tener 32 bytes (base64 o hex)');
+    }
+    return clave;
+};
+
+/**
+ * Identificador corto de una clave maestra, para saber con cuál se cifró cada token
+ * @param {Buffer} clave - Clave maestra
+ * @returns {string} 8 caracteres hexadecimales
+ */
+export const idDeClave = (clave) => crypto.createHash('sha256').update(clave).digest('hex').slice(0, 8);
+
+/**
+ * Carga las claves maestras del entorno
+ * TOKENS_KEY es la actual; TOKENS_KEYS_ANTERIORES (separadas por comas) solo sirven
+ * para descifrar tokens que aún no se han rotado
+ * @param {Object} env - Variables de entorno
+ * @returns {Object} { actual: { id, clave } | null, porId: Map<id, clave> }
+ */
+export const cargarClaves = (env = process.env) => {
+    const porId = new Map();
+    let actual = null;
+
+    if (env.TOKENS_KEY) {
+        const clave = parsearClave(env.TOKENS_KEY);
+        actual = { id: idDeClave(clave), clave };
+        porId.set(actual.id, clave);
+    }
+
+    (env.TOKENS_KEYS_ANTERIORES || '').split(',').filter(c => c.trim()).forEach(texto => {
+        const clave = parsearClave(texto);
+        porId.set(idDeClave(clave), clave);
+    });
+
+    return { actual, porId };
+};
+
+// Las claves del entorno se leen la primera vez que se usan (después de dotenv)
+const clavesPorDefecto = () => {
+    if (!clavesEntorno) clavesEntorno = cargarClaves();
+    return clavesEntorno;
+};
+
+const aBase64 = (buffer) => buffer.toString('base64url');
+const deBase64 = (texto) => Buffer.from(texto, 'base64url');
+
+const cifrarBloque = (clave, datos) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITMO, clave, iv);
+    const cifrado = Buffer.concat([cipher.update(datos), cipher.final(), cipher.getAuthTag()]);
+    return { iv, cifrado };
+};
+
+const descifrarBloque = (clave, iv, cifrado) => {
+    const decipher = crypto.createDecipheriv(ALGORITMO, clave, iv);
+    decipher.setAuthTag(cifrado.subarray(cifrado.length - TAG_BYTES));
+    return Buffer.concat([decipher.update(cifrado.subarray(0, cifrado.length - TAG_BYTES)), decipher.final()]);
+};
+
+const claveActual = (claves) => {
+    if (!claves.actual) {
+        throw new Error('TOKENS_KEY no está configurada: no se pueden guardar tokens de redes sociales');
+    }
+    return claves.actual;
+};
+
+/**
+ * Indica si un valor guardado ya está cifrado
+ * @param {*} valor - Valor de la columna
+ * @returns {boolean}
+ */
+export const estaCifrado = (valor) => typeof valor === 'string' && valor.startsWith(`${PREFIJO}.`);
+
+/**
+ * Cifra un token para guardarlo
+ * @param {string|null} token - Token en claro
+ * @param {Object} claves - Claves de cargarClaves() (por defecto las del entorno)
+ * @returns {string|null} Token cifrado (null si no hay token)
+ */
+export const cifrarToken = (token, claves = clavesPorDefecto()) => {
+    if (token === null || token === undefined || token === '') return null;
+    const { id, clave } = claveActual(claves);
+
+    const claveDatos = crypto.randomBytes(32);
+    const sobre = cifrarBloque(clave, claveDatos);
+    const datos = cifrarBloque(claveDatos, Buffer.from(String(token), 'utf8'));
+
+    return [PREFIJO, id, aBase64(sobre.iv), aBase64(sobre.cifrado), aBase64(datos.iv), aBase64(datos.cifrado)].join('.');
+};
+
+/**
+ * Separa un token cifrado y recupera su clave de datos
+ * @param {string} valor - Token cifrado
+ * @param {Object} claves - Claves disponibles
+ * @returns {Object} { claveDatos, iv, cifrado }
+ */
+const abrirSobre = (valor, claves) => {
+    const [, id, ivSobre, sobre, iv, cifrado] = valor.split('.');
+    const clave = claves.porId.get(id);
+    if (!clave) {
+        throw new Error(`No está disponible la clave ${id} con la que se cifró el token (revisa TOKENS_KEYS_ANTERIORES)`);
+    }
+    return {
+        claveDatos: descifrarBloque(clave, deBase64(ivSobre), deBase64(sobre)),
+        iv: deBase64(iv),
+        cifrado: deBase64(cifrado)
+    };
+};
+
+/**
+ * Descifra un token guardado, justo antes de usarlo contra la red
+ * @param {string|null} valor - Valor de la columna
+ * @param {Object} claves - Claves de cargarClaves() (por defecto las del entorno)
+ * @returns {string|null} Token en claro
+ */
+export const descifrarToken = (valor, claves = clavesPorDefecto()) => {
+    if (!valor) return null;
+    if (!estaCifrado(valor)) return valor;
+
+    const { claveDatos, iv, cifrado } = abrirSobre(valor, claves);
+    return descifrarBloque(claveDatos, iv, cifrado).toString('utf8');
+};
+
+/**
+ * Indica si un valor guardado hay que volver a cifrar con la clave actual
+ * @param {string|null} valor - Valor de la columna
+ * @param {Object} claves - Claves disponibles
+ * @returns {boolean}
+ */
+export const necesitaRotacion = (valor, claves = clavesPorDefecto()) => {
+    if (!valor) return false;
+    if (!estaCifrado(valor)) return true;
+    return valor.split('.')[1] !== claveActual(claves).id;
+};
+
+/**
+ * Vuelve a cifrar un valor con la clave actual
+ * Los tokens ya cifrados conservan su clave de datos: solo cambia el sobre.
+ * Los que estaban en claro se cifran.
+ * @param {string|null} valor - Valor de la columna
+ * @param {Object} claves - Claves disponibles
+ * @returns {string|null} Valor cifrado con la clave actual
+ */
+export const rotarToken = (valor, claves = clavesPorDefecto()) => {
+    if (!necesitaRotacion(valor, claves)) return valor;
+    if (!estaCifrado(valor)) return cifrarToken(valor, claves);
+
+    const { id, clave } = claveActual(claves);
+    const [, , , , iv, cifrado] = valor.split('.');
+    const { claveDatos } = abrirSobre(valor, claves);
+    const sobre = cifrarBloque(clave, claveDatos);
+
+    return [PREFIJO, id, aBase64(sobre.iv), aBase64(sobre.cifrado), iv, cifrado].join('.');
+};
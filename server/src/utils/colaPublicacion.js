@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Cola de publicación por franjas semanales
+ * @description Cálculo de las franjas de una cuenta (p. ej. lun/mié/vie 09:00)
+ * y asignación de los elementos de la cola en orden. Las horas de las franjas
+ * son de pared en la zona de la cuenta; las fechas generadas son instantes.
+ * @module utils/colaPublicacion
+ */
+
+import { ZONA_LOCAL, partesEnZona, fechaEnZona, sumarDias, diaSemana } from './zonaHoraria.js';
+
+// Semanas que se recorren como máximo buscando franjas libres
+const MAX_SEMANAS = 104;
+
+/**
+ * Normaliza una franja ('HH:MM' o 'HH:MM:SS' de una columna TIME)
+ * @param {Object} franja - { dia_semana, hora }
+ * @returns {Object} { dia_semana, horas, minutos }
+ */
+const normalizarFranja = ({ dia_semana, hora }) => {
+    const [horas, minutos] = String(hora).split(':').map(Number);
+    return { dia_semana: parseInt(dia_semana), horas, minutos: minutos || 0 };
+};
+
+/**
+ * Valida las franjas semanales de una cuenta
+ * @param {Array<Object>} franjas - [{ dia_semana, hora }]
+ * @returns {Array<string>} Lista de errores (vacía si son válidas)
+ */
+export const validarFranjas = (franjas) => {
+    if (!Array.isArray(franjas)) return ['Se requiere un array de franjas'];
+
+    const errores = [];
+    franjas.forEach((franja, i) => {
+        const { dia_semana, horas, minutos } = normalizarFranja(franja);
+        if (isNaN(dia_semana) || dia_semana < 0 || dia_semana > 6) {
+            errores.push(`Franja ${i + 1}: dia_semana debe estar entre 0 (domingo) y 6 (sábado)`);
+        }
+        if (isNaN(horas) || horas < 0 || horas > 23 || isNaN(minutos) || minutos < 0 || minutos > 59) {
+            errores.push(`Franja ${i + 1}: la hora debe tener formato HH:MM`);
+        }
+    });
+    return errores;
+};
+
+/**
+ * Genera las franjas posteriores a una fecha, en orden cronológico
+ * @param {Array<Object>} franjas - Franjas semanales de la cuenta
+ * @param {Date} desde - Fecha de referencia (exclusiva)
+ * @param {Object} options - { hasta, max, ocupadas, zona }
+ * @returns {Array<Date>} Fechas de franja libres
+ */
+export const generarSlots = (franjas, desde, { hasta = null, max = 50, ocupadas = new Set(), zona = ZONA_LOCAL } = {}) => {
+    const normalizadas = franjas.map(normalizarFranja);
+    const slots = [];
+    if (normalizadas.length === 0) return slots;
+
+    let dia = partesEnZona(desde, zona);
+
+    for (let i = 0; i < MAX_SEMANAS * 7 && slots.length < max; i++) {
+        const delDia = normalizadas
+            .filter(f => f.dia_semana === diaSemana(dia))
+            .map(f => fechaEnZona({ anio: dia.anio, mes: dia.mes, dia: dia.dia, horas: f.horas, minutos: f.minutos }, zona))
+            .sort((a, b) => a - b);
+
+        for (const slot of delDia) {
+            if (hasta && slot > hasta) return slots;
+            if (slot > desde && !ocupadas.has(slot.getTime()) && slots.length < max) {
+                slots.push(slot);
+            }
+        }
+
+        dia = sumarDias(dia, 1);
+    }
+
+    return slots;
+};
+
+/**
+ * Asigna a cada elemento de la cola la siguiente franja libre, en orden
+ * @param {Array<Object>} items - Elementos ordenados ({ id, fecha_programada })
+ * @param {Array<Object>} franjas - Franjas semanales de la cuenta
+ * @param {Date} desde - Momento a partir del cual asignar
+ * @param {Set<number>} ocupadas - Timestamps ya usados por otras publicaciones
+ * @param {string} zona - Zona horaria de la cuenta
+ * @returns {Array<Object>} [{ id, fecha_programada, cambia }]
+ */
+export const asignarSlots = (items, franjas, desde, ocupadas = new Set(), zona = ZONA_LOCAL) => {
+    const slots = generarSlots(franjas, desde, { max: items.length, ocupadas, zona });
+
+    return items.slice(0, slots.length).map((item, i) => ({
+        id: item.id,
+        fecha_programada: slots[i],
+        cambia: !item.fecha_programada || new Date(item.fecha_programada).getTime() !== slots[i].getTime()
+    }));
+};
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Cuota de publicación por cuenta
+ * @description Límite de publicaciones por ventana móvil y separación mínima
+ * entre envíos de una misma cuenta. Lo que excede la cuota se aplaza, no falla.
+ * @module utils/cuotaPublicacion
+ */
+
+// Espera cuando la red dice que la cuota está agotada pero no sabemos cuándo se libera
+export const ESPERA_CUOTA_DESCONOCIDA_MS = 60 * 60 * 1000;
+
+// Códigos de Graph API por límite de llamadas o de publicaciones
+// 4: app, 17: usuario, 32: página, 613: llamadas por hora, 80001-80014: casos de uso de negocio
+const CODIGOS_META_CUOTA = [4, 17, 32, 613];
+// Subcódigo de Instagram: máximo de publicaciones vía API en 24 horas
+const SUBCODIGOS_META_CUOTA = [2207042];
+
+/**
+ * Resuelve la cuota de una cuenta: la configurada en la cuenta o la de su plataforma
+ * @param {Object} cuenta - { limite_publicaciones, ventana_limite_horas, separacion_minima_min }
+ * @param {Object} porDefecto - capacidades.cuota del adaptador { max, ventana_horas, separacion_minutos }
+ * @returns {Object} { max, ventanaMs, separacionMs }
+ */
+export const resolverCuota = (cuenta = {}, porDefecto = {}) => {
+    const max = cuenta.limite_publicaciones ?? porDefecto.max ?? null;
+    const horas = cuenta.ventana_limite_horas ?? porDefecto.ventana_horas ?? 24;
+    const minutos = cuenta.separacion_minima_min ?? porDefecto.separacion_minutos ?? 0;
+
+    return {
+        max: max === null ? null : Number(max),
+        ventanaMs: Number(horas) * 60 * 60 * 1000,
+        separacionMs: Number(minutos) * 60 * 1000
+    };
+};
+
+/**
+ * Valida la configuración de cuota enviada para una cuenta
+ * @param {Object} data - { limite_publicaciones, ventana_limite_horas, separacion_minima_min }
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+export const validarCuota = ({ limite_publicaciones, ventana_limite_horas, separacion_minima_min }) => {
+    const errores = [];
+    const entero = (valor) => valor === null || valor === undefined || (Number.isInteger(Number(valor)) && Number(valor) >= 0);
+
+    if (!entero(limite_publicaciones)) errores.push('limite_publicaciones debe ser un entero >= 0');
+    if (!entero(ventana_limite_horas) || Number(ventana_limite_horas) === 0) {
+        errores.push('ventana_limite_horas debe ser un entero mayor que 0');
+    }
+    if (!entero(separacion_minima_min)) errores.push('separacion_minima_min debe ser un entero >= 0');
+
+    return errores;
+};
+
+/**
+ * Decide si una cuenta puede publicar ahora
+ * @param {Object} options
+ * @param {Object} options.cuota - Resultado de resolverCuota
+ * @param {Array<Date>} options.envios - Envíos con éxito de la cuenta dentro de la ventana
+ * @param {number|null} options.usoApi - Uso de la cuota según la propia red (si lo informa)
+ * @param {Date} options.ahora - Fecha de referencia
+ * @returns {Object} { permitido, siguiente, usados, motivo }
+ */
+export const evaluarCuota = ({ cuota, envios = [], usoApi = null, ahora = new Date() }) => {
+    const ordenados = envios
+        .map(fecha => new Date(fecha))
+        .filter(fecha => ahora - fecha < cuota.ventanaMs)
+        .sort((a, b) => a - b);
+    const usados = Math.max(ordenados.length, usoApi ?? 0);
+
+    if (cuota.max !== null && usados >= cuota.max) {
+        // Se libera un hueco cuando el envío más antiguo que cuenta sale de la ventana
+        const indice = ordenados.length - cuota.max;
+        const siguiente = indice >= 0
+            ? new Date(ordenados[indice].getTime() + cuota.ventanaMs)
+            : new Date(ahora.getTime() + ESPERA_CUOTA_DESCONOCIDA_MS);
+
+        return { permitido: false, siguiente, usados, motivo: `cuota de ${cuota.max} publicaciones agotada (${usados} usadas)` };
+    }
+
+    const ultimo = ordenados[ordenados.length - 1];
+    if (ultimo && cuota.separacionMs > 0 && ahora - ultimo < cuota.separacionMs) {
+        return {
+            permitido: false,
+            siguiente: new Date(ultimo.getTime() + cuota.separacionMs),
+            usados,
+            motivo: `separación mínima de ${Math.round(cuota.separacionMs / 60000)} min`
+        };
+    }
+
+    return { permitido: true, siguiente: null, usados, motivo: null };
+};
+
+/**
+ * Indica si un fallo de publicación se debe a un límite de la red
+ * Estos fallos se aplazan sin consumir intentos
+ * @param {Object} resultado - Resultado fallido ({ code, subcode, status })
+ * @returns {boolean}
+ */
+export const esLimiteDeCuota = (resultado = {}) => {
+    const code = Number(resultado.code);
+    return CODIGOS_META_CUOTA.includes(code)
+        || (code >= 80001 && code <= 80014)
+        || SUBCODIGOS_META_CUOTA.includes(Number(resultado.subcode))
+        || Number(resultado.status) === 429;
+};
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Diagnóstico de cuentas conectadas
+ * @description Convierte lo que informa cada red sobre el token de una cuenta
+ * (validez, permisos, enlace con la página y caducidad) en comprobaciones con
+ * su nivel y la forma de corregirlas
+ * @module utils/diagnosticoCuentas
+ */
+
+import { diasParaCaducar, TOKEN_AVISO_DIAS } from './tokens.js';
+
+// Permisos sin los que no se puede publicar en cada plataforma
+export const SCOPES_REQUERIDOS = {
+    facebook: ['pages_manage_posts'],
+    instagram: ['instagram_content_publish'],
+    linkedin: ['w_member_social']
+};
+
+const NIVELES = ['ok', 'advertencia', 'error'];
+
+const SOLUCION_ENLACE = {
+    facebook: 'Comprueba que sigues siendo administrador de la página y vuelve a conectarla',
+    instagram: 'Vuelve a vincular la cuenta de Instagram a su página de Facebook y reconecta',
+    linkedin: 'Comprueba que sigues administrando el perfil o la página de empresa y reconecta'
+};
+
+const comprobacion = (clave, nivel, detalle, solucion = null, accion = null) => ({ clave, nivel, detalle, solucion, accion });
+
+/**
+ * Permisos requeridos que no concedió el token
+ * @param {string} plataforma - 'facebook', 'instagram', 'linkedin'
+ * @param {Array<string>} concedidos - Scopes del token
+ * @returns {Array<string>}
+ */
+export const scopesFaltantes = (plataforma, concedidos = []) =>
+    (SCOPES_REQUERIDOS[plataforma] || []).filter(scope => !concedidos.includes(scope));
+
+/**
+ * Evalúa el diagnóstico de una cuenta
+ * @param {Object} cuenta - { plataforma, estado, token_expires_at }
+ * @param {Object} resultado - Del conector: { success, valido, scopes (null = no se sabe),
+ *  enlace (null = no se sabe), expira_at (undefined = usar el guardado), error }
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {Object} { estado, dias_para_caducar, comprobaciones }
+ */
+export const evaluarDiagnostico = (cuenta, resultado, ahora = new Date()) => {
+    const comprobaciones = [];
+    const tokenValido = cuenta.estado === 'conectada' && resultado.success && resultado.valido;
+
+    if (cuenta.estado !== 'conectada' || (resultado.success && !resultado.valido)) {
+        comprobaciones.push(comprobacion('token', 'error', 'La red ya no acepta el token de la cuenta',
+            'Reconecta la cuenta', 'reconectar'));
+    } else if (!resultado.success) {
+        comprobaciones.push(comprobacion('token', 'advertencia', `No se pudo comprobar el token: ${resultado.error}`,
+            'Vuelve a revisar en unos minutos; si se repite, reconecta la cuenta'));
+    } else {
+        comprobaciones.push(comprobacion('token', 'ok', 'Token válido'));
+    }
+
+    if (tokenValido && Array.isArray(resultado.scopes)) {
+        const faltantes = scopesFaltantes(cuenta.plataforma, resultado.scopes);
+        const requeridos = SCOPES_REQUERIDOS[cuenta.plataforma] || [];
+        comprobaciones.push(faltantes.length > 0
+            ? comprobacion('permisos', 'error', `Faltan permisos: ${faltantes.join(', ')}`,
+                'Reconecta la cuenta y acepta todos los permisos que pide la app', 'reconectar')
+            : comprobacion('permisos', 'ok', `Permisos concedidos: ${requeridos.join(', ')}`));
+    }
+
+    if (tokenValido && resultado.enlace === false) {
+        comprobaciones.push(comprobacion('enlace', 'error',
+            cuenta.plataforma === 'instagram'
+                ? 'La cuenta de Instagram ya no está vinculada a la página'
+                : 'La cuenta ya no es accesible con este token',
+            SOLUCION_ENLACE[cuenta.plataforma] || 'Reconecta la cuenta', 'reconectar'));
+    } else if (tokenValido && resultado.enlace === true) {
+        comprobaciones.push(comprobacion('enlace', 'ok',
+            cuenta.plataforma === 'instagram' ? 'Vinculada a su página de Facebook' : 'Cuenta accesible'));
+    }
+
+    const expiraAt = resultado.expira_at !== undefined ? resultado.expira_at : cuenta.token_expires_at;
+    const dias = diasParaCaducar(expiraAt, ahora);
+    if (dias === null) {
+        comprobaciones.push(comprobacion('caducidad', 'ok', 'El token no caduca'));
+    } else if (dias <= 0) {
+        comprobaciones.push(comprobacion('caducidad', 'error', 'El token caducó', 'Reconecta la cuenta', 'reconectar'));
+    } else if (dias <= TOKEN_AVISO_DIAS) {
+        comprobaciones.push(comprobacion('caducidad', 'advertencia', `Caduca en ${dias} día(s)`,
+            'Reconecta la cuenta antes de que caduque para no retener publicaciones', 'reconectar'));
+    } else {
+        comprobaciones.push(comprobacion('caducidad', 'ok', `Caduca en ${dias} días`));
+    }
+
+    const estado = comprobaciones.reduce(
+        (peor, c) => (NIVELES.indexOf(c.nivel) > NIVELES.indexOf(peor) ? c.nivel : peor),
+        'ok'
+    );
+
+    return { estado, dias_para_caducar: dias, comprobaciones };
+};
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Lectura de dimensiones de imágenes
+ * @description Obtiene ancho y alto leyendo la cabecera de PNG, JPEG, GIF y WebP
+ * sin dependencias externas
+ * @module utils/imageInfo
+ */
+
+// Marcadores SOF de JPEG que contienen las dimensiones
+const JPEG_SOF = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * Lee las dimensiones de un JPEG recorriendo sus segmentos hasta el SOF
+ */
+const leerJpeg = (buffer) => {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+
+        const marker = buffer[offset + 1];
+
+        // Bytes de relleno y marcadores sin longitud
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+            offset += 2;
+            continue;
+        }
+
+        if (JPEG_SOF.includes(marker)) {
+            return {
+                alto: buffer.readUInt16BE(offset + 5),
+                ancho: buffer.readUInt16BE(offset + 7)
+            };
+        }
+
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+};
+
+/**
+ * Lee las dimensiones de un WebP (VP8, VP8L o VP8X)
+ */
+const leerWebp = (buffer) => {
+    const chunk = buffer.toString('ascii', 12, 16);
+
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return {
+            ancho: buffer.readUInt16LE(26) & 0x3FFF,
+            alto: buffer.readUInt16LE(28) & 0x3FFF
+        };
+    }
+
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        const b0 = buffer[21], b1 = buffer[22], b2 = buffer[23], b3 = buffer[24];
+        return {
+            ancho: 1 + (((b1 & 0x3F) << 8) | b0),
+            alto: 1 + (((b3 & 0x0F) << 10) | (b2 << 2) | ((b1 & 0xC0) >> 6))
+        };
+    }
+
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return {
+            ancho: 1 + buffer.readUIntLE(24, 3),
+            alto: 1 + buffer.readUIntLE(27, 3)
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Obtiene formato y dimensiones de una imagen
+ * @param {Buffer} buffer - Contenido (o al menos la cabecera) de la imagen
+ * @returns {Object|null} { formato, ancho, alto } o null si no se reconoce
+ */
+export const leerDimensiones = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+    // PNG: firma de 8 bytes + chunk IHDR
+    if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.length >= 24) {
+        return { formato: 'png', ancho: buffer.readUInt32BE(16), alto: buffer.readUInt32BE(20) };
+    }
+
+    // GIF87a / GIF89a
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { formato: 'gif', ancho: buffer.readUInt16LE(6), alto: buffer.readUInt16LE(8) };
+    }
+
+    // JPEG: SOI 0xFFD8
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        const dimensiones = leerJpeg(buffer);
+        return dimensiones ? { formato: 'jpeg', ...dimensiones } : null;
+    }
+
+    // WebP: contenedor RIFF
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const dimensiones = leerWebp(buffer);
+        return dimensiones ? { formato: 'webp', ...dimensiones } : null;
+    }
+
+    return null;
+};
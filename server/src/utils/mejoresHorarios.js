@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Mejores horarios de publicación
+ * @description Calcula las franjas (día de la semana + hora) con mejor
+ * engagement a partir del historial propio. Con pocos datos se usan
+ * horarios de referencia por plataforma. Las franjas son horas de pared
+ * en la zona de la audiencia.
+ * @module utils/mejoresHorarios
+ */
+
+import { ZONA_LOCAL, partesEnZona, fechaEnZona, sumarDias } from './zonaHoraria.js';
+
+// Envíos con métricas necesarios para confiar en el historial
+export const MIN_MUESTRAS = 10;
+
+// Envíos mínimos en una franja para puntuarla con el historial
+const MIN_MUESTRAS_FRANJA = 2;
+
+// Peso de la media global al puntuar franjas con pocas muestras
+const SUAVIZADO = 3;
+
+// Horarios de referencia (dia_semana: 0 = domingo, hora local)
+export const HORARIOS_POR_DEFECTO = {
+    instagram: [
+        { dia_semana: 2, hora: 11 },
+        { dia_semana: 3, hora: 11 },
+        { dia_semana: 4, hora: 19 },
+        { dia_semana: 5, hora: 13 },
+        { dia_semana: 1, hora: 19 }
+    ],
+    facebook: [
+        { dia_semana: 3, hora: 9 },
+        { dia_semana: 4, hora: 13 },
+        { dia_semana: 2, hora: 10 },
+        { dia_semana: 5, hora: 11 },
+        { dia_semana: 1, hora: 12 }
+    ],
+    linkedin: [
+        { dia_semana: 2, hora: 8 },
+        { dia_semana: 3, hora: 10 },
+        { dia_semana: 4, hora: 12 },
+        { dia_semana: 2, hora: 17 },
+        { dia_semana: 3, hora: 8 }
+    ]
+};
+
+const clave = ({ dia_semana, hora }) => `${dia_semana}-${hora}`;
+
+const horariosPorDefecto = (plataforma) =>
+    (HORARIOS_POR_DEFECTO[plataforma] || HORARIOS_POR_DEFECTO.facebook)
+        .map(h => ({ ...h, puntuacion: null, muestras: 0, fuente: 'por_defecto' }));
+
+/**
+ * Calcula las mejores franjas a partir de envíos con métricas
+ * @param {Array<Object>} muestras - [{ fecha, tasa_engagement }]
+ * @param {string} plataforma - Plataforma (para los horarios por defecto)
+ * @param {Object} options - { top, minMuestras, zona }: las franjas son horas de pared de la zona
+ * @returns {Object} { fuente, muestras_totales, media_engagement, horarios }
+ */
+export const calcularMejoresHorarios = (muestras = [], plataforma, { top = 5, minMuestras = MIN_MUESTRAS, zona = ZONA_LOCAL } = {}) => {
+    const validas = muestras.filter(m => m.fecha && !isNaN(new Date(m.fecha).getTime()));
+
+    if (validas.length < minMuestras) {
+        return {
+            fuente: 'por_defecto',
+            muestras_totales: validas.length,
+            media_engagement: null,
+            horarios: horariosPorDefecto(plataforma).slice(0, top)
+        };
+    }
+
+    const grupos = new Map();
+    let sumaTotal = 0;
+
+    for (const muestra of validas) {
+        const { dia_semana, horas } = partesEnZona(muestra.fecha, zona);
+        const engagement = parseFloat(muestra.tasa_engagement) || 0;
+        const franja = { dia_semana, hora: horas };
+        const grupo = grupos.get(clave(franja)) || { ...franja, suma: 0, muestras: 0 };
+
+        grupo.suma += engagement;
+        grupo.muestras++;
+        grupos.set(clave(franja), grupo);
+        sumaTotal += engagement;
+    }
+
+    const media = sumaTotal / validas.length;
+
+    // Media suavizada y mínimo por franja: un único envío viral no desplaza a las consistentes
+    const horarios = [...grupos.values()]
+        .filter(g => g.muestras >= MIN_MUESTRAS_FRANJA)
+        .map(g => ({
+            dia_semana: g.dia_semana,
+            hora: g.hora,
+            puntuacion: Math.round(((g.suma + SUAVIZADO * media) / (g.muestras + SUAVIZADO)) * 100) / 100,
+            muestras: g.muestras,
+            fuente: 'historial'
+        }))
+        .sort((a, b) => b.puntuacion - a.puntuacion || b.muestras - a.muestras)
+        .slice(0, top);
+
+    // Completar con horarios de referencia si el historial cubre pocas franjas
+    const usadas = new Set(horarios.map(clave));
+    for (const defecto of horariosPorDefecto(plataforma)) {
+        if (horarios.length >= top) break;
+        if (!usadas.has(clave(defecto))) horarios.push(defecto);
+    }
+
+    return {
+        fuente: 'historial',
+        muestras_totales: validas.length,
+        media_engagement: Math.round(media * 100) / 100,
+        horarios
+    };
+};
+
+/**
+ * Calcula la próxima fecha de una franja semanal
+ * @param {Object} horario - { dia_semana, hora }
+ * @param {Date} desde - Fecha mínima (exclusiva)
+ * @param {string} zona - Zona horaria de la franja
+ * @returns {Date} Próxima fecha de la franja
+ */
+export const proximaFecha = ({ dia_semana, hora }, desde, zona = ZONA_LOCAL) => {
+    const hoy = partesEnZona(desde, zona);
+    const dia = sumarDias(hoy, (dia_semana - hoy.dia_semana + 7) % 7);
+    const fecha = fechaEnZona({ ...dia, horas: hora }, zona);
+    return fecha > desde ? fecha : fechaEnZona({ ...sumarDias(dia, 7), horas: hora }, zona);
+};
+
+/**
+ * Elige la franja más próxima entre las mejores
+ * @param {Array<Object>} horarios - Franjas ordenadas por puntuación
+ * @param {Date} desde - Momento actual
+ * @param {Object} options - { candidatos, margenMinutos, zona }
+ * @returns {Object|null} { fecha, horario } o null si no hay franjas
+ */
+export const siguienteMejorHorario = (horarios, desde = new Date(), { candidatos = 3, margenMinutos = 30, zona = ZONA_LOCAL } = {}) => {
+    const minimo = new Date(desde.getTime() + margenMinutos * 60 * 1000);
+
+    return horarios
+        .slice(0, candidatos)
+        .map(horario => ({ fecha: proximaFecha(horario, minimo, zona), horario }))
+        .sort((a, b) => a.fecha - b.fecha)[0] || null;
+};
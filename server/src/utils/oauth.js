@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Utilidades OAuth
+ * @description Estado anti-CSRF, caducidad y PKCE (RFC 7636, método S256)
+ * para los flujos de conexión de redes sociales.
+ * @module utils/oauth
+ */
+
+import crypto from 'crypto';
+
+// Minutos que un flujo OAuth iniciado sigue siendo válido
+export const OAUTH_STATE_TTL_MIN = parseInt(process.env.OAUTH_STATE_TTL_MIN) || 10;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Genera un estado aleatorio para el parámetro state
+ * @returns {string} 32 caracteres hexadecimales
+ */
+export const generarState = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Genera un code_verifier PKCE (43 caracteres, dentro del rango 43-128 de la RFC)
+ * @returns {string}
+ */
+export const generarVerificador = () => base64url(crypto.randomBytes(32));
+
+/**
+ * Calcula el code_challenge S256 de un verificador
+ * @param {string} verificador - code_verifier
+ * @returns {string} BASE64URL(SHA256(verificador))
+ */
+export const desafioPkce = (verificador) =>
+    base64url(crypto.createHash('sha256').update(verificador).digest());
+
+/**
+ * Fecha de caducidad de un estado creado ahora
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {Date}
+ */
+export const caducidadState = (ahora = new Date()) =>
+    new Date(ahora.getTime() + OAUTH_STATE_TTL_MIN * 60 * 1000);
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Publicaciones fallidas
+ * @description Agrupa las publicaciones fallidas por la causa del último error y
+ * valida las acciones masivas que se hacen sobre ellas desde la app.
+ * @module utils/publicacionesFallidas
+ */
+
+import { categorizarError } from './retryPolicy.js';
+
+// Acciones masivas: reencolar ya, reprogramar a una fecha, pasar a otra cuenta o cancelar
+export const ACCIONES_FALLIDAS = ['reencolar', 'reprogramar', 'reasignar', 'cancelar'];
+
+// Máximo de publicaciones por acción masiva
+export const MAX_POR_ACCION = 200;
+
+// Cómo se muestra cada causa en la app
+export const ETIQUETAS_CAUSA = {
+    autenticacion: 'Token caducado o revocado',
+    permisos: 'Permisos insuficientes',
+    medios: 'Error con imágenes o videos',
+    limite: 'Límite de la red',
+    contenido: 'Contenido bloqueado por la red',
+    validacion: 'Contenido no válido para la red',
+    plataforma: 'Error de la plataforma',
+    red: 'Fallo de conexión',
+    desconocido: 'Sin clasificar'
+};
+
+/**
+ * Causa del fallo de una publicación
+ * Usa la categoría del último intento; las fallidas anteriores al historial se clasifican por su error
+ * @param {Object} publicacion - { categoria_error, ultimo_error }
+ * @returns {string} Categoría de categorizarError
+ */
+export const causaDeFallo = (publicacion) =>
+    publicacion.categoria_error || categorizarError({ error: publicacion.ultimo_error });
+
+/**
+ * Agrupa publicaciones fallidas por causa, de la más frecuente a la menos
+ * @param {Array<Object>} publicaciones - Publicaciones fallidas
+ * @returns {Array<Object>} [{ causa, etiqueta, total, publicaciones }]
+ */
+export const agruparPorCausa = (publicaciones) => {
+    const grupos = new Map();
+
+    publicaciones.forEach(publicacion => {
+        const causa = causaDeFallo(publicacion);
+        if (!grupos.has(causa)) {
+            grupos.set(causa, { causa, etiqueta: ETIQUETAS_CAUSA[causa] || causa, publicaciones: [] });
+        }
+        grupos.get(causa).publicaciones.push({ ...publicacion, causa });
+    });
+
+    return [...grupos.values()]
+        .map(grupo => ({ ...grupo, total: grupo.publicaciones.length }))
+        .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Valida una acción masiva sobre publicaciones fallidas
+ * @param {Object} datos - { accion, ids, fecha_programada, cuenta_social_id }
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+export const validarAccionMasiva = ({ accion, ids, fecha_programada, cuenta_social_id }) => {
+    const errores = [];
+
+    if (!ACCIONES_FALLIDAS.includes(accion)) {
+        errores.push(`accion debe ser una de: ${ACCIONES_FALLIDAS.join(', ')}`);
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+        errores.push('Selecciona al menos una publicación');
+    } else if (ids.length > MAX_POR_ACCION) {
+        errores.push(`Como máximo ${MAX_POR_ACCION} publicaciones por acción`);
+    } else if (!ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+        errores.push('ids debe contener IDs de publicación');
+    }
+    if (accion === 'reprogramar' && !fecha_programada) {
+        errores.push('Indica la nueva fecha_programada');
+    }
+    if (accion === 'reasignar' && !cuenta_social_id) {
+        errores.push('Indica la cuenta_social_id destino');
+    }
+
+    return errores;
+};
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Reglas de recurrencia de publicaciones
+ * @description Cálculo de ocurrencias para series recurrentes (cada día 15,
+ * cada primer lunes, días de la semana...). La hora de la regla es de pared en
+ * la zona de la serie (zona_horaria); las ocurrencias son instantes.
+ * @module utils/recurrencia
+ */
+
+import { ZONA_LOCAL, esZonaValida, partesEnZona, fechaEnZona } from './zonaHoraria.js';
+
+export const FRECUENCIAS = ['diaria', 'semanal', 'mensual'];
+
+// Límite de días que se recorren buscando la siguiente ocurrencia
+const MAX_DIAS_BUSQUEDA = 800;
+
+const NOMBRES_DIAS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const ORDINALES = { 1: 'primer', 2: 'segundo', 3: 'tercer', 4: 'cuarto', 5: 'quinto', [-1]: 'último' };
+
+const MS_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * Convierte una fecha (Date o 'YYYY-MM-DD') en su día natural dentro de la zona
+ * Los días se representan a las 00:00 UTC para operar con ellos sin desfases
+ * @param {Date|string|null} valor - Fecha
+ * @param {string} zona - Zona horaria de la serie
+ * @returns {Date|null} Día a las 00:00 UTC
+ */
+const diaNatural = (valor, zona) => {
+    if (!valor) return null;
+    if (typeof valor === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(valor)) {
+        const [anio, mes, dia] = valor.split('-').map(Number);
+        return new Date(Date.UTC(anio, mes - 1, dia));
+    }
+    const fecha = new Date(valor);
+    if (isNaN(fecha.getTime())) return null;
+    const { anio, mes, dia } = partesEnZona(fecha, zona);
+    return new Date(Date.UTC(anio, mes - 1, dia));
+};
+
+const diasDelMes = (dia) => new Date(Date.UTC(dia.getUTCFullYear(), dia.getUTCMonth() + 1, 0)).getUTCDate();
+
+// Diferencia en días naturales
+const diasEntre = (desde, hasta) => Math.round((hasta - desde) / MS_DIA);
+
+/**
+ * Normaliza una regla tal como llega del cliente o de una fila de series_publicacion
+ * @param {Object} regla - Regla de recurrencia
+ * @returns {Object} Regla con tipos normalizados
+ */
+export const normalizarRegla = (regla = {}) => {
+    const diasSemana = Array.isArray(regla.dias_semana)
+        ? regla.dias_semana
+        : String(regla.dias_semana ?? '').split(',').filter(d => d.trim() !== '');
+
+    const [horas, minutos] = String(regla.hora || '09:00').split(':').map(Number);
+    const entero = (valor) => (valor === null || valor === undefined || valor === '' ? null : parseInt(valor));
+    const zona = esZonaValida(regla.zona_horaria) ? regla.zona_horaria : ZONA_LOCAL;
+
+    return {
+        frecuencia: regla.frecuencia,
+        cada_dias: entero(regla.cada_dias) || 1,
+        dias_semana: diasSemana.map(Number),
+        dia_mes: entero(regla.dia_mes),
+        semana_mes: entero(regla.semana_mes),
+        dia_semana: entero(regla.dia_semana),
+        horas,
+        minutos: minutos || 0,
+        fecha_inicio: diaNatural(regla.fecha_inicio, zona),
+        fecha_fin: diaNatural(regla.fecha_fin, zona),
+        zona
+    };
+};
+
+/**
+ * Valida una regla de recurrencia
+ * @param {Object} regla - Regla de recurrencia
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+export const validarRegla = (regla) => {
+    const errores = [];
+    const r = normalizarRegla(regla);
+
+    if (!FRECUENCIAS.includes(r.frecuencia)) {
+        errores.push(`Frecuencia inválida. Válidas: ${FRECUENCIAS.join(', ')}`);
+    }
+    if (isNaN(r.horas) || r.horas < 0 || r.horas > 23 || isNaN(r.minutos) || r.minutos < 0 || r.minutos > 59) {
+        errores.push('La hora debe tener formato HH:MM');
+    }
+    if (!r.fecha_inicio) {
+        errores.push('Se requiere fecha_inicio (YYYY-MM-DD)');
+    }
+    if (r.fecha_fin && r.fecha_inicio && r.fecha_fin < r.fecha_inicio) {
+        errores.push('fecha_fin no puede ser anterior a fecha_inicio');
+    }
+
+    if (r.frecuencia === 'diaria' && (isNaN(r.cada_dias) || r.cada_dias < 1)) {
+        errores.push('cada_dias debe ser un entero positivo');
+    }
+
+    if (r.frecuencia === 'semanal') {
+        if (r.dias_semana.length === 0 || r.dias_semana.some(d => isNaN(d) || d < 0 || d > 6)) {
+            errores.push('dias_semana debe contener días entre 0 (domingo) y 6 (sábado)');
+        }
+    }
+
+    if (r.frecuencia === 'mensual') {
+        const porDiaMes = r.dia_mes !== null;
+        const porSemana = r.semana_mes !== null || r.dia_semana !== null;
+
+        if (porDiaMes === porSemana) {
+            errores.push('La regla mensual requiere dia_mes o bien semana_mes y dia_semana');
+        } else if (porDiaMes && (r.dia_mes < 1 || r.dia_mes > 31)) {
+            errores.push('dia_mes debe estar entre 1 y 31');
+        } else if (porSemana) {
+            if (![1, 2, 3, 4, 5, -1].includes(r.semana_mes)) {
+                errores.push('semana_mes debe ser 1-5 o -1 (última)');
+            }
+            if (r.dia_semana === null || r.dia_semana < 0 || r.dia_semana > 6) {
+                errores.push('dia_semana debe estar entre 0 (domingo) y 6 (sábado)');
+            }
+        }
+    }
+
+    return errores;
+};
+
+/**
+ * Indica si un día cumple la regla (sin tener en cuenta la hora)
+ * @param {Object} r - Regla normalizada
+ * @param {Date} dia - Día natural (00:00 UTC)
+ * @returns {boolean}
+ */
+const coincideDia = (r, dia) => {
+    switch (r.frecuencia) {
+        case 'diaria':
+            return diasEntre(r.fecha_inicio, dia) % r.cada_dias === 0;
+        case 'semanal':
+            return r.dias_semana.includes(dia.getUTCDay());
+        case 'mensual': {
+            const totalDias = diasDelMes(dia);
+            if (r.dia_mes !== null) {
+                // El día 31 en meses cortos cae el último día del mes
+                return dia.getUTCDate() === Math.min(r.dia_mes, totalDias);
+            }
+            if (dia.getUTCDay() !== r.dia_semana) return false;
+            if (r.semana_mes === -1) return dia.getUTCDate() + 7 > totalDias;
+            return Math.ceil(dia.getUTCDate() / 7) === r.semana_mes;
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Calcula la siguiente ocurrencia estrictamente posterior a una fecha
+ * @param {Object} regla - Regla de recurrencia
+ * @param {Date} despuesDe - Fecha de referencia
+ * @returns {Date|null} Siguiente ocurrencia o null si la serie terminó
+ */
+export const siguienteOcurrencia = (regla, despuesDe = new Date()) => {
+    const r = normalizarRegla(regla);
+    if (!FRECUENCIAS.includes(r.frecuencia) || !r.fecha_inicio) return null;
+
+    const referencia = new Date(despuesDe);
+    let dia = diaNatural(referencia, r.zona);
+    if (dia < r.fecha_inicio) dia = new Date(r.fecha_inicio);
+
+    for (let i = 0; i < MAX_DIAS_BUSQUEDA; i++) {
+        if (r.fecha_fin && dia > r.fecha_fin) return null;
+
+        if (coincideDia(r, dia)) {
+            const candidata = fechaEnZona({
+                anio: dia.getUTCFullYear(),
+                mes: dia.getUTCMonth() + 1,
+                dia: dia.getUTCDate(),
+                horas: r.horas,
+                minutos: r.minutos
+            }, r.zona);
+            if (candidata > referencia) return candidata;
+        }
+
+        dia = new Date(dia.getTime() + MS_DIA);
+    }
+
+    return null;
+};
+
+/**
+ * Lista las ocurrencias de una regla dentro de un rango
+ * @param {Object} regla - Regla de recurrencia
+ * @param {Date} desde - Inicio del rango (inclusive)
+ * @param {Date} hasta - Fin del rango (inclusive)
+ * @param {number} max - Máximo de ocurrencias devueltas
+ * @returns {Array<Date>} Ocurrencias ordenadas
+ */
+export const ocurrenciasEntre = (regla, desde, hasta, max = 100) => {
+    const ocurrencias = [];
+    let actual = siguienteOcurrencia(regla, new Date(new Date(desde).getTime() - 1));
+
+    while (actual && actual <= hasta && ocurrencias.length < max) {
+        ocurrencias.push(actual);
+        actual = siguienteOcurrencia(regla, actual);
+    }
+
+    return ocurrencias;
+};
+
+/**
+ * Describe una regla en lenguaje natural para la interfaz
+ * @param {Object} regla - Regla de recurrencia
+ * @returns {string} Descripción
+ */
+export const describirRegla = (regla) => {
+    const r = normalizarRegla(regla);
+    const hora = `${String(r.horas).padStart(2, '0')}:${String(r.minutos).padStart(2, '0')}`;
+
+    switch (r.frecuencia) {
+        case 'diaria':
+            return r.cada_dias === 1 ? `Cada día a las ${hora}` : `Cada ${r.cada_dias} días a las ${hora}`;
+        case 'semanal':
+            return `Cada ${r.dias_semana.map(d => NOMBRES_DIAS[d]).join(', ')} a las ${hora}`;
+        case 'mensual':
+            if (r.dia_mes !== null) return `Cada día ${r.dia_mes} del mes a las ${hora}`;
+            return `Cada ${ORDINALES[r.semana_mes]} ${NOMBRES_DIAS[r.dia_semana]} del mes a las ${hora}`;
+        default:
+            return 'Regla desconocida';
+    }
+};
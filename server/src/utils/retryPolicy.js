@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Política de reintentos para publicaciones
+ * @description Clasifica errores de publicación y calcula el backoff exponencial
+ * @module utils/retryPolicy
+ */
+
+import { esLimiteDeCuota } from './cuotaPublicacion.js';
+
+// Configuración de la política (sobrescribible por variables de entorno)
+export const MAX_INTENTOS = parseInt(process.env.SCHEDULER_MAX_INTENTOS) || 5;
+export const BACKOFF_BASE_MS = parseInt(process.env.SCHEDULER_BACKOFF_BASE_MS) || 60 * 1000;
+export const BACKOFF_MAX_MS = parseInt(process.env.SCHEDULER_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+
+// Códigos de Graph API que no se resuelven reintentando
+// 190: token inválido/expirado, 102: sesión inválida, 10 y 200-299: permisos
+// 100: parámetro inválido (ej. imagen inaccesible), 368: contenido bloqueado
+const CODIGOS_META_PERMANENTES = [100, 102, 190, 368, 10];
+
+// Estados HTTP permanentes (LinkedIn y otros)
+const STATUS_PERMANENTES = [400, 401, 403, 404, 422];
+
+// Mensajes que indican un problema de credenciales
+const PATRON_TOKEN = /(access token|token de acceso|session has expired|OAuthException)/i;
+
+// Mensajes de problemas con las imágenes o videos (URL inaccesible, formato, procesado)
+const PATRON_MEDIOS = /(imagen|image|video|media|contenedor|container)/i;
+
+// Mensajes de fallos de conexión o de espera agotada
+const PATRON_RED = /(ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|timeout|a tiempo)/i;
+
+/**
+ * Clasifica el resultado fallido de una publicación
+ * @param {Object} resultado - Resultado devuelto por el servicio ({ error, code, status, permanente })
+ * @returns {string} 'permanente' si no tiene sentido reintentar, 'temporal' en otro caso
+ */
+export const clasificarError = (resultado = {}) => {
+    if (resultado.permanente) return 'permanente';
+
+    const code = Number(resultado.code);
+    if (CODIGOS_META_PERMANENTES.includes(code) || (code >= 200 && code < 300)) {
+        return 'permanente';
+    }
+
+    if (STATUS_PERMANENTES.includes(Number(resultado.status))) {
+        return 'permanente';
+    }
+
+    if (resultado.error && PATRON_TOKEN.test(resultado.error)) {
+        return 'permanente';
+    }
+
+    return 'temporal';
+};
+
+/**
+ * Categoría de diagnóstico de un fallo, para el historial de intentos
+ * Más fina que clasificarError: indica qué revisar, no si se reintenta
+ * @param {Object} resultado - Resultado fallido del servicio ({ error, code, status, permanente })
+ * @returns {string} 'limite' | 'autenticacion' | 'permisos' | 'medios' | 'contenido' | 'validacion' | 'plataforma' | 'red' | 'desconocido'
+ */
+export const categorizarError = (resultado = {}) => {
+    const code = Number(resultado.code);
+    const status = Number(resultado.status);
+
+    if (esLimiteDeCuota(resultado)) return 'limite';
+    if ([102, 190].includes(code) || status === 401 || PATRON_TOKEN.test(resultado.error || '')) {
+        return 'autenticacion';
+    }
+    if (code === 10 || (code >= 200 && code < 300) || status === 403) return 'permisos';
+    if (PATRON_MEDIOS.test(resultado.error || '')) return 'medios';
+    if (code === 368) return 'contenido';
+    if (resultado.permanente || code === 100 || [400, 404, 422].includes(status)) return 'validacion';
+    if (status >= 500 || [1, 2].includes(code)) return 'plataforma';
+    if (PATRON_RED.test(resultado.error || '')) return 'red';
+
+    return 'desconocido';
+};
+
+/**
+ * Calcula la espera antes del siguiente intento (backoff exponencial con tope)
+ * @param {number} intentos - Intentos ya realizados (>= 1)
+ * @returns {number} Milisegundos de espera
+ */
+export const calcularBackoff = (intentos) => {
+    const exponente = Math.max(0, intentos - 1);
+    return Math.min(BACKOFF_BASE_MS * 2 ** exponente, BACKOFF_MAX_MS);
+};
+
+/**
+ * Decide qué hacer tras un intento fallido
+ * @param {number} intentos - Intentos realizados, incluyendo el actual
+ * @param {Object} resultado - Resultado fallido del servicio
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {Object} { reintentar, categoria, proximo_intento }
+ */
+export const evaluarFallo = (intentos, resultado, ahora = new Date()) => {
+    const categoria = clasificarError(resultado);
+    const reintentar = categoria === 'temporal' && intentos < MAX_INTENTOS;
+
+    return {
+        reintentar,
+        categoria,
+        proximo_intento: reintentar ? new Date(ahora.getTime() + calcularBackoff(intentos)) : null
+    };
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Reglas de validación para Stories
+ * @description Comprueba que una Story tenga un único medio vertical 9:16
+ * antes de programarla o publicarla en Instagram/Facebook
+ * @module utils/storyRules
+ */
+
+// Relación de aspecto de Stories (ancho / alto)
+export const STORY_ASPECT_RATIO = 9 / 16;
+
+// Margen aceptado sobre la relación de aspecto (ej. 1080x1918 sigue siendo válido)
+export const TOLERANCIA_ASPECTO = 0.01;
+
+// Duración máxima de una Story de video en Instagram/Facebook
+export const STORY_VIDEO_MAX_SEGUNDOS = 60;
+
+/**
+ * Indica si unas dimensiones corresponden a un formato 9:16
+ * @param {number} ancho - Ancho en píxeles
+ * @param {number} alto - Alto en píxeles
+ * @returns {boolean} True si la relación de aspecto es válida
+ */
+export const esAspectoStory = (ancho, alto) => {
+    const w = Number(ancho);
+    const h = Number(alto);
+    if (!w || !h) return false;
+    return Math.abs(w / h - STORY_ASPECT_RATIO) <= TOLERANCIA_ASPECTO;
+};
+
+/**
+ * Valida el medio de una Story
+ * @param {Object} media - { imagenes, videos } con el formato de las tablas (ancho, alto, duracion_segundos)
+ * @returns {Array<string>} Lista de errores (vacía si la Story es válida)
+ */
+export const validarStory = ({ imagenes = [], videos = [] } = {}) => {
+    const total = imagenes.length + videos.length;
+
+    if (total === 0) {
+        return ['La Story requiere una imagen o un video'];
+    }
+
+    if (total > 1) {
+        return ['La Story admite un único medio (una imagen o un video)'];
+    }
+
+    const medio = imagenes[0] || videos[0];
+    const errores = [];
+
+    if (!medio.ancho || !medio.alto) {
+        errores.push('No se conocen las dimensiones del medio de la Story');
+    } else if (!esAspectoStory(medio.ancho, medio.alto)) {
+        errores.push(`La Story debe ser vertical 9:16 (recibido ${medio.ancho}x${medio.alto})`);
+    }
+
+    if (videos.length > 0 && Number(medio.duracion_segundos) > STORY_VIDEO_MAX_SEGUNDOS) {
+        errores.push(`El video de la Story no puede superar ${STORY_VIDEO_MAX_SEGUNDOS} segundos`);
+    }
+
+    return errores;
+};
+
+/**
+ * Convierte el medio enviado por el cliente al formato de validarStory
+ * @param {Object} story - { media_tipo: 'imagen'|'video', url, ancho, alto, duracion_segundos }
+ * @returns {Object} { imagenes, videos }
+ */
+export const mediaDesdePayload = (story) => {
+    if (!story?.url) return { imagenes: [], videos: [] };
+
+    const medio = {
+        ancho: parseInt(story.ancho) || null,
+        alto: parseInt(story.alto) || null,
+        duracion_segundos: story.duracion_segundos || null
+    };
+
+    return story.media_tipo === 'video'
+        ? { imagenes: [], videos: [{ ...medio, url_video: story.url }] }
+        : { imagenes: [{ ...medio, url_imagen: story.url }], videos: [] };
+};
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Ciclo de vida de los tokens
+ * @description Cuándo renovar el token de una cuenta y cuándo avisar de que
+ * está por caducar. Las cuentas sin token_expires_at no caducan.
+ * @module utils/tokens
+ */
+
+// Días antes de caducar en que se intenta renovar el token
+export const TOKEN_RENOVACION_DIAS = parseInt(process.env.TOKEN_RENOVACION_DIAS) || 10;
+
+// Días antes de caducar en que se avisa a los administradores
+export const TOKEN_AVISO_DIAS = parseInt(process.env.TOKEN_AVISO_DIAS) || 7;
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Días que faltan para que caduque un token (redondeado hacia arriba)
+ * @param {Date|string|null} expiraAt - token_expires_at
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {number|null} Días (0 o negativo si ya caducó) o null si no caduca
+ */
+export const diasParaCaducar = (expiraAt, ahora = new Date()) => {
+    if (!expiraAt) return null;
+    return Math.ceil((new Date(expiraAt).getTime() - ahora.getTime()) / DIA_MS);
+};
+
+/**
+ * Indica si hay que avisar de la caducidad del token de una cuenta
+ * Solo una vez por token: el aviso se reinicia al renovarlo
+ * @param {Object} cuenta - { token_expires_at, aviso_caducidad_at }
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {boolean}
+ */
+export const debeAvisarse = (cuenta, ahora = new Date()) => {
+    const dias = diasParaCaducar(cuenta.token_expires_at, ahora);
+    return dias !== null && dias > 0 && dias <= TOKEN_AVISO_DIAS && !cuenta.aviso_caducidad_at;
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Variantes del contenido por plataforma
+ * @description Selección del copy y las imágenes que se publican en cada red
+ * y prompt para derivar las variantes del copy maestro con IA
+ * @module utils/variantes
+ */
+
+// Plataformas con variante propia
+export const PLATAFORMAS_VARIANTE = ['instagram', 'facebook', 'linkedin'];
+
+// Estilo esperado en cada red para el prompt de adaptación
+const GUIAS_PLATAFORMA = {
+    instagram: {
+        limite: 2200,
+        estilo: 'Cercano y visual. Primera línea con gancho, párrafos cortos, emojis con moderación.',
+        hashtags: 'Entre 5 y 10 hashtags relevantes al final'
+    },
+    facebook: {
+        limite: 500,
+        estilo: 'Conversacional y directo. Invita a comentar o compartir.',
+        hashtags: 'Como mucho 2 hashtags'
+    },
+    linkedin: {
+        limite: 1300,
+        estilo: 'Profesional y formal, sin emojis o casi ninguno. Aporta contexto, datos o aprendizajes y cierra con una pregunta o CTA profesional.',
+        hashtags: 'Entre 2 y 3 hashtags profesionales'
+    }
+};
+
+/**
+ * Convierte la selección de imágenes guardada ('3,1,2') en un array de IDs
+ * @param {string|Array|null} valor - Selección guardada
+ * @returns {Array<number>|null} IDs en orden, o null si no hay selección
+ */
+export const parsearIdsImagenes = (valor) => {
+    if (valor === null || valor === undefined || valor === '') return null;
+    const lista = Array.isArray(valor) ? valor : String(valor).split(',');
+    const ids = lista.map(id => parseInt(id)).filter(id => !isNaN(id));
+    return ids.length > 0 ? ids : null;
+};
+
+/**
+ * Aplica la selección de imágenes de una variante
+ * Si ninguna imagen seleccionada sigue existiendo se usan todas
+ * @param {Array<Object>} imagenes - Imágenes del contenido
+ * @param {Array<number>|null} ids - IDs seleccionados en orden
+ * @returns {Array<Object>} Imágenes a publicar
+ */
+export const seleccionarImagenes = (imagenes, ids) => {
+    if (!ids) return imagenes;
+    const seleccionadas = ids.map(id => imagenes.find(img => img.id === id)).filter(Boolean);
+    return seleccionadas.length > 0 ? seleccionadas : imagenes;
+};
+
+/**
+ * Devuelve el contenido tal y como se publicaría en una plataforma
+ * Prioridad del copy: copy de la cuenta > variante de la plataforma > copy maestro
+ * @param {Object} contenido - Contenido con imagenes y variantes
+ * @param {string} plataforma - Plataforma destino
+ * @param {Object} options - { copyCuenta }
+ * @returns {Object} Contenido con copy_texto e imagenes de la variante
+ */
+export const aplicarVariante = (contenido, plataforma, { copyCuenta = null } = {}) => {
+    const variante = (contenido.variantes || []).find(v => v.plataforma === plataforma);
+
+    return {
+        ...contenido,
+        copy_texto: copyCuenta || variante?.copy_texto || contenido.copy_texto,
+        imagenes: seleccionarImagenes(contenido.imagenes || [], parsearIdsImagenes(variante?.imagenes_ids))
+    };
+};
+
+/**
+ * Construye el prompt para adaptar el copy maestro a una plataforma
+ * @param {Object} options - { copy, plataforma, contextoMarca }
+ * @returns {string} Prompt
+ */
+export const construirPromptVariante = ({ copy, plataforma, contextoMarca = null }) => {
+    const guia = GUIAS_PLATAFORMA[plataforma] || GUIAS_PLATAFORMA.facebook;
+
+    let prompt = `
+Eres un experto en copywriting para ${plataforma}.
+
+TAREA: Adapta el siguiente copy a ${plataforma} manteniendo el mensaje, la oferta y los datos.
+
+COPY ORIGINAL:
+"""
+${copy}
+"""
+
+REQUISITOS DE ${plataforma.toUpperCase()}:
+- Límite de caracteres: ${guia.limite}
+- Estilo: ${guia.estilo}
+- Hashtags: ${guia.hashtags}
+`;
+
+    if (contextoMarca) {
+        prompt += `
+CONTEXTO DE MARCA:
+- Nombre: ${contextoMarca.nombre_marca || 'RECKONNT'}
+- Tono de voz: ${contextoMarca.tono_voz || 'Profesional y cercano'}
+`;
+    }
+
+    prompt += `
+IMPORTANTE: Responde ÚNICAMENTE con el copy adaptado, sin explicaciones ni comillas.
+`;
+
+    return prompt;
+};
+
+/**
+ * Limpia la respuesta del modelo (comillas o bloques de código envolventes)
+ * @param {string} texto - Respuesta del modelo
+ * @returns {string} Copy limpio
+ */
+export const limpiarRespuestaIA = (texto = '') => {
+    return String(texto)
+        .trim()
+        .replace(/^```[a-z]*\n?/i, '')
+        .replace(/\n?```$/, '')
+        .replace(/^"([\s\S]*)"$/, '$1')
+        .trim();
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Zonas horarias
+ * @description Conversión entre instantes (UTC en base de datos) y horas de pared
+ * de una zona IANA ('America/Guayaquil', 'Europe/Madrid'...). Usa Intl, así que
+ * los cambios de horario de verano se resuelven con las reglas de cada zona.
+ * @module utils/zonaHoraria
+ */
+
+// Zona del proceso: la que se usa si no se indica ninguna
+export const ZONA_LOCAL = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const MS_DIA = 24 * 60 * 60 * 1000;
+
+// Formato local sin zona, como el de un input datetime-local ('2026-03-10T09:00')
+const PATRON_FECHA_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const formateadores = new Map();
+
+const formateador = (zona) => {
+    if (!formateadores.has(zona)) {
+        formateadores.set(zona, new Intl.DateTimeFormat('en-US', {
+            timeZone: zona,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formateadores.get(zona);
+};
+
+/**
+ * Indica si una zona IANA es válida
+ * @param {string} zona - Identificador de zona
+ * @returns {boolean}
+ */
+export const esZonaValida = (zona) => {
+    if (!zona || typeof zona !== 'string') return false;
+    try {
+        formateador(zona);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Día de la semana de un día natural (0 = domingo)
+ * @param {Object} dia - { anio, mes, dia }
+ * @returns {number}
+ */
+export const diaSemana = ({ anio, mes, dia }) => new Date(Date.UTC(anio, mes - 1, dia)).getUTCDay();
+
+/**
+ * Suma días naturales a un día, sin depender de ninguna zona
+ * @param {Object} dia - { anio, mes, dia }
+ * @param {number} dias - Días a sumar (pueden ser negativos)
+ * @returns {Object} { anio, mes, dia }
+ */
+export const sumarDias = ({ anio, mes, dia }, dias) => {
+    const fecha = new Date(Date.UTC(anio, mes - 1, dia) + dias * MS_DIA);
+    return { anio: fecha.getUTCFullYear(), mes: fecha.getUTCMonth() + 1, dia: fecha.getUTCDate() };
+};
+
+/**
+ * Hora de pared de un instante en una zona
+ * @param {Date|string|number} fecha - Instante
+ * @param {string} zona - Zona IANA
+ * @returns {Object} { anio, mes, dia, horas, minutos, segundos, dia_semana }
+ */
+export const partesEnZona = (fecha, zona = ZONA_LOCAL) => {
+    const partes = {};
+    formateador(zona).formatToParts(new Date(fecha)).forEach(({ type, value }) => {
+        partes[type] = parseInt(value);
+    });
+
+    const resultado = {
+        anio: partes.year,
+        mes: partes.month,
+        dia: partes.day,
+        horas: partes.hour,
+        minutos: partes.minute,
+        segundos: partes.second
+    };
+    return { ...resultado, dia_semana: diaSemana(resultado) };
+};
+
+// Diferencia entre la hora de pared de la zona y UTC en un instante (ms)
+const desplazamiento = (instante, zona) => {
+    const p = partesEnZona(instante, zona);
+    const comoUtc = Date.UTC(p.anio, p.mes - 1, p.dia, p.horas, p.minutos, p.segundos);
+    return comoUtc - Math.floor(instante / 1000) * 1000;
+};
+
+/**
+ * Instante que corresponde a una hora de pared en una zona
+ * Si la hora se repite al retrasar el reloj se toma la primera; si no existe
+ * al adelantarlo, se desplaza hacia delante lo que dura el salto
+ * @param {Object} hora - { anio, mes, dia, horas, minutos, segundos }
+ * @param {string} zona - Zona IANA
+ * @returns {Date} Instante
+ */
+export const fechaEnZona = ({ anio, mes, dia, horas = 0, minutos = 0, segundos = 0 }, zona = ZONA_LOCAL) => {
+    const comoUtc = Date.UTC(anio, mes - 1, dia, horas, minutos, segundos);
+
+    // Un cambio de horario como mucho entre el día anterior y el siguiente
+    const candidatos = [...new Set([
+        comoUtc - desplazamiento(comoUtc - MS_DIA, zona),
+        comoUtc - desplazamiento(comoUtc + MS_DIA, zona)
+    ])];
+
+    const validos = candidatos.filter(instante => {
+        const p = partesEnZona(instante, zona);
+        return p.anio === anio && p.mes === mes && p.dia === dia
+            && p.horas === horas && p.minutos === minutos && p.segundos === segundos;
+    });
+
+    return new Date(validos.length > 0 ? Math.min(...validos) : Math.max(...candidatos));
+};
+
+/**
+ * Interpreta una fecha recibida del cliente
+ * Sin desplazamiento ('2026-03-10T09:00', '2026-03-10') es hora de pared de la zona;
+ * con 'Z' o '+hh:mm', o un Date, ya es un instante
+ * @param {Date|string|null} valor - Fecha
+ * @param {string} zona - Zona IANA
+ * @returns {Date|null} Instante (Invalid Date si no se puede interpretar)
+ */
+export const parsearFechaLocal = (valor, zona = ZONA_LOCAL) => {
+    if (valor === null || valor === undefined || valor === '') return null;
+    if (valor instanceof Date) return new Date(valor);
+
+    const coincidencia = PATRON_FECHA_LOCAL.exec(String(valor).trim());
+    if (!coincidencia) return new Date(valor);
+
+    const [anio, mes, dia, horas = 0, minutos = 0, segundos = 0] = coincidencia.slice(1).map(v => parseInt(v || 0));
+    return fechaEnZona({ anio, mes, dia, horas, minutos, segundos }, zona);
+};
+
+/**
+ * Formatea un instante como hora de pared de una zona ('YYYY-MM-DDTHH:mm:ss')
+ * @param {Date|string} fecha - Instante
+ * @param {string} zona - Zona IANA
+ * @returns {string}
+ */
+export const formatearEnZona = (fecha, zona = ZONA_LOCAL) => {
+    const p = partesEnZona(fecha, zona);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${p.anio}-${pad(p.mes)}-${pad(p.dia)}T${pad(p.horas)}:${pad(p.minutos)}:${pad(p.segundos)}`;
+};
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Worker de Mantenimiento
+ * @description Cron job de limpieza: elimina los estados OAuth caducados o ya usados
+ * y las cuentas descubiertas cuyo token caducó sin llegar a conectarse
+ * @module workers/mantenimiento
+ */
+
+import * as MetricasModel from '../models/metricas.model.js';
+import * as OauthEstadosModel from '../models/oauthEstados.model.js';
+import * as CuentasDescubiertasModel from '../models/cuentasDescubiertas.model.js';
+
+// Intervalo de limpieza (por defecto cada hora)
+const INTERVALO_MANTENIMIENTO = parseInt(process.env.MANTENIMIENTO_INTERVAL) || 60 * 60 * 1000;
+
+// Estado del worker
+let isRunning = false;
+let intervalId = null;
+
+/**
+ * Ejecuta el ciclo de mantenimiento
+ */
+export const ejecutarCiclo = async () => {
+    if (isRunning) {
+        console.log('[Mantenimiento] Ya hay un ciclo en ejecución, saltando...');
+        return;
+    }
+
+    isRunning = true;
+    const inicio = Date.now();
+
+    try {
+        const estadosEliminados = await OauthEstadosModel.limpiar();
+        const descubiertasEliminadas = await CuentasDescubiertasModel.limpiar();
+        const tiempoEjecucion = Date.now() - inicio;
+
+        await MetricasModel.logWorker({
+            worker_name: 'mantenimiento',
+            tipo: 'limpieza',
+            estado: 'completado',
+            mensaje: `Eliminados ${estadosEliminados} estado(s) OAuth y ${descubiertasEliminadas} cuenta(s) descubierta(s) caducadas`,
+            items_procesados: estadosEliminados + descubiertasEliminadas,
+            tiempo_ejecucion_ms: tiempoEjecucion
+        });
+
+        console.log(`[Mantenimiento] Ciclo completado en ${tiempoEjecucion}ms. Eliminados: ${estadosEliminados} estado(s) OAuth, ${descubiertasEliminadas} descubierta(s)`);
+
+    } catch (error) {
+        console.error('[Mantenimiento] Error en ciclo de limpieza:', error);
+
+        await MetricasModel.logWorker({
+            worker_name: 'mantenimiento',
+            tipo: 'limpieza',
+            estado: 'error',
+            mensaje: error.message
+        });
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Inicia el worker de mantenimiento
+ */
+export const iniciar = () => {
+    if (intervalId) {
+        console.log('[Mantenimiento] Worker ya está corriendo');
+        return;
+    }
+
+    console.log(`[Mantenimiento] Iniciando worker con intervalo de ${INTERVALO_MANTENIMIENTO / 1000 / 60} minutos`);
+
+    ejecutarCiclo();
+    intervalId = setInterval(ejecutarCiclo, INTERVALO_MANTENIMIENTO);
+};
+
+/**
+ * Detiene el worker de mantenimiento
+ */
+export const detener = () => {
+    if (intervalId) {
+        clearInterval(intervalId);
+        intervalId = null;
+        console.log('[Mantenimiento] Worker detenido');
+    }
+};
+
+/**
+ * Obtiene el estado del worker
+ */
+export const getEstado = () => {
+    return {
+        ejecutando: isRunning,
+        activo: intervalId !== null,
+        intervalo_ms: INTERVALO_MANTENIMIENTO
+    };
+};
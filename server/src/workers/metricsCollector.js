@@ -7,6 +7,8 @@
 import { pool } from '../config/db.js';
 import * as MetricasModel from '../models/metricas.model.js';
 import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import * as Platforms from '../services/platforms/index.js';
+import { descifrarToken } from '../utils/cifradoTokens.js';
 
 // Intervalo de recolección (por defecto cada 6 horas)
 const INTERVALO_RECOLECCION = parseInt(process.env.METRICS_INTERVAL) || 6 * 60 * 60 * 1000;
@@ -109,168 +111,21 @@ export const ejecutarCiclo = async () => {
 };
 
 /**
- * Obtiene métricas de una publicación según su plataforma
+ * Obtiene métricas de una publicación mediante el adaptador de su plataforma
  * @param {Object} publicacion - Datos de la publicación
  * @returns {Promise<Object>} Métricas obtenidas
  */
 const obtenerMetricasPlataforma = async (publicacion) => {
     const { cuenta_plataforma, access_token, external_post_id, page_id } = publicacion;
 
-    try {
-        switch (cuenta_plataforma) {
-            case 'facebook':
-                return await obtenerMetricasFacebook(external_post_id, access_token);
-
-            case 'instagram':
-                return await obtenerMetricasInstagram(external_post_id, access_token);
-
-            case 'linkedin':
-                return await obtenerMetricasLinkedIn(external_post_id, access_token);
-
-            default:
-                return { success: false, error: 'Plataforma no soportada' };
-        }
-    } catch (error) {
-        return { success: false, error: error.message };
-    }
-};
-
-/**
- * Obtiene métricas de Facebook
- */
-const obtenerMetricasFacebook = async (postId, accessToken) => {
-    try {
-        // Primero intentamos obtener likes y comments que son universales
-        // El campo shares no existe en nodos de tipo Photo, lo manejaremos por separado
-        const url = `https://graph.facebook.com/v18.0/${postId}?fields=likes.summary(true),comments.summary(true),shares&access_token=${accessToken}`;
-
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.error) {
-            // Si el error es específicamente por el campo shares, reintentamos sin él
-            if (data.error.message.includes('shares')) {
-                const retryUrl = `https://graph.facebook.com/v18.0/${postId}?fields=likes.summary(true),comments.summary(true)&access_token=${accessToken}`;
-                const retryResponse = await fetch(retryUrl);
-                const retryData = await retryResponse.json();
-                
-                if (retryData.error) throw new Error(retryData.error.message);
-                
-                return {
-                    success: true,
-                    datos: {
-                        likes: retryData.likes?.summary?.total_count || 0,
-                        comentarios: retryData.comments?.summary?.total_count || 0,
-                        compartidos: 0
-                    }
-                };
-            }
-            throw new Error(data.error.message);
-        }
-
-        return {
-            success: true,
-            datos: {
-                likes: data.likes?.summary?.total_count || 0,
-                comentarios: data.comments?.summary?.total_count || 0,
-                compartidos: data.shares?.count || 0
-            }
-        };
-    } catch (error) {
-        console.error('[MetricsCollector] Error Facebook:', error.message);
-        return { success: false, error: error.message };
-    }
-};
-
-/**
- * Obtiene métricas de Instagram
- */
-const obtenerMetricasInstagram = async (mediaId, accessToken) => {
-    try {
-        // Primero intentamos obtener impresiones y alcance (Insights)
-        // Nota: Algunas publicaciones muy recientes o de ciertos tipos pueden no tener todos los insights de inmediato
-        const url = `https://graph.facebook.com/v18.0/${mediaId}/insights?metric=impressions,reach,saved&access_token=${accessToken}`;
-
-        const response = await fetch(url);
-        const data = await response.json();
-
-        // Si hay error en insights (como "Object does not exist"), intentamos obtener al menos likes/comments del nodo base
-        if (data.error) {
-            console.warn(`[MetricsCollector] Advertencia Instagram Insights para ${mediaId}:`, data.error.message);
-            
-            const baseUrl = `https://graph.facebook.com/v18.0/${mediaId}?fields=like_count,comments_count&access_token=${accessToken}`;
-            const baseResponse = await fetch(baseUrl);
-            const baseData = await baseResponse.json();
-
-            if (baseData.error) {
-                throw new Error(`Error base IG y error Insights: ${baseData.error.message}`);
-            }
-
-            return {
-                success: true,
-                datos: {
-                    likes: baseData.like_count || 0,
-                    comentarios: baseData.comments_count || 0,
-                    guardados: 0,
-                    impresiones: 0,
-                    alcance: 0
-                }
-            };
-        }
-
-        const metricas = {};
-        data.data?.forEach(metric => {
-            metricas[metric.name] = metric.values[0]?.value || 0;
-        });
-
-        // Para likes y comentarios en IG, a veces es mejor pedirlos directamente al nodo si no vienen en insights
-        const baseUrl = `https://graph.facebook.com/v18.0/${mediaId}?fields=like_count,comments_count&access_token=${accessToken}`;
-        const baseResponse = await fetch(baseUrl);
-        const baseData = await baseResponse.json();
-
-        return {
-            success: true,
-            datos: {
-                likes: baseData.like_count || metricas.likes || 0,
-                comentarios: baseData.comments_count || metricas.comments || 0,
-                guardados: metricas.saved || 0,
-                impresiones: metricas.impressions || 0,
-                alcance: metricas.reach || 0
-            }
-        };
-    } catch (error) {
-        console.error('[MetricsCollector] Error Instagram:', error.message);
-        return { success: false, error: error.message };
+    const adapter = Platforms.getAdapter(cuenta_plataforma);
+    if (!adapter?.fetchMetrics) {
+        return { success: false, error: 'Plataforma no soportada' };
     }
-};
 
-/**
- * Obtiene métricas de LinkedIn
- */
-const obtenerMetricasLinkedIn = async (postId, accessToken) => {
     try {
-        // LinkedIn API para métricas de share
-        const url = `https://api.linkedin.com/v2/socialActions/${postId}`;
-
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'X-Restli-Protocol-Version': '2.0.0'
-            }
-        });
-
-        const data = await response.json();
-
-        return {
-            success: true,
-            datos: {
-                likes: data.likesSummary?.totalLikes || 0,
-                comentarios: data.commentsSummary?.totalFirstLevelComments || 0,
-                compartidos: 0 // LinkedIn API diferente
-            }
-        };
+        return await adapter.fetchMetrics({ access_token: descifrarToken(access_token), page_id }, external_post_id);
     } catch (error) {
-        console.error('[MetricsCollector] Error LinkedIn:', error.message);
         return { success: false, error: error.message };
     }
 };
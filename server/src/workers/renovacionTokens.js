@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Worker de Renovación de Tokens
+ * @description Cron job del ciclo de vida de los tokens de las cuentas sociales:
+ * renueva los que están por caducar cuando la red lo permite, avisa de los que
+ * no se pueden renovar, marca las cuentas expiradas y retiene sus publicaciones
+ * pendientes hasta que se reconecten
+ * @module workers/renovacionTokens
+ */
+
+import * as MetricasModel from '../models/metricas.model.js';
+import * as CuentasSocialesModel from '../models/cuentasSociales.model.js';
+import * as PublicacionesModel from '../models/publicaciones.model.js';
+import * as Platforms from '../services/platforms/index.js';
+import { TOKEN_RENOVACION_DIAS, diasParaCaducar, debeAvisarse } from '../utils/tokens.js';
+import { descifrarToken } from '../utils/cifradoTokens.js';
+
+// Intervalo de revisión (por defecto cada hora)
+const INTERVALO_TOKENS = parseInt(process.env.TOKENS_INTERVAL) || 60 * 60 * 1000;
+
+// Estado del worker
+let isRunning = false;
+let intervalId = null;
+
+/**
+ * Intenta renovar el token de una cuenta con el conector de su plataforma
+ * @param {Object} cuenta - Cuenta con sus tokens (cifrados)
+ * @returns {Promise<Object>} { success, error }
+ */
+const renovarCuenta = async (cuenta) => {
+    const conector = Platforms.getAdapter(cuenta.plataforma)?.connect;
+    if (!conector?.renovarToken) {
+        return { success: false, error: 'La plataforma no permite renovar el token' };
+    }
+
+    const refreshToken = descifrarToken(cuenta.refresh_token);
+    const resultado = await conector.renovarToken({
+        ...cuenta,
+        access_token: descifrarToken(cuenta.access_token),
+        refresh_token: refreshToken
+    });
+    if (!resultado.success) return resultado;
+
+    await CuentasSocialesModel.updateTokens(cuenta.id, {
+        access_token: resultado.access_token,
+        refresh_token: resultado.refresh_token || refreshToken,
+        token_expires_at: resultado.token_expires_at
+    });
+    return { success: true };
+};
+
+/**
+ * Ejecuta el ciclo de renovación de tokens
+ */
+export const ejecutarCiclo = async () => {
+    if (isRunning) {
+        console.log('[RenovacionTokens] Ya hay un ciclo en ejecución, saltando...');
+        return;
+    }
+
+    isRunning = true;
+    const inicio = Date.now();
+
+    try {
+        await MetricasModel.logWorker({
+            worker_name: 'renovacion_tokens',
+            tipo: 'tokens',
+            estado: 'iniciado',
+            mensaje: 'Revisando la caducidad de los tokens de las cuentas sociales'
+        });
+
+        // Renovar los tokens que caducan pronto; si no se puede, avisar una vez
+        const porCaducar = await CuentasSocialesModel.getPorCaducar(TOKEN_RENOVACION_DIAS);
+        let renovadas = 0;
+        const avisos = [];
+
+        for (const cuenta of porCaducar) {
+            try {
+                const resultado = await renovarCuenta(cuenta);
+                if (resultado.success) {
+                    renovadas++;
+                    console.log(`[RenovacionTokens] 🔄 Token de ${cuenta.nombre_cuenta} (${cuenta.plataforma}) renovado`);
+                    continue;
+                }
+                console.warn(`[RenovacionTokens] No se pudo renovar ${cuenta.nombre_cuenta} (${cuenta.plataforma}): ${resultado.error}`);
+            } catch (error) {
+                console.error(`[RenovacionTokens] Error renovando la cuenta ${cuenta.id}:`, error.message);
+            }
+
+            if (debeAvisarse(cuenta)) {
+                await CuentasSocialesModel.marcarAvisoCaducidad(cuenta.id);
+                const dias = diasParaCaducar(cuenta.token_expires_at);
+                avisos.push(`${cuenta.nombre_cuenta} (${cuenta.plataforma}) caduca en ${dias} día(s)`);
+                console.warn(`[RenovacionTokens] ⚠️ ${avisos[avisos.length - 1]}: hay que reconectarla`);
+            }
+        }
+
+        // Cuentas caducadas: pasan a expirada y sus pendientes quedan retenidas en lugar de fallar
+        const expiradas = await CuentasSocialesModel.markExpiredTokens();
+        const retenidas = await PublicacionesModel.retenerPorCuenta();
+
+        // Lo retenido de cuentas que ya se reconectaron vuelve al scheduler
+        const liberadas = await PublicacionesModel.liberarPorCuenta();
+
+        const tiempoEjecucion = Date.now() - inicio;
+        const resumen = [
+            `${renovadas} token(s) renovado(s)`,
+            `${expiradas} cuenta(s) expirada(s)`,
+            `${retenidas} publicación(es) retenida(s)`,
+            `${liberadas} liberada(s)`
+        ];
+        if (avisos.length > 0) {
+            resumen.push(`Por caducar: ${avisos.join('; ')}`);
+        }
+
+        await MetricasModel.logWorker({
+            worker_name: 'renovacion_tokens',
+            tipo: 'tokens',
+            estado: 'completado',
+            mensaje: resumen.join('. '),
+            items_procesados: renovadas + avisos.length + expiradas + retenidas + liberadas,
+            tiempo_ejecucion_ms: tiempoEjecucion
+        });
+
+        console.log(`[RenovacionTokens] Ciclo completado en ${tiempoEjecucion}ms. ${resumen.join(', ')}`);
+
+    } catch (error) {
+        console.error('[RenovacionTokens] Error en ciclo de renovación:', error);
+
+        await MetricasModel.logWorker({
+            worker_name: 'renovacion_tokens',
+            tipo: 'tokens',
+            estado: 'error',
+            mensaje: error.message
+        });
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Inicia el worker de renovación de tokens
+ */
+export const iniciar = () => {
+    if (intervalId) {
+        console.log('[RenovacionTokens] Worker ya está corriendo');
+        return;
+    }
+
+    console.log(`[RenovacionTokens] Iniciando worker con intervalo de ${INTERVALO_TOKENS / 1000 / 60} minutos`);
+
+    ejecutarCiclo();
+    intervalId = setInterval(ejecutarCiclo, INTERVALO_TOKENS);
+};
+
+/**
+ * Detiene el worker de renovación de tokens
+ */
+export const detener = () => {
+    if (intervalId) {
+        clearInterval(intervalId);
+        intervalId = null;
+        console.log('[RenovacionTokens] Worker detenido');
+    }
+};
+
+/**
+ * Obtiene el estado del worker
+ */
+export const getEstado = () => {
+    return {
+        ejecutando: isRunning,
+        activo: intervalId !== null,
+        intervalo_ms: INTERVALO_TOKENS
+    };
+};
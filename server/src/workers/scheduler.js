@@ -4,16 +4,36 @@
  * @module workers/scheduler
  */
 
+import os from 'os';
 import * as PublicacionesModel from '../models/publicaciones.model.js';
 import * as ContenidoModel from '../models/contenido.model.js';
 import * as ImagenesModel from '../models/imagenes.model.js';
+import * as VideosModel from '../models/videos.model.js';
 import * as MetricasModel from '../models/metricas.model.js';
-import * as MetaService from '../services/meta.service.js';
-import * as LinkedInService from '../services/linkedin.service.js';
+import * as IntentosPublicacionModel from '../models/intentosPublicacion.model.js';
+import * as Platforms from '../services/platforms/index.js';
+import * as ValidacionService from '../services/validacion.service.js';
+import * as RecurrenciaService from '../services/recurrencia.service.js';
+import * as BloqueosService from '../services/bloqueos.service.js';
+import * as CuotaPublicacionService from '../services/cuotaPublicacion.service.js';
+import { evaluarFallo, categorizarError, MAX_INTENTOS } from '../utils/retryPolicy.js';
+import { esLimiteDeCuota, ESPERA_CUOTA_DESCONOCIDA_MS } from '../utils/cuotaPublicacion.js';
+import { seleccionarImagenes, parsearIdsImagenes } from '../utils/variantes.js';
+import { descifrarToken } from '../utils/cifradoTokens.js';
 
 // Intervalo de revisión en milisegundos (por defecto 5 minutos)
 const INTERVALO_REVISION = parseInt(process.env.SCHEDULER_INTERVAL) || 5 * 60 * 1000;
 
+// Duración del lease sobre cada publicación reclamada (por defecto 10 minutos)
+// Debe cubrir el tiempo máximo de una publicación, incluida la espera de contenedores de IG
+const LEASE_SEGUNDOS = parseInt(process.env.SCHEDULER_LEASE_SECONDS) || 10 * 60;
+
+// Máximo de publicaciones que una instancia procesa por ciclo
+const MAX_POR_CICLO = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 50;
+
+// Identificador de esta instancia (réplica de Railway o host + pid)
+export const INSTANCIA_ID = process.env.RAILWAY_REPLICA_ID || `${os.hostname()}-${process.pid}`;
+
 // Estado del worker
 let isRunning = false;
 let intervalId = null;
@@ -40,47 +60,83 @@ export const ejecutarCiclo = async () => {
             worker_name: 'scheduler',
             tipo: 'scheduler',
             estado: 'iniciado',
-            mensaje: 'Iniciando revisión de publicaciones programadas'
+            mensaje: `Iniciando revisión de publicaciones programadas (instancia ${INSTANCIA_ID})`
         });
 
-        // Obtener publicaciones pendientes listas para publicar
-        const pendientes = await PublicacionesModel.getPendientesParaPublicar();
-        console.log(`[Scheduler] ${pendientes.length} publicación(es) listas para publicar`);
+        // Recuperar publicaciones de instancias caídas (lease vencido)
+        const recuperadas = await PublicacionesModel.liberarLeasesVencidos();
+        if (recuperadas > 0) {
+            console.log(`[Scheduler] ♻️ ${recuperadas} lease(s) vencido(s) liberado(s)`);
+        }
 
-        for (const publicacion of pendientes) {
-            try {
-                console.log(`[Scheduler] Procesando publicación ID ${publicacion.id}...`);
+        // Asegurar la siguiente ocurrencia de cada serie recurrente o evergreen
+        const materializadas = await RecurrenciaService.materializarPendientes();
+        if (materializadas > 0) {
+            console.log(`[Scheduler] 🔁 ${materializadas} ocurrencia(s) de series programada(s)`);
+        }
 
-                // Publicar según la plataforma
-                const resultado = await publicarEnPlataforma(publicacion);
+        // Con una pausa o una ventana de bloqueo vigente no se publica: lo vencido queda retenido
+        const bloqueo = await BloqueosService.estadoActual();
+        if (bloqueo.bloqueado) {
+            const retenidas = await BloqueosService.retenerVencidas();
+            const motivo = (bloqueo.pausa || bloqueo.ventana).motivo;
+            console.log(`[Scheduler] ⏸️ Publicación bloqueada (${motivo}): ${retenidas} publicación(es) retenida(s)`);
+        } else {
+            await BloqueosService.liberarRetenidas();
+        }
 
-                if (resultado.success) {
-                    // Actualizar estado a enviado
-                    await PublicacionesModel.updateEstado(publicacion.id, 'enviado', {
-                        response_api: resultado,
-                        external_post_id: resultado.post_id || null
-                    });
+        // Reclamar publicaciones una a una: cada fila queda reservada para esta instancia
+        const limite = bloqueo.bloqueado ? 0 : MAX_POR_CICLO;
+        for (let reclamadas = 0; reclamadas < limite; reclamadas++) {
+            const publicacion = await PublicacionesModel.reclamarSiguiente(INSTANCIA_ID, LEASE_SEGUNDOS);
+            if (!publicacion) break;
 
-                    // Actualizar estado del contenido a publicado
-                    await ContenidoModel.updateEstado(publicacion.contenido_id, 'publicado');
+            const numeroIntento = (publicacion.intentos || 0) + 1;
 
-                    console.log(`[Scheduler] ✅ Publicación ${publicacion.id} enviada exitosamente`);
-                } else {
-                    // Marcar como fallida
-                    await PublicacionesModel.updateEstado(publicacion.id, 'fallido', {
-                        response_api: resultado
-                    });
+            // Si la cuenta agotó su cuota o publicó hace poco, se aplaza sin consumir un intento
+            try {
+                const cuota = await CuotaPublicacionService.comprobar(publicacion);
+                if (!cuota.permitido) {
+                    await aplazarPorCuota(publicacion, cuota.siguiente, cuota.motivo);
+                    continue;
+                }
+            } catch (error) {
+                // No se envió nada: la publicación vuelve a ser reclamable cuando venza el lease
+                console.error(`[Scheduler] Error comprobando la cuota de la publicación ${publicacion.id}:`, error);
+                continue;
+            }
 
-                    console.log(`[Scheduler] ❌ Publicación ${publicacion.id} falló: ${resultado.error}`);
+            console.log(`[Scheduler] Procesando publicación ID ${publicacion.id} (intento ${numeroIntento}/${MAX_INTENTOS})...`);
+
+            // Publicar según la plataforma: solo un error del envío cuenta como intento fallido
+            let resultado;
+            try {
+                resultado = await publicarEnPlataforma(publicacion);
+            } catch (error) {
+                console.error(`[Scheduler] Error procesando publicación ${publicacion.id}:`, error);
+                resultado = { success: false, error: error.message };
+            }
+
+            try {
+                if (resultado.success) {
+                    await registrarExito(publicacion, numeroIntento, resultado);
+                } else if (esLimiteDeCuota(resultado)) {
+                    // La red rechazó el envío por límite: se reintenta más tarde sin contarlo como fallo
+                    const siguiente = new Date(Date.now() + ESPERA_CUOTA_DESCONOCIDA_MS);
+                    await registrarIntento(publicacion, numeroIntento, 'aplazado', resultado, siguiente);
+                    await aplazarPorCuota(publicacion, siguiente, `límite de la plataforma (${resultado.error})`);
+                } else {
+                    await registrarFallo(publicacion, numeroIntento, resultado);
                 }
 
                 itemsProcesados++;
             } catch (error) {
-                console.error(`[Scheduler] Error procesando publicación ${publicacion.id}:`, error);
+                // El envío ya terminó: un error al registrarlo nunca provoca un reintento
+                console.error(`[Scheduler] Error registrando el resultado de la publicación ${publicacion.id}:`, error);
 
-                await PublicacionesModel.updateEstado(publicacion.id, 'fallido', {
-                    response_api: { error: error.message }
-                });
+                if (resultado.success) {
+                    await asegurarEnviado(publicacion, numeroIntento, resultado);
+                }
             }
         }
 
@@ -113,89 +169,225 @@ export const ejecutarCiclo = async () => {
 };
 
 /**
- * Publica contenido en la plataforma correspondiente
+ * Cierra una publicación enviada con éxito
  * @param {Object} publicacion - Datos de la publicación
- * @returns {Promise<Object>} Resultado de la publicación
+ * @param {number} numeroIntento - Número del intento
+ * @param {Object} resultado - Resultado de publicarEnPlataforma
  */
-const publicarEnPlataforma = async (publicacion) => {
-    const { contenido_id, cuenta_plataforma, access_token, page_id, copy_texto, contenido_texto, titulo } = publicacion;
+const registrarExito = async (publicacion, numeroIntento, resultado) => {
+    const cerrada = await PublicacionesModel.updateEstado(
+        publicacion.id, 'enviado', datosEnviado(numeroIntento, resultado), publicacion.lease_owner
+    );
 
-    // Preparar el contenido
-    const texto = copy_texto || contenido_texto || titulo;
+    await registrarIntento(publicacion, numeroIntento, 'exito', resultado);
 
-    if (!texto) {
-        return { success: false, error: 'No hay contenido de texto para publicar' };
+    if (!cerrada) {
+        avisarLeasePerdido(publicacion, 'enviada');
+        return;
     }
 
-    if (!access_token) {
-        return { success: false, error: 'Token de acceso no disponible' };
+    // El contenido queda publicado cuando se ha enviado a todas sus cuentas destino
+    const restantes = await PublicacionesModel.contarPendientesPorContenido(publicacion.contenido_id);
+    if (restantes === 0) {
+        await ContenidoModel.updateEstado(publicacion.contenido_id, 'publicado');
     }
 
-    // Obtener imágenes asociadas al contenido
-    let imageUrl = null;
-    let images = [];
+    await RecurrenciaService.trasPublicacion(publicacion, true);
+
+    console.log(`[Scheduler] ✅ Publicación ${publicacion.id} enviada exitosamente`);
+};
+
+/**
+ * Campos con los que una publicación queda como enviada
+ * @param {number} numeroIntento - Número del intento
+ * @param {Object} resultado - Resultado de publicarEnPlataforma
+ * @returns {Object} Extras para PublicacionesModel.updateEstado
+ */
+const datosEnviado = (numeroIntento, resultado) => ({
+    response_api: resultado,
+    external_post_id: resultado.post_id || null,
+    texto_publicado: resultado.texto_publicado,
+    intentos: numeroIntento,
+    ultimo_error: null
+});
+
+/**
+ * Vuelve a marcar como enviada una publicación cuyo registro falló a medias
+ * Si la fila siguiera pendiente, al vencer el lease se publicaría otra vez
+ * @param {Object} publicacion - Datos de la publicación
+ * @param {number} numeroIntento - Número del intento
+ * @param {Object} resultado - Resultado de publicarEnPlataforma
+ */
+const asegurarEnviado = async (publicacion, numeroIntento, resultado) => {
     try {
-        console.log(`[Scheduler] Buscando imágenes para contenido ${contenido_id}...`);
-        const imagenes = await ImagenesModel.getByContenido(contenido_id);
-        console.log(`[Scheduler] Resultado DB imágenes:`, imagenes);
-        
-        if (imagenes && imagenes.length > 0) {
-            imageUrl = imagenes[0].url_imagen;
-            images = imagenes.map(img => img.url_imagen);
-            console.log(`[Scheduler] ${images.length} imágenes encontradas. URL principal: ${imageUrl}`);
-        } else {
-            console.log(`[Scheduler] ⚠️ No se encontraron imágenes en DB para contenido ${contenido_id}`);
-        }
+        await PublicacionesModel.updateEstado(
+            publicacion.id, 'enviado', datosEnviado(numeroIntento, resultado), publicacion.lease_owner
+        );
     } catch (error) {
-        console.error(`[Scheduler] Error obteniendo imágenes para contenido ${contenido_id}:`, error);
+        console.error(`[Scheduler] ⚠️ Publicación ${publicacion.id} enviada pero no se pudo marcar como enviada:`, error);
+    }
+};
+
+/**
+ * Aplaza una publicación hasta que su cuenta tenga cuota disponible
+ * @param {Object} publicacion - Datos de la publicación
+ * @param {Date} siguiente - Momento en que vuelve a ser reclamable
+ * @param {string} motivo - Motivo del aplazamiento
+ */
+const aplazarPorCuota = async (publicacion, siguiente, motivo) => {
+    const aplazada = await PublicacionesModel.aplazar(
+        publicacion.id, siguiente, `Aplazada por cuota: ${motivo}`, publicacion.lease_owner
+    );
+    if (!aplazada) {
+        avisarLeasePerdido(publicacion, 'aplazada');
+        return;
     }
+    console.log(`[Scheduler] ⏳ Publicación ${publicacion.id} aplazada hasta ${siguiente.toISOString()} (${motivo})`);
+};
+
+/**
+ * Avisa de que otra instancia reclamó la publicación (lease vencido) o ya no está pendiente
+ * Esta instancia no toca la fila: su estado lo decide quien la tiene ahora
+ * @param {Object} publicacion - Datos de la publicación
+ * @param {string} accion - Cómo iba a quedar la publicación
+ */
+const avisarLeasePerdido = (publicacion, accion) => {
+    console.warn(`[Scheduler] ⚠️ Publicación ${publicacion.id} no se marcó como ${accion}: su lease lo tiene otra instancia o ya no está pendiente`);
+};
 
-    // Validación previa a publicación
-    const tipoContenido = publicacion.tipo || 'post';
-    const tieneTexto = !!texto;
-    const tieneImagenes = images.length > 0;
+/**
+ * Guarda un intento en el historial de la publicación
+ * El resumen del envío y la duración van en sus columnas; el resto es la respuesta de la red
+ * @param {Object} publicacion - Datos de la publicación
+ * @param {number} numeroIntento - Número del intento
+ * @param {string} tipo - 'exito' | 'error_temporal' | 'error_permanente' | 'aplazado'
+ * @param {Object} resultado - Resultado de publicarEnPlataforma
+ * @param {Date|null} proximoIntento - Cuándo se vuelve a intentar
+ */
+const registrarIntento = async (publicacion, numeroIntento, tipo, resultado, proximoIntento = null) => {
+    const { resumen_envio = null, duracion_ms = null, ...respuesta } = resultado;
+
+    await IntentosPublicacionModel.registrar({
+        publicacion_id: publicacion.id,
+        numero_intento: numeroIntento,
+        resultado: tipo,
+        instancia: INSTANCIA_ID,
+        error: resultado.error || null,
+        categoria_error: tipo === 'exito' ? null : categorizarError(resultado),
+        resumen_envio,
+        response_api: respuesta,
+        duracion_ms,
+        proximo_intento: proximoIntento
+    });
+};
 
-    if (tipoContenido === 'imagen' || tipoContenido === 'carrusel') {
-        if (!tieneImagenes) {
-            return { success: false, error: `El contenido tipo '${tipoContenido}' requiere imágenes pero no se encontraron.` };
+/**
+ * Registra un intento fallido y decide si se reintenta o se marca como fallida
+ * @param {Object} publicacion - Datos de la publicación
+ * @param {number} numeroIntento - Número del intento actual
+ * @param {Object} resultado - Resultado fallido de la publicación
+ */
+const registrarFallo = async (publicacion, numeroIntento, resultado) => {
+    const { reintentar, categoria, proximo_intento } = evaluarFallo(numeroIntento, resultado);
+
+    await registrarIntento(
+        publicacion,
+        numeroIntento,
+        categoria === 'permanente' ? 'error_permanente' : 'error_temporal',
+        resultado,
+        proximo_intento
+    );
+
+    if (reintentar) {
+        const programado = await PublicacionesModel.programarReintento(publicacion.id, {
+            intentos: numeroIntento,
+            proximo_intento,
+            ultimo_error: resultado.error,
+            response_api: resultado
+        }, publicacion.lease_owner);
+        if (!programado) {
+            avisarLeasePerdido(publicacion, 'pendiente de reintento');
+            return;
         }
+
+        console.log(`[Scheduler] 🔁 Publicación ${publicacion.id} falló (${resultado.error}). Reintento programado para ${proximo_intento.toISOString()}`);
+        return;
     }
 
-    if (!tieneTexto && !tieneImagenes) {
-        return { success: false, error: 'La publicación está vacía (sin texto ni imágenes).' };
+    const cerrada = await PublicacionesModel.updateEstado(publicacion.id, 'fallido', {
+        response_api: resultado,
+        intentos: numeroIntento,
+        ultimo_error: resultado.error
+    }, publicacion.lease_owner);
+    if (!cerrada) {
+        avisarLeasePerdido(publicacion, 'fallida');
+        return;
     }
 
-    switch (cuenta_plataforma) {
-        case 'facebook':
-            console.log(`[Scheduler] Llamando a publishToFacebook con:`, { 
-                message: texto, 
-                imageUrl, 
-                imagesCount: images.length 
-            });
-            return await MetaService.publishToFacebook(page_id, access_token, { 
-                message: texto,
-                image_url: imageUrl,
-                images: images
-            });
-
-        case 'instagram':
-            if (!imageUrl && images.length === 0) {
-                return { success: false, error: 'Instagram requiere una imagen para publicar' };
-            }
-            return await MetaService.publishToInstagram(page_id, access_token, {
-                caption: texto,
-                image_url: imageUrl,
-                images: images
-            });
-
-        case 'linkedin':
-            // LinkedIn usa el URN del usuario
-            const personUrn = `urn:li:person:${page_id}`;
-            return await LinkedInService.publishPost(access_token, personUrn, { text: texto });
-
-        default:
-            return { success: false, error: `Plataforma no soportada: ${cuenta_plataforma}` };
+    // Un fallo definitivo no detiene la serie: se programa la siguiente ocurrencia
+    await RecurrenciaService.trasPublicacion(publicacion, false);
+
+    const motivo = categoria === 'permanente' ? 'error permanente' : 'intentos agotados';
+    console.log(`[Scheduler] ❌ Publicación ${publicacion.id} falló (${motivo}): ${resultado.error}`);
+};
+
+/**
+ * Publica contenido en la plataforma correspondiente mediante su adaptador
+ * @param {Object} publicacion - Datos de la publicación
+ * @returns {Promise<Object>} Resultado de la publicación
+ */
+const publicarEnPlataforma = async (publicacion) => {
+    const { contenido_id, cuenta_plataforma, access_token, page_id } = publicacion;
+
+    const adapter = Platforms.getAdapter(cuenta_plataforma);
+    if (!adapter) {
+        return { success: false, error: `Plataforma no soportada: ${cuenta_plataforma}`, permanente: true };
     }
+
+    if (!access_token) {
+        return { success: false, error: 'Token de acceso no disponible', permanente: true };
+    }
+
+    // Medios asociados al contenido
+    const [registrosImagenes, videos] = await Promise.all([
+        ImagenesModel.getByContenido(contenido_id),
+        VideosModel.getByContenido(contenido_id)
+    ]);
+    // La variante de la plataforma puede usar solo algunas imágenes
+    const seleccion = seleccionarImagenes(registrosImagenes, parsearIdsImagenes(publicacion.variante_imagenes_ids));
+    const imagenes = await ValidacionService.completarMetadatosImagenes(seleccion);
+    console.log(`[Scheduler] Contenido ${contenido_id}: ${imagenes.length} imagen(es), ${videos.length} video(s)`);
+
+    const pieza = Platforms.prepararPieza({
+        tipo: publicacion.tipo,
+        titulo: publicacion.titulo,
+        copy_texto: publicacion.copy_texto,
+        contenido: publicacion.contenido_texto,
+        imagenes,
+        videos
+    });
+
+    // Validación previa a publicación (límites de la plataforma)
+    const { errores, advertencias } = adapter.validate(pieza);
+    if (errores.length > 0) {
+        return { success: false, error: errores.join('. '), permanente: true };
+    }
+    if (advertencias.length > 0) {
+        console.warn(`[Scheduler] ⚠️ Publicación ${publicacion.id}: ${advertencias.join('. ')}`);
+    }
+
+    console.log(`[Scheduler] Publicando ${pieza.tipo} de contenido ${contenido_id} en ${cuenta_plataforma}`);
+
+    const inicio = Date.now();
+    const resultado = await adapter.publish({ page_id, access_token: descifrarToken(access_token) }, pieza);
+
+    // Se guarda el texto enviado para poder editarlo después desde la app
+    return {
+        ...resultado,
+        texto_publicado: pieza.texto,
+        resumen_envio: Platforms.resumirPieza(pieza),
+        duracion_ms: Date.now() - inicio
+    };
 };
 
 /**
@@ -238,7 +430,10 @@ export const getEstado = () => {
         ejecutando: isRunning,
         activo: intervalId !== null,
         intervalo_ms: INTERVALO_REVISION,
-        intervalo_minutos: INTERVALO_REVISION / 60000
+        intervalo_minutos: INTERVALO_REVISION / 60000,
+        max_intentos: MAX_INTENTOS,
+        instancia: INSTANCIA_ID,
+        lease_segundos: LEASE_SEGUNDOS
     };
 };
 
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests unitarios para los bloqueos de publicación
+ * @description Pruebas de ventanas de bloqueo, pausa global y reparto de retenidas
+ */
+
+import {
+    validarVentana,
+    bloqueoEn,
+    siguienteHueco,
+    repartirRetenidas
+} from '../../src/utils/bloqueos.js';
+
+const HORA = 60 * 60 * 1000;
+const fecha = (texto) => new Date(texto);
+
+const VENTANA = { inicio: fecha('2026-12-24T00:00:00'), fin: fecha('2026-12-26T00:00:00') };
+const PAUSA = { inicio: fecha('2026-12-01T00:00:00'), fin: null };
+
+describe('Bloqueos de publicación', () => {
+
+    describe('validarVentana()', () => {
+        test('debe aceptar una ventana futura con motivo', () => {
+            expect(validarVentana({ inicio: '2099-01-01T00:00', fin: '2099-01-02T00:00', motivo: 'Festivo' })).toEqual([]);
+        });
+
+        test('debe rechazar fechas invertidas y motivo vacío', () => {
+            const errores = validarVentana({ inicio: '2099-01-02T00:00', fin: '2099-01-01T00:00', motivo: ' ' });
+            expect(errores).toHaveLength(2);
+        });
+    });
+
+    describe('bloqueoEn()', () => {
+        test('debe detectar ventanas con fin excluido', () => {
+            expect(bloqueoEn([VENTANA], fecha('2026-12-25T10:00:00'))).toBe(VENTANA);
+            expect(bloqueoEn([VENTANA], fecha('2026-12-26T00:00:00'))).toBeNull();
+        });
+
+        test('una pausa sin fin bloquea desde su inicio', () => {
+            expect(bloqueoEn([PAUSA], fecha('2027-06-01T00:00:00'))).toBe(PAUSA);
+            expect(bloqueoEn([PAUSA], fecha('2026-11-30T23:00:00'))).toBeNull();
+        });
+    });
+
+    describe('siguienteHueco()', () => {
+        test('debe saltar al final de la ventana', () => {
+            const hueco = siguienteHueco(fecha('2026-12-25T09:00:00'), { bloqueos: [VENTANA], separacionMs: HORA });
+            expect(hueco).toEqual(VENTANA.fin);
+        });
+
+        test('debe separarse de lo ya programado', () => {
+            const hueco = siguienteHueco(fecha('2026-12-26T00:00:00'), {
+                bloqueos: [VENTANA],
+                ocupadas: [fecha('2026-12-26T00:30:00')],
+                separacionMs: HORA
+            });
+            expect(hueco).toEqual(fecha('2026-12-26T01:30:00'));
+        });
+
+        test('debe devolver null con una pausa abierta', () => {
+            expect(siguienteHueco(fecha('2026-12-02T00:00:00'), { bloqueos: [PAUSA], separacionMs: HORA })).toBeNull();
+        });
+    });
+
+    describe('repartirRetenidas()', () => {
+        test('debe conservar el orden original y espaciar las publicaciones', () => {
+            const retenidas = [
+                { id: 2, fecha_programada: fecha('2026-12-25T12:00:00') },
+                { id: 1, fecha_programada: fecha('2026-12-24T09:00:00') },
+                { id: 3, fecha_programada: fecha('2026-12-25T12:00:00') }
+            ];
+
+            const reparto = repartirRetenidas(retenidas, {
+                desde: fecha('2026-12-26T00:00:00'),
+                separacionMs: HORA
+            });
+
+            expect(reparto.map(r => r.id)).toEqual([1, 2, 3]);
+            expect(reparto.map(r => r.fecha_programada.getHours())).toEqual([0, 1, 2]);
+        });
+
+        test('debe evitar las ventanas futuras', () => {
+            const reparto = repartirRetenidas(
+                [{ id: 1, fecha_programada: fecha('2026-12-20T09:00:00') }],
+                { desde: fecha('2026-12-23T23:30:00'), bloqueos: [VENTANA], ocupadas: [fecha('2026-12-23T23:00:00')], separacionMs: HORA }
+            );
+            expect(reparto[0].fecha_programada).toEqual(VENTANA.fin);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Tests unitarios para el cifrado de tokens
+ * @description Pruebas del cifrado por sobre, la compatibilidad con tokens en claro y la rotación de clave
+ */
+
+import {
+    cargarClaves,
+    cifrarToken,
+    descifrarToken,
+    estaCifrado,
+    necesitaRotacion,
+    rotarToken
+} from '../../src/utils/cifradoTokens.js';
+
+describe('Cifrado de tokens', () => {
+    const claveA = Buffer.alloc(32, 1).toString('base64');
+    const claveB = Buffer.alloc(32, 2).toString('hex');
+    const clavesA = cargarClaves({ TOKENS_KEY: claveA });
+
+    test('debe cifrar y descifrar un token sin dejarlo en claro', () => {
+        const cifrado = cifrarToken('EAAB-token-secreto', clavesA);
+
+        expect(estaCifrado(cifrado)).toBe(true);
+        expect(cifrado).not.toContain('token-secreto');
+        expect(cifrarToken('EAAB-token-secreto', clavesA)).not.toBe(cifrado);
+        expect(descifrarToken(cifrado, clavesA)).toBe('EAAB-token-secreto');
+    });
+
+    test('debe devolver tal cual los tokens anteriores al cifrado y los vacíos', () => {
+        expect(descifrarToken('token-en-claro', clavesA)).toBe('token-en-claro');
+        expect(cifrarToken(null, clavesA)).toBeNull();
+        expect(descifrarToken(null, clavesA)).toBeNull();
+    });
+
+    test('debe exigir una clave válida', () => {
+        expect(() => cifrarToken('token', cargarClaves({}))).toThrow('TOKENS_KEY');
+        expect(() => cargarClaves({ TOKENS_KEY: 'corta' })).toThrow('32 bytes');
+    });
+
+    test('debe detectar una manipulación del token cifrado', () => {
+        const cifrado = cifrarToken('token', clavesA);
+        const partes = cifrado.split('.');
+        partes[5] = Buffer.from('otro-contenido').toString('base64url');
+        expect(() => descifrarToken(partes.join('.'), clavesA)).toThrow();
+    });
+
+    describe('rotación de clave', () => {
+        const clavesB = cargarClaves({ TOKENS_KEY: claveB, TOKENS_KEYS_ANTERIORES: claveA });
+
+        test('debe volver a cifrar con la clave nueva conservando el token', () => {
+            const antiguo = cifrarToken('token', clavesA);
+            expect(necesitaRotacion(antiguo, clavesB)).toBe(true);
+
+            const rotado = rotarToken(antiguo, clavesB);
+            expect(necesitaRotacion(rotado, clavesB)).toBe(false);
+            expect(rotado.split('.')[5]).toBe(antiguo.split('.')[5]);
+            expect(descifrarToken(rotado, cargarClaves({ TOKENS_KEY: claveB }))).toBe('token');
+        });
+
+        test('debe cifrar los tokens que seguían en claro', () => {
+            const rotado = rotarToken('token-en-claro', clavesB);
+            expect(estaCifrado(rotado)).toBe(true);
+            expect(descifrarToken(rotado, clavesB)).toBe('token-en-claro');
+        });
+
+        test('debe avisar si falta la clave con la que se cifró', () => {
+            const antiguo = cifrarToken('token', clavesA);
+            expect(() => descifrarToken(antiguo, cargarClaves({ TOKENS_KEY: claveB }))).toThrow('TOKENS_KEYS_ANTERIORES');
+        });
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests unitarios para la cola de publicación
+ * @description Pruebas de generación de franjas y asignación de la cola
+ */
+
+import { validarFranjas, generarSlots, asignarSlots } from '../../src/utils/colaPublicacion.js';
+
+// Lunes, miércoles y viernes a las 09:00
+const FRANJAS = [
+    { dia_semana: 1, hora: '09:00:00' },
+    { dia_semana: 3, hora: '09:00:00' },
+    { dia_semana: 5, hora: '09:00:00' }
+];
+
+// Lunes 5 de enero de 2026
+const LUNES = new Date(2026, 0, 5, 8, 0);
+
+describe('Cola de publicación', () => {
+
+    describe('validarFranjas()', () => {
+        test('debe aceptar franjas válidas', () => {
+            expect(validarFranjas(FRANJAS)).toEqual([]);
+        });
+
+        test('debe rechazar días y horas fuera de rango', () => {
+            expect(validarFranjas([{ dia_semana: 7, hora: '09:00' }, { dia_semana: 1, hora: '24:00' }])).toHaveLength(2);
+        });
+
+        test('debe exigir un array', () => {
+            expect(validarFranjas(null)).toHaveLength(1);
+        });
+    });
+
+    describe('generarSlots()', () => {
+        test('debe generar las franjas en orden cronológico', () => {
+            const slots = generarSlots(FRANJAS, LUNES, { max: 4 });
+            expect(slots.map(s => s.getDate())).toEqual([5, 7, 9, 12]);
+            expect(slots[0].getHours()).toBe(9);
+        });
+
+        test('debe saltar franjas ocupadas y respetar el fin del rango', () => {
+            const ocupadas = new Set([new Date(2026, 0, 7, 9, 0).getTime()]);
+            const slots = generarSlots(FRANJAS, LUNES, { hasta: new Date(2026, 0, 10), ocupadas });
+            expect(slots.map(s => s.getDate())).toEqual([5, 9]);
+        });
+
+        test('debe devolver vacío sin franjas', () => {
+            expect(generarSlots([], LUNES)).toEqual([]);
+        });
+    });
+
+    describe('asignarSlots()', () => {
+        test('debe reasignar en orden y marcar los cambios', () => {
+            const items = [
+                { id: 10, fecha_programada: new Date(2026, 0, 5, 9, 0) },
+                { id: 11, fecha_programada: new Date(2026, 0, 9, 9, 0) }
+            ];
+            const asignaciones = asignarSlots(items, FRANJAS, LUNES);
+
+            expect(asignaciones).toEqual([
+                { id: 10, fecha_programada: new Date(2026, 0, 5, 9, 0), cambia: false },
+                { id: 11, fecha_programada: new Date(2026, 0, 7, 9, 0), cambia: true }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Tests unitarios para la cuota de publicación por cuenta
+ * @description Pruebas del límite por ventana, la separación mínima y los errores de cuota
+ */
+
+import {
+    resolverCuota,
+    validarCuota,
+    evaluarCuota,
+    esLimiteDeCuota,
+    ESPERA_CUOTA_DESCONOCIDA_MS
+} from '../../src/utils/cuotaPublicacion.js';
+
+const AHORA = new Date('2026-03-10T12:00:00');
+const haceHoras = (horas) => new Date(AHORA.getTime() - horas * 60 * 60 * 1000);
+const IG = { max: 25, ventana_horas: 24, separacion_minutos: 10 };
+
+describe('Cuota de publicación', () => {
+
+    describe('resolverCuota()', () => {
+        test('debe usar la cuota de la plataforma por defecto', () => {
+            expect(resolverCuota({}, IG)).toEqual({ max: 25, ventanaMs: 24 * 3600000, separacionMs: 600000 });
+        });
+
+        test('la configuración de la cuenta tiene prioridad', () => {
+            const cuota = resolverCuota({ limite_publicaciones: 5, ventana_limite_horas: 12, separacion_minima_min: 0 }, IG);
+            expect(cuota).toEqual({ max: 5, ventanaMs: 12 * 3600000, separacionMs: 0 });
+        });
+    });
+
+    describe('validarCuota()', () => {
+        test('debe rechazar valores negativos o ventanas vacías', () => {
+            expect(validarCuota({ limite_publicaciones: 10, ventana_limite_horas: 24 })).toEqual([]);
+            expect(validarCuota({ limite_publicaciones: -1, ventana_limite_horas: 0, separacion_minima_min: 1.5 })).toHaveLength(3);
+        });
+    });
+
+    describe('evaluarCuota()', () => {
+        const cuota = resolverCuota({ limite_publicaciones: 2, ventana_limite_horas: 24, separacion_minima_min: 30 });
+
+        test('debe permitir publicar con cuota libre', () => {
+            expect(evaluarCuota({ cuota, envios: [haceHoras(5)], ahora: AHORA }).permitido).toBe(true);
+        });
+
+        test('debe aplazar hasta que el envío más antiguo salga de la ventana', () => {
+            const resultado = evaluarCuota({ cuota, envios: [haceHoras(2), haceHoras(20), haceHoras(30)], ahora: AHORA });
+            expect(resultado.permitido).toBe(false);
+            expect(resultado.siguiente).toEqual(new Date(haceHoras(20).getTime() + 24 * 3600000));
+        });
+
+        test('debe respetar la separación mínima', () => {
+            const resultado = evaluarCuota({ cuota, envios: [haceHoras(0.25)], ahora: AHORA });
+            expect(resultado.permitido).toBe(false);
+            expect(resultado.siguiente).toEqual(new Date(haceHoras(0.25).getTime() + 30 * 60000));
+        });
+
+        test('debe usar el uso informado por la red si es mayor', () => {
+            const resultado = evaluarCuota({ cuota, envios: [], usoApi: 2, ahora: AHORA });
+            expect(resultado.permitido).toBe(false);
+            expect(resultado.siguiente).toEqual(new Date(AHORA.getTime() + ESPERA_CUOTA_DESCONOCIDA_MS));
+        });
+    });
+
+    describe('esLimiteDeCuota()', () => {
+        test('debe reconocer los límites de Meta y LinkedIn', () => {
+            expect(esLimiteDeCuota({ code: 4 })).toBe(true);
+            expect(esLimiteDeCuota({ code: 9, subcode: 2207042 })).toBe(true);
+            expect(esLimiteDeCuota({ status: 429 })).toBe(true);
+            expect(esLimiteDeCuota({ code: 190 })).toBe(false);
+        });
+    });
+});
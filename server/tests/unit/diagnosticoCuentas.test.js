@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Tests unitarios para el diagnóstico de cuentas conectadas
+ * @description Pruebas de permisos faltantes y de la evaluación de cada comprobación
+ */
+
+import { scopesFaltantes, evaluarDiagnostico } from '../../src/utils/diagnosticoCuentas.js';
+
+describe('Diagnóstico de cuentas', () => {
+    const ahora = new Date('2026-03-10T09:00:00Z');
+    const enDias = (dias) => new Date(ahora.getTime() + dias * 24 * 3600 * 1000);
+    const cuenta = { plataforma: 'instagram', estado: 'conectada', token_expires_at: enDias(40) };
+    const porClave = (diagnostico, clave) => diagnostico.comprobaciones.find(c => c.clave === clave);
+
+    test('scopesFaltantes() debe devolver los permisos requeridos no concedidos', () => {
+        expect(scopesFaltantes('instagram', ['instagram_basic'])).toEqual(['instagram_content_publish']);
+        expect(scopesFaltantes('facebook', ['pages_manage_posts', 'pages_show_list'])).toEqual([]);
+        expect(scopesFaltantes('linkedin', [])).toEqual(['w_member_social']);
+    });
+
+    test('debe dar ok a una cuenta sana y usar la caducidad que informa la red', () => {
+        const diagnostico = evaluarDiagnostico(cuenta, {
+            success: true, valido: true, scopes: ['instagram_content_publish'], enlace: true, expira_at: null
+        }, ahora);
+
+        expect(diagnostico.estado).toBe('ok');
+        expect(diagnostico.dias_para_caducar).toBeNull();
+        expect(diagnostico.comprobaciones.map(c => c.clave)).toEqual(['token', 'permisos', 'enlace', 'caducidad']);
+    });
+
+    test('debe marcar error con la forma de corregirlo si faltan permisos o se perdió el enlace', () => {
+        const diagnostico = evaluarDiagnostico(cuenta, {
+            success: true, valido: true, scopes: ['instagram_basic'], enlace: false
+        }, ahora);
+
+        expect(diagnostico.estado).toBe('error');
+        expect(porClave(diagnostico, 'permisos')).toMatchObject({ nivel: 'error', accion: 'reconectar' });
+        expect(porClave(diagnostico, 'permisos').detalle).toContain('instagram_content_publish');
+        expect(porClave(diagnostico, 'enlace').solucion).toMatch(/vincular/);
+        expect(porClave(diagnostico, 'caducidad')).toMatchObject({ nivel: 'ok', detalle: 'Caduca en 40 días' });
+    });
+
+    test('no debe revisar permisos ni enlace con un token inválido o una cuenta expirada', () => {
+        const invalido = evaluarDiagnostico(cuenta, { success: true, valido: false, scopes: [], enlace: false }, ahora);
+        expect(invalido.comprobaciones.map(c => c.clave)).toEqual(['token', 'caducidad']);
+        expect(porClave(invalido, 'token')).toMatchObject({ nivel: 'error', accion: 'reconectar' });
+
+        const expirada = evaluarDiagnostico({ ...cuenta, estado: 'expirada', token_expires_at: enDias(-2) }, { success: true }, ahora);
+        expect(expirada.estado).toBe('error');
+        expect(porClave(expirada, 'caducidad').detalle).toBe('El token caducó');
+    });
+
+    test('debe advertir si no se pudo consultar la red o el token caduca pronto', () => {
+        const sinRed = evaluarDiagnostico(cuenta, { success: false, error: 'timeout' }, ahora);
+        expect(sinRed.estado).toBe('advertencia');
+        expect(porClave(sinRed, 'token').detalle).toContain('timeout');
+
+        const pronto = evaluarDiagnostico({ ...cuenta, token_expires_at: enDias(3) }, {
+            success: true, valido: true, scopes: null, enlace: null
+        }, ahora);
+        expect(pronto.estado).toBe('advertencia');
+        expect(pronto.comprobaciones.map(c => c.clave)).toEqual(['token', 'caducidad']);
+        expect(porClave(pronto, 'caducidad').detalle).toBe('Caduca en 3 día(s)');
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Tests unitarios para la lectura de dimensiones de imágenes
+ * @description Cabeceras PNG, GIF, JPEG y WebP construidas a mano
+ */
+
+import { leerDimensiones } from '../../src/utils/imageInfo.js';
+
+const png = (ancho, alto) => {
+    const buffer = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buffer, 0);
+    buffer.write('IHDR', 12, 'ascii');
+    buffer.writeUInt32BE(ancho, 16);
+    buffer.writeUInt32BE(alto, 20);
+    return buffer;
+};
+
+const jpeg = (ancho, alto) => Buffer.from([
+    0xFF, 0xD8,                                     // SOI
+    0xFF, 0xE0, 0x00, 0x06, 0x4A, 0x46, 0x49, 0x46, // APP0 (longitud 6)
+    0xFF, 0xC0, 0x00, 0x11, 0x08,                   // SOF0
+    alto >> 8, alto & 0xFF, ancho >> 8, ancho & 0xFF,
+    0x03, 0x01, 0x22, 0x00
+]);
+
+const webpVp8x = (ancho, alto) => {
+    const buffer = Buffer.alloc(30);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.write('WEBP', 8, 'ascii');
+    buffer.write('VP8X', 12, 'ascii');
+    buffer.writeUIntLE(ancho - 1, 24, 3);
+    buffer.writeUIntLE(alto - 1, 27, 3);
+    return buffer;
+};
+
+describe('Image Info', () => {
+    test('debe leer dimensiones de PNG', () => {
+        expect(leerDimensiones(png(1080, 1350))).toEqual({ formato: 'png', ancho: 1080, alto: 1350 });
+    });
+
+    test('debe leer dimensiones de JPEG saltando segmentos APP', () => {
+        expect(leerDimensiones(jpeg(1920, 1080))).toEqual({ formato: 'jpeg', ancho: 1920, alto: 1080 });
+    });
+
+    test('debe leer dimensiones de GIF', () => {
+        const buffer = Buffer.alloc(12);
+        buffer.write('GIF89a', 0, 'ascii');
+        buffer.writeUInt16LE(640, 6);
+        buffer.writeUInt16LE(480, 8);
+        expect(leerDimensiones(buffer)).toEqual({ formato: 'gif', ancho: 640, alto: 480 });
+    });
+
+    test('debe leer dimensiones de WebP extendido', () => {
+        expect(leerDimensiones(webpVp8x(1080, 1920))).toEqual({ formato: 'webp', ancho: 1080, alto: 1920 });
+    });
+
+    test('debe devolver null para formatos desconocidos', () => {
+        expect(leerDimensiones(Buffer.from('no es una imagen'))).toBeNull();
+        expect(leerDimensiones(null)).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests unitarios para mejores horarios de publicación
+ * @description Pruebas de cálculo de franjas y elección del siguiente horario
+ */
+
+import {
+    calcularMejoresHorarios,
+    proximaFecha,
+    siguienteMejorHorario,
+    HORARIOS_POR_DEFECTO,
+    MIN_MUESTRAS
+} from '../../src/utils/mejoresHorarios.js';
+
+// Martes 6 de enero de 2026 a la hora indicada
+const martes = (hora) => new Date(2026, 0, 6, hora, 0);
+const jueves = (hora) => new Date(2026, 0, 8, hora, 0);
+
+describe('Mejores horarios', () => {
+
+    describe('calcularMejoresHorarios()', () => {
+        test('debe usar horarios por defecto con pocos datos', () => {
+            const resultado = calcularMejoresHorarios([{ fecha: martes(10), tasa_engagement: 5 }], 'linkedin');
+            expect(resultado.fuente).toBe('por_defecto');
+            expect(resultado.horarios[0]).toMatchObject(HORARIOS_POR_DEFECTO.linkedin[0]);
+        });
+
+        test('debe ordenar las franjas por engagement', () => {
+            const muestras = [
+                ...Array(6).fill(null).map(() => ({ fecha: martes(10), tasa_engagement: 2 })),
+                ...Array(6).fill(null).map(() => ({ fecha: jueves(18), tasa_engagement: 8 }))
+            ];
+            const resultado = calcularMejoresHorarios(muestras, 'instagram', { top: 2 });
+
+            expect(resultado.fuente).toBe('historial');
+            expect(resultado.muestras_totales).toBe(12);
+            expect(resultado.horarios.map(h => [h.dia_semana, h.hora])).toEqual([[4, 18], [2, 10]]);
+        });
+
+        test('no debe dejar que un único envío viral domine', () => {
+            const muestras = [
+                ...Array(MIN_MUESTRAS).fill(null).map(() => ({ fecha: martes(10), tasa_engagement: 6 })),
+                { fecha: jueves(18), tasa_engagement: 9 }
+            ];
+            const [mejor] = calcularMejoresHorarios(muestras, 'instagram').horarios;
+            expect([mejor.dia_semana, mejor.hora]).toEqual([2, 10]);
+        });
+
+        test('debe completar con horarios por defecto', () => {
+            const muestras = Array(MIN_MUESTRAS).fill(null).map(() => ({ fecha: martes(10), tasa_engagement: 3 }));
+            const resultado = calcularMejoresHorarios(muestras, 'facebook', { top: 3 });
+
+            expect(resultado.horarios).toHaveLength(3);
+            expect(resultado.horarios[0].fuente).toBe('historial');
+            expect(resultado.horarios[1].fuente).toBe('por_defecto');
+        });
+    });
+
+    describe('proximaFecha()', () => {
+        test('debe devolver la misma semana si la franja no ha pasado', () => {
+            expect(proximaFecha({ dia_semana: 4, hora: 18 }, martes(9))).toEqual(jueves(18));
+        });
+
+        test('debe saltar a la semana siguiente si la franja ya pasó', () => {
+            expect(proximaFecha({ dia_semana: 2, hora: 10 }, martes(11))).toEqual(new Date(2026, 0, 13, 10, 0));
+        });
+    });
+
+    describe('siguienteMejorHorario()', () => {
+        test('debe elegir la franja más próxima respetando el margen', () => {
+            const horarios = [{ dia_semana: 4, hora: 18 }, { dia_semana: 2, hora: 10 }];
+            const siguiente = siguienteMejorHorario(horarios, new Date(2026, 0, 6, 9, 45));
+
+            // Martes 10:00 queda dentro del margen de 30 minutos
+            expect(siguiente.fecha).toEqual(jueves(18));
+        });
+
+        test('debe devolver null sin franjas', () => {
+            expect(siguienteMejorHorario([])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Tests unitarios para las utilidades OAuth
+ * @description Pruebas del estado, la caducidad y el PKCE S256
+ */
+
+import {
+    generarState,
+    generarVerificador,
+    desafioPkce,
+    caducidadState,
+    OAUTH_STATE_TTL_MIN
+} from '../../src/utils/oauth.js';
+
+describe('OAuth', () => {
+
+    test('generarState() debe producir estados distintos', () => {
+        const state = generarState();
+        expect(state).toMatch(/^[0-9a-f]{32}$/);
+        expect(generarState()).not.toBe(state);
+    });
+
+    test('generarVerificador() debe cumplir el formato de la RFC 7636', () => {
+        expect(generarVerificador()).toMatch(/^[A-Za-z0-9\-._~]{43,128}$/);
+    });
+
+    test('desafioPkce() debe coincidir con el ejemplo de la RFC 7636', () => {
+        expect(desafioPkce('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+            .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    test('caducidadState() debe sumar el TTL configurado', () => {
+        const ahora = new Date('2026-03-10T09:00:00Z');
+        expect(caducidadState(ahora).getTime() - ahora.getTime()).toBe(OAUTH_STATE_TTL_MIN * 60 * 1000);
+    });
+});
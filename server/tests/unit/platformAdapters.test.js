@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests unitarios para los adaptadores de plataforma
+ * @description Pruebas del registro de adaptadores y de la validación por plataforma
+ */
+
+import {
+    getAdapter,
+    getPlataformas,
+    getConector,
+    getConectores,
+    registrarAdapter,
+    prepararPieza,
+    resumirPieza
+} from '../../src/services/platforms/index.js';
+
+const imagen = { url_imagen: 'https://cdn.example.com/a.png', ancho: 1080, alto: 1080 };
+const imagenVertical = { url_imagen: 'https://cdn.example.com/s.png', ancho: 1080, alto: 1920 };
+const video = { url_video: 'https://cdn.example.com/v.mp4', ancho: 1080, alto: 1920, duracion_segundos: 15 };
+
+describe('Platform Adapters', () => {
+
+    describe('registro', () => {
+        test('debe registrar las plataformas soportadas', () => {
+            expect(getPlataformas()).toEqual(expect.arrayContaining(['facebook', 'instagram', 'linkedin']));
+        });
+
+        test('debe devolver null para plataformas desconocidas', () => {
+            expect(getAdapter('myspace')).toBeNull();
+        });
+
+        test('debe compartir un único conector Meta para Facebook e Instagram', () => {
+            const proveedores = getConectores().map(c => c.proveedor);
+            expect(proveedores.filter(p => p === 'meta')).toHaveLength(1);
+            expect(getAdapter('facebook').connect).toBe(getAdapter('instagram').connect);
+            expect(getConector('linkedin')).not.toBeNull();
+        });
+
+        test('debe rechazar adaptadores sin publish()', () => {
+            expect(() => registrarAdapter({ plataforma: 'rota' })).toThrow();
+        });
+
+        test('debe permitir registrar nuevas plataformas', async () => {
+            registrarAdapter({
+                plataforma: 'prueba',
+                validate: () => ({ errores: [], advertencias: [] }),
+                publish: async () => ({ success: true, post_id: 'p-1' })
+            });
+            const resultado = await getAdapter('prueba').publish({}, prepararPieza({ titulo: 'Hola' }));
+            expect(resultado.post_id).toBe('p-1');
+        });
+    });
+
+    describe('prepararPieza()', () => {
+        test('debe priorizar copy_texto sobre contenido y título', () => {
+            const pieza = prepararPieza({ titulo: 'T', contenido: 'C', copy_texto: 'Copy', imagenes: [imagen] });
+            expect(pieza.texto).toBe('Copy');
+            expect(pieza.tipo).toBe('post');
+            expect(pieza.imageUrls).toEqual([imagen.url_imagen]);
+        });
+
+        test('resumirPieza() debe resumir el envío sin el texto completo', () => {
+            const resumen = resumirPieza(prepararPieza({ tipo: 'video', copy_texto: 'x'.repeat(200), videos: [video] }));
+            expect(resumen).toMatchObject({ tipo: 'video', caracteres: 200, imagenes: 0, videos: 1, urls: [video.url_video] });
+            expect(resumen.extracto).toHaveLength(81);
+        });
+    });
+
+    describe('validate()', () => {
+        test('Instagram debe exigir imagen en posts', () => {
+            const errores = getAdapter('instagram').validate(prepararPieza({ titulo: 'Solo texto' })).errores;
+            expect(errores[0]).toMatch(/requiere una imagen/);
+        });
+
+        test('Facebook debe aceptar posts de solo texto', () => {
+            expect(getAdapter('facebook').validate(prepararPieza({ titulo: 'Solo texto' })).errores).toEqual([]);
+        });
+
+        test('LinkedIn no debe admitir videos ni Stories', () => {
+            const linkedin = getAdapter('linkedin');
+            expect(linkedin.validate(prepararPieza({ tipo: 'video', titulo: 'V', videos: [video] })).errores).toHaveLength(1);
+            expect(linkedin.validate(prepararPieza({ tipo: 'story', titulo: 'S', imagenes: [imagenVertical] })).errores).toHaveLength(1);
+        });
+
+        test('debe exigir video en contenidos tipo video', () => {
+            const errores = getAdapter('instagram').validate(prepararPieza({ tipo: 'video', titulo: 'V' })).errores;
+            expect(errores[0]).toMatch(/no tiene video/);
+        });
+
+        test('debe aplicar las reglas de Stories', () => {
+            const instagram = getAdapter('instagram');
+            expect(instagram.validate(prepararPieza({ tipo: 'story', titulo: 'S', imagenes: [imagenVertical] })).errores).toEqual([]);
+            expect(instagram.validate(prepararPieza({ tipo: 'story', titulo: 'S', imagenes: [imagen] })).errores[0]).toMatch(/9:16/);
+        });
+
+        test('debe exigir imágenes en carruseles', () => {
+            const errores = getAdapter('facebook').validate(prepararPieza({ tipo: 'carrusel', titulo: 'C' })).errores;
+            expect(errores[0]).toMatch(/requiere imágenes/);
+        });
+    });
+});
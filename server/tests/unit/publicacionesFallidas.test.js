@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Tests unitarios para las publicaciones fallidas
+ * @description Pruebas de agrupación por causa y de validación de acciones masivas
+ */
+
+import {
+    causaDeFallo,
+    agruparPorCausa,
+    validarAccionMasiva,
+    MAX_POR_ACCION
+} from '../../src/utils/publicacionesFallidas.js';
+
+describe('Publicaciones fallidas', () => {
+
+    describe('causaDeFallo()', () => {
+        test('debe usar la categoría del último intento', () => {
+            expect(causaDeFallo({ categoria_error: 'limite', ultimo_error: 'otra cosa' })).toBe('limite');
+        });
+
+        test('debe clasificar por el error las fallidas sin historial', () => {
+            expect(causaDeFallo({ categoria_error: null, ultimo_error: 'Error validating access token' })).toBe('autenticacion');
+        });
+    });
+
+    test('agruparPorCausa() debe ordenar los grupos de mayor a menor', () => {
+        const grupos = agruparPorCausa([
+            { id: 1, categoria_error: 'medios' },
+            { id: 2, categoria_error: 'autenticacion' },
+            { id: 3, categoria_error: 'autenticacion' }
+        ]);
+
+        expect(grupos.map(g => [g.causa, g.total])).toEqual([['autenticacion', 2], ['medios', 1]]);
+        expect(grupos[0].etiqueta).toBe('Token caducado o revocado');
+        expect(grupos[1].publicaciones[0]).toMatchObject({ id: 1, causa: 'medios' });
+    });
+
+    describe('validarAccionMasiva()', () => {
+        test('debe aceptar acciones completas', () => {
+            expect(validarAccionMasiva({ accion: 'reencolar', ids: [1, 2] })).toEqual([]);
+            expect(validarAccionMasiva({ accion: 'reasignar', ids: ['3'], cuenta_social_id: 4 })).toEqual([]);
+        });
+
+        test('debe exigir los datos de cada acción', () => {
+            expect(validarAccionMasiva({ accion: 'reprogramar', ids: [1] })).toHaveLength(1);
+            expect(validarAccionMasiva({ accion: 'reasignar', ids: [1] })).toHaveLength(1);
+            expect(validarAccionMasiva({ accion: 'borrar', ids: [] })).toHaveLength(2);
+        });
+
+        test('debe limitar el tamaño del lote', () => {
+            const ids = Array.from({ length: MAX_POR_ACCION + 1 }, (_, i) => i + 1);
+            expect(validarAccionMasiva({ accion: 'cancelar', ids })).toHaveLength(1);
+        });
+    });
+});
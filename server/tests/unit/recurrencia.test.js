@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Tests unitarios para reglas de recurrencia
+ * @description Pruebas de validación y cálculo de ocurrencias de series
+ */
+
+import {
+    validarRegla,
+    siguienteOcurrencia,
+    ocurrenciasEntre,
+    describirRegla
+} from '../../src/utils/recurrencia.js';
+
+describe('Recurrencia', () => {
+
+    describe('validarRegla()', () => {
+        test('debe aceptar una regla mensual por día del mes', () => {
+            expect(validarRegla({ frecuencia: 'mensual', dia_mes: 15, hora: '09:00', fecha_inicio: '2026-01-01' })).toEqual([]);
+        });
+
+        test('debe rechazar frecuencias desconocidas', () => {
+            const errores = validarRegla({ frecuencia: 'anual', hora: '09:00', fecha_inicio: '2026-01-01' });
+            expect(errores[0]).toMatch(/Frecuencia inválida/);
+        });
+
+        test('debe exigir dia_mes o semana_mes en reglas mensuales', () => {
+            const errores = validarRegla({ frecuencia: 'mensual', hora: '09:00', fecha_inicio: '2026-01-01' });
+            expect(errores).toHaveLength(1);
+        });
+
+        test('debe rechazar horas inválidas y fecha_fin anterior al inicio', () => {
+            const errores = validarRegla({
+                frecuencia: 'diaria',
+                hora: '25:00',
+                fecha_inicio: '2026-02-01',
+                fecha_fin: '2026-01-01'
+            });
+            expect(errores).toHaveLength(2);
+        });
+    });
+
+    describe('siguienteOcurrencia()', () => {
+        test('debe calcular cada día 15 a la hora indicada', () => {
+            const regla = { frecuencia: 'mensual', dia_mes: 15, hora: '09:30', fecha_inicio: '2026-01-01' };
+            expect(siguienteOcurrencia(regla, new Date(2026, 0, 10))).toEqual(new Date(2026, 0, 15, 9, 30));
+            expect(siguienteOcurrencia(regla, new Date(2026, 0, 15, 9, 30))).toEqual(new Date(2026, 1, 15, 9, 30));
+        });
+
+        test('debe calcular el primer lunes de cada mes', () => {
+            const regla = { frecuencia: 'mensual', semana_mes: 1, dia_semana: 1, hora: '08:00', fecha_inicio: '2026-01-01' };
+            // Enero 2026: el primer lunes es el día 5; febrero: el día 2
+            expect(siguienteOcurrencia(regla, new Date(2026, 0, 1))).toEqual(new Date(2026, 0, 5, 8, 0));
+            expect(siguienteOcurrencia(regla, new Date(2026, 0, 5, 8, 0))).toEqual(new Date(2026, 1, 2, 8, 0));
+        });
+
+        test('debe usar el último día en meses sin día 31', () => {
+            const regla = { frecuencia: 'mensual', dia_mes: 31, hora: '12:00', fecha_inicio: '2026-02-01' };
+            expect(siguienteOcurrencia(regla, new Date(2026, 1, 1))).toEqual(new Date(2026, 1, 28, 12, 0));
+        });
+
+        test('debe respetar fecha_inicio y fecha_fin', () => {
+            const regla = { frecuencia: 'diaria', hora: '10:00', fecha_inicio: '2026-03-10', fecha_fin: '2026-03-11' };
+            expect(siguienteOcurrencia(regla, new Date(2026, 0, 1))).toEqual(new Date(2026, 2, 10, 10, 0));
+            expect(siguienteOcurrencia(regla, new Date(2026, 2, 11, 10, 0))).toBeNull();
+        });
+
+        test('debe aceptar dias_semana como texto separado por comas', () => {
+            const regla = { frecuencia: 'semanal', dias_semana: '2,4', hora: '18:00', fecha_inicio: '2026-01-01' };
+            // 1 de enero de 2026 es jueves
+            expect(siguienteOcurrencia(regla, new Date(2026, 0, 1, 19, 0))).toEqual(new Date(2026, 0, 6, 18, 0));
+        });
+    });
+
+    describe('ocurrenciasEntre()', () => {
+        test('debe listar las ocurrencias de un rango respetando cada_dias', () => {
+            const regla = { frecuencia: 'diaria', cada_dias: 3, hora: '09:00', fecha_inicio: '2026-01-01' };
+            const ocurrencias = ocurrenciasEntre(regla, new Date(2026, 0, 1), new Date(2026, 0, 10, 23, 59));
+            expect(ocurrencias.map(o => o.getDate())).toEqual([1, 4, 7, 10]);
+        });
+
+        test('debe limitar el número de ocurrencias', () => {
+            const regla = { frecuencia: 'diaria', hora: '09:00', fecha_inicio: '2026-01-01' };
+            expect(ocurrenciasEntre(regla, new Date(2026, 0, 1), new Date(2026, 11, 31), 5)).toHaveLength(5);
+        });
+    });
+
+    describe('describirRegla()', () => {
+        test('debe describir reglas mensuales por semana', () => {
+            expect(describirRegla({ frecuencia: 'mensual', semana_mes: 1, dia_semana: 1, hora: '09:00:00' }))
+                .toBe('Cada primer lunes del mes a las 09:00');
+        });
+    });
+});
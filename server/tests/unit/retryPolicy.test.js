@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Tests unitarios para la política de reintentos
+ * @description Pruebas de clasificación de errores y backoff exponencial
+ */
+
+import {
+    clasificarError,
+    categorizarError,
+    calcularBackoff,
+    evaluarFallo,
+    MAX_INTENTOS,
+    BACKOFF_BASE_MS,
+    BACKOFF_MAX_MS
+} from '../../src/utils/retryPolicy.js';
+
+describe('Retry Policy', () => {
+
+    describe('clasificarError()', () => {
+        test('debe respetar el flag permanente', () => {
+            expect(clasificarError({ error: 'Sin imagen', permanente: true })).toBe('permanente');
+        });
+
+        test('debe tratar token inválido de Meta como permanente', () => {
+            expect(clasificarError({ error: 'Error validating access token', code: 190 })).toBe('permanente');
+        });
+
+        test('debe tratar errores de permisos de Meta como permanentes', () => {
+            expect(clasificarError({ error: 'Permissions error', code: 200 })).toBe('permanente');
+        });
+
+        test('debe tratar 401 de LinkedIn como permanente', () => {
+            expect(clasificarError({ error: 'Unauthorized', status: 401 })).toBe('permanente');
+        });
+
+        test('debe tratar rate limit como temporal', () => {
+            expect(clasificarError({ error: 'Application request limit reached', code: 4 })).toBe('temporal');
+        });
+
+        test('debe tratar errores de red como temporales', () => {
+            expect(clasificarError({ error: 'fetch failed' })).toBe('temporal');
+        });
+    });
+
+    describe('calcularBackoff()', () => {
+        test('debe duplicar la espera en cada intento', () => {
+            expect(calcularBackoff(1)).toBe(BACKOFF_BASE_MS);
+            expect(calcularBackoff(2)).toBe(BACKOFF_BASE_MS * 2);
+            expect(calcularBackoff(3)).toBe(BACKOFF_BASE_MS * 4);
+        });
+
+        test('no debe superar el máximo configurado', () => {
+            expect(calcularBackoff(50)).toBe(BACKOFF_MAX_MS);
+        });
+    });
+
+    describe('evaluarFallo()', () => {
+        const ahora = new Date('2026-01-01T10:00:00Z');
+
+        test('debe programar reintento para errores temporales', () => {
+            const decision = evaluarFallo(1, { error: 'timeout' }, ahora);
+            expect(decision.reintentar).toBe(true);
+            expect(decision.categoria).toBe('temporal');
+            expect(decision.proximo_intento.getTime()).toBe(ahora.getTime() + BACKOFF_BASE_MS);
+        });
+
+        test('no debe reintentar errores permanentes', () => {
+            const decision = evaluarFallo(1, { error: 'bad token', code: 190 }, ahora);
+            expect(decision.reintentar).toBe(false);
+            expect(decision.proximo_intento).toBeNull();
+        });
+
+        test('no debe reintentar al agotar los intentos', () => {
+            const decision = evaluarFallo(MAX_INTENTOS, { error: 'timeout' }, ahora);
+            expect(decision.reintentar).toBe(false);
+            expect(decision.categoria).toBe('temporal');
+        });
+    });
+
+    describe('categorizarError()', () => {
+        test('debe distinguir credenciales, permisos y límites', () => {
+            expect(categorizarError({ error: 'Error validating access token', code: 190 })).toBe('autenticacion');
+            expect(categorizarError({ error: 'Forbidden', status: 403 })).toBe('permisos');
+            expect(categorizarError({ error: 'Application request limit reached', code: 4 })).toBe('limite');
+        });
+
+        test('debe separar errores del contenido, de la red y de la plataforma', () => {
+            expect(categorizarError({ error: 'Instagram requiere al menos una imagen', permanente: true })).toBe('medios');
+            expect(categorizarError({ error: 'El texto supera el máximo de caracteres', permanente: true })).toBe('validacion');
+            expect(categorizarError({ error: 'Bad gateway', status: 502 })).toBe('plataforma');
+            expect(categorizarError({ error: 'fetch failed' })).toBe('red');
+            expect(categorizarError({ error: 'algo raro' })).toBe('desconocido');
+        });
+    });
+});
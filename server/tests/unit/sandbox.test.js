@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tests unitarios para el modo sandbox de plataformas
+ * @description Publicación, métricas sintéticas y OAuth simulados sin redes reales
+ */
+
+import * as instagram from '../../src/services/platforms/instagram.adapter.js';
+import * as facebook from '../../src/services/platforms/facebook.adapter.js';
+import { prepararPieza } from '../../src/services/platforms/pieza.js';
+import { clasificarError } from '../../src/utils/retryPolicy.js';
+import {
+    crearAdapterSandbox,
+    metricasSinteticas,
+    getPublicados,
+    reset
+} from '../../src/services/platforms/sandbox.js';
+
+const imagen = { url_imagen: 'https://cdn.example.com/a.png' };
+
+describe('Sandbox de plataformas', () => {
+    const sandboxIg = crearAdapterSandbox(instagram);
+
+    beforeEach(() => reset());
+
+    test('debe conservar las validaciones de la plataforma real', () => {
+        expect(sandboxIg.validate(prepararPieza({ titulo: 'Sin imagen' })).errores).toHaveLength(1);
+    });
+
+    test('debe aceptar publicaciones y devolver un post_id', async () => {
+        const pieza = prepararPieza({ titulo: 'Hola', copy_texto: 'Hola mundo', imagenes: [imagen] });
+        const resultado = await sandboxIg.publish({ page_id: 'sandbox-ig' }, pieza);
+
+        expect(resultado.success).toBe(true);
+        expect(resultado.post_id).toMatch(/^sandbox_instagram_/);
+        expect(getPublicados('instagram')).toHaveLength(1);
+        expect(getPublicados('facebook')).toHaveLength(0);
+    });
+
+    test('debe servir métricas sintéticas de lo publicado', async () => {
+        const pieza = prepararPieza({ titulo: 'Hola', imagenes: [imagen] });
+        const { post_id } = await sandboxIg.publish({ page_id: 'sandbox-ig' }, pieza);
+        const metricas = await sandboxIg.fetchMetrics({}, post_id);
+
+        expect(metricas.success).toBe(true);
+        expect(metricas.datos.impresiones).toBeGreaterThan(0);
+        expect(metricas.datos.alcance).toBeLessThanOrEqual(metricas.datos.impresiones);
+    });
+
+    test('debe simular errores temporales y permanentes', async () => {
+        const temporal = await sandboxIg.publish({}, prepararPieza({ copy_texto: 'x #sandbox-error', imagenes: [imagen] }));
+        const permanente = await sandboxIg.publish({}, prepararPieza({ copy_texto: 'x #sandbox-permanente', imagenes: [imagen] }));
+
+        expect(clasificarError(temporal)).toBe('temporal');
+        expect(clasificarError(permanente)).toBe('permanente');
+        expect(getPublicados()).toHaveLength(0);
+    });
+
+    test('debe compartir el conector OAuth simulado de Meta', async () => {
+        const sandboxFb = crearAdapterSandbox(facebook);
+        expect(sandboxFb.connect).toBe(sandboxIg.connect);
+
+        const url = sandboxFb.connect.getAuthUrl('http://localhost:3000/api/social/meta/callback', 'abc');
+        expect(url).toBe('http://localhost:3000/api/social/meta/callback?code=sandbox&state=abc');
+
+        const { success, cuentas } = await sandboxFb.connect.completarAuth('sandbox');
+        expect(success).toBe(true);
+        expect(cuentas.map(c => c.plataforma)).toEqual(['facebook', 'instagram', 'facebook']);
+        expect(cuentas[1].vinculada_a).toBe(cuentas[0].page_id);
+        expect(sandboxFb.connect.seleccionarCuentas).toBe(true);
+    });
+
+    test('debe editar y eliminar lo publicado solo donde la red lo permite', async () => {
+        const sandboxFb = crearAdapterSandbox(facebook);
+        const { post_id } = await sandboxFb.publish({ page_id: 'sandbox-page' }, prepararPieza({ copy_texto: 'Typo' }));
+
+        expect((await sandboxFb.edit({}, post_id, 'Corregido')).success).toBe(true);
+        expect(getPublicados('facebook')[0].pieza.texto).toBe('Corregido');
+
+        expect((await sandboxFb.remove({}, post_id)).success).toBe(true);
+        expect(getPublicados('facebook')).toHaveLength(0);
+        expect((await sandboxFb.remove({}, post_id)).success).toBe(false);
+
+        expect(sandboxIg.edit).toBeUndefined();
+        expect(sandboxIg.remove).toBeUndefined();
+    });
+
+    describe('metricasSinteticas()', () => {
+        test('debe ser determinista y crecer con el tiempo', () => {
+            const publicado = new Date('2026-01-01T10:00:00Z');
+            const temprano = metricasSinteticas('post-1', publicado, new Date('2026-01-01T11:00:00Z'));
+            const tarde = metricasSinteticas('post-1', publicado, new Date('2026-01-02T10:00:00Z'));
+
+            expect(metricasSinteticas('post-1', publicado, new Date('2026-01-01T11:00:00Z'))).toEqual(temprano);
+            expect(tarde.impresiones).toBeGreaterThan(temprano.impresiones);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests unitarios para las reglas de Stories
+ * @description Pruebas de relación de aspecto 9:16 y medio único
+ */
+
+import {
+    esAspectoStory,
+    validarStory,
+    mediaDesdePayload,
+    STORY_VIDEO_MAX_SEGUNDOS
+} from '../../src/utils/storyRules.js';
+
+describe('Story Rules', () => {
+
+    describe('esAspectoStory()', () => {
+        test('debe aceptar 1080x1920', () => {
+            expect(esAspectoStory(1080, 1920)).toBe(true);
+        });
+
+        test('debe tolerar pequeñas diferencias de redondeo', () => {
+            expect(esAspectoStory(1080, 1918)).toBe(true);
+        });
+
+        test('debe rechazar formatos cuadrados u horizontales', () => {
+            expect(esAspectoStory(1080, 1080)).toBe(false);
+            expect(esAspectoStory(1920, 1080)).toBe(false);
+        });
+
+        test('debe rechazar dimensiones vacías', () => {
+            expect(esAspectoStory(null, 1920)).toBe(false);
+        });
+    });
+
+    describe('validarStory()', () => {
+        test('debe aceptar una imagen vertical', () => {
+            expect(validarStory({ imagenes: [{ ancho: 1080, alto: 1920 }] })).toEqual([]);
+        });
+
+        test('debe exigir un medio', () => {
+            expect(validarStory({})).toHaveLength(1);
+        });
+
+        test('debe rechazar más de un medio', () => {
+            const errores = validarStory({
+                imagenes: [{ ancho: 1080, alto: 1920 }],
+                videos: [{ ancho: 1080, alto: 1920 }]
+            });
+            expect(errores[0]).toMatch(/único medio/);
+        });
+
+        test('debe rechazar relación de aspecto incorrecta', () => {
+            const errores = validarStory({ imagenes: [{ ancho: 1080, alto: 1350 }] });
+            expect(errores[0]).toMatch(/9:16/);
+        });
+
+        test('debe rechazar medio sin dimensiones', () => {
+            expect(validarStory({ videos: [{ url_video: 'x.mp4' }] })[0]).toMatch(/dimensiones/);
+        });
+
+        test('debe rechazar videos demasiado largos', () => {
+            const errores = validarStory({
+                videos: [{ ancho: 1080, alto: 1920, duracion_segundos: STORY_VIDEO_MAX_SEGUNDOS + 1 }]
+            });
+            expect(errores).toHaveLength(1);
+        });
+    });
+
+    describe('mediaDesdePayload()', () => {
+        test('debe mapear un video del cliente', () => {
+            const media = mediaDesdePayload({ media_tipo: 'video', url: 'a.mp4', ancho: '1080', alto: '1920' });
+            expect(media.videos[0]).toMatchObject({ url_video: 'a.mp4', ancho: 1080, alto: 1920 });
+            expect(media.imagenes).toEqual([]);
+        });
+
+        test('debe devolver listas vacías sin URL', () => {
+            expect(mediaDesdePayload(null)).toEqual({ imagenes: [], videos: [] });
+        });
+    });
+});
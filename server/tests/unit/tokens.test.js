@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Tests unitarios para el ciclo de vida de los tokens
+ * @description Pruebas de los días hasta la caducidad y de cuándo avisar
+ */
+
+import { diasParaCaducar, debeAvisarse, TOKEN_AVISO_DIAS } from '../../src/utils/tokens.js';
+
+describe('Tokens', () => {
+    const ahora = new Date('2026-03-10T09:00:00Z');
+    const enDias = (dias) => new Date(ahora.getTime() + dias * 24 * 3600 * 1000);
+
+    test('diasParaCaducar() debe redondear hacia arriba y admitir tokens sin caducidad', () => {
+        expect(diasParaCaducar(enDias(2.5), ahora)).toBe(3);
+        expect(diasParaCaducar(enDias(-1), ahora)).toBe(-1);
+        expect(diasParaCaducar(null, ahora)).toBeNull();
+    });
+
+    describe('debeAvisarse()', () => {
+        test('debe avisar dentro del margen configurado', () => {
+            expect(debeAvisarse({ token_expires_at: enDias(TOKEN_AVISO_DIAS) }, ahora)).toBe(true);
+            expect(debeAvisarse({ token_expires_at: enDias(TOKEN_AVISO_DIAS + 1) }, ahora)).toBe(false);
+        });
+
+        test('no debe repetir el aviso ni avisar de tokens caducados o sin caducidad', () => {
+            expect(debeAvisarse({ token_expires_at: enDias(2), aviso_caducidad_at: enDias(-1) }, ahora)).toBe(false);
+            expect(debeAvisarse({ token_expires_at: enDias(-1) }, ahora)).toBe(false);
+            expect(debeAvisarse({ token_expires_at: null }, ahora)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Tests unitarios para el motor de validación previa a la publicación
+ * @description Límites de texto, hashtags, menciones, imágenes y video por plataforma
+ */
+
+import {
+    validarPieza,
+    longitudTexto,
+    contarHashtags,
+    contarMenciones
+} from '../../src/services/platforms/validacion.js';
+import { prepararPieza } from '../../src/services/platforms/pieza.js';
+import { capacidades as instagram } from '../../src/services/platforms/instagram.adapter.js';
+import { capacidades as facebook } from '../../src/services/platforms/facebook.adapter.js';
+import { capacidades as linkedin } from '../../src/services/platforms/linkedin.adapter.js';
+
+const imagen = (ancho = 1080, alto = 1080, tamano_bytes = 500000) => ({
+    url_imagen: 'https://cdn.example.com/a.jpg', ancho, alto, tamano_bytes
+});
+
+describe('Validación previa a la publicación', () => {
+
+    describe('conteos de texto', () => {
+        test('debe contar emojis como un carácter', () => {
+            expect(longitudTexto('Hola 👋')).toBe(6);
+        });
+
+        test('debe contar hashtags con acentos', () => {
+            expect(contarHashtags('#marketing #diseño #2026 texto')).toBe(3);
+        });
+
+        test('debe contar menciones ignorando emails', () => {
+            expect(contarMenciones('@ana y @luis.perez escriben a info@empresa.com')).toBe(2);
+        });
+    });
+
+    describe('texto', () => {
+        test('debe rechazar captions de Instagram de más de 2200 caracteres', () => {
+            const pieza = prepararPieza({ copy_texto: 'a'.repeat(2201), imagenes: [imagen()] });
+            expect(validarPieza(pieza, instagram).errores[0]).toMatch(/2201\/2200/);
+        });
+
+        test('debe advertir cuando Instagram truncará el caption', () => {
+            const pieza = prepararPieza({ copy_texto: 'a'.repeat(300), imagenes: [imagen()] });
+            const { errores, advertencias } = validarPieza(pieza, instagram);
+            expect(errores).toEqual([]);
+            expect(advertencias[0]).toMatch(/truncado/);
+        });
+
+        test('debe rechazar más de 30 hashtags en Instagram', () => {
+            const hashtags = Array.from({ length: 31 }, (_, i) => `#tag${i}`).join(' ');
+            const pieza = prepararPieza({ copy_texto: hashtags, imagenes: [imagen()] });
+            expect(validarPieza(pieza, instagram).errores[0]).toMatch(/30 hashtags/);
+        });
+
+        test('debe solo advertir del exceso de hashtags en LinkedIn', () => {
+            const pieza = prepararPieza({ copy_texto: '#a #b #c #d #e #f' });
+            const { errores, advertencias } = validarPieza(pieza, linkedin);
+            expect(errores).toEqual([]);
+            expect(advertencias[0]).toMatch(/hashtags/);
+        });
+
+        test('debe rechazar textos de LinkedIn de más de 3000 caracteres', () => {
+            const pieza = prepararPieza({ copy_texto: 'a'.repeat(3001) });
+            expect(validarPieza(pieza, linkedin).errores).toHaveLength(1);
+        });
+    });
+
+    describe('imágenes', () => {
+        test('debe aceptar una imagen cuadrada en Instagram', () => {
+            const pieza = prepararPieza({ copy_texto: 'Hola', imagenes: [imagen()] });
+            expect(validarPieza(pieza, instagram)).toEqual({ errores: [], advertencias: [] });
+        });
+
+        test('debe rechazar relación de aspecto fuera de rango en Instagram', () => {
+            const pieza = prepararPieza({ copy_texto: 'Hola', imagenes: [imagen(1080, 1920)] });
+            expect(validarPieza(pieza, instagram).errores[0]).toMatch(/relación de aspecto/);
+        });
+
+        test('debe rechazar imágenes demasiado pesadas', () => {
+            const pieza = prepararPieza({ copy_texto: 'Hola', imagenes: [imagen(1080, 1080, 9 * 1024 * 1024)] });
+            expect(validarPieza(pieza, instagram).errores[0]).toMatch(/pesa 9.0MB/);
+        });
+
+        test('debe advertir si no se conocen las dimensiones', () => {
+            const pieza = prepararPieza({ copy_texto: 'Hola', imagenes: [{ url_imagen: 'x.png' }] });
+            expect(validarPieza(pieza, instagram).advertencias[0]).toMatch(/dimensiones/);
+        });
+
+        test('debe limitar el número de imágenes del carrusel', () => {
+            const imagenes = Array.from({ length: 11 }, () => imagen());
+            const pieza = prepararPieza({ tipo: 'carrusel', copy_texto: 'Hola', imagenes });
+            expect(validarPieza(pieza, instagram).errores[0]).toMatch(/máximo 10 imágenes/);
+        });
+
+        test('debe exigir al menos dos imágenes en un carrusel', () => {
+            const pieza = prepararPieza({ tipo: 'carrusel', copy_texto: 'Hola', imagenes: [imagen()] });
+            expect(validarPieza(pieza, facebook).errores[0]).toMatch(/al menos 2/);
+        });
+    });
+
+    describe('video', () => {
+        test('debe rechazar Reels demasiado cortos', () => {
+            const pieza = prepararPieza({ tipo: 'video', copy_texto: 'Hola', videos: [{ url_video: 'v.mp4', duracion_segundos: 2 }] });
+            expect(validarPieza(pieza, instagram).errores[0]).toMatch(/al menos 3s/);
+        });
+
+        test('debe advertir si no se conoce la duración', () => {
+            const pieza = prepararPieza({ tipo: 'video', copy_texto: 'Hola', videos: [{ url_video: 'v.mp4' }] });
+            const { errores, advertencias } = validarPieza(pieza, facebook);
+            expect(errores).toEqual([]);
+            expect(advertencias).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Tests unitarios para las variantes por plataforma
+ * @description Pruebas de selección de copy e imágenes y del prompt de adaptación
+ */
+
+import {
+    parsearIdsImagenes,
+    seleccionarImagenes,
+    aplicarVariante,
+    construirPromptVariante,
+    limpiarRespuestaIA
+} from '../../src/utils/variantes.js';
+
+const IMAGENES = [
+    { id: 1, url_imagen: 'https://cdn.test/1.jpg' },
+    { id: 2, url_imagen: 'https://cdn.test/2.jpg' },
+    { id: 3, url_imagen: 'https://cdn.test/3.jpg' }
+];
+
+const CONTENIDO = {
+    id: 10,
+    copy_texto: 'Copy maestro',
+    imagenes: IMAGENES,
+    variantes: [
+        { plataforma: 'linkedin', copy_texto: 'Copy formal', imagenes_ids: '3,1' },
+        { plataforma: 'instagram', copy_texto: '', imagenes_ids: null }
+    ]
+};
+
+describe('Variantes por plataforma', () => {
+
+    describe('parsearIdsImagenes()', () => {
+        test('debe convertir la lista guardada en IDs', () => {
+            expect(parsearIdsImagenes('3,1')).toEqual([3, 1]);
+            expect(parsearIdsImagenes([2])).toEqual([2]);
+        });
+
+        test('debe devolver null sin selección', () => {
+            expect(parsearIdsImagenes(null)).toBeNull();
+            expect(parsearIdsImagenes('')).toBeNull();
+        });
+    });
+
+    describe('seleccionarImagenes()', () => {
+        test('debe respetar el orden de la selección', () => {
+            expect(seleccionarImagenes(IMAGENES, [3, 1]).map(i => i.id)).toEqual([3, 1]);
+        });
+
+        test('debe usar todas si la selección ya no existe', () => {
+            expect(seleccionarImagenes(IMAGENES, [99])).toHaveLength(3);
+        });
+    });
+
+    describe('aplicarVariante()', () => {
+        test('debe usar el copy y las imágenes de la variante', () => {
+            const resultado = aplicarVariante(CONTENIDO, 'linkedin');
+            expect(resultado.copy_texto).toBe('Copy formal');
+            expect(resultado.imagenes.map(i => i.id)).toEqual([3, 1]);
+        });
+
+        test('debe caer al copy maestro con una variante vacía o inexistente', () => {
+            expect(aplicarVariante(CONTENIDO, 'instagram').copy_texto).toBe('Copy maestro');
+            expect(aplicarVariante(CONTENIDO, 'facebook').copy_texto).toBe('Copy maestro');
+        });
+
+        test('el copy de la cuenta tiene prioridad sobre la variante', () => {
+            expect(aplicarVariante(CONTENIDO, 'linkedin', { copyCuenta: 'Copy de la página' }).copy_texto)
+                .toBe('Copy de la página');
+        });
+    });
+
+    describe('construirPromptVariante()', () => {
+        test('debe incluir el copy y el límite de la plataforma', () => {
+            const prompt = construirPromptVariante({ copy: 'Nuevo servicio', plataforma: 'linkedin' });
+            expect(prompt).toContain('Nuevo servicio');
+            expect(prompt).toContain('1300');
+        });
+    });
+
+    describe('limpiarRespuestaIA()', () => {
+        test('debe quitar comillas y bloques de código', () => {
+            expect(limpiarRespuestaIA('"Hola"')).toBe('Hola');
+            expect(limpiarRespuestaIA('```\nHola\n```')).toBe('Hola');
+        });
+    });
+});
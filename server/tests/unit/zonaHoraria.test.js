@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Tests unitarios para las zonas horarias
+ * @description Pruebas de conversión entre hora de pared e instantes, incluido el horario de verano
+ */
+
+import {
+    esZonaValida,
+    partesEnZona,
+    fechaEnZona,
+    parsearFechaLocal,
+    formatearEnZona,
+    sumarDias
+} from '../../src/utils/zonaHoraria.js';
+
+describe('Zonas horarias', () => {
+
+    test('esZonaValida() debe reconocer zonas IANA', () => {
+        expect(esZonaValida('America/Guayaquil')).toBe(true);
+        expect(esZonaValida('Marte/Olympus')).toBe(false);
+        expect(esZonaValida('')).toBe(false);
+    });
+
+    describe('parsearFechaLocal()', () => {
+        test('la hora sin desplazamiento es de la zona indicada', () => {
+            expect(parsearFechaLocal('2026-03-10T09:00', 'America/Guayaquil').toISOString()).toBe('2026-03-10T14:00:00.000Z');
+            expect(parsearFechaLocal('2026-03-10', 'America/Guayaquil').toISOString()).toBe('2026-03-10T05:00:00.000Z');
+        });
+
+        test('respeta un desplazamiento explícito', () => {
+            expect(parsearFechaLocal('2026-03-10T09:00:00Z', 'America/Guayaquil').toISOString()).toBe('2026-03-10T09:00:00.000Z');
+            expect(parsearFechaLocal('', 'America/Guayaquil')).toBeNull();
+            expect(isNaN(parsearFechaLocal('mañana', 'America/Guayaquil'))).toBe(true);
+        });
+    });
+
+    describe('fechaEnZona() con horario de verano', () => {
+        test('aplica el desplazamiento de cada época del año', () => {
+            expect(fechaEnZona({ anio: 2026, mes: 1, dia: 15, horas: 9 }, 'Europe/Madrid').toISOString()).toBe('2026-01-15T08:00:00.000Z');
+            expect(fechaEnZona({ anio: 2026, mes: 7, dia: 15, horas: 9 }, 'Europe/Madrid').toISOString()).toBe('2026-07-15T07:00:00.000Z');
+        });
+
+        test('una hora inexistente se desplaza tras el salto', () => {
+            // 8 de marzo de 2026 en Nueva York: de 02:00 se pasa a 03:00
+            expect(fechaEnZona({ anio: 2026, mes: 3, dia: 8, horas: 2, minutos: 30 }, 'America/New_York').toISOString())
+                .toBe('2026-03-08T07:30:00.000Z');
+        });
+
+        test('una hora repetida toma la primera', () => {
+            // 1 de noviembre de 2026 en Nueva York: la 01:30 ocurre dos veces
+            expect(fechaEnZona({ anio: 2026, mes: 11, dia: 1, horas: 1, minutos: 30 }, 'America/New_York').toISOString())
+                .toBe('2026-11-01T05:30:00.000Z');
+        });
+    });
+
+    test('partesEnZona() y formatearEnZona() devuelven la hora de pared', () => {
+        const instante = new Date('2026-03-10T03:30:00Z');
+        expect(partesEnZona(instante, 'America/Guayaquil')).toMatchObject({ anio: 2026, mes: 3, dia: 9, horas: 22, dia_semana: 1 });
+        expect(formatearEnZona(instante, 'America/Guayaquil')).toBe('2026-03-09T22:30:00');
+    });
+
+    test('sumarDias() cruza meses y años', () => {
+        expect(sumarDias({ anio: 2026, mes: 12, dia: 31 }, 1)).toEqual({ anio: 2027, mes: 1, dia: 1 });
+    });
+});